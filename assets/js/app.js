@@ -32,6 +32,12 @@ import { TradeDetailChart } from "./hooks/trade_detail_chart";
 import { TradesTable } from "./hooks/trades_table";
 import { RegimeChart } from "./hooks/regime_chart";
 import { DivergenceChart } from "./hooks/divergence_chart";
+import { OptimizationHeatmap } from "./hooks/optimization_heatmap";
+import { WalkForwardChart } from "./hooks/walk_forward_chart";
+import { TimeOfDayHeatmap } from "./hooks/time_of_day_heatmap";
+import { TradeDistributionChart } from "./hooks/trade_distribution_chart";
+import { DataCoverageCalendar } from "./hooks/data_coverage_calendar";
+import { OptionPayoffChart } from "./hooks/option_payoff_chart";
 
 const csrfToken = document
   .querySelector("meta[name='csrf-token']")
@@ -39,7 +45,7 @@ const csrfToken = document
 const liveSocket = new LiveSocket("/live", Socket, {
   longPollFallbackMs: 2500,
   params: { _csrf_token: csrfToken },
-  hooks: { ...colocatedHooks, TradingChart, SparkChart, EquityCurveChart, SymbolChart, TradeDetailChart, TradesTable, RegimeChart, DivergenceChart },
+  hooks: { ...colocatedHooks, TradingChart, SparkChart, EquityCurveChart, SymbolChart, TradeDetailChart, TradesTable, RegimeChart, DivergenceChart, OptimizationHeatmap, WalkForwardChart, TimeOfDayHeatmap, TradeDistributionChart, DataCoverageCalendar, OptionPayoffChart },
   debug: "none",
 });
 
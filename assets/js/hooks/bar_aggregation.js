@@ -0,0 +1,190 @@
+import { SESSION_BOUNDARIES, getETMinutesFromMidnight, getSession } from './session_highlighter';
+
+/**
+ * Bar Aggregation - Rolls 1-minute bars up into higher timeframes
+ *
+ * Buckets are aligned to Eastern Time session boundaries rather than clock hours:
+ * - Regular hours buckets start at the 9:30 AM open (1h = 9:30, 10:30, ...)
+ * - Pre-market buckets start at 4:00 AM and are cut off at 9:30 AM
+ * - Post-market buckets start at 4:00 PM and are cut off at 8:00 PM
+ * - Daily candles cover the regular session only (9:30 AM - 4:00 PM)
+ *
+ * Bars use the server format: { time (UTC seconds), open, high, low, close, volume }.
+ * Aggregated bars keep that format, with `time` set to the bucket start.
+ */
+
+// Supported timeframes in minutes ('day' = one regular session per candle)
+export const TIMEFRAMES = {
+  '1m': 1,
+  '5m': 5,
+  '15m': 15,
+  '1h': 60,
+  '1D': 'day',
+};
+
+export const DEFAULT_TIMEFRAME = '1m';
+
+// Session start (minutes from midnight ET) used as the bucket anchor
+const SESSION_ANCHORS = {
+  premarket: SESSION_BOUNDARIES.premarketStart,
+  regular: SESSION_BOUNDARIES.regularStart,
+  postmarket: SESSION_BOUNDARIES.regularEnd,
+};
+
+/**
+ * Normalize a timeframe key, falling back to 1m for unknown values
+ */
+export function normalizeTimeframe(timeframe) {
+  return TIMEFRAMES[timeframe] ? timeframe : DEFAULT_TIMEFRAME;
+}
+
+/**
+ * Get the UTC start time of the bucket a bar belongs to
+ * @param {number} utcTime - Bar time in UTC seconds
+ * @param {string} timeframe - Timeframe key (1m, 5m, 15m, 1h, 1D)
+ * @returns {number|null} Bucket start in UTC seconds, or null if the bar isn't part of any bucket
+ */
+export function bucketStart(utcTime, timeframe) {
+  const minutes = TIMEFRAMES[timeframe];
+  if (!minutes || minutes === 1) return utcTime;
+
+  const etMinutes = getETMinutesFromMidnight(utcTime);
+  const secondsIntoMinute = utcTime % 60;
+  const session = getSession(utcTime);
+
+  if (minutes === 'day') {
+    // Daily candles only include the regular session
+    if (session !== 'regular') return null;
+    return utcTime - secondsIntoMinute - (etMinutes - SESSION_BOUNDARIES.regularStart) * 60;
+  }
+
+  // Overnight bars (outside any session) fall back to clock alignment
+  const anchor = session ? SESSION_ANCHORS[session] : 0;
+  const offset = (etMinutes - anchor) % minutes;
+
+  return utcTime - secondsIntoMinute - offset * 60;
+}
+
+/**
+ * Fold a minute bar into an aggregated candle (or start a new one)
+ */
+function foldBar(candle, bar, time) {
+  const open = parseFloat(bar.open);
+  const high = parseFloat(bar.high);
+  const low = parseFloat(bar.low);
+  const close = parseFloat(bar.close);
+  const volume = bar.volume || 0;
+
+  if (!candle) {
+    return { time, open, high, low, close, volume };
+  }
+
+  return {
+    time,
+    open: candle.open,
+    high: Math.max(candle.high, high),
+    low: Math.min(candle.low, low),
+    close,
+    volume: candle.volume + volume,
+  };
+}
+
+/**
+ * Aggregate 1-minute bars into a higher timeframe
+ * @param {Array} bars - 1-minute bars in ascending time order
+ * @param {string} timeframe - Timeframe key (1m, 5m, 15m, 1h, 1D)
+ * @returns {Array} Aggregated bars in ascending time order
+ */
+export function aggregateBars(bars, timeframe) {
+  if (normalizeTimeframe(timeframe) === '1m') {
+    return bars;
+  }
+
+  const result = [];
+  let current = null;
+
+  for (const bar of bars) {
+    const time = bucketStart(bar.time, timeframe);
+    if (time === null) continue;
+
+    if (current && current.time === time) {
+      current = foldBar(current, bar, time);
+      result[result.length - 1] = current;
+    } else {
+      current = foldBar(null, bar, time);
+      result.push(current);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * BarAggregator
+ * Incrementally folds real-time minute bars into the current aggregated candle.
+ *
+ * The minute bars of the current bucket are kept so that repeated updates to
+ * the same minute (price ticks) replace that minute's contribution rather than
+ * being counted twice.
+ */
+export class BarAggregator {
+  constructor(timeframe) {
+    this._timeframe = normalizeTimeframe(timeframe);
+    this._bucketTime = null;
+    this._minuteBars = new Map(); // minute time -> bar (current bucket only)
+  }
+
+  getTimeframe() {
+    return this._timeframe;
+  }
+
+  /**
+   * Aggregate a full set of minute bars and prime the current bucket
+   * @param {Array} bars - 1-minute bars in ascending time order
+   * @returns {Array} Aggregated bars
+   */
+  setBars(bars) {
+    this._bucketTime = null;
+    this._minuteBars.clear();
+
+    // Prime the current bucket with the trailing minutes that belong to it
+    for (let i = bars.length - 1; i >= 0; i--) {
+      const time = bucketStart(bars[i].time, this._timeframe);
+      if (time === null) continue;
+      if (this._bucketTime === null) this._bucketTime = time;
+      if (time !== this._bucketTime) break;
+      this._minuteBars.set(bars[i].time, bars[i]);
+    }
+
+    return aggregateBars(bars, this._timeframe);
+  }
+
+  /**
+   * Fold a minute bar into the current aggregated candle
+   * @param {Object} bar - 1-minute bar (may be a partial, still-forming minute)
+   * @returns {Object|null} The updated aggregated candle, or null if the bar is outside any bucket or stale
+   */
+  update(bar) {
+    const time = bucketStart(bar.time, this._timeframe);
+    if (time === null) return null;
+
+    if (this._bucketTime !== null && time < this._bucketTime) {
+      return null; // Stale update for an already completed candle
+    }
+
+    if (time !== this._bucketTime) {
+      this._bucketTime = time;
+      this._minuteBars.clear();
+    }
+
+    this._minuteBars.set(bar.time, bar);
+
+    let candle = null;
+    const minuteTimes = Array.from(this._minuteBars.keys()).sort((a, b) => a - b);
+    for (const minuteTime of minuteTimes) {
+      candle = foldBar(candle, this._minuteBars.get(minuteTime), time);
+    }
+
+    return candle;
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Chart Animation - Eased transitions of a chart's visible range
+ *
+ * Shared by the chart hooks for zooming to trades and following trade replays.
+ */
+
+/**
+ * Easing function for smooth animation (ease-out cubic)
+ */
+export function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
+/**
+ * Animate the chart's visible time range
+ * @param {Object} chart - Lightweight Charts instance
+ * @param {Object} targetRange - Target range { from, to }
+ * @param {number} duration - Animation duration in ms
+ * @param {Function} onComplete - Callback when animation completes
+ */
+export function animateTimeRange(chart, targetRange, duration = 250, onComplete = null) {
+  const timeScale = chart.timeScale();
+  const startRange = timeScale.getVisibleRange();
+
+  if (!startRange) {
+    timeScale.setVisibleRange(targetRange);
+    if (onComplete) onComplete();
+    return;
+  }
+
+  const startTime = performance.now();
+  const startFrom = startRange.from;
+  const startTo = startRange.to;
+  const deltaFrom = targetRange.from - startFrom;
+  const deltaTo = targetRange.to - startTo;
+
+  function animate(currentTime) {
+    const elapsed = currentTime - startTime;
+    const progress = Math.min(elapsed / duration, 1);
+    const easedProgress = easeOutCubic(progress);
+
+    const currentFrom = startFrom + deltaFrom * easedProgress;
+    const currentTo = startTo + deltaTo * easedProgress;
+
+    timeScale.setVisibleRange({ from: currentFrom, to: currentTo });
+
+    if (progress < 1) {
+      requestAnimationFrame(animate);
+    } else if (onComplete) {
+      onComplete();
+    }
+  }
+
+  requestAnimationFrame(animate);
+}
+
+/**
+ * Animate both time range and price range together for smooth zoom effect
+ * @param {Object} chart - Lightweight Charts instance
+ * @param {Object} series - The candle series
+ * @param {Object} targetTimeRange - Target time range { from, to }
+ * @param {Object} startPriceRange - Starting price range { minValue, maxValue }
+ * @param {Object} targetPriceRange - Target price range { minValue, maxValue }
+ * @param {number} duration - Animation duration in ms
+ * @param {Function} onComplete - Callback when animation completes
+ */
+export function animateChartZoom(chart, series, targetTimeRange, startPriceRange, targetPriceRange, duration = 250, onComplete = null) {
+  const timeScale = chart.timeScale();
+  const startTimeRange = timeScale.getVisibleRange();
+
+  if (!startTimeRange) {
+    timeScale.setVisibleRange(targetTimeRange);
+    series.applyOptions({
+      autoscaleInfoProvider: () => ({ priceRange: targetPriceRange }),
+    });
+    if (onComplete) onComplete();
+    return;
+  }
+
+  const startTime = performance.now();
+
+  // Time range deltas
+  const startTimeFrom = startTimeRange.from;
+  const startTimeTo = startTimeRange.to;
+  const deltaTimeFrom = targetTimeRange.from - startTimeFrom;
+  const deltaTimeTo = targetTimeRange.to - startTimeTo;
+
+  // Price range deltas
+  const startPriceMin = startPriceRange.minValue;
+  const startPriceMax = startPriceRange.maxValue;
+  const deltaPriceMin = targetPriceRange.minValue - startPriceMin;
+  const deltaPriceMax = targetPriceRange.maxValue - startPriceMax;
+
+  function animate(currentTime) {
+    const elapsed = currentTime - startTime;
+    const progress = Math.min(elapsed / duration, 1);
+    const easedProgress = easeOutCubic(progress);
+
+    // Interpolate time range
+    const currentTimeFrom = startTimeFrom + deltaTimeFrom * easedProgress;
+    const currentTimeTo = startTimeTo + deltaTimeTo * easedProgress;
+    timeScale.setVisibleRange({ from: currentTimeFrom, to: currentTimeTo });
+
+    // Interpolate price range
+    const currentPriceMin = startPriceMin + deltaPriceMin * easedProgress;
+    const currentPriceMax = startPriceMax + deltaPriceMax * easedProgress;
+    series.applyOptions({
+      autoscaleInfoProvider: () => ({
+        priceRange: { minValue: currentPriceMin, maxValue: currentPriceMax },
+      }),
+    });
+
+    if (progress < 1) {
+      requestAnimationFrame(animate);
+    } else if (onComplete) {
+      onComplete();
+    }
+  }
+
+  requestAnimationFrame(animate);
+}
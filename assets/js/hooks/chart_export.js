@@ -0,0 +1,199 @@
+/**
+ * Chart Export - Save a chart as PNG, CSV or JSON for journaling
+ *
+ * - PNG: chart screenshot (including primitives such as trade zones and drawings)
+ *   with a title and export timestamp watermark
+ * - CSV: the bars or points currently in the visible range
+ * - JSON: a raw payload (e.g. the trade shown on the chart)
+ *
+ * Chart times are written as the wall-clock time shown on the chart.
+ */
+
+const WATERMARK_FONT = '12px sans-serif';
+const WATERMARK_COLOR = 'rgba(161, 161, 170, 0.9)'; // zinc-400
+const WATERMARK_BACKGROUND = 'rgba(24, 24, 27, 0.75)'; // zinc-900
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+/**
+ * Format a chart time as "YYYY-MM-DD HH:MM" (the time displayed on the chart)
+ * @param {number} time - Chart time in seconds
+ */
+export function formatChartTimestamp(time) {
+  const date = new Date(time * 1000);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+}
+
+function formatNow() {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ` +
+    `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+}
+
+/**
+ * Build a file name like "spy-5m-2026-10-19-1432.png"
+ * @param {Array<string>} parts - Name parts (empty parts are skipped)
+ * @param {string} extension - File extension without the dot
+ */
+export function exportFilename(parts, extension) {
+  const stamp = formatNow().replace(' ', '-').replace(':', '');
+  const name = parts
+    .filter(Boolean)
+    .concat([stamp])
+    .join('-')
+    .toLowerCase()
+    .replace(/[^a-z0-9.-]+/g, '-');
+
+  return `${name}.${extension}`;
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download a chart screenshot with a title/timestamp watermark
+ * @param {Object} chart - Lightweight Charts instance
+ * @param {Object} options
+ * @param {string} options.title - Watermark title (e.g. "SPY · 5m")
+ * @param {string} options.filename - Download file name
+ */
+export function exportChartPng(chart, { title, filename }) {
+  const screenshot = chart.takeScreenshot();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = screenshot.width;
+  canvas.height = screenshot.height;
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(screenshot, 0, 0);
+
+  // The screenshot is at device pixel ratio - scale the watermark to match
+  const ratio = window.devicePixelRatio || 1;
+  ctx.scale(ratio, ratio);
+  ctx.font = WATERMARK_FONT;
+  ctx.textBaseline = 'middle';
+
+  const text = `${title} · exported ${formatNow()}`;
+  const padding = 6;
+  const width = ctx.measureText(text).width + padding * 2;
+  const height = 20;
+  const x = 8;
+  const y = 8;
+
+  ctx.fillStyle = WATERMARK_BACKGROUND;
+  ctx.fillRect(x, y, width, height);
+  ctx.fillStyle = WATERMARK_COLOR;
+  ctx.fillText(text, x + padding, y + height / 2);
+
+  canvas.toBlob((blob) => {
+    if (blob) {
+      downloadBlob(blob, filename);
+    } else {
+      console.warn('ChartExport: Failed to encode PNG');
+    }
+  }, 'image/png');
+}
+
+/**
+ * Get the points of a series that fall inside the chart's visible range
+ * @param {Object} chart - Lightweight Charts instance
+ * @param {Object} series - Series to read data from
+ * @returns {Array} Data points (whitespace points are skipped)
+ */
+export function getVisibleData(chart, series) {
+  const data = series.data();
+  // By time rather than logical index - other series may add points to the time scale
+  const range = chart.timeScale().getVisibleRange();
+  if (!range || data.length === 0) return data.slice();
+
+  return data.filter(point =>
+    point.time >= range.from &&
+    point.time <= range.to &&
+    (point.value !== undefined || point.close !== undefined)
+  );
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download rows as CSV
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @param {Array<string>} columns - Column names (header order)
+ * @param {string} filename - Download file name
+ */
+export function exportCsv(rows, columns, filename) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+
+  downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }), filename);
+}
+
+/**
+ * Download a payload as pretty-printed JSON
+ * @param {*} payload - Any JSON-serializable value
+ * @param {string} filename - Download file name
+ */
+export function exportJson(payload, filename) {
+  downloadBlob(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), filename);
+}
+
+/**
+ * Create the export button group (PNG / CSV / JSON) in the chart container
+ * @param {HTMLElement} container - Chart container (the hook element)
+ * @param {Object} actions - { png, csv, json } handlers; missing handlers get no button
+ * @param {string} position - Tailwind position classes (defaults to the top-right corner)
+ * @returns {HTMLElement} The toolbar element
+ */
+export function createExportMenu(container, actions, position = 'top-2 right-2') {
+  if (getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+
+  const toolbar = document.createElement('div');
+  toolbar.className = `absolute ${position} z-10 flex items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded-lg p-1`;
+
+  const buttonClass = 'px-2 py-0.5 text-xs font-medium rounded transition-colors text-zinc-400 hover:text-white hover:bg-zinc-700';
+  const labels = [
+    ['png', 'PNG', 'Download chart image'],
+    ['csv', 'CSV', 'Download visible data as CSV'],
+    ['json', 'JSON', 'Download trade data as JSON'],
+  ];
+
+  for (const [key, label, title] of labels) {
+    if (!actions[key]) continue;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.title = title;
+    button.className = buttonClass;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      actions[key]();
+    });
+    toolbar.appendChild(button);
+  }
+
+  toolbar.dataset.chartToolbar = '';
+  container.appendChild(toolbar);
+  return toolbar;
+}
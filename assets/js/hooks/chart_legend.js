@@ -0,0 +1,211 @@
+import { getSession } from './session_highlighter';
+
+/**
+ * Chart Legend - Values of the bar under the crosshair
+ *
+ * A one-line legend overlaid at the top of the chart. It follows the crosshair
+ * and falls back to the latest bar when the cursor leaves the chart.
+ *
+ * Formatters turn a bar index into legend items:
+ * - priceLegend: OHLC, volume, change % from the previous close, range and session
+ * - equityLegend: equity, return % from initial capital and drawdown from the running peak
+ */
+
+const SESSION_LABELS = {
+  premarket: 'Pre-market',
+  regular: 'Regular',
+  postmarket: 'After hours',
+};
+
+const UP_CLASS = 'text-green-400';
+const DOWN_CLASS = 'text-red-400';
+const VALUE_CLASS = 'text-zinc-200';
+
+/**
+ * Convert a chart (browser-local) time back to its UTC timestamp
+ * Inverse of the hooks' timeToLocal, using the offset in effect at that time
+ */
+function localToUtc(time) {
+  return time + new Date(time * 1000).getTimezoneOffset() * 60;
+}
+
+function formatPrice(value) {
+  return value.toFixed(2);
+}
+
+function formatVolume(volume) {
+  if (volume >= 1e9) return `${(volume / 1e9).toFixed(2)}B`;
+  if (volume >= 1e6) return `${(volume / 1e6).toFixed(2)}M`;
+  if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`;
+  return String(volume);
+}
+
+function formatPercent(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function formatCurrency(value) {
+  return value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+}
+
+/**
+ * Legend items for a candlestick series
+ * @param {Object} series - Candlestick series
+ * @param {Object} options
+ * @param {Function} options.getVolume - (time) => volume or null
+ * @param {Function} options.showSession - () => whether candles are intraday (defaults to true)
+ * @returns {Function} (index) => Array of { label, value, className } or null
+ */
+export function priceLegend(series, { getVolume = () => null, showSession = () => true } = {}) {
+  return (index) => {
+    const bar = series.dataByIndex(index);
+    if (!bar || bar.close === undefined) return null;
+
+    const prev = index > 0 ? series.dataByIndex(index - 1) : null;
+    const reference = prev && prev.close !== undefined ? prev.close : bar.open;
+    const change = reference ? ((bar.close - reference) / reference) * 100 : 0;
+    const direction = bar.close >= bar.open ? UP_CLASS : DOWN_CLASS;
+
+    const items = [
+      { label: 'O', value: formatPrice(bar.open), className: direction },
+      { label: 'H', value: formatPrice(bar.high), className: direction },
+      { label: 'L', value: formatPrice(bar.low), className: direction },
+      { label: 'C', value: formatPrice(bar.close), className: direction },
+      { label: '', value: formatPercent(change), className: change >= 0 ? UP_CLASS : DOWN_CLASS },
+      { label: 'Rng', value: formatPrice(bar.high - bar.low) },
+    ];
+
+    const volume = getVolume(bar.time);
+    if (volume !== null && volume !== undefined) {
+      items.push({ label: 'Vol', value: formatVolume(volume) });
+    }
+
+    if (showSession()) {
+      const session = getSession(localToUtc(bar.time));
+      items.push({ label: '', value: SESSION_LABELS[session] || 'Closed', className: 'text-zinc-400' });
+    }
+
+    return items;
+  };
+}
+
+/**
+ * Legend items for an equity series
+ * @param {Object} series - Equity series ({ time, value } points)
+ * @param {Object} options
+ * @param {Function} options.getInitialCapital - () => starting equity
+ * @param {Function} options.isNormalized - () => whether the series values are % return
+ *   from initial capital rather than dollars (defaults to false)
+ * @returns {Function} (index) => Array of { label, value, className } or null
+ */
+export function equityLegend(series, { getInitialCapital, isNormalized = () => false }) {
+  return (index) => {
+    const point = series.dataByIndex(index);
+    if (!point || point.value === undefined) return null;
+
+    const initialCapital = getInitialCapital();
+    const toEquity = isNormalized()
+      ? (value) => initialCapital * (1 + value / 100)
+      : (value) => value;
+    const equity = toEquity(point.value);
+
+    // Running peak up to this point (starting from initial capital)
+    let peak = initialCapital;
+    for (let i = 0; i <= index; i++) {
+      const previous = series.dataByIndex(i);
+      if (previous && previous.value !== undefined) peak = Math.max(peak, toEquity(previous.value));
+    }
+
+    const returnPct = ((equity - initialCapital) / initialCapital) * 100;
+    const drawdown = peak > 0 ? ((peak - equity) / peak) * 100 : 0;
+
+    return [
+      { label: 'Equity', value: formatCurrency(equity) },
+      { label: 'Return', value: formatPercent(returnPct), className: returnPct >= 0 ? UP_CLASS : DOWN_CLASS },
+      { label: 'DD', value: drawdown > 0 ? `-${drawdown.toFixed(2)}%` : '0.00%', className: drawdown > 0 ? DOWN_CLASS : VALUE_CLASS },
+    ];
+  };
+}
+
+export class ChartLegend {
+  /**
+   * @param {Object} chart - Lightweight Charts instance
+   * @param {Object} series - Series the legend describes
+   * @param {HTMLElement} container - Chart container (the hook element)
+   * @param {Function} format - (index) => legend items (see priceLegend / equityLegend)
+   * @param {string} position - Tailwind position classes (defaults to top center)
+   */
+  constructor(chart, series, container, format, position = 'top-2 left-1/2 -translate-x-1/2') {
+    this._chart = chart;
+    this._series = series;
+    this._format = format;
+    this._hoverIndex = null;
+
+    if (getComputedStyle(container).position === 'static') {
+      container.style.position = 'relative';
+    }
+
+    this._el = document.createElement('div');
+    this._el.className = `absolute ${position} z-10 pointer-events-none flex flex-wrap items-center gap-x-2 max-w-full px-2 py-0.5 bg-zinc-900/70 rounded text-xs font-mono whitespace-nowrap`;
+    container.appendChild(this._el);
+
+    this._onCrosshairMove = (param) => {
+      this._hoverIndex = param.time !== undefined && param.logical !== undefined ? param.logical : null;
+      this.refresh();
+    };
+    chart.subscribeCrosshairMove(this._onCrosshairMove);
+
+    this.refresh();
+  }
+
+  /**
+   * Re-render for the hovered bar, or the latest bar when not hovering
+   * (call after the series data changes)
+   */
+  refresh() {
+    let items = null;
+
+    if (this._hoverIndex !== null) {
+      items = this._format(this._hoverIndex);
+    } else {
+      // Latest bar with data (trailing whitespace, e.g. unrevealed replay bars, is skipped).
+      // Formatters take logical indexes, which differ from data indexes when other
+      // series add points to the time scale.
+      const data = this._series.data();
+      const timeScale = this._chart.timeScale();
+      for (let i = data.length - 1; i >= 0 && !items; i--) {
+        const index = timeScale.timeToIndex(data[i].time, false);
+        if (index !== null) items = this._format(index);
+      }
+    }
+
+    if (!items) {
+      this._el.classList.add('hidden');
+      return;
+    }
+
+    this._el.replaceChildren(...items.map(item => {
+      const span = document.createElement('span');
+
+      if (item.label) {
+        const label = document.createElement('span');
+        label.className = 'text-zinc-500 mr-1';
+        label.textContent = item.label;
+        span.appendChild(label);
+      }
+
+      const value = document.createElement('span');
+      value.className = item.className || VALUE_CLASS;
+      value.textContent = item.value;
+      span.appendChild(value);
+
+      return span;
+    }));
+    this._el.classList.remove('hidden');
+  }
+
+  destroy() {
+    this._chart.unsubscribeCrosshairMove(this._onCrosshairMove);
+    this._el.remove();
+  }
+}
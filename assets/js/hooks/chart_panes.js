@@ -0,0 +1,506 @@
+import { HistogramSeries, LineSeries } from 'lightweight-charts';
+import { emaStep } from './indicators';
+
+/**
+ * Chart Panes - Volume and oscillator sub-panes below the price pane
+ *
+ * Panes available:
+ * - volume: Volume histogram, colored by candle direction
+ * - rvol: Relative volume (volume / average volume of the previous 20 bars), highlighted at 2x and above
+ * - rsi: 14-period RSI (Wilder's smoothing) with 70/30 guides
+ * - macd: MACD (12, 26, 9) line, signal line and histogram
+ *
+ * The layout (which panes, in which order, and their heights) defaults to the
+ * chart's data-panes attribute. Once the user changes it the layout is saved
+ * server-side per chart hook (like drawings) and passed back in as
+ * data-pane-layout. Panes are resized by dragging the separator between them.
+ *
+ * Like the overlay indicators, panes are computed from the chart's candles and
+ * a tick only recomputes the last point.
+ */
+
+const UP_COLOR = '#10b981';   // green-500
+const DOWN_COLOR = '#ef4444'; // red-500
+
+// Pane configuration - calculation parameters and series styles
+const PANE_CONFIG = {
+  volume: {
+    type: 'volume',
+    label: 'Vol',
+    title: 'Volume',
+    series: {
+      volume: { kind: 'histogram', options: { priceFormat: { type: 'volume' }, title: 'Vol' } },
+    },
+  },
+  rvol: {
+    type: 'rvol',
+    period: 20,
+    highlight: 2,
+    label: 'RVol',
+    title: 'Relative volume',
+    series: {
+      rvol: { kind: 'histogram', options: { priceFormat: { type: 'price', precision: 2, minMove: 0.01 }, title: 'RVol' } },
+    },
+  },
+  rsi: {
+    type: 'rsi',
+    period: 14,
+    overbought: 70,
+    oversold: 30,
+    label: 'RSI',
+    title: 'RSI 14',
+    series: {
+      rsi: { kind: 'line', options: { color: '#a78bfa', lineWidth: 1, title: 'RSI' } }, // violet-400
+    },
+  },
+  macd: {
+    type: 'macd',
+    fast: 12,
+    slow: 26,
+    signal: 9,
+    label: 'MACD',
+    title: 'MACD 12 26 9',
+    series: {
+      histogram: { kind: 'histogram', options: { lastValueVisible: false } },
+      macd: { kind: 'line', options: { color: '#38bdf8', lineWidth: 1, title: 'MACD' } }, // sky-400
+      signal: { kind: 'line', options: { color: '#fb923c', lineWidth: 1 } }, // orange-400
+    },
+  },
+};
+
+export const DEFAULT_PANES = ['volume'];
+
+// Stretch factors - the price pane is this many times the height of a sub-pane by default
+const MAIN_PANE_STRETCH = 4;
+const SUB_PANE_STRETCH = 1;
+
+/**
+ * Convert a value into a series point (whitespace when not yet defined)
+ */
+function toPoint(time, value, color) {
+  if (value === null || value === undefined || !isFinite(value)) return { time };
+  return color ? { time, value, color } : { time, value };
+}
+
+function rsiValue(avgGain, avgLoss) {
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+/**
+ * Pane calculators
+ * Each `step` derives the state at bar i from the state at bar i - 1,
+ * and `points` maps a state to the point of each series in the pane.
+ */
+const CALCULATORS = {
+  volume: {
+    step: () => null,
+    points: (_state, bar) => ({
+      volume: toPoint(bar.time, bar.volume || 0, bar.close >= bar.open ? `${UP_COLOR}80` : `${DOWN_COLOR}80`),
+    }),
+  },
+
+  rvol: {
+    step(_prev, bar, _prevBar, bars, i, config) {
+      if (i < config.period) return { value: null };
+
+      let sum = 0;
+      for (let j = i - config.period; j < i; j++) {
+        sum += bars[j].volume || 0;
+      }
+      const average = sum / config.period;
+      return { value: average > 0 ? (bar.volume || 0) / average : null };
+    },
+    points: (state, bar, config) => ({
+      rvol: toPoint(bar.time, state.value, state.value >= config.highlight ? '#f59e0b' : '#52525b'), // amber-500 / zinc-600
+    }),
+  },
+
+  rsi: {
+    step(prev, bar, prevBar, _bars, _i, config) {
+      if (!prevBar) return { count: 0, gain: 0, loss: 0, value: null };
+
+      const change = bar.close - prevBar.close;
+      const gain = Math.max(change, 0);
+      const loss = Math.max(-change, 0);
+      const count = prev.count + 1;
+
+      // Seed with the simple average of the first `period` changes, then apply Wilder's smoothing
+      const divisor = count <= config.period ? count : config.period;
+      const avgGain = (prev.gain * (divisor - 1) + gain) / divisor;
+      const avgLoss = (prev.loss * (divisor - 1) + loss) / divisor;
+
+      return {
+        count,
+        gain: avgGain,
+        loss: avgLoss,
+        value: count >= config.period ? rsiValue(avgGain, avgLoss) : null,
+      };
+    },
+    points: (state, bar) => ({ rsi: toPoint(bar.time, state.value) }),
+  },
+
+  macd: {
+    step(prev, bar, _prevBar, _bars, _i, config) {
+      const fast = emaStep(prev && prev.fast, bar.close, config.fast);
+      const slow = emaStep(prev && prev.slow, bar.close, config.slow);
+      const macd = fast.value !== null && slow.value !== null ? fast.value - slow.value : null;
+      const signal = macd !== null ? emaStep(prev && prev.signal, macd, config.signal) : null;
+      return { fast, slow, macd, signal };
+    },
+    points(state, bar) {
+      const signal = state.signal ? state.signal.value : null;
+      const histogram = state.macd !== null && signal !== null ? state.macd - signal : null;
+
+      return {
+        histogram: toPoint(bar.time, histogram, histogram >= 0 ? `${UP_COLOR}80` : `${DOWN_COLOR}80`),
+        macd: toPoint(bar.time, state.macd),
+        signal: toPoint(bar.time, signal),
+      };
+    },
+  },
+};
+
+/**
+ * Compute the state series for a pane over all bars
+ * @param {string} key - Pane key (volume, rsi, etc.)
+ * @param {Array} bars - Array of { time, open, high, low, close, volume }
+ * @returns {Array} One state per bar
+ */
+export function computePane(key, bars) {
+  const config = PANE_CONFIG[key];
+  const calculator = CALCULATORS[config.type];
+  const states = [];
+
+  for (let i = 0; i < bars.length; i++) {
+    const prev = i > 0 ? states[i - 1] : null;
+    const prevBar = i > 0 ? bars[i - 1] : null;
+    states.push(calculator.step(prev, bars[i], prevBar, bars, i, config));
+  }
+
+  return states;
+}
+
+/**
+ * Parse a pane list from a data attribute ("volume,rsi" or a JSON array)
+ * @param {string|undefined} value - Raw attribute value
+ * @returns {Array<string>} Known pane keys
+ */
+export function parsePaneList(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_PANES.slice();
+  }
+
+  let keys;
+  try {
+    keys = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+  } catch (e) {
+    console.warn('ChartPanes: Failed to parse pane list', e);
+    return DEFAULT_PANES.slice();
+  }
+
+  const known = keys.map(key => String(key).trim()).filter(key => PANE_CONFIG[key]);
+  return Array.from(new Set(known));
+}
+
+/**
+ * PaneManager
+ * Manages the sub-panes of a chart, fed by the chart's candle data
+ */
+export class PaneManager {
+  /**
+   * @param {Object} chart - Lightweight Charts instance
+   * @param {Object} options
+   * @param {Array<string>} options.defaultLayout - Panes to show until the user changes the layout
+   * @param {Object|null} options.savedLayout - The user's saved layout ({ panes, stretch }), if any
+   * @param {Function} options.onSave - Called with { panes, stretch } when the user changes the layout
+   */
+  constructor(chart, { defaultLayout, savedLayout = null, onSave = null }) {
+    this._chart = chart;
+    this._bars = [];
+    this._panes = new Map(); // key -> { states, series: { seriesKey: ISeriesApi } }
+    this._layout = [];
+    this._layoutCallbacks = [];
+    this._onSave = onSave;
+
+    this._stretch = (savedLayout && savedLayout.stretch) || {};
+
+    const layout = savedLayout && Array.isArray(savedLayout.panes)
+      ? savedLayout.panes.filter(key => PANE_CONFIG[key])
+      : defaultLayout;
+    this._applyLayout(layout || DEFAULT_PANES);
+  }
+
+  /**
+   * Replace all bar data and recompute every pane
+   * @param {Array} bars - Array of { time, open, high, low, close, volume }
+   */
+  setBars(bars) {
+    this._bars = bars.slice();
+
+    for (const key of this._panes.keys()) {
+      this._recompute(key);
+    }
+  }
+
+  /**
+   * Apply a real-time bar update
+   * Replaces the last bar when the time matches, otherwise appends a new bar.
+   * Only the final point of each pane is recomputed.
+   * @param {Object} bar - { time, open, high, low, close, volume }
+   */
+  updateBar(bar) {
+    const last = this._bars[this._bars.length - 1];
+
+    if (last && bar.time < last.time) {
+      return; // Stale update
+    }
+
+    if (last && bar.time === last.time) {
+      this._bars[this._bars.length - 1] = bar;
+    } else {
+      this._bars.push(bar);
+    }
+
+    const i = this._bars.length - 1;
+
+    for (const [key, pane] of this._panes) {
+      const config = PANE_CONFIG[key];
+      const calculator = CALCULATORS[config.type];
+      const prev = i > 0 ? pane.states[i - 1] : null;
+      const prevBar = i > 0 ? this._bars[i - 1] : null;
+
+      pane.states[i] = calculator.step(prev, bar, prevBar, this._bars, i, config);
+      pane.states.length = i + 1;
+
+      const points = calculator.points(pane.states[i], bar, config);
+      for (const [seriesKey, series] of Object.entries(pane.series)) {
+        series.update(points[seriesKey]);
+      }
+    }
+  }
+
+  /**
+   * Set the panes shown below the price pane (in order) and remember the choice
+   * @param {Array<string>} keys - Pane keys
+   */
+  setLayout(keys) {
+    this._applyLayout(keys.filter(key => PANE_CONFIG[key]));
+    this._save();
+  }
+
+  /**
+   * Show or hide a single pane (new panes are added at the bottom)
+   * @param {string} key - Pane key
+   * @returns {boolean} Whether the pane is now shown
+   */
+  toggle(key) {
+    const enabled = !this._layout.includes(key);
+    this.setLayout(enabled ? this._layout.concat([key]) : this._layout.filter(k => k !== key));
+    return enabled;
+  }
+
+  /**
+   * Get the keys of the panes currently shown, top to bottom
+   * @returns {Array<string>}
+   */
+  getLayout() {
+    return this._layout.slice();
+  }
+
+  /**
+   * Register a callback for layout changes
+   * @param {Function} callback - Called with the new layout
+   */
+  onLayoutChange(callback) {
+    this._layoutCallbacks.push(callback);
+  }
+
+  /**
+   * Remember the current pane heights (call after the user drags a separator)
+   */
+  saveHeights() {
+    const panes = this._chart.panes();
+    if (panes.length < 2) return;
+
+    const stretch = { main: panes[0].getStretchFactor() };
+    this._layout.forEach((key, i) => {
+      if (panes[i + 1]) stretch[key] = panes[i + 1].getStretchFactor();
+    });
+
+    const changed = Object.entries(stretch).some(([key, factor]) => this._stretch[key] !== factor);
+    if (!changed) return;
+
+    this._stretch = { ...this._stretch, ...stretch };
+    this._save();
+  }
+
+  /**
+   * Remove all pane series from the chart
+   */
+  clearAll() {
+    for (const key of Array.from(this._panes.keys())) {
+      this._removePane(key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _applyLayout(keys) {
+    // Rebuild every pane so pane indexes follow the layout order
+    this.clearAll();
+    this._layout = Array.from(new Set(keys));
+    this._layout.forEach((key, i) => this._addPane(key, i + 1));
+    this._applyStretch();
+
+    for (const callback of this._layoutCallbacks) {
+      callback(this.getLayout());
+    }
+  }
+
+  /**
+   * @private
+   */
+  _applyStretch() {
+    const panes = this._chart.panes();
+    if (panes.length < 2) return;
+
+    panes[0].setStretchFactor(this._stretch.main || MAIN_PANE_STRETCH);
+    this._layout.forEach((key, i) => {
+      if (panes[i + 1]) panes[i + 1].setStretchFactor(this._stretch[key] || SUB_PANE_STRETCH);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _addPane(key, paneIndex) {
+    const config = PANE_CONFIG[key];
+    const series = {};
+
+    for (const [seriesKey, spec] of Object.entries(config.series)) {
+      const definition = spec.kind === 'histogram' ? HistogramSeries : LineSeries;
+      series[seriesKey] = this._chart.addSeries(definition, {
+        priceLineVisible: false,
+        ...spec.options,
+      }, paneIndex);
+    }
+
+    if (config.type === 'rsi') {
+      // Fixed 0-100 scale with overbought/oversold guides
+      series.rsi.applyOptions({
+        autoscaleInfoProvider: () => ({ priceRange: { minValue: 0, maxValue: 100 } }),
+      });
+      for (const level of [config.overbought, config.oversold]) {
+        series.rsi.createPriceLine({
+          price: level,
+          color: '#52525b', // zinc-600
+          lineWidth: 1,
+          lineStyle: 2, // dashed
+          axisLabelVisible: false,
+          title: '',
+        });
+      }
+    }
+
+    this._panes.set(key, { states: [], series });
+    this._recompute(key);
+  }
+
+  /**
+   * @private
+   */
+  _removePane(key) {
+    const pane = this._panes.get(key);
+    if (!pane) return;
+
+    // Empty panes are removed by the chart
+    for (const series of Object.values(pane.series)) {
+      this._chart.removeSeries(series);
+    }
+    this._panes.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  _recompute(key) {
+    const pane = this._panes.get(key);
+    const config = PANE_CONFIG[key];
+    const calculator = CALCULATORS[config.type];
+
+    pane.states = computePane(key, this._bars);
+
+    const seriesData = {};
+    for (const seriesKey of Object.keys(config.series)) {
+      seriesData[seriesKey] = [];
+    }
+
+    this._bars.forEach((bar, i) => {
+      const points = calculator.points(pane.states[i], bar, config);
+      for (const seriesKey of Object.keys(config.series)) {
+        seriesData[seriesKey].push(points[seriesKey]);
+      }
+    });
+
+    for (const [seriesKey, series] of Object.entries(pane.series)) {
+      series.setData(seriesData[seriesKey]);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _save() {
+    if (this._onSave) {
+      this._onSave({ panes: this.getLayout(), stretch: { ...this._stretch } });
+    }
+  }
+}
+
+/**
+ * Create the pane toggle toolbar (Vol, RVol, RSI, MACD) in the chart container
+ * Sits below the drawing toolbar; pane heights are saved after separator drags.
+ * @param {HTMLElement} container - Chart container (the hook element)
+ * @param {PaneManager} paneManager
+ * @returns {HTMLElement} The toolbar element
+ */
+export function createPaneToolbar(container, paneManager) {
+  if (getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'absolute top-10 left-2 z-10 flex items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded-lg p-1';
+
+  const buttonClass = 'px-2 py-0.5 text-xs font-medium rounded transition-colors';
+  const inactiveClass = 'text-zinc-400 hover:text-white hover:bg-zinc-700';
+  const activeClass = 'text-white bg-zinc-700';
+
+  const buttons = Object.entries(PANE_CONFIG).map(([key, config]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = config.label;
+    button.title = `Toggle ${config.title} pane`;
+    button.addEventListener('click', () => paneManager.toggle(key));
+    toolbar.appendChild(button);
+    return { key, button };
+  });
+
+  const render = (layout) => {
+    for (const { key, button } of buttons) {
+      button.className = `${buttonClass} ${layout.includes(key) ? activeClass : inactiveClass}`;
+    }
+  };
+
+  paneManager.onLayoutChange(render);
+  render(paneManager.getLayout());
+
+  // Pane separators are dragged inside the chart - remember the heights once released
+  container.addEventListener('pointerup', () => paneManager.saveHeights());
+
+  toolbar.dataset.chartToolbar = '';
+  container.appendChild(toolbar);
+  return toolbar;
+}
@@ -0,0 +1,166 @@
+/**
+ * ChartSync - Links crosshair position and visible time range across charts
+ *
+ * Charts opt in with a shared `data-sync-group` attribute on the hook element.
+ * Within a group, the chart the user is interacting with (last hovered,
+ * clicked or scrolled) leads:
+ * - Its crosshair is mirrored on every other chart at the same time, snapped to
+ *   the bar containing that time (so 1m and 5m charts can share a group)
+ * - Scrolling or zooming it applies the same visible time range to the others
+ *
+ * Only the leading chart broadcasts, so followers updating their own crosshair
+ * or range never echo back. Charts in a group must share a time base (e.g. the
+ * browser-local times used by the intraday price charts).
+ *
+ * Charts without a `data-sync-group` attribute are left untouched.
+ */
+
+// Group name -> { members: Set<ChartSync>, leader: ChartSync|null }
+const groups = new Map();
+
+// Pointer activity that makes a chart the group leader
+const LEADER_EVENTS = ['pointerenter', 'pointerdown', 'wheel', 'touchstart'];
+
+/**
+ * Find the last bar at or before a time (binary search over ascending data)
+ * @returns {Object|null} The bar, or null if time is before the first bar
+ */
+function findBarAtOrBefore(data, time) {
+  let low = 0;
+  let high = data.length - 1;
+  let result = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (data[mid].time <= time) {
+      result = data[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return result;
+}
+
+export class ChartSync {
+  /**
+   * @param {HTMLElement} el - Hook element (reads data-sync-group)
+   * @param {Object} chart - Lightweight Charts instance
+   * @param {Object} series - Series used to place the mirrored crosshair
+   */
+  constructor(el, chart, series) {
+    this._el = el;
+    this._chart = chart;
+    this._series = series;
+    this._groupName = el.dataset.syncGroup || null;
+    this._group = null;
+
+    if (!this._groupName) return;
+
+    if (!groups.has(this._groupName)) {
+      groups.set(this._groupName, { members: new Set(), leader: null });
+    }
+    this._group = groups.get(this._groupName);
+    this._group.members.add(this);
+
+    this._onLead = () => {
+      this._group.leader = this;
+    };
+    this._onCrosshairMove = (param) => this._broadcastCrosshair(param);
+    this._onRangeChange = (range) => this._broadcastRange(range);
+
+    for (const type of LEADER_EVENTS) {
+      el.addEventListener(type, this._onLead, { passive: true });
+    }
+    chart.subscribeCrosshairMove(this._onCrosshairMove);
+    chart.timeScale().subscribeVisibleTimeRangeChange(this._onRangeChange);
+  }
+
+  /**
+   * Show the crosshair at a time (driven by the group leader)
+   * @param {number} time - Chart time
+   */
+  showCrosshairAt(time) {
+    const bar = findBarAtOrBefore(this._series.data(), time);
+    if (!bar) {
+      this._chart.clearCrosshairPosition();
+      return;
+    }
+
+    // Candles and line/area series expose different value fields
+    const price = bar.close !== undefined ? bar.close : bar.value;
+    if (price === undefined) {
+      this._chart.clearCrosshairPosition();
+      return;
+    }
+
+    this._chart.setCrosshairPosition(price, bar.time, this._series);
+  }
+
+  clearCrosshair() {
+    this._chart.clearCrosshairPosition();
+  }
+
+  /**
+   * Apply a visible time range (driven by the group leader)
+   * @param {Object} range - { from, to }
+   */
+  setVisibleRange(range) {
+    // Setting a range on an empty chart throws
+    if (this._series.data().length === 0) return;
+
+    try {
+      this._chart.timeScale().setVisibleRange(range);
+    } catch (e) {
+      console.warn('ChartSync: Failed to apply visible range:', e);
+    }
+  }
+
+  destroy() {
+    if (!this._group) return;
+
+    for (const type of LEADER_EVENTS) {
+      this._el.removeEventListener(type, this._onLead);
+    }
+    this._chart.unsubscribeCrosshairMove(this._onCrosshairMove);
+    this._chart.timeScale().unsubscribeVisibleTimeRangeChange(this._onRangeChange);
+
+    this._group.members.delete(this);
+    if (this._group.leader === this) this._group.leader = null;
+    if (this._group.members.size === 0) groups.delete(this._groupName);
+    this._group = null;
+  }
+
+  /**
+   * @private
+   */
+  _followers() {
+    if (!this._group || this._group.leader !== this) return [];
+    return [...this._group.members].filter(member => member !== this);
+  }
+
+  /**
+   * @private
+   */
+  _broadcastCrosshair(param) {
+    for (const member of this._followers()) {
+      if (param.time === undefined || !param.point) {
+        member.clearCrosshair();
+      } else {
+        member.showCrosshairAt(param.time);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _broadcastRange(range) {
+    if (!range) return;
+
+    for (const member of this._followers()) {
+      member.setVisibleRange(range);
+    }
+  }
+}
@@ -0,0 +1,442 @@
+/**
+ * DataCoverageCalendar - GitHub-style calendar of bar data completeness
+ *
+ * Features:
+ * - One cell per day (week columns, Sun-Sat rows), trading days shaded by
+ *   regular-session bars vs the minutes expected from the market calendar
+ * - Half days (early close) outlined, market holidays marked separately
+ * - Click a day, drag across days or shift-click to select a range, then fill
+ *   gaps or verify just that range (pushes fill_range / verify_range with
+ *   { start, end } ISO dates)
+ *
+ * Expects data-days as [{ date, actual, expected, pct, half_day, open, close }],
+ * data-holidays as [date], data-year, data-today, data-threshold (coverage %
+ * below which a day counts as a gap) and data-busy while a fill or
+ * verification is running.
+ */
+
+const CELL_CLASS = 'w-[11px] h-[11px] rounded-sm';
+const CELL_STEP_PX = 14; // Cell width plus the 3px gap
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HALF_DAY_CLASS = 'ring-1 ring-inset ring-sky-300';
+const HOLIDAY_CLASS = 'bg-purple-500/40';
+const SELECTED_CLASSES = ['outline', 'outline-1', 'outline-offset-1', 'outline-white'];
+
+const BUTTON_CLASS = 'px-3 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:bg-zinc-700 disabled:text-zinc-400 disabled:cursor-not-allowed';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Days at or above the fill threshold are full green
+function coverageColor(pct, threshold) {
+  if (pct >= threshold) return 'bg-green-500';
+  if (pct >= 75) return 'bg-green-600';
+  if (pct >= 50) return 'bg-yellow-500';
+  if (pct >= 25) return 'bg-orange-500';
+  if (pct > 0) return 'bg-red-500';
+  return 'bg-zinc-700'; // Missing data
+}
+
+// Dates are handled as UTC midnights so ISO strings map to a single day
+function parseDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toIso(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function formatDate(iso) {
+  const date = parseDate(iso);
+  return `${WEEKDAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+}
+
+function formatShortDate(iso) {
+  const date = parseDate(iso);
+  return `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+}
+
+function formatTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  const suffix = hour >= 12 ? 'pm' : 'am';
+  return `${hour % 12 || 12}:${String(minute).padStart(2, '0')}${suffix}`;
+}
+
+function formatNumber(value) {
+  return value.toLocaleString('en-US');
+}
+
+function legendSwatch(className, title) {
+  const swatch = document.createElement('div');
+  swatch.className = `${CELL_CLASS} ${className}`;
+  swatch.title = title;
+  return swatch;
+}
+
+export const DataCoverageCalendar = {
+  mounted() {
+    this.selection = null; // { start, end } ISO dates, start <= end
+    this.anchor = null;
+    this.dragging = false;
+
+    this.onMouseUp = () => {
+      if (this.dragging) {
+        this.dragging = false;
+        this.renderActions();
+      }
+    };
+    document.addEventListener('mouseup', this.onMouseUp);
+
+    this.el.classList.add('relative', 'select-none');
+    this.loadData();
+    this.render();
+  },
+
+  updated() {
+    const year = this.year;
+    this.loadData();
+    // A new symbol keeps the selection; a new year drops it
+    if (year !== this.year) {
+      this.selection = null;
+      this.anchor = null;
+    }
+    this.render();
+  },
+
+  loadData() {
+    let days = [];
+    let holidays = [];
+    try {
+      days = JSON.parse(this.el.dataset.days || '[]');
+      holidays = JSON.parse(this.el.dataset.holidays || '[]');
+    } catch (e) {
+      console.error('DataCoverageCalendar: Failed to parse data:', e);
+    }
+
+    this.days = new Map((Array.isArray(days) ? days : []).map(day => [day.date, day]));
+    this.holidays = new Set(Array.isArray(holidays) ? holidays : []);
+    this.year = parseInt(this.el.dataset.year, 10) || new Date().getUTCFullYear();
+    this.today = this.el.dataset.today || toIso(new Date());
+    this.threshold = parseFloat(this.el.dataset.threshold || '99');
+    this.busy = this.el.dataset.busy === 'true';
+  },
+
+  render() {
+    this.hideTooltip();
+
+    const container = document.createElement('div');
+    container.className = 'space-y-4';
+
+    this.actions = document.createElement('div');
+    this.actions.className = 'flex flex-wrap items-center gap-3 min-h-[2rem] text-xs';
+
+    container.append(this.createGrid(), this.createLegend(), this.actions);
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'absolute z-20 hidden pointer-events-none px-2 py-1 bg-zinc-900/95 border border-zinc-700 rounded text-xs font-mono whitespace-nowrap';
+
+    this.el.replaceChildren(container, this.tooltip);
+    this.applySelection();
+    this.renderActions();
+  },
+
+  /**
+   * Week columns from the Sunday on or before Jan 1 through Dec 31
+   */
+  weeks() {
+    const first = parseDate(`${this.year}-01-01`);
+    const last = parseDate(`${this.year}-12-31`);
+    const start = new Date(first.getTime() - first.getUTCDay() * DAY_MS);
+
+    const weeks = [];
+    for (let weekStart = start; weekStart <= last; weekStart = new Date(weekStart.getTime() + 7 * DAY_MS)) {
+      const days = [];
+      for (let offset = 0; offset < 7; offset++) {
+        days.push(new Date(weekStart.getTime() + offset * DAY_MS));
+      }
+      weeks.push(days);
+    }
+    return { start, weeks };
+  },
+
+  createGrid() {
+    const { start, weeks } = this.weeks();
+    this.cells = new Map();
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'flex items-start gap-2';
+
+    // Day labels (Mon, Wed, Fri)
+    const labels = document.createElement('div');
+    labels.className = 'flex flex-col gap-[3px] text-xs text-zinc-500 pt-5';
+    WEEKDAYS.forEach((day, index) => {
+      const label = document.createElement('div');
+      label.className = 'h-[11px] flex items-center';
+      label.textContent = index % 2 === 1 ? day : '';
+      labels.appendChild(label);
+    });
+
+    const scroller = document.createElement('div');
+    scroller.className = 'flex-1 overflow-x-auto';
+
+    const months = document.createElement('div');
+    months.className = 'mb-1 text-xs text-zinc-500 relative h-4';
+    MONTHS.forEach((name, month) => {
+      const firstOfMonth = Date.UTC(this.year, month, 1);
+      const label = document.createElement('div');
+      label.className = 'absolute';
+      label.style.left = `${Math.floor((firstOfMonth - start.getTime()) / DAY_MS / 7) * CELL_STEP_PX}px`;
+      label.textContent = name;
+      months.appendChild(label);
+    });
+
+    const columns = document.createElement('div');
+    columns.className = 'flex gap-[3px]';
+
+    for (const week of weeks) {
+      const column = document.createElement('div');
+      column.className = 'flex flex-col gap-[3px]';
+      for (const date of week) {
+        column.appendChild(this.createCell(date));
+      }
+      columns.appendChild(column);
+    }
+
+    scroller.append(months, columns);
+    wrapper.append(labels, scroller);
+    return wrapper;
+  },
+
+  createCell(date) {
+    const iso = toIso(date);
+    const cell = document.createElement('div');
+
+    if (date.getUTCFullYear() !== this.year) {
+      cell.className = `${CELL_CLASS} bg-transparent`;
+      return cell;
+    }
+
+    const day = this.days.get(iso);
+    const weekday = date.getUTCDay();
+
+    let className;
+    if (iso > this.today) {
+      className = 'bg-zinc-800/50';
+    } else if (day) {
+      className = `${coverageColor(day.pct, this.threshold)} ${day.half_day ? HALF_DAY_CLASS : ''} cursor-pointer`;
+    } else if (this.holidays.has(iso)) {
+      className = HOLIDAY_CLASS;
+    } else if (weekday === 0 || weekday === 6) {
+      className = 'bg-zinc-800/30';
+    } else {
+      className = 'bg-zinc-800';
+    }
+    cell.className = `${CELL_CLASS} ${className}`;
+
+    cell.addEventListener('mouseenter', (e) => {
+      this.showDayTooltip(e, iso, day);
+      if (this.dragging) this.select(this.anchor, iso);
+    });
+    cell.addEventListener('mousemove', (e) => this.moveTooltip(e));
+    cell.addEventListener('mouseleave', () => this.hideTooltip());
+
+    // Only past trading days start or extend a selection; dragging passes
+    // over everything in between
+    if (day && iso <= this.today) {
+      cell.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        if (e.shiftKey && this.anchor) {
+          this.select(this.anchor, iso);
+          this.renderActions();
+          return;
+        }
+        this.anchor = iso;
+        this.dragging = true;
+        this.select(iso, iso);
+      });
+    }
+
+    this.cells.set(iso, cell);
+    return cell;
+  },
+
+  createLegend() {
+    const legend = document.createElement('div');
+    legend.className = 'flex flex-wrap items-center justify-end gap-2 text-xs text-zinc-500';
+
+    const less = document.createElement('span');
+    less.textContent = 'Less';
+    const more = document.createElement('span');
+    more.textContent = 'More';
+
+    legend.append(
+      less,
+      legendSwatch('bg-zinc-700', 'No data'),
+      legendSwatch('bg-red-500', '< 25%'),
+      legendSwatch('bg-orange-500', '25-49%'),
+      legendSwatch('bg-yellow-500', '50-74%'),
+      legendSwatch('bg-green-600', `75-${this.threshold}%`),
+      legendSwatch('bg-green-500', `${this.threshold}-100%`),
+      more,
+    );
+
+    for (const [className, text] of [[`bg-green-500 ${HALF_DAY_CLASS}`, 'Half day'], [HOLIDAY_CLASS, 'Holiday']]) {
+      const item = document.createElement('span');
+      item.className = 'flex items-center gap-1 ml-3';
+      const label = document.createElement('span');
+      label.textContent = text;
+      item.append(legendSwatch(className, text), label);
+      legend.appendChild(item);
+    }
+
+    return legend;
+  },
+
+  select(from, to) {
+    this.selection = from <= to ? { start: from, end: to } : { start: to, end: from };
+    this.applySelection();
+  },
+
+  clearSelection() {
+    this.selection = null;
+    this.anchor = null;
+    this.applySelection();
+    this.renderActions();
+  },
+
+  applySelection() {
+    if (!this.cells) return;
+    for (const [iso, cell] of this.cells) {
+      const selected = Boolean(this.selection && iso >= this.selection.start && iso <= this.selection.end);
+      for (const className of SELECTED_CLASSES) {
+        cell.classList.toggle(className, selected);
+      }
+    }
+  },
+
+  /**
+   * Trading days in the selection with their combined coverage
+   */
+  selectionSummary() {
+    const { start, end } = this.selection;
+    let tradingDays = 0;
+    let gapDays = 0;
+    let actual = 0;
+    let expected = 0;
+
+    for (const [iso, day] of this.days) {
+      if (iso < start || iso > end || iso > this.today) continue;
+      tradingDays += 1;
+      actual += Math.min(day.actual, day.expected);
+      expected += day.expected;
+      if (day.pct < this.threshold) gapDays += 1;
+    }
+
+    return { tradingDays, gapDays, actual, expected, pct: expected > 0 ? (actual / expected) * 100 : 0 };
+  },
+
+  renderActions() {
+    if (!this.actions || this.dragging) return;
+
+    if (!this.selection) {
+      const hint = document.createElement('span');
+      hint.className = 'text-zinc-500';
+      hint.textContent = 'Click a day or drag across days to fill gaps or verify just that range. Shift-click extends the selection.';
+      this.actions.replaceChildren(hint);
+      return;
+    }
+
+    const { start, end } = this.selection;
+    const summary = this.selectionSummary();
+
+    const label = document.createElement('span');
+    label.className = 'text-zinc-200 font-mono';
+    label.textContent = start === end
+      ? formatDate(start)
+      : `${formatShortDate(start)} – ${formatShortDate(end)}, ${parseDate(end).getUTCFullYear()}`;
+
+    const details = document.createElement('span');
+    details.className = 'text-zinc-400';
+    details.textContent = `${summary.tradingDays} trading day${summary.tradingDays === 1 ? '' : 's'} · ${summary.pct.toFixed(1)}% coverage · `;
+
+    const gaps = document.createElement('span');
+    gaps.className = summary.gapDays > 0 ? 'text-amber-400' : 'text-green-400';
+    gaps.textContent = `${summary.gapDays} below ${this.threshold}%`;
+    details.appendChild(gaps);
+
+    const fill = document.createElement('button');
+    fill.type = 'button';
+    fill.className = `${BUTTON_CLASS} bg-cyan-600 hover:bg-cyan-500 text-white`;
+    fill.textContent = 'Fill gaps';
+    fill.disabled = this.busy || summary.gapDays === 0;
+    fill.addEventListener('click', () => this.pushEvent('fill_range', { start, end }));
+
+    const verify = document.createElement('button');
+    verify.type = 'button';
+    verify.className = `${BUTTON_CLASS} bg-zinc-700 hover:bg-zinc-600 text-white`;
+    verify.textContent = 'Verify';
+    verify.disabled = this.busy;
+    verify.addEventListener('click', () => this.pushEvent('verify_range', { start, end }));
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'text-zinc-500 hover:text-zinc-300';
+    clear.textContent = 'Clear';
+    clear.addEventListener('click', () => this.clearSelection());
+
+    this.actions.replaceChildren(label, details, fill, verify, clear);
+  },
+
+  showDayTooltip(event, iso, day) {
+    const lines = [{ text: formatDate(iso), className: 'text-zinc-200' }];
+    const weekday = parseDate(iso).getUTCDay();
+
+    if (iso > this.today) {
+      lines.push({ text: 'Future', className: 'text-zinc-500' });
+    } else if (day) {
+      lines.push({
+        text: `${formatTime(day.open)}-${formatTime(day.close)} ET${day.half_day ? ' (half day)' : ''}`,
+        className: day.half_day ? 'text-sky-300' : 'text-zinc-400',
+      });
+      lines.push({
+        text: `${formatNumber(day.actual)}/${formatNumber(day.expected)} bars (${day.pct.toFixed(1)}%)`,
+        className: day.pct >= this.threshold ? 'text-green-400' : 'text-amber-400',
+      });
+    } else if (this.holidays.has(iso)) {
+      lines.push({ text: 'Market holiday', className: 'text-purple-300' });
+    } else if (weekday === 0 || weekday === 6) {
+      lines.push({ text: 'Weekend', className: 'text-zinc-500' });
+    } else {
+      lines.push({ text: 'No calendar data', className: 'text-zinc-500' });
+    }
+
+    this.tooltip.replaceChildren(...lines.map(line => {
+      const div = document.createElement('div');
+      div.className = line.className;
+      div.textContent = line.text;
+      return div;
+    }));
+    this.tooltip.classList.remove('hidden');
+    this.moveTooltip(event);
+  },
+
+  moveTooltip(event) {
+    if (!this.tooltip) return;
+    const rect = this.el.getBoundingClientRect();
+    this.tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+    this.tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+  },
+
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.classList.add('hidden');
+    }
+  },
+
+  destroyed() {
+    document.removeEventListener('mouseup', this.onMouseUp);
+    this.el.replaceChildren();
+  }
+};
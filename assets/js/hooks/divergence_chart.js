@@ -1,4 +1,5 @@
 import { createChart, LineSeries } from 'lightweight-charts';
+import { ChartSync } from './chart_sync';
 
 /**
  * DivergenceChart - Multi-line chart showing cumulative returns
@@ -170,9 +171,15 @@ export const DivergenceChart = {
       this.chart.applyOptions({ width });
     });
     this.resizeObserver.observe(this.el);
+
+    // Mirror crosshair/visible range with charts sharing data-sync-group
+    this.chartSync = new ChartSync(this.el, this.chart, this.spySeries);
   },
 
   destroyed() {
+    if (this.chartSync) {
+      this.chartSync.destroy();
+    }
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
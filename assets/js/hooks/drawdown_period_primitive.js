@@ -0,0 +1,130 @@
+/**
+ * Drawdown Period Primitive - Shades the worst drawdown of an equity curve
+ *
+ * Draws a full-height band from the peak before the deepest drawdown to the
+ * point where equity recovered to that peak (or the last point if it never did).
+ * Attach one instance per pane so the band lines up on the equity curve and
+ * the underwater pane.
+ *
+ * Positions are stored as times; they map to coordinates even while the peak
+ * or recovery are scrolled out of view.
+ */
+
+const FILL_COLOR = 'rgba(239, 68, 68, 0.08)';      // red-500
+const EDGE_COLOR = 'rgba(239, 68, 68, 0.35)';
+const LABEL_COLOR = 'rgba(252, 165, 165, 0.9)';     // red-300
+const LABEL_FONT = '11px sans-serif';
+
+class DrawdownPeriodPaneView {
+  constructor(source) {
+    this._source = source;
+  }
+
+  zOrder() {
+    return 'bottom';
+  }
+
+  renderer() {
+    return {
+      draw: (target) => {
+        const band = this._source.getBand();
+        if (!band) return;
+
+        target.useMediaCoordinateSpace((scope) => {
+          const ctx = scope.context;
+          const height = scope.mediaSize.height;
+          const left = Math.max(band.startX, 0);
+          const right = Math.min(band.endX, scope.mediaSize.width);
+          if (right <= left) return;
+
+          ctx.save();
+
+          ctx.fillStyle = FILL_COLOR;
+          ctx.fillRect(left, 0, right - left, height);
+
+          // Dashed edges at the peak and the recovery
+          ctx.strokeStyle = EDGE_COLOR;
+          ctx.lineWidth = 1;
+          ctx.setLineDash([4, 4]);
+          for (const x of [band.startX, band.endX]) {
+            if (x < 0 || x > scope.mediaSize.width) continue;
+            ctx.beginPath();
+            ctx.moveTo(Math.round(x) + 0.5, 0);
+            ctx.lineTo(Math.round(x) + 0.5, height);
+            ctx.stroke();
+          }
+
+          if (band.label) {
+            ctx.setLineDash([]);
+            ctx.font = LABEL_FONT;
+            ctx.fillStyle = LABEL_COLOR;
+            ctx.textBaseline = 'top';
+            ctx.fillText(band.label, left + 4, 4);
+          }
+
+          ctx.restore();
+        });
+      },
+    };
+  }
+}
+
+export class DrawdownPeriodPrimitive {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.showLabel - Draw the depth/duration label inside the band
+   */
+  constructor({ showLabel = false } = {}) {
+    this._chart = null;
+    this._requestUpdate = null;
+    this._period = null;
+    this._showLabel = showLabel;
+    this._paneView = new DrawdownPeriodPaneView(this);
+  }
+
+  attached({ chart, requestUpdate }) {
+    this._chart = chart;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._requestUpdate = null;
+  }
+
+  paneViews() {
+    return [this._paneView];
+  }
+
+  updateAllViews() {
+    // Coordinates are computed at draw time
+  }
+
+  /**
+   * Set the period to shade (null to clear)
+   * @param {Object|null} period - { startTime, endTime, label }
+   */
+  setPeriod(period) {
+    this._period = period;
+    if (this._requestUpdate) this._requestUpdate();
+  }
+
+  /**
+   * Pixel extent of the band in the current viewport
+   * @returns {Object|null} { startX, endX, label }
+   */
+  getBand() {
+    if (!this._chart || !this._period) return null;
+
+    const timeScale = this._chart.timeScale();
+    const startX = timeScale.timeToCoordinate(this._period.startTime);
+    const endX = timeScale.timeToCoordinate(this._period.endTime);
+    if (startX === null || endX === null) return null;
+
+    return {
+      startX,
+      endX,
+      label: this._showLabel ? this._period.label : null,
+    };
+  }
+}
@@ -0,0 +1,778 @@
+/**
+ * Drawing Tools - User annotations drawn directly on the chart
+ *
+ * Supported drawings:
+ * - Trendline: line between two time/price points
+ * - Ray: horizontal line extending right from a point
+ * - Rectangle: box between two corner points
+ * - Text: note anchored at a time/price point
+ *
+ * Drawings can be selected (click), moved (drag the body), reshaped
+ * (drag an end/corner handle) and deleted (Delete/Backspace).
+ *
+ * Points are kept in chart (local) time while drawing and converted to UTC
+ * seconds when handed back for persistence.
+ */
+
+// Drawing colors - amber so they stand out from candles and key levels
+const DRAWING_COLORS = {
+  line: '#fbbf24',                   // amber-400
+  selected: '#fde68a',               // amber-200
+  rectFill: 'rgba(251, 191, 36, 0.08)',
+  handleFill: '#18181b',             // zinc-900
+  text: '#fafafa',                   // zinc-50
+  textBackground: 'rgba(39, 39, 42, 0.85)', // zinc-800
+};
+
+// Toolbar entries (id matches the drawing type)
+const TOOLS = [
+  { id: 'trendline', label: 'Trend', title: 'Trendline (click and drag)' },
+  { id: 'ray', label: 'Ray', title: 'Horizontal ray (click)' },
+  { id: 'rect', label: 'Box', title: 'Rectangle (click and drag)' },
+  { id: 'text', label: 'Note', title: 'Text note (click)' },
+];
+
+// Pixel distance within which the cursor "hits" a drawing or handle
+const HIT_TOLERANCE = 6;
+const HANDLE_RADIUS = 4;
+
+/**
+ * Convert UTC timestamp to browser's local timezone
+ */
+function timeToLocal(originalTime) {
+  const d = new Date(originalTime * 1000);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds(), d.getMilliseconds()) / 1000;
+}
+
+/**
+ * Convert a chart (local) timestamp back to UTC - inverse of timeToLocal
+ */
+function localToTime(localTime) {
+  const d = new Date(localTime * 1000);
+  return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()).getTime() / 1000;
+}
+
+/**
+ * Whether a mouse event started on a toolbar or form control inside the chart
+ * container rather than on the chart itself. Toolbars placed over the chart
+ * are marked with data-chart-toolbar so every input manager can skip them.
+ */
+export function isChartControlEvent(e) {
+  return e.target instanceof Element &&
+    e.target.closest('button, input, select, textarea, [data-chart-toolbar]') !== null;
+}
+
+/**
+ * Distance from point (px, py) to the segment (x1, y1)-(x2, y2)
+ */
+function distanceToSegment(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq));
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+let drawingCounter = 0;
+
+function generateId() {
+  drawingCounter += 1;
+  return `${Date.now().toString(36)}-${drawingCounter}`;
+}
+
+/**
+ * Drawing Tools View - renders all drawings and the selection handles
+ */
+class DrawingToolsPaneView {
+  constructor(source) {
+    this._source = source;
+  }
+
+  zOrder() {
+    return 'top';
+  }
+
+  renderer() {
+    return {
+      draw: (target) => {
+        const drawings = this._source.getDrawingsForRender();
+        if (drawings.length === 0) return;
+
+        target.useMediaCoordinateSpace((scope) => {
+          const ctx = scope.context;
+          const width = scope.mediaSize.width;
+          const selectedId = this._source.getSelectedId();
+
+          ctx.save();
+
+          for (const drawing of drawings) {
+            const points = drawing.points.map(p => this._source.toCoordinates(p));
+            if (points.some(p => p.x === null || p.y === null)) continue;
+
+            const isSelected = drawing.id === selectedId;
+            this._drawDrawing(ctx, drawing, points, width, isSelected);
+
+            if (isSelected) {
+              for (const point of points) {
+                this._drawHandle(ctx, point);
+              }
+            }
+          }
+
+          ctx.restore();
+        });
+      },
+    };
+  }
+
+  _drawDrawing(ctx, drawing, points, width, isSelected) {
+    const color = isSelected ? DRAWING_COLORS.selected : DRAWING_COLORS.line;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = isSelected ? 2 : 1.5;
+
+    switch (drawing.type) {
+      case 'trendline': {
+        const [a, b] = points;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        break;
+      }
+
+      case 'ray': {
+        const [a] = points;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(width, a.y);
+        ctx.stroke();
+
+        // Price label at the start of the ray
+        ctx.fillStyle = color;
+        ctx.font = '10px sans-serif';
+        ctx.fillText(drawing.points[0].price.toFixed(2), a.x + 4, a.y - 4);
+        break;
+      }
+
+      case 'rect': {
+        const [a, b] = points;
+        const left = Math.min(a.x, b.x);
+        const top = Math.min(a.y, b.y);
+        ctx.fillStyle = DRAWING_COLORS.rectFill;
+        ctx.fillRect(left, top, Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+        ctx.strokeRect(left, top, Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+        break;
+      }
+
+      case 'text': {
+        const [a] = points;
+        const text = drawing.text || '';
+        ctx.font = '12px sans-serif';
+        const textWidth = ctx.measureText(text).width;
+        const bounds = { x: a.x, y: a.y - 18, width: textWidth + 12, height: 18 };
+
+        ctx.fillStyle = DRAWING_COLORS.textBackground;
+        ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        ctx.fillStyle = DRAWING_COLORS.text;
+        ctx.fillText(text, bounds.x + 6, bounds.y + 13);
+
+        // Remember the label size for hit testing
+        this._source.setTextBounds(drawing.id, bounds);
+        break;
+      }
+    }
+  }
+
+  _drawHandle(ctx, point) {
+    ctx.fillStyle = DRAWING_COLORS.handleFill;
+    ctx.strokeStyle = DRAWING_COLORS.selected;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, HANDLE_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+}
+
+/**
+ * Drawing Tools Primitive
+ * Attaches to a series, draws the drawings and handles mouse/keyboard interaction
+ */
+export class DrawingToolsPrimitive {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with the persisted drawings after any change
+   */
+  constructor({ onChange } = {}) {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+    this._onChange = onChange || null;
+
+    this._drawings = [];       // { id, type, points: [{ time (local), price }], text }
+    this._selectedId = null;
+    this._tool = null;
+    this._textBounds = new Map();
+
+    this._container = null;
+    this._drag = null;         // { id, handle, startX, startY, original }
+    this._creating = null;     // { id, pending } while a two-point drawing is being placed
+    this._focused = false;
+    this._listeners = [];
+    this._toolListeners = [];
+
+    this._paneView = new DrawingToolsPaneView(this);
+  }
+
+  attached({ chart, series, requestUpdate }) {
+    this._chart = chart;
+    this._series = series;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+  }
+
+  paneViews() {
+    return [this._paneView];
+  }
+
+  updateAllViews() {}
+
+  /**
+   * Load persisted drawings (times in UTC seconds)
+   * @param {Array} drawings - Array of { id, type, points: [{ time, price }], text }
+   */
+  setDrawings(drawings) {
+    this._drawings = (drawings || [])
+      .filter(d => d && d.type && Array.isArray(d.points))
+      .map(d => ({
+        ...d,
+        id: d.id || generateId(),
+        points: d.points.map(p => ({ time: timeToLocal(p.time), price: Number(p.price) })),
+      }));
+    this._selectedId = null;
+    this._update();
+  }
+
+  /**
+   * Get drawings in persisted format (times in UTC seconds)
+   * @returns {Array}
+   */
+  getDrawings() {
+    return this._drawings.map(d => ({
+      ...d,
+      points: d.points.map(p => ({ time: Math.round(localToTime(p.time)), price: p.price })),
+    }));
+  }
+
+  /**
+   * Activate a drawing tool (null to go back to select mode)
+   * @param {string|null} tool - trendline, ray, rect, text
+   */
+  setTool(tool) {
+    this._tool = TOOLS.some(t => t.id === tool) ? tool : null;
+    this._cancelCreation();
+    if (this._container) {
+      this._container.style.cursor = this._tool ? 'crosshair' : '';
+    }
+    this._toolListeners.forEach(listener => listener(this._tool));
+  }
+
+  getTool() {
+    return this._tool;
+  }
+
+  /**
+   * Subscribe to tool changes (used by the toolbar to highlight the active tool)
+   */
+  onToolChange(listener) {
+    this._toolListeners.push(listener);
+  }
+
+  getSelectedId() {
+    return this._selectedId;
+  }
+
+  /**
+   * Delete the selected drawing
+   */
+  deleteSelected() {
+    if (!this._selectedId) return;
+    this._drawings = this._drawings.filter(d => d.id !== this._selectedId);
+    this._textBounds.delete(this._selectedId);
+    this._selectedId = null;
+    this._changed();
+  }
+
+  /**
+   * Remove every drawing
+   */
+  clearAll() {
+    if (this._drawings.length === 0) return;
+    this._drawings = [];
+    this._textBounds.clear();
+    this._selectedId = null;
+    this._changed();
+  }
+
+  getDrawingsForRender() {
+    if (!this._chart || !this._series) return [];
+    return this._drawings;
+  }
+
+  setTextBounds(id, bounds) {
+    this._textBounds.set(id, bounds);
+  }
+
+  /**
+   * Convert a { time, price } point into pane coordinates
+   */
+  toCoordinates(point) {
+    return {
+      x: this._timeToX(point.time),
+      y: this._series.priceToCoordinate(point.price),
+    };
+  }
+
+  /**
+   * Start listening for mouse and keyboard input on the chart container
+   * @param {HTMLElement} container - Element the chart was created in
+   */
+  attachTo(container) {
+    this._container = container;
+
+    // Capture phase so drawing interactions take precedence over chart panning
+    this._listen(container, 'mousedown', (e) => this._handleMouseDown(e), true);
+    this._listen(container, 'dblclick', (e) => this._handleDoubleClick(e), true);
+    this._listen(window, 'mousemove', (e) => this._handleMouseMove(e));
+    this._listen(window, 'mouseup', (e) => this._handleMouseUp(e));
+    this._listen(window, 'keydown', (e) => this._handleKeyDown(e));
+    this._listen(document, 'mousedown', (e) => {
+      this._focused = container.contains(e.target);
+    });
+  }
+
+  /**
+   * Remove all listeners added by attachTo
+   */
+  destroy() {
+    for (const { target, type, handler, capture } of this._listeners) {
+      target.removeEventListener(type, handler, capture);
+    }
+    this._listeners = [];
+    this._toolListeners = [];
+    this._container = null;
+  }
+
+  // Input handling
+
+  _handleMouseDown(e) {
+    if (e.button !== 0 || !this._chart || isChartControlEvent(e)) return;
+
+    const pos = this._eventPosition(e);
+    if (!pos) return;
+
+    // Second click of a two-click trendline/rectangle
+    if (this._creating && this._creating.pending) {
+      this._finishCreation();
+      this._stopEvent(e);
+      return;
+    }
+
+    if (this._tool) {
+      this._startCreation(pos);
+      this._stopEvent(e);
+      return;
+    }
+
+    const hit = this._hitTest(pos.x, pos.y);
+    if (hit) {
+      this._selectedId = hit.id;
+      const drawing = this._findDrawing(hit.id);
+      this._drag = {
+        id: hit.id,
+        handle: hit.handle,
+        startX: pos.x,
+        startY: pos.y,
+        original: drawing.points.map(p => ({ ...p })),
+        moved: false,
+      };
+      this._setChartInteraction(false);
+      this._update();
+      this._stopEvent(e);
+    } else if (this._selectedId) {
+      this._selectedId = null;
+      this._update();
+    }
+  }
+
+  _handleMouseMove(e) {
+    if (!this._drag && !this._creating) return;
+
+    const pos = this._eventPosition(e);
+    if (!pos) return;
+
+    if (this._creating) {
+      // Second point follows the cursor until released/clicked
+      const drawing = this._findDrawing(this._creating.id);
+      const point = this._positionToPoint(pos);
+      if (drawing && point) {
+        drawing.points[1] = point;
+        this._update();
+      }
+      return;
+    }
+
+    const drawing = this._findDrawing(this._drag.id);
+    if (!drawing) return;
+
+    this._drag.moved = true;
+
+    if (this._drag.handle !== null) {
+      // Reshape - move a single end/corner point
+      const point = this._positionToPoint(pos);
+      if (point) drawing.points[this._drag.handle] = point;
+    } else {
+      // Move - translate every point by the cursor delta (from the original positions)
+      const dx = pos.x - this._drag.startX;
+      const dy = pos.y - this._drag.startY;
+      const moved = this._drag.original.map(p => {
+        const coords = this.toCoordinates(p);
+        if (coords.x === null || coords.y === null) return null;
+        return this._positionToPoint({ x: coords.x + dx, y: coords.y + dy });
+      });
+      if (moved.every(Boolean)) drawing.points = moved;
+    }
+
+    this._update();
+  }
+
+  _handleMouseUp(e) {
+    if (this._creating && !this._creating.pending) {
+      const drawing = this._findDrawing(this._creating.id);
+
+      // The drawing was removed (e.g. setDrawings) while it was being created
+      if (!drawing) {
+        this._creating = null;
+        this._setChartInteraction(true);
+        return;
+      }
+
+      const [a, b] = drawing.points.map(p => this.toCoordinates(p));
+
+      // A plain click (no drag) switches to two-click placement
+      if (Math.hypot(b.x - a.x, b.y - a.y) < 3) {
+        this._creating.pending = true;
+      } else {
+        this._finishCreation();
+      }
+      return;
+    }
+
+    if (this._drag) {
+      const moved = this._drag.moved;
+      this._drag = null;
+      this._setChartInteraction(true);
+      if (moved) this._changed();
+    }
+  }
+
+  _handleDoubleClick(e) {
+    if (isChartControlEvent(e)) return;
+
+    const pos = this._eventPosition(e);
+    if (!pos) return;
+
+    const hit = this._hitTest(pos.x, pos.y);
+    const drawing = hit && this._findDrawing(hit.id);
+    if (!drawing || drawing.type !== 'text') return;
+
+    this._stopEvent(e);
+    const text = window.prompt('Edit note', drawing.text || '');
+    if (text !== null && text.trim() !== '') {
+      drawing.text = text.trim();
+      this._changed();
+    }
+  }
+
+  _handleKeyDown(e) {
+    if (!this._focused) return;
+
+    // Ignore keys typed into form fields
+    const tag = e.target && e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+    if ((e.key === 'Delete' || e.key === 'Backspace') && this._selectedId) {
+      e.preventDefault();
+      this.deleteSelected();
+    } else if (e.key === 'Escape') {
+      this.setTool(null);
+      this._selectedId = null;
+      this._update();
+    }
+  }
+
+  // Creation
+
+  _startCreation(pos) {
+    const point = this._positionToPoint(pos);
+    if (!point) return;
+
+    const type = this._tool;
+
+    if (type === 'ray') {
+      this._addDrawing({ id: generateId(), type, points: [point] });
+      this.setTool(null);
+      return;
+    }
+
+    if (type === 'text') {
+      const text = window.prompt('Note');
+      if (text !== null && text.trim() !== '') {
+        this._addDrawing({ id: generateId(), type, points: [point], text: text.trim() });
+      }
+      this.setTool(null);
+      return;
+    }
+
+    // Two-point drawings: second point follows the cursor
+    const drawing = { id: generateId(), type, points: [point, { ...point }] };
+    this._drawings.push(drawing);
+    this._selectedId = drawing.id;
+    this._creating = { id: drawing.id, pending: false };
+    this._setChartInteraction(false);
+    this._update();
+  }
+
+  _finishCreation() {
+    this._creating = null;
+    this._setChartInteraction(true);
+    this.setTool(null);
+    this._changed();
+  }
+
+  _cancelCreation() {
+    if (!this._creating) return;
+
+    this._drawings = this._drawings.filter(d => d.id !== this._creating.id);
+    this._creating = null;
+    this._setChartInteraction(true);
+    this._update();
+  }
+
+  _addDrawing(drawing) {
+    this._drawings.push(drawing);
+    this._selectedId = drawing.id;
+    this._changed();
+  }
+
+  // Hit testing
+
+  _hitTest(x, y) {
+    // Test from the top-most (last drawn) drawing down
+    for (let i = this._drawings.length - 1; i >= 0; i--) {
+      const drawing = this._drawings[i];
+      const points = drawing.points.map(p => this.toCoordinates(p));
+      if (points.some(p => p.x === null || p.y === null)) continue;
+
+      // Handles of the selected drawing take priority
+      if (drawing.id === this._selectedId) {
+        const handle = points.findIndex(p => Math.hypot(p.x - x, p.y - y) <= HANDLE_RADIUS + 2);
+        if (handle !== -1 && drawing.type !== 'text') {
+          return { id: drawing.id, handle };
+        }
+      }
+
+      if (this._hitsDrawing(drawing, points, x, y)) {
+        return { id: drawing.id, handle: null };
+      }
+    }
+
+    return null;
+  }
+
+  _hitsDrawing(drawing, points, x, y) {
+    switch (drawing.type) {
+      case 'trendline':
+        return distanceToSegment(x, y, points[0].x, points[0].y, points[1].x, points[1].y) <= HIT_TOLERANCE;
+
+      case 'ray':
+        return x >= points[0].x - HIT_TOLERANCE && Math.abs(y - points[0].y) <= HIT_TOLERANCE;
+
+      case 'rect': {
+        const left = Math.min(points[0].x, points[1].x) - HIT_TOLERANCE;
+        const right = Math.max(points[0].x, points[1].x) + HIT_TOLERANCE;
+        const top = Math.min(points[0].y, points[1].y) - HIT_TOLERANCE;
+        const bottom = Math.max(points[0].y, points[1].y) + HIT_TOLERANCE;
+        return x >= left && x <= right && y >= top && y <= bottom;
+      }
+
+      case 'text': {
+        const bounds = this._textBounds.get(drawing.id);
+        if (!bounds) return false;
+        return x >= bounds.x && x <= bounds.x + bounds.width && y >= bounds.y && y <= bounds.y + bounds.height;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  // Coordinate conversion
+
+  /**
+   * Time -> x coordinate, interpolating between bars (and extrapolating past
+   * the data) so drawings stay in place when the timeframe changes
+   */
+  _timeToX(time) {
+    const logical = this._timeToLogical(time);
+    if (logical === null) return null;
+    return this._chart.timeScale().logicalToCoordinate(logical);
+  }
+
+  _timeToLogical(time) {
+    const data = this._series.data();
+    const n = data.length;
+    if (n === 0) return null;
+    if (n === 1) return 0;
+
+    if (time <= data[0].time) {
+      return (time - data[0].time) / (data[1].time - data[0].time);
+    }
+    if (time >= data[n - 1].time) {
+      return n - 1 + (time - data[n - 1].time) / (data[n - 1].time - data[n - 2].time);
+    }
+
+    // Binary search for the last bar at or before `time`
+    let lo = 0;
+    let hi = n - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (data[mid].time <= time) lo = mid;
+      else hi = mid;
+    }
+
+    return lo + (time - data[lo].time) / (data[hi].time - data[lo].time);
+  }
+
+  _logicalToTime(logical) {
+    const data = this._series.data();
+    const n = data.length;
+    if (n === 0) return null;
+    if (n === 1) return data[0].time;
+
+    if (logical <= 0) {
+      return data[0].time + logical * (data[1].time - data[0].time);
+    }
+    if (logical >= n - 1) {
+      return data[n - 1].time + (logical - (n - 1)) * (data[n - 1].time - data[n - 2].time);
+    }
+
+    const i = Math.floor(logical);
+    return data[i].time + (logical - i) * (data[i + 1].time - data[i].time);
+  }
+
+  _positionToPoint({ x, y }) {
+    const logical = this._chart.timeScale().coordinateToLogical(x);
+    const price = this._series.coordinateToPrice(y);
+    if (logical === null || price === null) return null;
+
+    const time = this._logicalToTime(logical);
+    if (time === null) return null;
+
+    return { time: Math.round(time), price };
+  }
+
+  _eventPosition(e) {
+    if (!this._container) return null;
+    const rect = this._container.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // Helpers
+
+  _findDrawing(id) {
+    return this._drawings.find(d => d.id === id);
+  }
+
+  _setChartInteraction(enabled) {
+    if (!this._chart) return;
+    this._chart.applyOptions({ handleScroll: enabled, handleScale: enabled });
+  }
+
+  _stopEvent(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  _listen(target, type, handler, capture = false) {
+    target.addEventListener(type, handler, capture);
+    this._listeners.push({ target, type, handler, capture });
+  }
+
+  _changed() {
+    this._update();
+    if (this._onChange) {
+      this._onChange(this.getDrawings());
+    }
+  }
+
+  _update() {
+    if (this._requestUpdate) this._requestUpdate();
+  }
+}
+
+/**
+ * Create the drawing toolbar overlay in the top-left corner of a chart container
+ * @param {HTMLElement} container - Chart container element
+ * @param {DrawingToolsPrimitive} drawingTools - Drawing tools to control
+ * @returns {HTMLElement} The toolbar element
+ */
+export function createDrawingToolbar(container, drawingTools) {
+  if (getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'absolute top-2 left-2 z-10 flex items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded-lg p-1';
+
+  const buttonClass = 'px-2 py-0.5 text-xs font-medium rounded transition-colors';
+  const inactiveClass = 'text-zinc-400 hover:text-white hover:bg-zinc-700';
+  const activeClass = 'text-zinc-900 bg-amber-400';
+
+  const buttons = TOOLS.map(tool => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = tool.label;
+    button.title = tool.title;
+    button.className = `${buttonClass} ${inactiveClass}`;
+    button.addEventListener('click', () => {
+      drawingTools.setTool(drawingTools.getTool() === tool.id ? null : tool.id);
+    });
+    toolbar.appendChild(button);
+    return { tool, button };
+  });
+
+  const deleteButton = document.createElement('button');
+  deleteButton.type = 'button';
+  deleteButton.textContent = '✕';
+  deleteButton.title = 'Delete selected drawing (Del)';
+  deleteButton.className = `${buttonClass} ${inactiveClass}`;
+  deleteButton.addEventListener('click', () => drawingTools.deleteSelected());
+  toolbar.appendChild(deleteButton);
+
+  drawingTools.onToolChange((activeTool) => {
+    for (const { tool, button } of buttons) {
+      button.className = `${buttonClass} ${tool.id === activeTool ? activeClass : inactiveClass}`;
+    }
+  });
+
+  toolbar.dataset.chartToolbar = '';
+  container.appendChild(toolbar);
+  return toolbar;
+}
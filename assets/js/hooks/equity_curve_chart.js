@@ -1,4 +1,8 @@
-import { createChart, BaselineSeries } from 'lightweight-charts';
+import { createChart, BaselineSeries, LineSeries, createSeriesMarkers } from 'lightweight-charts';
+import { ChartSync } from './chart_sync';
+import { DrawdownPeriodPrimitive } from './drawdown_period_primitive';
+import { ChartLegend, equityLegend } from './chart_legend';
+import { createExportMenu, exportChartPng, exportCsv, exportFilename, getVisibleData, formatChartTimestamp } from './chart_export';
 
 /**
  * EquityCurveChart - Visualizes backtest equity over time
@@ -8,8 +12,30 @@ import { createChart, BaselineSeries } from 'lightweight-charts';
  * - Horizontal line at initial capital
  * - Date axis showing trading days
  * - Tooltips with equity and drawdown values
+ * - Underwater pane (% below running peak) with the worst drawdown period shaded
+ * - Optional win/loss markers per trade (data-trades); hovering a marker shows the
+ *   trade and highlights its row (tr[data-trade-id]), clicking pushes select_trade
+ * - Comparison runs (data-comparisons) and a buy-and-hold benchmark (data-benchmark)
+ *   as extra lines, with a legend that toggles each series on and off
+ * - Optional normalization of every series to % return from its starting capital
  */
 
+// Underwater pane height relative to the equity pane
+const EQUITY_PANE_STRETCH = 3;
+const UNDERWATER_PANE_STRETCH = 1;
+
+const STORAGE_PREFIX = 'equity-curve:';
+const TRADE_ROW_HIGHLIGHT_CLASS = 'bg-zinc-800/50';
+
+// Comparison run line colors (cycled); the benchmark is a dashed neutral line
+const COMPARISON_COLORS = ['#60a5fa', '#f59e0b', '#a78bfa', '#f472b6', '#2dd4bf'];
+const BENCHMARK_COLOR = '#a1a1aa';
+const PRIMARY_COLOR = '#10b981';
+
+const TOOLBAR_BUTTON_CLASS = 'px-2 py-0.5 text-xs font-medium rounded transition-colors';
+const TOOLBAR_ACTIVE_CLASS = 'bg-zinc-700 text-white';
+const TOOLBAR_INACTIVE_CLASS = 'text-zinc-400 hover:text-white hover:bg-zinc-700';
+
 /**
  * Convert date string or timestamp to chart time format
  */
@@ -55,6 +81,20 @@ function formatCurrency(value) {
   }).format(value);
 }
 
+function formatReturn(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+const CURRENCY_FORMAT = { type: 'custom', formatter: (price) => formatCurrency(price), minMove: 1 };
+const RETURN_FORMAT = { type: 'custom', formatter: (value) => formatReturn(value), minMove: 0.01 };
+
+/**
+ * Convert equity points to % return from a starting capital
+ */
+function toReturnPct(points, initialCapital) {
+  return points.map(point => ({ time: point.time, value: ((point.value - initialCapital) / initialCapital) * 100 }));
+}
+
 /**
  * Process raw equity data into valid chart format
  * Handles validation, deduplication, and sorting
@@ -100,6 +140,160 @@ function processEquityData(rawData) {
   return deduped;
 }
 
+/**
+ * Compute the underwater curve and the worst drawdown period
+ * @param {Array} equityData - Processed { time, value } points
+ * @param {number} initialCapital - Starting equity (the first peak)
+ * @returns {Object} { underwater: [{ time, value }], worst: { startIndex, troughIndex, endIndex, depth, recovered } | null }
+ */
+function computeUnderwater(equityData, initialCapital) {
+  const underwater = [];
+  let peak = initialCapital;
+  let peakIndex = 0;
+  let worst = null;
+
+  equityData.forEach((point, index) => {
+    if (point.value >= peak) {
+      // New high - closes any drawdown that started at the previous peak
+      if (worst && !worst.recovered && worst.startIndex === peakIndex) {
+        worst.endIndex = index;
+        worst.recovered = true;
+      }
+      peak = point.value;
+      peakIndex = index;
+    }
+
+    const depth = peak > 0 ? ((peak - point.value) / peak) * 100 : 0;
+    underwater.push({ time: point.time, value: -depth });
+
+    if (depth > 0 && (!worst || depth > worst.depth)) {
+      worst = { startIndex: peakIndex, troughIndex: index, endIndex: equityData.length - 1, depth, recovered: false };
+    }
+  });
+
+  return { underwater, worst };
+}
+
+/**
+ * Label for the shaded drawdown period, e.g. "Max DD -8.42% · 12d · recovered"
+ */
+function drawdownLabel(worst, equityData) {
+  const days = Math.max(1, Math.round((equityData[worst.endIndex].time - equityData[worst.startIndex].time) / 86400));
+  return `Max DD -${worst.depth.toFixed(2)}% · ${days}d · ${worst.recovered ? 'recovered' : 'not recovered'}`;
+}
+
+/**
+ * Parse the trades for the win/loss markers
+ * @returns {Array} { id, symbol, direction, exitTime, pnl, rMultiple, status } sorted by exit time
+ */
+function processTrades(rawTrades) {
+  if (!Array.isArray(rawTrades)) return [];
+
+  return rawTrades
+    .map(trade => ({
+      id: String(trade.id),
+      symbol: trade.symbol,
+      direction: trade.direction,
+      exitTime: parseTime(trade.exit_time),
+      pnl: parseValue(trade.pnl),
+      rMultiple: parseValue(trade.r_multiple),
+      status: trade.status,
+    }))
+    .filter(trade => trade.exitTime !== null && trade.pnl !== null)
+    .sort((a, b) => a.exitTime - b.exitTime);
+}
+
+/**
+ * Time of the last equity point at or before a trade's exit
+ * (markers must sit on an existing point of the series)
+ */
+function findPointTime(equityData, time) {
+  let lo = 0;
+  let hi = equityData.length - 1;
+  let found = null;
+
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (equityData[mid].time <= time) {
+      found = equityData[mid].time;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Parse the extra series: comparison runs and the buy-and-hold benchmark
+ * @param {string} comparisonsJson - [{ id, name, initial_capital, equity: [{ time, value }] }]
+ * @param {string} benchmarkJson - { name, closes: [{ time, value }] } or null
+ * @returns {Array} { key, name, color, dashed, initialCapital, data }
+ */
+function parseExtraSeries(comparisonsJson, benchmarkJson) {
+  const series = [];
+
+  try {
+    const comparisons = JSON.parse(comparisonsJson || '[]');
+    if (Array.isArray(comparisons)) {
+      comparisons.forEach((comparison, index) => {
+        const data = processEquityData(comparison.equity);
+        const initialCapital = parseValue(comparison.initial_capital);
+        if (data.length === 0 || !initialCapital) return;
+
+        series.push({
+          key: `run:${comparison.id}`,
+          name: comparison.name,
+          color: COMPARISON_COLORS[index % COMPARISON_COLORS.length],
+          dashed: false,
+          initialCapital,
+          data,
+        });
+      });
+    }
+  } catch (e) {
+    console.warn('EquityCurveChart: Failed to parse comparisons:', e);
+  }
+
+  try {
+    const benchmark = JSON.parse(benchmarkJson || 'null');
+    const closes = benchmark ? processEquityData(benchmark.closes) : [];
+    if (closes.length > 0) {
+      series.push({
+        key: 'benchmark',
+        name: benchmark.name,
+        color: BENCHMARK_COLOR,
+        dashed: true,
+        // Buy-and-hold: shares bought with the primary run's capital at the first close
+        initialCapital: null,
+        data: closes,
+      });
+    }
+  } catch (e) {
+    console.warn('EquityCurveChart: Failed to parse benchmark:', e);
+  }
+
+  return series;
+}
+
+function loadFlag(name, fallback) {
+  try {
+    const value = localStorage.getItem(STORAGE_PREFIX + name);
+    return value === null ? fallback : value === 'on';
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function saveFlag(name, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + name, value ? 'on' : 'off');
+  } catch (e) {
+    // Storage unavailable (private mode) - the toggle still works for this page
+  }
+}
+
 export const EquityCurveChart = {
   mounted() {
     const container = this.el;
@@ -142,6 +336,10 @@ export const EquityCurveChart = {
           background: { color: '#18181b' },
           textColor: '#a1a1aa',
           attributionLogo: false,
+          panes: {
+            separatorColor: '#3f3f46', // zinc-700
+            separatorHoverColor: 'rgba(113, 113, 122, 0.3)', // zinc-500
+          },
         },
         grid: {
           vertLines: { color: '#27272a' },
@@ -174,15 +372,12 @@ export const EquityCurveChart = {
           timeVisible: true,
           secondsVisible: false,
         },
-        localization: {
-          priceFormatter: (price) => formatCurrency(price),
-        },
       });
 
       // Use baseline series for equity (green above baseline, red below)
       this.equitySeries = this.chart.addSeries(BaselineSeries, {
         baseValue: { type: 'price', price: initialCapital },
-        topLineColor: '#10b981',
+        topLineColor: PRIMARY_COLOR,
         topFillColor1: 'rgba(16, 185, 129, 0.28)',
         topFillColor2: 'rgba(16, 185, 129, 0.05)',
         bottomLineColor: '#ef4444',
@@ -190,47 +385,65 @@ export const EquityCurveChart = {
         bottomFillColor2: 'rgba(239, 68, 68, 0.28)',
         lineWidth: 2,
         priceScaleId: 'right',
+        // Per-series formats (the underwater pane is in %, not $)
+        priceFormat: CURRENCY_FORMAT,
         lastValueVisible: true,
         priceLineVisible: true,
       });
 
-      // Set data (already validated, deduplicated, and sorted)
-      this.equitySeries.setData(equityData);
+      // Underwater curve: % below the running peak, filled down from zero
+      this.underwaterSeries = this.chart.addSeries(BaselineSeries, {
+        baseValue: { type: 'price', price: 0 },
+        topLineColor: 'rgba(0, 0, 0, 0)',
+        topFillColor1: 'rgba(0, 0, 0, 0)',
+        topFillColor2: 'rgba(0, 0, 0, 0)',
+        bottomLineColor: '#ef4444',
+        bottomFillColor1: 'rgba(239, 68, 68, 0.05)',
+        bottomFillColor2: 'rgba(239, 68, 68, 0.35)',
+        lineWidth: 1,
+        lastValueVisible: true,
+        priceLineVisible: false,
+        priceFormat: { ...RETURN_FORMAT, formatter: (value) => `${value.toFixed(2)}%` },
+      }, 1);
+
+      const panes = this.chart.panes();
+      panes[0].setStretchFactor(EQUITY_PANE_STRETCH);
+      panes[1].setStretchFactor(UNDERWATER_PANE_STRETCH);
+
+      // Worst drawdown band on both panes (labelled on the equity pane)
+      this.drawdownPrimitive = new DrawdownPeriodPrimitive({ showLabel: true });
+      this.equitySeries.attachPrimitive(this.drawdownPrimitive);
+      this.underwaterDrawdownPrimitive = new DrawdownPeriodPrimitive();
+      this.underwaterSeries.attachPrimitive(this.underwaterDrawdownPrimitive);
     } catch (e) {
       console.error('EquityCurveChart: Failed to create chart:', e);
       container.innerHTML = '<div class="text-zinc-500 text-center py-8">Failed to create chart</div>';
       return;
     }
 
-    // Add initial capital line (safe - chart was created successfully)
+    this._equityData = equityData;
+    this._initialCapital = initialCapital;
+    this._normalized = loadFlag('normalized', false);
+    this._hiddenSeries = new Set();
+    this.extraSeries = new Map(); // key -> { series, name, color }
+
+    // Equity data, initial capital line, comparison runs and benchmark
     try {
-      this.initialLine = this.equitySeries.createPriceLine({
-        price: initialCapital,
-        color: '#71717a',
-        lineWidth: 1,
-        lineStyle: 2, // Dashed
-        axisLabelVisible: true,
-        title: 'Initial',
-      });
+      this.renderEquity();
+      this.renderExtraSeries();
 
       // Fit content
       this.chart.timeScale().fitContent();
     } catch (e) {
-      console.warn('EquityCurveChart: Failed to add price line or fit content:', e);
+      console.warn('EquityCurveChart: Failed to render series or fit content:', e);
     }
 
     // Calculate and display summary stats
     const finalEquity = equityData[equityData.length - 1].value;
     const totalReturn = ((finalEquity - initialCapital) / initialCapital) * 100;
 
-    // Calculate max drawdown
-    let peak = initialCapital;
-    let maxDrawdown = 0;
-    equityData.forEach(point => {
-      if (point.value > peak) peak = point.value;
-      const drawdown = ((peak - point.value) / peak) * 100;
-      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
-    });
+    // Underwater pane and worst drawdown (also reported to the LiveView)
+    const maxDrawdown = this.renderDrawdown(equityData, initialCapital);
 
     // Dispatch stats to LiveView if needed
     if (this.pushEvent) {
@@ -252,18 +465,34 @@ export const EquityCurveChart = {
 
     this.resizeObserver.observe(container);
 
-    // Subscribe to crosshair move for tooltip
-    this.chart.subscribeCrosshairMove((param) => {
-      if (!param.time || !param.seriesData) return;
-
-      const data = param.seriesData.get(this.equitySeries);
-      if (data) {
-        const equity = data.value;
-        const returnPct = ((equity - initialCapital) / initialCapital) * 100;
-
-        // Could emit tooltip data to LiveView here if needed
-      }
-    });
+    // Mirror crosshair/visible range with charts sharing data-sync-group
+    this.chartSync = new ChartSync(container, this.chart, this.equitySeries);
+
+    // PNG / CSV export for the trade journal
+    this.exportMenu = createExportMenu(container, {
+      png: () => exportChartPng(this.chart, {
+        title: container.dataset.title || 'Equity curve',
+        filename: exportFilename(['equity'], 'png'),
+      }),
+      csv: () => this.exportVisiblePoints(),
+    }, 'top-2 left-2');
+
+    // Equity, return and drawdown legend for the point under the crosshair
+    this.legend = new ChartLegend(this.chart, this.equitySeries, container, equityLegend(this.equitySeries, {
+      getInitialCapital: () => this._initialCapital,
+      isNormalized: () => this._normalized,
+    }));
+
+    // Trades / % toggles below the export menu, series toggles below the legend
+    this.createOptionsToolbar(container);
+    this.seriesToggles = document.createElement('div');
+    this.seriesToggles.className = 'absolute top-10 left-1/2 -translate-x-1/2 z-10 flex flex-wrap items-center gap-1 max-w-[60%] bg-zinc-900/80 border border-zinc-700 rounded-lg p-1';
+    container.appendChild(this.seriesToggles);
+    this.renderSeriesToggles();
+
+    // Win/loss markers per trade, linked to the trade list
+    this.setupTradeMarkers(container);
+    this.renderTradeMarkers();
   },
 
   updated() {
@@ -295,40 +524,367 @@ export const EquityCurveChart = {
       return;
     }
 
+    this._equityData = chartData;
+    this._initialCapital = initialCapital;
+
     // Update chart data with try-catch for safety
     try {
-      this.equitySeries.setData(chartData);
+      this.renderEquity();
+      this.renderExtraSeries();
     } catch (e) {
       console.error('EquityCurveChart: Failed to set chart data:', e);
       return;
     }
 
-    // Update baseline and price line with error handling
+    if (this.legend) {
+      this.legend.refresh();
+    }
+
+    this.renderDrawdown(chartData, initialCapital);
+    this.renderSeriesToggles();
+    this.renderTradeMarkers();
+
     try {
-      this.equitySeries.applyOptions({
-        baseValue: { type: 'price', price: initialCapital },
-      });
+      this.chart.timeScale().fitContent();
+    } catch (e) {
+      console.warn('EquityCurveChart: Failed to fit content:', e);
+    }
+  },
 
-      // Update initial line
-      if (this.initialLine) {
-        this.equitySeries.removePriceLine(this.initialLine);
+  /**
+   * Set the primary equity data, baseline and initial capital line for the
+   * current mode ($ equity or % return)
+   */
+  renderEquity() {
+    const initialCapital = this._initialCapital;
+    const base = this._normalized ? 0 : initialCapital;
+
+    this.equitySeries.setData(this._normalized ? toReturnPct(this._equityData, initialCapital) : this._equityData);
+    this.equitySeries.applyOptions({
+      baseValue: { type: 'price', price: base },
+      priceFormat: this._normalized ? RETURN_FORMAT : CURRENCY_FORMAT,
+      visible: !this._hiddenSeries.has('primary'),
+    });
+
+    if (this.initialLine) {
+      this.equitySeries.removePriceLine(this.initialLine);
+    }
+    this.initialLine = this.equitySeries.createPriceLine({
+      price: base,
+      color: '#71717a',
+      lineWidth: 1,
+      lineStyle: 2, // Dashed
+      axisLabelVisible: true,
+      title: 'Initial',
+    });
+  },
+
+  /**
+   * Sync the comparison run and benchmark lines with data-comparisons / data-benchmark
+   */
+  renderExtraSeries() {
+    const definitions = parseExtraSeries(this.el.dataset.comparisons, this.el.dataset.benchmark);
+    const keys = new Set(definitions.map(definition => definition.key));
+
+    for (const [key, entry] of this.extraSeries) {
+      if (!keys.has(key)) {
+        this.chart.removeSeries(entry.series);
+        this.extraSeries.delete(key);
+        this._hiddenSeries.delete(key);
       }
-      this.initialLine = this.equitySeries.createPriceLine({
-        price: initialCapital,
-        color: '#71717a',
-        lineWidth: 1,
-        lineStyle: 2,
-        axisLabelVisible: true,
-        title: 'Initial',
+    }
+
+    for (const definition of definitions) {
+      let entry = this.extraSeries.get(definition.key);
+      if (!entry) {
+        entry = {
+          series: this.chart.addSeries(LineSeries, {
+            lineWidth: 2,
+            lineStyle: definition.dashed ? 2 : 0,
+            lastValueVisible: false,
+            priceLineVisible: false,
+            crosshairMarkerVisible: false,
+          }),
+        };
+        this.extraSeries.set(definition.key, entry);
+      }
+
+      entry.name = definition.name;
+      entry.color = definition.color;
+      entry.series.applyOptions({
+        color: definition.color,
+        priceFormat: this._normalized ? RETURN_FORMAT : CURRENCY_FORMAT,
+        visible: !this._hiddenSeries.has(definition.key),
       });
+      entry.series.setData(this.extraSeriesData(definition));
+    }
+  },
 
-      this.chart.timeScale().fitContent();
+  /**
+   * Points for a comparison/benchmark line in the current mode. The benchmark
+   * is scaled to a buy-and-hold of the primary run's capital.
+   */
+  extraSeriesData(definition) {
+    if (definition.initialCapital !== null) {
+      return this._normalized ? toReturnPct(definition.data, definition.initialCapital) : definition.data;
+    }
+
+    const firstClose = definition.data[0].value;
+    const returns = definition.data.map(point => ({ time: point.time, value: ((point.value - firstClose) / firstClose) * 100 }));
+    if (this._normalized) return returns;
+
+    return returns.map(point => ({ time: point.time, value: this._initialCapital * (1 + point.value / 100) }));
+  },
+
+  createOptionsToolbar(container) {
+    this.optionsToolbar = document.createElement('div');
+    this.optionsToolbar.className = 'absolute top-10 left-2 z-10 flex items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded-lg p-1';
+
+    const addButton = (label, title, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+        this.updateOptionsToolbar();
+      });
+      this.optionsToolbar.appendChild(button);
+      return button;
+    };
+
+    this.tradeMarkersToggle = addButton('Trades', 'Show win/loss markers for each trade', () => {
+      this._showTradeMarkers = !this._showTradeMarkers;
+      saveFlag('trade-markers', this._showTradeMarkers);
+      this.renderTradeMarkers();
+    });
+
+    this.normalizeToggle = addButton('%', 'Show % return instead of equity', () => {
+      this._normalized = !this._normalized;
+      saveFlag('normalized', this._normalized);
+      this.renderEquity();
+      this.renderExtraSeries();
+      this.legend.refresh();
+    });
+
+    container.appendChild(this.optionsToolbar);
+  },
+
+  updateOptionsToolbar() {
+    const setActive = (button, active) => {
+      button.className = `${TOOLBAR_BUTTON_CLASS} ${active ? TOOLBAR_ACTIVE_CLASS : TOOLBAR_INACTIVE_CLASS}`;
+    };
+
+    setActive(this.tradeMarkersToggle, this._showTradeMarkers);
+    this.tradeMarkersToggle.classList.toggle('hidden', this._trades.size === 0);
+    setActive(this.normalizeToggle, this._normalized);
+  },
+
+  /**
+   * Legend of the plotted series; clicking an entry shows or hides it.
+   * Hidden when only the primary run is plotted.
+   */
+  renderSeriesToggles() {
+    const entries = [
+      { key: 'primary', name: this.el.dataset.title || 'This run', color: PRIMARY_COLOR, series: this.equitySeries },
+      ...Array.from(this.extraSeries, ([key, entry]) => ({ key, ...entry })),
+    ];
+
+    this.seriesToggles.classList.toggle('hidden', entries.length < 2);
+    this.seriesToggles.replaceChildren(...entries.map(entry => {
+      const hidden = this._hiddenSeries.has(entry.key);
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.title = hidden ? `Show ${entry.name}` : `Hide ${entry.name}`;
+      button.className = `flex items-center gap-1 ${TOOLBAR_BUTTON_CLASS} ${hidden ? 'text-zinc-500 line-through' : 'text-zinc-200 hover:bg-zinc-700'}`;
+
+      const swatch = document.createElement('span');
+      swatch.className = 'inline-block w-2.5 h-0.5 rounded';
+      swatch.style.backgroundColor = entry.color;
+      swatch.style.opacity = hidden ? '0.4' : '1';
+
+      const label = document.createElement('span');
+      label.textContent = entry.name;
+
+      button.append(swatch, label);
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (hidden) {
+          this._hiddenSeries.delete(entry.key);
+        } else {
+          this._hiddenSeries.add(entry.key);
+        }
+        entry.series.applyOptions({ visible: !this._hiddenSeries.has(entry.key) });
+        this.renderSeriesToggles();
+      });
+
+      return button;
+    }));
+  },
+
+  /**
+   * Update the underwater pane and the shaded worst drawdown period
+   * @returns {number} Max drawdown in percent
+   */
+  renderDrawdown(equityData, initialCapital) {
+    if (!this.underwaterSeries) return 0;
+
+    const { underwater, worst } = computeUnderwater(equityData, initialCapital);
+    this.underwaterSeries.setData(underwater);
+
+    const period = worst
+      ? { startTime: equityData[worst.startIndex].time, endTime: equityData[worst.endIndex].time, label: drawdownLabel(worst, equityData) }
+      : null;
+    this.drawdownPrimitive.setPeriod(period);
+    this.underwaterDrawdownPrimitive.setPeriod(period);
+
+    return worst ? worst.depth : 0;
+  },
+
+  setupTradeMarkers(container) {
+    this._trades = new Map();
+    this._hoveredTradeId = null;
+    this._showTradeMarkers = loadFlag('trade-markers', true);
+    this.tradeMarkers = createSeriesMarkers(this.equitySeries, []);
+
+    this.tradeTooltip = document.createElement('div');
+    this.tradeTooltip.className = 'absolute z-20 hidden pointer-events-none px-2 py-1 bg-zinc-900/95 border border-zinc-700 rounded text-xs font-mono whitespace-nowrap';
+    container.appendChild(this.tradeTooltip);
+
+    this._onTradeHover = (param) => {
+      const id = typeof param.hoveredObjectId === 'string' && this._trades.has(param.hoveredObjectId)
+        ? param.hoveredObjectId
+        : null;
+      this.hoverTrade(id, param.point);
+    };
+    this.chart.subscribeCrosshairMove(this._onTradeHover);
+
+    this._onTradeClick = (param) => {
+      const id = param.hoveredObjectId;
+      if (typeof id === 'string' && this._trades.has(id)) {
+        this.pushEvent('select_trade', { id });
+      }
+    };
+    this.chart.subscribeClick(this._onTradeClick);
+  },
+
+  renderTradeMarkers() {
+    if (!this.tradeMarkers) return;
+
+    let trades = [];
+    try {
+      trades = processTrades(JSON.parse(this.el.dataset.trades || '[]'));
     } catch (e) {
-      console.warn('EquityCurveChart: Failed to update baseline/price line:', e);
+      console.warn('EquityCurveChart: Failed to parse trades:', e);
+    }
+
+    this._trades = new Map(trades.map(trade => [trade.id, trade]));
+    this.hoverTrade(null);
+    this.updateOptionsToolbar();
+
+    if (!this._showTradeMarkers) {
+      this.tradeMarkers.setMarkers([]);
+      return;
+    }
+
+    const markers = [];
+    for (const trade of trades) {
+      const time = findPointTime(this._equityData, trade.exitTime);
+      if (time === null) continue;
+
+      const winner = trade.pnl >= 0;
+      markers.push({
+        id: trade.id,
+        time,
+        position: winner ? 'aboveBar' : 'belowBar',
+        color: winner ? '#22c55e' : '#ef4444',
+        shape: 'circle',
+        size: 0.5,
+      });
+    }
+
+    // Markers must be in time order
+    markers.sort((a, b) => a.time - b.time);
+    this.tradeMarkers.setMarkers(markers);
+  },
+
+  /**
+   * Show the hovered trade's tooltip and highlight its row in the trade list
+   * @param {string|null} id - Trade id, or null to clear
+   * @param {Object} point - Cursor position ({ x, y }) within the chart
+   */
+  hoverTrade(id, point) {
+    if (id !== this._hoveredTradeId) {
+      this.setTradeRowHighlight(this._hoveredTradeId, false);
+      this.setTradeRowHighlight(id, true);
+      this._hoveredTradeId = id;
+    }
+
+    const trade = id ? this._trades.get(id) : null;
+    if (!trade || !point) {
+      this.tradeTooltip.classList.add('hidden');
+      return;
+    }
+
+    const pnlClass = trade.pnl >= 0 ? 'text-green-400' : 'text-red-400';
+    const sign = trade.pnl >= 0 ? '+' : '-';
+    const r = trade.rMultiple !== null ? ` · ${trade.rMultiple >= 0 ? '+' : ''}${trade.rMultiple.toFixed(2)}R` : '';
+
+    this.tradeTooltip.replaceChildren();
+    const title = document.createElement('div');
+    title.className = 'text-zinc-200';
+    title.textContent = `${trade.symbol} ${trade.direction} · ${trade.status}`;
+    const pnl = document.createElement('div');
+    pnl.className = pnlClass;
+    pnl.textContent = `${sign}${formatCurrency(Math.abs(trade.pnl))}${r}`;
+    const hint = document.createElement('div');
+    hint.className = 'text-zinc-500';
+    hint.textContent = 'Click for details';
+    this.tradeTooltip.append(title, pnl, hint);
+
+    this.tradeTooltip.style.left = `${point.x + 12}px`;
+    this.tradeTooltip.style.top = `${point.y + 12}px`;
+    this.tradeTooltip.classList.remove('hidden');
+  },
+
+  setTradeRowHighlight(id, highlighted) {
+    if (!id) return;
+    const row = document.querySelector(`tr[data-trade-id="${CSS.escape(id)}"]`);
+    if (row) {
+      row.classList.toggle(TRADE_ROW_HIGHLIGHT_CLASS, highlighted);
     }
   },
 
+  exportVisiblePoints() {
+    const initialCapital = this._initialCapital;
+    // The series may hold % returns - export the underlying equity
+    const equityByTime = new Map(this._equityData.map(point => [point.time, point.value]));
+    const rows = getVisibleData(this.chart, this.equitySeries).map(point => {
+      const equity = equityByTime.get(point.time);
+      return {
+        time: formatChartTimestamp(point.time),
+        equity: equity.toFixed(2),
+        return_pct: (((equity - initialCapital) / initialCapital) * 100).toFixed(2),
+      };
+    });
+
+    exportCsv(rows, ['time', 'equity', 'return_pct'], exportFilename(['equity'], 'csv'));
+  },
+
   destroyed() {
+    if (this._onTradeHover) {
+      this.hoverTrade(null);
+      this.chart.unsubscribeCrosshairMove(this._onTradeHover);
+      this.chart.unsubscribeClick(this._onTradeClick);
+    }
+    if (this.legend) {
+      this.legend.destroy();
+    }
+    if (this.chartSync) {
+      this.chartSync.destroy();
+    }
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
@@ -0,0 +1,54 @@
+/**
+ * Heatmap Utils - Colors, control styles and hover tooltip shared by the heatmap hooks
+ *
+ * Used by OptimizationHeatmap and TimeOfDayHeatmap. Tooltips are positioned
+ * relative to their parent element, so append them to the hook element.
+ */
+
+// Diverging scale: red below the metric's neutral value, green above
+export const NEGATIVE_RGB = [239, 68, 68];  // red-500
+export const POSITIVE_RGB = [34, 197, 94];  // green-500
+export const EMPTY_CELL_COLOR = '#27272a';  // zinc-800
+
+export const SELECT_CLASS = 'bg-zinc-800 border border-zinc-700 rounded-lg px-2 py-1 text-xs text-white';
+export const LABEL_CLASS = 'text-xs text-zinc-500';
+
+export function mix(rgb, t) {
+  // Blend from the empty cell color towards rgb
+  const base = [39, 39, 42];
+  const channel = (i) => Math.round(base[i] + (rgb[i] - base[i]) * t);
+  return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+}
+
+export function createTooltip() {
+  const tooltip = document.createElement('div');
+  tooltip.className = 'absolute z-20 hidden pointer-events-none px-2 py-1 bg-zinc-900/95 border border-zinc-700 rounded text-xs font-mono whitespace-nowrap';
+  return tooltip;
+}
+
+/**
+ * Fill the tooltip with lines of { text, className } and show it at the pointer
+ */
+export function showTooltip(tooltip, event, lines) {
+  tooltip.replaceChildren(...lines.map(line => {
+    const div = document.createElement('div');
+    div.className = line.className;
+    div.textContent = line.text;
+    return div;
+  }));
+  tooltip.classList.remove('hidden');
+  moveTooltip(tooltip, event);
+}
+
+export function moveTooltip(tooltip, event) {
+  if (!tooltip?.parentElement) return;
+  const rect = tooltip.parentElement.getBoundingClientRect();
+  tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+  tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+}
+
+export function hideTooltip(tooltip) {
+  if (tooltip) {
+    tooltip.classList.add('hidden');
+  }
+}
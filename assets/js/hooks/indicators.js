@@ -0,0 +1,406 @@
+import { LineSeries } from 'lightweight-charts';
+import { getSession, getETDateKey } from './session_highlighter';
+
+/**
+ * Indicators - Client-side technical indicator overlays for candlestick charts
+ *
+ * Indicators available:
+ * - VWAP: Volume weighted average price, anchored to the regular session open (9:30 AM ET)
+ * - EMA9/EMA20: Exponential moving averages of the close
+ * - SMA50: Simple moving average of the close
+ * - ATR: Average True Range bands around an EMA basis (basis ± multiplier × ATR)
+ *
+ * All indicators are computed from the bars the chart already holds and are
+ * updated incrementally - a tick only recomputes the last point.
+ */
+
+// Indicator configuration - calculation parameters and line styles
+const INDICATOR_CONFIG = {
+  vwap: {
+    type: 'vwap',
+    title: 'VWAP',
+    lines: {
+      value: { color: '#38bdf8', lineWidth: 2, lineStyle: 0 }, // sky-400, solid
+    },
+  },
+  ema9: {
+    type: 'ema',
+    period: 9,
+    title: 'EMA 9',
+    lines: {
+      value: { color: '#facc15', lineWidth: 1, lineStyle: 0 }, // yellow-400
+    },
+  },
+  ema20: {
+    type: 'ema',
+    period: 20,
+    title: 'EMA 20',
+    lines: {
+      value: { color: '#fb923c', lineWidth: 1, lineStyle: 0 }, // orange-400
+    },
+  },
+  sma50: {
+    type: 'sma',
+    period: 50,
+    title: 'SMA 50',
+    lines: {
+      value: { color: '#e879f9', lineWidth: 1, lineStyle: 0 }, // fuchsia-400
+    },
+  },
+  atr: {
+    type: 'atrBands',
+    period: 14,
+    basisPeriod: 20,
+    multiplier: 2,
+    title: 'ATR',
+    lines: {
+      upper: { color: '#94a3b8', lineWidth: 1, lineStyle: 2 }, // slate-400, dashed
+      lower: { color: '#94a3b8', lineWidth: 1, lineStyle: 2 },
+    },
+  },
+};
+
+// Indicators shown when the chart doesn't specify any
+export const DEFAULT_INDICATORS = ['vwap', 'ema9', 'ema20'];
+
+/**
+ * Exponential moving average step
+ * Seeds with the SMA of the first `period` closes, then applies the EMA multiplier
+ */
+export function emaStep(prev, value, period) {
+  if (!prev || prev.count < period) {
+    const count = (prev ? prev.count : 0) + 1;
+    const sum = (prev ? prev.sum : 0) + value;
+    return { count, sum, value: count === period ? sum / period : null };
+  }
+
+  const k = 2 / (period + 1);
+  return { count: prev.count + 1, sum: prev.sum, value: value * k + prev.value * (1 - k) };
+}
+
+/**
+ * Average True Range step (Wilder's smoothing)
+ */
+function atrStep(prev, bar, prevBar, period) {
+  const trueRange = prevBar
+    ? Math.max(bar.high - bar.low, Math.abs(bar.high - prevBar.close), Math.abs(bar.low - prevBar.close))
+    : bar.high - bar.low;
+
+  if (!prev || prev.count < period) {
+    const count = (prev ? prev.count : 0) + 1;
+    const sum = (prev ? prev.sum : 0) + trueRange;
+    return { count, sum, value: count === period ? sum / period : null };
+  }
+
+  return { count: prev.count + 1, sum: prev.sum, value: (prev.value * (period - 1) + trueRange) / period };
+}
+
+/**
+ * Indicator calculators
+ * Each `step` derives the state at bar i from the state at bar i - 1,
+ * and `outputs` maps a state to the value of each plotted line.
+ */
+const CALCULATORS = {
+  vwap: {
+    step(prev, bar) {
+      // Only anchor within the regular session - extended hours get no VWAP
+      if (getSession(bar.utcTime) !== 'regular') {
+        return { day: null, pv: 0, volume: 0, value: null };
+      }
+
+      const day = getETDateKey(bar.utcTime);
+      const isNewSession = !prev || prev.day !== day;
+      const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+      const volume = bar.volume || 0;
+
+      const pv = (isNewSession ? 0 : prev.pv) + typicalPrice * volume;
+      const totalVolume = (isNewSession ? 0 : prev.volume) + volume;
+
+      // Fall back to the typical price until the session has traded volume
+      const value = totalVolume > 0 ? pv / totalVolume : typicalPrice;
+      return { day, pv, volume: totalVolume, value };
+    },
+    outputs: (state) => ({ value: state.value }),
+  },
+
+  ema: {
+    step: (prev, bar, _prevBar, _bars, _i, config) => emaStep(prev, bar.close, config.period),
+    outputs: (state) => ({ value: state.value }),
+  },
+
+  sma: {
+    step(_prev, bar, _prevBar, bars, i, config) {
+      if (i < config.period - 1) return { value: null };
+
+      let sum = 0;
+      for (let j = i - config.period + 1; j <= i; j++) {
+        sum += bars[j].close;
+      }
+      return { value: sum / config.period };
+    },
+    outputs: (state) => ({ value: state.value }),
+  },
+
+  atrBands: {
+    step(prev, bar, prevBar, _bars, _i, config) {
+      const basis = emaStep(prev && prev.basis, bar.close, config.basisPeriod);
+      const atr = atrStep(prev && prev.atr, bar, prevBar, config.period);
+      return { basis, atr };
+    },
+    outputs(state, config) {
+      if (state.basis.value === null || state.atr.value === null) {
+        return { upper: null, lower: null };
+      }
+      const offset = state.atr.value * config.multiplier;
+      return { upper: state.basis.value + offset, lower: state.basis.value - offset };
+    },
+  },
+};
+
+/**
+ * Compute the state series for an indicator over all bars
+ * @param {string} key - Indicator key (vwap, ema9, etc.)
+ * @param {Array} bars - Array of { time, utcTime, open, high, low, close, volume }
+ * @returns {Array} One state per bar
+ */
+export function computeIndicator(key, bars) {
+  const config = INDICATOR_CONFIG[key];
+  const calculator = CALCULATORS[config.type];
+  const states = [];
+
+  for (let i = 0; i < bars.length; i++) {
+    const prev = i > 0 ? states[i - 1] : null;
+    const prevBar = i > 0 ? bars[i - 1] : null;
+    states.push(calculator.step(prev, bars[i], prevBar, bars, i, config));
+  }
+
+  return states;
+}
+
+/**
+ * Convert an indicator output value into a line point (whitespace when not yet defined)
+ */
+function toPoint(time, value) {
+  return value === null || value === undefined || !isFinite(value) ? { time } : { time, value };
+}
+
+/**
+ * IndicatorManager
+ * Manages indicator line series on a chart, fed by the chart's candle data
+ */
+export class IndicatorManager {
+  constructor(chart) {
+    this._chart = chart;
+    this._bars = [];
+    this._indicators = new Map(); // key -> { states, series: { lineKey: ISeriesApi } }
+  }
+
+  /**
+   * Replace all bar data and recompute every enabled indicator
+   * @param {Array} bars - Array of { time, utcTime, open, high, low, close, volume }
+   */
+  setBars(bars) {
+    this._bars = bars.slice();
+
+    for (const key of this._indicators.keys()) {
+      this._recompute(key);
+    }
+  }
+
+  /**
+   * Apply a real-time bar update
+   * Replaces the last bar when the time matches, otherwise appends a new bar.
+   * Only the final point of each indicator is recomputed.
+   * @param {Object} bar - { time, utcTime, open, high, low, close, volume }
+   */
+  updateBar(bar) {
+    const last = this._bars[this._bars.length - 1];
+
+    if (last && bar.time < last.time) {
+      return; // Stale update
+    }
+
+    if (last && bar.time === last.time) {
+      this._bars[this._bars.length - 1] = bar;
+    } else {
+      this._bars.push(bar);
+    }
+
+    const i = this._bars.length - 1;
+
+    for (const [key, indicator] of this._indicators) {
+      const config = INDICATOR_CONFIG[key];
+      const calculator = CALCULATORS[config.type];
+      const prev = i > 0 ? indicator.states[i - 1] : null;
+      const prevBar = i > 0 ? this._bars[i - 1] : null;
+
+      indicator.states[i] = calculator.step(prev, bar, prevBar, this._bars, i, config);
+      indicator.states.length = i + 1;
+
+      const outputs = calculator.outputs(indicator.states[i], config);
+      for (const [lineKey, series] of Object.entries(indicator.series)) {
+        series.update(toPoint(bar.time, outputs[lineKey]));
+      }
+    }
+  }
+
+  /**
+   * Enable or disable a single indicator
+   * @param {string} key - Indicator key (vwap, ema9, etc.)
+   * @param {boolean} enabled - Whether the indicator should be shown
+   */
+  setEnabled(key, enabled) {
+    if (!INDICATOR_CONFIG[key]) return;
+
+    if (enabled && !this._indicators.has(key)) {
+      this._addIndicator(key);
+    } else if (!enabled && this._indicators.has(key)) {
+      this._removeIndicator(key);
+    }
+  }
+
+  /**
+   * Toggle a single indicator
+   * @param {string} key - Indicator key
+   * @returns {boolean} Whether the indicator is now enabled
+   */
+  toggle(key) {
+    const enabled = !this._indicators.has(key);
+    this.setEnabled(key, enabled);
+    return enabled;
+  }
+
+  /**
+   * Set the full list of enabled indicators (disables any not listed)
+   * @param {Array<string>} keys - Indicator keys to enable
+   */
+  setIndicators(keys) {
+    for (const key of Array.from(this._indicators.keys())) {
+      if (!keys.includes(key)) {
+        this._removeIndicator(key);
+      }
+    }
+
+    for (const key of keys) {
+      this.setEnabled(key, true);
+    }
+  }
+
+  /**
+   * Get the keys of all enabled indicators
+   * @returns {Array<string>}
+   */
+  getIndicators() {
+    return Array.from(this._indicators.keys());
+  }
+
+  /**
+   * Get the current output values for an indicator at a bar time
+   * @param {string} key - Indicator key
+   * @param {number} time - Bar time (local)
+   * @returns {Object|null} Line values keyed by line name
+   */
+  getValuesAt(key, time) {
+    const indicator = this._indicators.get(key);
+    if (!indicator) return null;
+
+    const i = this._bars.findIndex(bar => bar.time === time);
+    if (i === -1 || !indicator.states[i]) return null;
+
+    const config = INDICATOR_CONFIG[key];
+    return CALCULATORS[config.type].outputs(indicator.states[i], config);
+  }
+
+  /**
+   * Remove all indicator series from the chart
+   */
+  clearAll() {
+    for (const key of Array.from(this._indicators.keys())) {
+      this._removeIndicator(key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _addIndicator(key) {
+    const config = INDICATOR_CONFIG[key];
+    const series = {};
+
+    for (const [lineKey, style] of Object.entries(config.lines)) {
+      series[lineKey] = this._chart.addSeries(LineSeries, {
+        color: style.color,
+        lineWidth: style.lineWidth,
+        lineStyle: style.lineStyle,
+        priceLineVisible: false,
+        lastValueVisible: false,
+        crosshairMarkerVisible: false,
+        title: lineKey === 'lower' ? '' : config.title,
+      });
+    }
+
+    this._indicators.set(key, { states: [], series });
+    this._recompute(key);
+  }
+
+  /**
+   * @private
+   */
+  _removeIndicator(key) {
+    const indicator = this._indicators.get(key);
+    if (!indicator) return;
+
+    for (const series of Object.values(indicator.series)) {
+      this._chart.removeSeries(series);
+    }
+    this._indicators.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  _recompute(key) {
+    const indicator = this._indicators.get(key);
+    const config = INDICATOR_CONFIG[key];
+    const calculator = CALCULATORS[config.type];
+
+    indicator.states = computeIndicator(key, this._bars);
+
+    const lineData = {};
+    for (const lineKey of Object.keys(config.lines)) {
+      lineData[lineKey] = [];
+    }
+
+    this._bars.forEach((bar, i) => {
+      const outputs = calculator.outputs(indicator.states[i], config);
+      for (const lineKey of Object.keys(config.lines)) {
+        lineData[lineKey].push(toPoint(bar.time, outputs[lineKey]));
+      }
+    });
+
+    for (const [lineKey, series] of Object.entries(indicator.series)) {
+      series.setData(lineData[lineKey]);
+    }
+  }
+}
+
+/**
+ * Parse an indicator list from a data attribute ("vwap,ema9" or a JSON array)
+ * @param {string|undefined} value - Raw attribute value
+ * @returns {Array<string>} Known indicator keys
+ */
+export function parseIndicatorList(value) {
+  if (value === undefined || value === null) {
+    return DEFAULT_INDICATORS.slice();
+  }
+
+  let keys;
+  try {
+    keys = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+  } catch (e) {
+    console.warn('Indicators: Failed to parse indicator list', e);
+    return DEFAULT_INDICATORS.slice();
+  }
+
+  return keys.map(key => String(key).trim()).filter(key => INDICATOR_CONFIG[key]);
+}
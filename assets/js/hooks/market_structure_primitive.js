@@ -0,0 +1,228 @@
+/**
+ * MarketStructurePrimitive - Draws market structure annotations
+ *
+ * Renders:
+ * - Swing labels (HH/LH above swing highs, HL/LL below swing lows)
+ * - Break of Structure (BOS) and Change of Character (ChoCh) lines, drawn
+ *   horizontally at the broken swing's price from the swing to the breaking bar
+ * - A trend bias badge in the top-right corner of the pane
+ *
+ * Times (`time`, `swingTime`, `breakTime`) must be in chart (local) time, matching candle times.
+ */
+
+const STRUCTURE_COLORS = {
+  bullish: '#10b981',  // green-500
+  bearish: '#ef4444',  // red-500
+  ranging: '#a1a1aa',  // zinc-400
+  swingLabel: '#d4d4d8', // zinc-300
+  badgeBackground: 'rgba(24, 24, 27, 0.85)', // zinc-900
+  badgeBorder: '#3f3f46', // zinc-700
+};
+
+// Swing labels colored by what they imply for the trend
+const SWING_LABEL_COLORS = {
+  HH: STRUCTURE_COLORS.bullish,
+  HL: STRUCTURE_COLORS.bullish,
+  LH: STRUCTURE_COLORS.bearish,
+  LL: STRUCTURE_COLORS.bearish,
+};
+
+const BREAK_LABELS = {
+  bos: 'BOS',
+  choch: 'ChoCh',
+};
+
+const STATE_LABELS = {
+  strong_bullish: 'Bullish · strong',
+  weak_bullish: 'Bullish · weak',
+  strong_bearish: 'Bearish · strong',
+  weak_bearish: 'Bearish · weak',
+  ranging: 'Ranging',
+};
+
+// Vertical gap between a swing's wick and its label
+const LABEL_OFFSET = 8;
+
+export class MarketStructurePrimitive {
+  constructor() {
+    this._swings = [];
+    this._breaks = [];
+    this._trend = null;
+    this._state = null;
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+    this._paneView = new MarketStructurePaneView(this);
+  }
+
+  attached({ chart, series, requestUpdate }) {
+    this._chart = chart;
+    this._series = series;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+  }
+
+  /**
+   * Replace the structure annotations
+   * @param {Object} structure
+   * @param {Array} structure.swings - Array of { time, price, type ('high'|'low'), label }
+   * @param {Array} structure.breaks - Array of { kind ('bos'|'choch'), direction, price, swingTime, breakTime }
+   * @param {string} structure.trend - bullish, bearish, ranging
+   * @param {string} structure.state - strong_bullish, weak_bullish, strong_bearish, weak_bearish, ranging
+   */
+  setStructure({ swings, breaks, trend, state }) {
+    this._swings = swings || [];
+    this._breaks = breaks || [];
+    this._trend = trend || null;
+    this._state = state || null;
+
+    if (this._requestUpdate) this._requestUpdate();
+  }
+
+  getSwings() {
+    return this._swings;
+  }
+
+  getBreaks() {
+    return this._breaks;
+  }
+
+  getTrend() {
+    return this._trend;
+  }
+
+  getState() {
+    return this._state;
+  }
+
+  getChart() {
+    return this._chart;
+  }
+
+  getSeries() {
+    return this._series;
+  }
+
+  updateAllViews() {}
+
+  paneViews() {
+    return [this._paneView];
+  }
+}
+
+class MarketStructurePaneView {
+  constructor(source) {
+    this._source = source;
+  }
+
+  zOrder() {
+    return 'top';
+  }
+
+  renderer() {
+    return {
+      draw: (target) => {
+        const chart = this._source.getChart();
+        const series = this._source.getSeries();
+        if (!chart || !series) return;
+
+        target.useMediaCoordinateSpace((scope) => {
+          const ctx = scope.context;
+          const timeScale = chart.timeScale();
+
+          ctx.save();
+          ctx.font = '10px sans-serif';
+
+          for (const structureBreak of this._source.getBreaks()) {
+            this._drawBreak(ctx, structureBreak, timeScale, series);
+          }
+
+          for (const swing of this._source.getSwings()) {
+            this._drawSwingLabel(ctx, swing, timeScale, series);
+          }
+
+          this._drawBiasBadge(ctx, scope.mediaSize);
+
+          ctx.restore();
+        });
+      },
+    };
+  }
+
+  _drawBreak(ctx, structureBreak, timeScale, series) {
+    const startX = timeScale.timeToCoordinate(structureBreak.swingTime);
+    const endX = timeScale.timeToCoordinate(structureBreak.breakTime);
+    const y = series.priceToCoordinate(structureBreak.price);
+    if (startX === null || endX === null || y === null || endX <= startX) return;
+
+    const color = STRUCTURE_COLORS[structureBreak.direction] || STRUCTURE_COLORS.ranging;
+
+    // BOS solid, ChoCh dashed to flag the reversal
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.setLineDash(structureBreak.kind === 'choch' ? [4, 3] : []);
+    ctx.beginPath();
+    ctx.moveTo(startX, y);
+    ctx.lineTo(endX, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Label centered on the line - above for bullish breaks, below for bearish
+    const label = BREAK_LABELS[structureBreak.kind] || structureBreak.kind;
+    const textWidth = ctx.measureText(label).width;
+    ctx.fillStyle = color;
+    ctx.textBaseline = structureBreak.direction === 'bullish' ? 'bottom' : 'top';
+    ctx.fillText(label, (startX + endX) / 2 - textWidth / 2, structureBreak.direction === 'bullish' ? y - 2 : y + 2);
+  }
+
+  _drawSwingLabel(ctx, swing, timeScale, series) {
+    const x = timeScale.timeToCoordinate(swing.time);
+    const y = series.priceToCoordinate(swing.price);
+    if (x === null || y === null) return;
+
+    const isHigh = swing.type === 'high';
+    const textWidth = ctx.measureText(swing.label).width;
+
+    ctx.fillStyle = SWING_LABEL_COLORS[swing.label] || STRUCTURE_COLORS.swingLabel;
+    ctx.textBaseline = isHigh ? 'bottom' : 'top';
+    ctx.fillText(swing.label, x - textWidth / 2, isHigh ? y - LABEL_OFFSET : y + LABEL_OFFSET);
+  }
+
+  _drawBiasBadge(ctx, mediaSize) {
+    const state = this._source.getState();
+    const trend = this._source.getTrend();
+    if (!state || !trend) return;
+
+    const text = STATE_LABELS[state] || state;
+    const color = STRUCTURE_COLORS[trend] || STRUCTURE_COLORS.ranging;
+
+    ctx.font = '11px sans-serif';
+    const padding = 6;
+    const dotSize = 6;
+    const width = ctx.measureText(text).width + padding * 3 + dotSize;
+    const height = 20;
+    const x = mediaSize.width - width - 8;
+    const y = 8;
+
+    ctx.fillStyle = STRUCTURE_COLORS.badgeBackground;
+    ctx.strokeStyle = STRUCTURE_COLORS.badgeBorder;
+    ctx.lineWidth = 1;
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeRect(x, y, width, height);
+
+    // Colored dot for the bias direction
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x + padding + dotSize / 2, y + height / 2, dotSize / 2, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, x + padding * 2 + dotSize, y + height / 2);
+  }
+}
@@ -0,0 +1,504 @@
+import {
+  NEGATIVE_RGB,
+  POSITIVE_RGB,
+  EMPTY_CELL_COLOR,
+  SELECT_CLASS,
+  LABEL_CLASS,
+  mix,
+  createTooltip,
+  showTooltip,
+  moveTooltip,
+  hideTooltip,
+} from './heatmap_utils';
+
+/**
+ * OptimizationHeatmap - A metric over two parameters of an optimization grid
+ *
+ * Features:
+ * - Metric picker (profit factor, Sharpe, win rate, net P&L)
+ * - Any two grid parameters on the X/Y axes
+ * - Sliders for the remaining parameters (one value each)
+ * - Neighborhood averaging to favor robust regions over single lucky cells
+ * - Cells below the run's minimum trade count are dimmed
+ * - Hover tooltip per cell; click pushes 'load_run' with the cell's result id
+ *
+ * Expects data-results as [{ id, parameters, window_index, total_trades, metrics }].
+ * Walk-forward runs have one result per window for each parameter set - cells
+ * average them.
+ */
+
+const METRICS = {
+  profit_factor: { label: 'Profit factor', neutral: 1, format: (v) => v.toFixed(2) },
+  sharpe_ratio: { label: 'Sharpe', neutral: 0, format: (v) => v.toFixed(2) },
+  win_rate: { label: 'Win rate', neutral: null, format: (v) => `${v.toFixed(1)}%` },
+  net_profit: {
+    label: 'Net P&L',
+    neutral: 0,
+    format: (v) => v.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 }),
+  },
+};
+
+const DEFAULT_METRIC = 'profit_factor';
+
+/**
+ * Sort parameter values numerically when they are numbers (or numeric strings)
+ */
+function compareValues(a, b) {
+  const x = parseFloat(a);
+  const y = parseFloat(b);
+  if (!isNaN(x) && !isNaN(y)) return x - y;
+  return String(a).localeCompare(String(b));
+}
+
+function formatParamName(name) {
+  return name.replace(/_/g, ' ');
+}
+
+/**
+ * Group results by parameter set (averaging walk-forward windows)
+ * @returns {Object} { dimensions: [{ name, values }], cells: Map(key -> cell) }
+ */
+function buildGrid(results) {
+  const valuesByParam = new Map();
+  for (const result of results) {
+    for (const [name, value] of Object.entries(result.parameters || {})) {
+      if (!valuesByParam.has(name)) valuesByParam.set(name, new Set());
+      valuesByParam.get(name).add(String(value));
+    }
+  }
+
+  // Parameters with a single value are not dimensions of the sweep
+  const dimensions = Array.from(valuesByParam, ([name, values]) => ({
+    name,
+    values: Array.from(values).sort(compareValues),
+  }))
+    .filter(dimension => dimension.values.length > 1)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const cells = new Map();
+  for (const result of results) {
+    const key = cellKey(dimensions, result.parameters || {});
+    if (!cells.has(key)) {
+      cells.set(key, { parameters: result.parameters || {}, results: [] });
+    }
+    cells.get(key).results.push(result);
+  }
+
+  return { dimensions, cells };
+}
+
+function cellKey(dimensions, parameters) {
+  return dimensions.map(dimension => `${dimension.name}=${parameters[dimension.name]}`).join('&');
+}
+
+/**
+ * Average a metric over a cell's results (windows with no value are skipped)
+ */
+function cellMetric(cell, metric) {
+  const values = cell.results
+    .map(result => result.metrics && result.metrics[metric])
+    .filter(value => value !== null && value !== undefined);
+
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function cellTrades(cell) {
+  return cell.results.reduce((sum, result) => sum + (result.total_trades || 0), 0) / cell.results.length;
+}
+
+/**
+ * Cell background for a value given the metric's range
+ */
+function cellColor(value, { min, max, neutral }) {
+  if (value === null) return EMPTY_CELL_COLOR;
+
+  if (neutral === null) {
+    // Sequential scale
+    const t = max > min ? (value - min) / (max - min) : 1;
+    return mix(POSITIVE_RGB, 0.15 + 0.85 * t);
+  }
+
+  if (value >= neutral) {
+    const t = max > neutral ? (value - neutral) / (max - neutral) : 1;
+    return mix(POSITIVE_RGB, 0.15 + 0.85 * Math.min(1, t));
+  }
+
+  const t = min < neutral ? (neutral - value) / (neutral - min) : 1;
+  return mix(NEGATIVE_RGB, 0.15 + 0.85 * Math.min(1, t));
+}
+
+export const OptimizationHeatmap = {
+  mounted() {
+    this.metric = METRICS[this.el.dataset.metric] ? this.el.dataset.metric : DEFAULT_METRIC;
+    this.xParam = null;
+    this.yParam = null;
+    this.sliderValues = {};
+    this.smooth = false;
+
+    this.el.classList.add('relative');
+    this.loadResults();
+    this.render();
+  },
+
+  updated() {
+    this.loadResults();
+    this.render();
+  },
+
+  loadResults() {
+    let results = [];
+    try {
+      results = JSON.parse(this.el.dataset.results || '[]');
+    } catch (e) {
+      console.error('OptimizationHeatmap: Failed to parse results:', e);
+    }
+
+    this.minTrades = parseInt(this.el.dataset.minTrades || '0', 10) || 0;
+    this.grid = buildGrid(Array.isArray(results) ? results : []);
+
+    // Keep the chosen axes when they still exist, otherwise take the first two dimensions
+    const names = this.grid.dimensions.map(dimension => dimension.name);
+    if (!names.includes(this.xParam)) this.xParam = names[0] || null;
+    if (!names.includes(this.yParam) || this.yParam === this.xParam) {
+      this.yParam = names.find(name => name !== this.xParam) || null;
+    }
+
+    for (const dimension of this.grid.dimensions) {
+      if (!dimension.values.includes(this.sliderValues[dimension.name])) {
+        this.sliderValues[dimension.name] = dimension.values[0];
+      }
+    }
+  },
+
+  render() {
+    hideTooltip(this.tooltip);
+
+    if (this.grid.dimensions.length === 0) {
+      this.el.replaceChildren(this.createMessage('The parameter grid has a single combination - nothing to map.'));
+      return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'space-y-3';
+    container.append(this.createControls(), ...this.createSliders(), this.createHeatmap(), this.createScale());
+
+    this.tooltip = createTooltip();
+
+    this.el.replaceChildren(container, this.tooltip);
+  },
+
+  createMessage(text) {
+    const message = document.createElement('div');
+    message.className = 'text-zinc-500 text-center py-8 text-sm';
+    message.textContent = text;
+    return message;
+  },
+
+  createSelect(label, options, selected, onChange) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'flex items-center gap-2';
+
+    const text = document.createElement('span');
+    text.className = LABEL_CLASS;
+    text.textContent = label;
+
+    const select = document.createElement('select');
+    select.className = SELECT_CLASS;
+    for (const [value, name] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = name;
+      option.selected = value === selected;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => onChange(select.value));
+
+    wrapper.append(text, select);
+    return wrapper;
+  },
+
+  createControls() {
+    const controls = document.createElement('div');
+    controls.className = 'flex flex-wrap items-center gap-4';
+
+    const paramOptions = this.grid.dimensions.map(dimension => [dimension.name, formatParamName(dimension.name)]);
+
+    controls.appendChild(this.createSelect('Metric', Object.entries(METRICS).map(([key, metric]) => [key, metric.label]), this.metric, (value) => {
+      this.metric = value;
+      this.render();
+    }));
+
+    controls.appendChild(this.createSelect('X', paramOptions, this.xParam, (value) => {
+      if (value === this.yParam) this.yParam = this.xParam;
+      this.xParam = value;
+      this.render();
+    }));
+
+    if (this.grid.dimensions.length > 1) {
+      controls.appendChild(this.createSelect('Y', paramOptions, this.yParam, (value) => {
+        if (value === this.xParam) this.xParam = this.yParam;
+        this.yParam = value;
+        this.render();
+      }));
+    }
+
+    const smooth = document.createElement('button');
+    smooth.type = 'button';
+    smooth.title = 'Average each cell with its neighbors to show robust regions';
+    smooth.textContent = 'Neighbor avg';
+    smooth.className = `px-2 py-1 text-xs font-medium rounded-lg border border-zinc-700 transition-colors ${
+      this.smooth ? 'bg-zinc-700 text-white' : 'text-zinc-400 hover:text-white hover:bg-zinc-700'
+    }`;
+    smooth.addEventListener('click', () => {
+      this.smooth = !this.smooth;
+      this.render();
+    });
+    controls.appendChild(smooth);
+
+    return controls;
+  },
+
+  /**
+   * One slider per parameter that is not on an axis
+   */
+  createSliders() {
+    return this.grid.dimensions
+      .filter(dimension => dimension.name !== this.xParam && dimension.name !== this.yParam)
+      .map(dimension => {
+        const row = document.createElement('label');
+        row.className = 'flex items-center gap-3';
+
+        const name = document.createElement('span');
+        name.className = `${LABEL_CLASS} w-40 truncate`;
+        name.textContent = formatParamName(dimension.name);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = String(dimension.values.length - 1);
+        slider.step = '1';
+        slider.value = String(dimension.values.indexOf(this.sliderValues[dimension.name]));
+        slider.className = 'w-48 accent-purple-500';
+
+        const value = document.createElement('span');
+        value.className = 'text-xs text-white font-mono';
+        value.textContent = this.sliderValues[dimension.name];
+
+        slider.addEventListener('input', () => {
+          this.sliderValues[dimension.name] = dimension.values[parseInt(slider.value, 10)];
+          value.textContent = this.sliderValues[dimension.name];
+          this.renderHeatmapOnly();
+        });
+
+        row.append(name, slider, value);
+        return row;
+      });
+  },
+
+  renderHeatmapOnly() {
+    hideTooltip(this.tooltip);
+    const heatmap = this.el.querySelector('[data-heatmap-grid]');
+    const scale = this.el.querySelector('[data-heatmap-scale]');
+    if (heatmap) heatmap.replaceWith(this.createHeatmap());
+    if (scale) scale.replaceWith(this.createScale());
+  },
+
+  /**
+   * Cells of the current slice as rows (Y) of columns (X)
+   * @returns {Array<Array<{ cell, value }>>}
+   */
+  sliceCells() {
+    const xValues = this.dimensionValues(this.xParam);
+    const yValues = this.yParam ? this.dimensionValues(this.yParam) : [null];
+
+    const rows = yValues.map(yValue => xValues.map(xValue => {
+      const parameters = { ...this.sliderValues, [this.xParam]: xValue };
+      if (this.yParam) parameters[this.yParam] = yValue;
+
+      const cell = this.grid.cells.get(cellKey(this.grid.dimensions, parameters)) || null;
+      return { cell, value: cell ? cellMetric(cell, this.metric) : null };
+    }));
+
+    if (!this.smooth) return rows;
+
+    // Average of the 3x3 neighborhood (cells with values only)
+    return rows.map((row, y) => row.map((entry, x) => {
+      if (entry.value === null) return entry;
+
+      let sum = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbor = rows[y + dy] && rows[y + dy][x + dx];
+          if (neighbor && neighbor.value !== null) {
+            sum += neighbor.value;
+            count += 1;
+          }
+        }
+      }
+
+      return { ...entry, raw: entry.value, value: sum / count };
+    }));
+  },
+
+  dimensionValues(name) {
+    const dimension = this.grid.dimensions.find(d => d.name === name);
+    return dimension ? dimension.values : [];
+  },
+
+  /**
+   * Metric range over every cell (not just this slice) so colors stay
+   * comparable while moving the sliders
+   */
+  metricRange() {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const cell of this.grid.cells.values()) {
+      const value = cellMetric(cell, this.metric);
+      if (value === null) continue;
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+
+    return { min, max, neutral: METRICS[this.metric].neutral };
+  },
+
+  createHeatmap() {
+    const xValues = this.dimensionValues(this.xParam);
+    const rows = this.sliceCells();
+    const range = this.metricRange();
+    const metric = METRICS[this.metric];
+
+    const wrapper = document.createElement('div');
+    wrapper.dataset.heatmapGrid = '';
+    wrapper.className = 'overflow-x-auto';
+
+    const grid = document.createElement('div');
+    grid.className = 'inline-grid gap-1 text-xs';
+    grid.style.gridTemplateColumns = `auto repeat(${xValues.length}, minmax(4rem, 1fr))`;
+
+    // Header row: Y axis name, then X values
+    const corner = document.createElement('div');
+    corner.className = 'text-zinc-500 pr-2 self-end';
+    corner.textContent = this.yParam ? `${formatParamName(this.yParam)} ↓ / ${formatParamName(this.xParam)} →` : `${formatParamName(this.xParam)} →`;
+    grid.appendChild(corner);
+
+    for (const xValue of xValues) {
+      const header = document.createElement('div');
+      header.className = 'text-center text-zinc-400 font-mono';
+      header.textContent = xValue;
+      grid.appendChild(header);
+    }
+
+    const yValues = this.yParam ? this.dimensionValues(this.yParam) : [null];
+    rows.forEach((row, y) => {
+      const label = document.createElement('div');
+      label.className = 'text-right text-zinc-400 font-mono pr-2 self-center';
+      label.textContent = yValues[y] ?? '';
+      grid.appendChild(label);
+
+      row.forEach((entry, x) => {
+        const cell = document.createElement('div');
+        const thin = entry.cell && cellTrades(entry.cell) < this.minTrades;
+
+        cell.className = [
+          'h-10 rounded flex items-center justify-center font-mono transition-shadow',
+          entry.cell ? 'cursor-pointer hover:ring-2 hover:ring-white/60' : '',
+          thin ? 'opacity-40' : '',
+        ].join(' ');
+        cell.style.backgroundColor = cellColor(entry.value, range);
+        cell.style.color = entry.value === null ? '#71717a' : '#fafafa';
+        cell.textContent = entry.value === null ? '–' : metric.format(entry.value);
+
+        if (entry.cell) {
+          cell.addEventListener('mouseenter', (e) => this.showCellTooltip(e, entry, xValues[x], yValues[y]));
+          cell.addEventListener('mousemove', (e) => moveTooltip(this.tooltip, e));
+          cell.addEventListener('mouseleave', () => hideTooltip(this.tooltip));
+          cell.addEventListener('click', () => {
+            this.pushEvent('load_run', { result_id: entry.cell.results[0].id });
+          });
+        }
+
+        grid.appendChild(cell);
+      });
+    });
+
+    wrapper.appendChild(grid);
+    return wrapper;
+  },
+
+  /**
+   * Color scale legend (min / neutral / max of the metric)
+   */
+  createScale() {
+    const { min, max, neutral } = this.metricRange();
+    const metric = METRICS[this.metric];
+
+    const scale = document.createElement('div');
+    scale.dataset.heatmapScale = '';
+    scale.className = 'flex items-center gap-2 text-xs text-zinc-500';
+    if (!isFinite(min)) return scale;
+
+    const bar = document.createElement('div');
+    bar.className = 'h-2 w-48 rounded';
+    const stops = neutral === null
+      ? [cellColor(min, { min, max, neutral }), cellColor(max, { min, max, neutral })]
+      : [cellColor(min, { min, max, neutral }), EMPTY_CELL_COLOR, cellColor(max, { min, max, neutral })];
+    bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+
+    const low = document.createElement('span');
+    low.className = 'font-mono';
+    low.textContent = metric.format(min);
+    const high = document.createElement('span');
+    high.className = 'font-mono';
+    high.textContent = metric.format(max);
+
+    scale.append(low, bar, high);
+
+    if (this.minTrades > 0) {
+      const note = document.createElement('span');
+      note.className = 'ml-4';
+      note.textContent = `Dimmed: fewer than ${this.minTrades} trades`;
+      scale.appendChild(note);
+    }
+
+    return scale;
+  },
+
+  showCellTooltip(event, entry, xValue, yValue) {
+    const metric = METRICS[this.metric];
+    const lines = [];
+
+    const params = [`${formatParamName(this.xParam)}: ${xValue}`];
+    if (this.yParam) params.push(`${formatParamName(this.yParam)}: ${yValue}`);
+    lines.push({ text: params.join(' · '), className: 'text-zinc-200' });
+
+    if (entry.value !== null) {
+      lines.push({ text: `${metric.label}: ${metric.format(entry.value)}${this.smooth ? ' (neighbor avg)' : ''}`, className: 'text-white' });
+      if (this.smooth && entry.raw !== undefined) {
+        lines.push({ text: `Cell: ${metric.format(entry.raw)}`, className: 'text-zinc-400' });
+      }
+    }
+
+    // Every metric for this cell
+    for (const [key, other] of Object.entries(METRICS)) {
+      if (key === this.metric) continue;
+      const value = cellMetric(entry.cell, key);
+      if (value !== null) lines.push({ text: `${other.label}: ${other.format(value)}`, className: 'text-zinc-400' });
+    }
+
+    const trades = cellTrades(entry.cell);
+    lines.push({
+      text: `Trades: ${Math.round(trades)}${entry.cell.results.length > 1 ? ` avg over ${entry.cell.results.length} windows` : ''}`,
+      className: trades < this.minTrades ? 'text-amber-400' : 'text-zinc-400',
+    });
+    lines.push({ text: 'Click to load equity curve', className: 'text-zinc-500' });
+
+    showTooltip(this.tooltip, event, lines);
+  },
+
+  destroyed() {
+    this.el.replaceChildren();
+  }
+};
@@ -0,0 +1,444 @@
+import { createOptionsChart, BaselineSeries, LineSeries } from 'lightweight-charts';
+import { TradeScatterPrimitive } from './trade_scatter_primitive';
+
+/**
+ * OptionPayoffChart - Risk profile of a long call or put across underlying prices
+ *
+ * Features:
+ * - P&L at expiry (solid, green above zero / red below)
+ * - Current theoretical P&L (dashed), Black-Scholes at the mark time with the
+ *   implied volatility solved from the mark's premium (or data IV when given)
+ * - Breakeven, max loss and the current underlying price marked
+ * - Contracts stepper, starting from the sized position, rescales the P&L
+ *
+ * Expects data-payoff as { contract_symbol, contract_type, strike, expiration,
+ * premium, contracts, breakeven, max_loss, underlying_price, iv?, stop_loss?,
+ * take_profit?, mark: { time, underlying_price, premium } } with prices per share
+ * and mark.time in unix seconds.
+ */
+
+const CONTRACT_MULTIPLIER = 100;
+const RISK_FREE_RATE = 0.04;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// Expiring contracts stop trading at the 4:00 PM ET close (20:00 UTC during DST)
+const EXPIRY_HOUR_UTC = 20;
+
+const GRID_STEPS = 200;
+
+const EXPIRY_UP_COLOR = '#22c55e';   // green-500
+const EXPIRY_DOWN_COLOR = '#ef4444'; // red-500
+const THEO_COLOR = '#38bdf8';        // sky-400
+
+const STEPPER_BUTTON_CLASS = 'w-6 h-6 rounded bg-zinc-800 text-zinc-300 hover:bg-zinc-700 hover:text-white transition-colors';
+
+function formatCurrency(value) {
+  const sign = value < 0 ? '-' : '';
+  return `${sign}$${Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+}
+
+function formatSignedCurrency(value) {
+  return `${value >= 0 ? '+' : ''}${formatCurrency(value)}`;
+}
+
+function formatPrice(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+function formatSignedPercent(price, reference) {
+  const change = ((price - reference) / reference) * 100;
+  return `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+const PNL_FORMAT = { type: 'custom', formatter: (value) => formatCurrency(value), minMove: 1 };
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+function normCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const poly = ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t;
+  const erf = 1 - poly * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function intrinsic(type, price, strike) {
+  return type === 'call' ? Math.max(0, price - strike) : Math.max(0, strike - price);
+}
+
+/**
+ * Black-Scholes value per share (no dividends)
+ */
+function blackScholes(type, price, strike, years, sigma) {
+  if (years <= 0 || sigma <= 0) return intrinsic(type, price, strike);
+
+  const sqrtT = Math.sqrt(years);
+  const d1 = (Math.log(price / strike) + (RISK_FREE_RATE + (sigma * sigma) / 2) * years) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const discount = Math.exp(-RISK_FREE_RATE * years);
+
+  return type === 'call'
+    ? price * normCdf(d1) - strike * discount * normCdf(d2)
+    : strike * discount * normCdf(-d2) - price * normCdf(-d1);
+}
+
+/**
+ * Volatility that prices the option at premium, by bisection.
+ * Returns null when no volatility in range does (e.g. premium under intrinsic).
+ */
+function impliedVolatility(type, premium, price, strike, years) {
+  let low = 0.01;
+  let high = 5;
+  if (blackScholes(type, price, strike, years, low) > premium) return null;
+  if (blackScholes(type, price, strike, years, high) < premium) return null;
+
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (blackScholes(type, price, strike, years, mid) > premium) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+function expiryTime(expiration) {
+  const [year, month, day] = expiration.split('-').map(Number);
+  return Date.UTC(year, month - 1, day, EXPIRY_HOUR_UTC) / 1000;
+}
+
+function parseValue(val) {
+  if (val === null || val === undefined) return null;
+  const num = typeof val === 'number' ? val : parseFloat(val);
+  return Number.isFinite(num) ? num : null;
+}
+
+function parsePayoff(raw) {
+  if (!raw) return null;
+
+  const strike = parseValue(raw.strike);
+  const premium = parseValue(raw.premium);
+  const price = parseValue(raw.underlying_price);
+  if (strike === null || premium === null || price === null || !raw.expiration) return null;
+
+  const type = raw.contract_type === 'put' ? 'put' : 'call';
+  const mark = raw.mark || {};
+
+  return {
+    symbol: raw.contract_symbol || '',
+    type,
+    strike,
+    premium,
+    price,
+    expiration: raw.expiration,
+    contracts: Math.max(1, parseInt(raw.contracts, 10) || 1),
+    breakeven: parseValue(raw.breakeven) ?? (type === 'call' ? strike + premium : strike - premium),
+    iv: parseValue(raw.iv),
+    stopLoss: parseValue(raw.stop_loss),
+    takeProfit: parseValue(raw.take_profit),
+    mark: {
+      time: parseValue(mark.time) ?? Date.now() / 1000,
+      price: parseValue(mark.underlying_price) ?? price,
+      premium: parseValue(mark.premium) ?? premium,
+    },
+  };
+}
+
+export const OptionPayoffChart = {
+  mounted() {
+    this.el.classList.add('relative');
+
+    this.header = document.createElement('div');
+    this.header.className = 'flex flex-wrap items-center gap-x-4 gap-y-2 mb-2 text-xs';
+
+    this.chartEl = document.createElement('div');
+    this.chartEl.className = 'w-full';
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'absolute z-20 hidden pointer-events-none px-2 py-1 bg-zinc-900/95 border border-zinc-700 rounded text-xs font-mono whitespace-nowrap';
+
+    this.el.replaceChildren(this.header, this.chartEl, this.tooltip);
+
+    this.resizeObserver = new ResizeObserver(entries => {
+      if (entries.length === 0 || !entries[0].target || !this.chart) return;
+      const { width } = entries[0].contentRect;
+      if (width > 0) {
+        this.chart.applyOptions({ width });
+      }
+    });
+    this.resizeObserver.observe(this.chartEl);
+
+    this.loadPayoff();
+    this.render();
+  },
+
+  updated() {
+    this.loadPayoff();
+    this.render();
+  },
+
+  loadPayoff() {
+    let raw = null;
+    try {
+      raw = JSON.parse(this.el.dataset.payoff || 'null');
+    } catch (e) {
+      console.error('OptionPayoffChart: Failed to parse payoff:', e);
+    }
+
+    this.payoff = parsePayoff(raw);
+    this.contracts = this.payoff ? this.payoff.contracts : 1;
+
+    if (this.payoff) {
+      const { type, strike, mark, expiration, iv } = this.payoff;
+      this.years = Math.max(60, expiryTime(expiration) - mark.time) / SECONDS_PER_YEAR;
+      this.sigma = iv ?? impliedVolatility(type, mark.premium, mark.price, strike, this.years);
+    }
+  },
+
+  // P&L per share
+
+  expiryPnl(price) {
+    const { type, strike, premium } = this.payoff;
+    return intrinsic(type, price, strike) - premium;
+  },
+
+  theoreticalPnl(price) {
+    const { type, strike, premium } = this.payoff;
+    return blackScholes(type, price, strike, this.years, this.sigma) - premium;
+  },
+
+  /**
+   * Underlying price range: centered on the current price and wide enough for
+   * the strike, breakeven and the signal's stop/target
+   */
+  priceRange() {
+    const { price, strike, breakeven, stopLoss, takeProfit } = this.payoff;
+    const anchors = [strike, breakeven, stopLoss, takeProfit].filter(value => value !== null);
+    const spread = 1.5 * Math.max(price * 0.04, ...anchors.map(value => Math.abs(value - price)));
+    const low = Math.max(0.01, price - spread);
+    const high = price + spread;
+    return { low, step: (high - low) / GRID_STEPS };
+  },
+
+  render() {
+    this.destroyChart();
+    this.hideTooltip();
+
+    if (!this.payoff) {
+      this.header.replaceChildren();
+      this.chartEl.innerHTML = '<div class="text-zinc-500 text-center py-8 text-sm">No options position to chart</div>';
+      return;
+    }
+
+    this.renderHeader();
+    this.chartEl.replaceChildren();
+
+    try {
+      this.chart = createOptionsChart(this.chartEl, this.chartOptions());
+      this.renderSeries();
+      this.subscribeTooltip();
+    } catch (e) {
+      console.error('OptionPayoffChart: Failed to create chart:', e);
+      this.chartEl.innerHTML = '<div class="text-zinc-500 text-center py-8">Failed to create chart</div>';
+    }
+  },
+
+  renderHeader() {
+    const { symbol, type, strike, expiration, premium, breakeven } = this.payoff;
+    const multiplier = this.contracts * CONTRACT_MULTIPLIER;
+
+    const contract = document.createElement('span');
+    contract.className = 'font-mono text-sky-300';
+    contract.textContent = symbol;
+
+    const terms = document.createElement('span');
+    terms.className = 'text-zinc-400';
+    terms.textContent = `${formatPrice(strike)} ${type === 'call' ? 'Call' : 'Put'} · exp ${expiration} · ${formatPrice(premium)} premium`;
+
+    // Contracts stepper
+    const stepper = document.createElement('span');
+    stepper.className = 'flex items-center gap-1';
+    const makeButton = (label, delta) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = STEPPER_BUTTON_CLASS;
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.contracts = Math.max(1, this.contracts + delta);
+        this.render();
+      });
+      return button;
+    };
+    const count = document.createElement('span');
+    count.className = 'font-mono text-white min-w-[4.5rem] text-center';
+    count.textContent = `${this.contracts} contract${this.contracts === 1 ? '' : 's'}`;
+    stepper.append(makeButton('−', -1), count, makeButton('+', 1));
+
+    const risk = document.createElement('span');
+    risk.className = 'font-mono';
+    const maxLoss = document.createElement('span');
+    maxLoss.className = 'text-red-400';
+    maxLoss.textContent = `Max loss ${formatCurrency(premium * multiplier)}`;
+    const rest = document.createElement('span');
+    rest.className = 'text-zinc-400';
+    rest.textContent = ` · BE ${formatPrice(breakeven)}${this.sigma !== null ? ` · IV ${(this.sigma * 100).toFixed(1)}%` : ''}`;
+    risk.append(maxLoss, rest);
+
+    this.header.replaceChildren(contract, terms, stepper, risk);
+  },
+
+  chartOptions() {
+    return {
+      width: this.chartEl.clientWidth || 500,
+      height: parseInt(this.el.dataset.height || '220', 10),
+      layout: {
+        background: { color: '#18181b' },
+        textColor: '#a1a1aa',
+        attributionLogo: false,
+      },
+      // Horizontal labels are underlying prices
+      localization: { precision: 2 },
+      grid: {
+        vertLines: { color: '#27272a' },
+        horzLines: { color: '#27272a' },
+      },
+      crosshair: {
+        mode: 0,
+        vertLine: { color: '#71717a', width: 1, style: 3, labelBackgroundColor: '#3f3f46' },
+        horzLine: { color: '#71717a', width: 1, style: 3, labelBackgroundColor: '#3f3f46' },
+      },
+      rightPriceScale: {
+        borderColor: '#3f3f46',
+        scaleMargins: { top: 0.1, bottom: 0.1 },
+      },
+      timeScale: {
+        borderColor: '#3f3f46',
+      },
+      handleScroll: false,
+      handleScale: false,
+    };
+  },
+
+  renderSeries() {
+    const { price, premium, breakeven } = this.payoff;
+    const multiplier = this.contracts * CONTRACT_MULTIPLIER;
+    const { low, step } = this.priceRange();
+
+    const expiry = [];
+    const theoretical = [];
+    for (let i = 0; i <= GRID_STEPS; i++) {
+      const x = low + i * step;
+      expiry.push({ time: x, value: this.expiryPnl(x) * multiplier });
+      if (this.sigma !== null) {
+        theoretical.push({ time: x, value: this.theoreticalPnl(x) * multiplier });
+      }
+    }
+
+    this.expirySeries = this.chart.addSeries(BaselineSeries, {
+      baseValue: { type: 'price', price: 0 },
+      topLineColor: EXPIRY_UP_COLOR,
+      topFillColor1: 'rgba(34, 197, 94, 0.25)',
+      topFillColor2: 'rgba(34, 197, 94, 0.05)',
+      bottomLineColor: EXPIRY_DOWN_COLOR,
+      bottomFillColor1: 'rgba(239, 68, 68, 0.05)',
+      bottomFillColor2: 'rgba(239, 68, 68, 0.25)',
+      lineWidth: 2,
+      lastValueVisible: false,
+      priceLineVisible: false,
+      priceFormat: PNL_FORMAT,
+    });
+    this.expirySeries.setData(expiry);
+
+    this.theoreticalSeries = null;
+    if (theoretical.length > 0) {
+      this.theoreticalSeries = this.chart.addSeries(LineSeries, {
+        color: THEO_COLOR,
+        lineWidth: 2,
+        lineStyle: 2, // dashed
+        lastValueVisible: false,
+        priceLineVisible: false,
+        crosshairMarkerVisible: false,
+        priceFormat: PNL_FORMAT,
+      });
+      this.theoreticalSeries.setData(theoretical);
+    }
+
+    // Breakeven, current price and max loss guides, with the position now as a dot
+    const maxLoss = -premium * multiplier;
+    const now = this.sigma !== null ? this.theoreticalPnl(price) * multiplier : this.expiryPnl(price) * multiplier;
+
+    this.markers = new TradeScatterPrimitive();
+    this.expirySeries.attachPrimitive(this.markers);
+    this.markers.setData({
+      points: [{ id: 'now', x: price, y: now, color: THEO_COLOR }],
+      guides: [
+        { axis: 'x', value: breakeven, label: `BE ${formatPrice(breakeven)}` },
+        { axis: 'x', value: price, label: `Now ${formatPrice(price)}` },
+        { axis: 'y', value: maxLoss, label: `Max loss ${formatCurrency(maxLoss)}` },
+      ],
+      grid: { origin: low, step },
+    });
+
+    this.chart.timeScale().fitContent();
+  },
+
+  subscribeTooltip() {
+    const multiplier = this.contracts * CONTRACT_MULTIPLIER;
+
+    this._onCrosshairMove = (param) => {
+      if (!param.point || param.time === undefined) {
+        this.hideTooltip();
+        return;
+      }
+
+      const price = param.time;
+      const expiry = this.expiryPnl(price) * multiplier;
+      const lines = [
+        { text: `Underlying ${formatPrice(price)} (${formatSignedPercent(price, this.payoff.price)})`, className: 'text-zinc-200' },
+        { text: `At expiry: ${formatSignedCurrency(expiry)}`, className: expiry >= 0 ? 'text-green-400' : 'text-red-400' },
+      ];
+      if (this.sigma !== null) {
+        const theoretical = this.theoreticalPnl(price) * multiplier;
+        lines.push({ text: `Now (theo): ${formatSignedCurrency(theoretical)}`, className: 'text-sky-300' });
+      }
+
+      this.tooltip.replaceChildren(...lines.map(({ text, className }) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        return line;
+      }));
+      this.tooltip.classList.remove('hidden');
+
+      const left = Math.min(param.point.x + 12, this.el.clientWidth - this.tooltip.offsetWidth - 4);
+      this.tooltip.style.left = `${Math.max(left, 0)}px`;
+      this.tooltip.style.top = `${this.chartEl.offsetTop + param.point.y + 12}px`;
+    };
+    this.chart.subscribeCrosshairMove(this._onCrosshairMove);
+  },
+
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.classList.add('hidden');
+    }
+  },
+
+  destroyChart() {
+    if (!this.chart) return;
+
+    if (this._onCrosshairMove) {
+      this.chart.unsubscribeCrosshairMove(this._onCrosshairMove);
+      this._onCrosshairMove = null;
+    }
+    this.chart.remove();
+    this.chart = null;
+    this.markers = null;
+  },
+
+  destroyed() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    this.destroyChart();
+  }
+};
@@ -0,0 +1,334 @@
+import { isChartControlEvent } from './drawing_tools';
+
+/**
+ * Order Lines - Draggable entry, stop loss and take profit lines
+ *
+ * Makes the price lines of active signals (entry, stop and target) and open
+ * positions (stop and target - the entry is filled) draggable. While a line
+ * is dragged a readout next to it shows the price, reward:risk and the dollar
+ * risk (for the position size when known, else per share). Hold Shift while
+ * dragging to snap to the nearest key level.
+ *
+ * On release the new prices are validated client-side - tick size, stop and
+ * target on the correct side of the entry, and for open positions on the
+ * correct side of the last price - before onModify is called. Invalid moves
+ * snap back and the readout shows why.
+ */
+
+const READOUT_COLORS = {
+  valid: '#fafafa',   // zinc-50
+  invalid: '#f87171', // red-400
+};
+
+// Pixel distance within which the cursor "hits" a line
+const HIT_TOLERANCE = 5;
+
+// Pixel distance within which Shift-dragging snaps to a key level
+const SNAP_DISTANCE = 12;
+
+// How long a rejected move's reason stays on screen
+const ERROR_DISPLAY_MS = 2500;
+
+const LINE_LABELS = { entry: 'Entry', stop: 'SL', target: 'TP' };
+
+/**
+ * Check a set of order prices before they are sent to the server
+ * @param {Object} order - { direction, filled }
+ * @param {Object} prices - { entry, stop, target } (target may be null)
+ * @param {number|null} lastPrice - Last traded price (checked for filled orders)
+ * @param {number} tickSize - Minimum price increment
+ * @returns {string|null} Reason the prices are invalid, or null
+ */
+function validateOrder(order, prices, lastPrice, tickSize) {
+  const { entry, stop, target } = prices;
+  const defined = [entry, stop, target].filter(price => price !== null && price !== undefined);
+
+  if (defined.some(price => !Number.isFinite(price) || price <= 0)) {
+    return 'Prices must be positive';
+  }
+
+  const offTick = defined.some(price => Math.abs(price / tickSize - Math.round(price / tickSize)) > 1e-6);
+  if (offTick) {
+    return `Prices must be multiples of ${tickSize}`;
+  }
+
+  const isLong = order.direction === 'long';
+  const below = (a, b) => (isLong ? a < b : a > b);
+  const side = isLong ? 'below' : 'above';
+  const otherSide = isLong ? 'above' : 'below';
+
+  if (order.filled) {
+    // Open position - the stop may trail past entry but not past the market
+    if (lastPrice !== null && !below(stop, lastPrice)) return `Stop must be ${side} the last price`;
+    if (target != null && lastPrice !== null && !below(lastPrice, target)) return `Target must be ${otherSide} the last price`;
+    if (target != null && !below(stop, target)) return `Target must be ${otherSide} the stop`;
+    return null;
+  }
+
+  if (!below(stop, entry)) return `Stop must be ${side} entry`;
+  if (target != null && !below(entry, target)) return `Target must be ${otherSide} entry`;
+  return null;
+}
+
+function formatMoney(value) {
+  return `$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * OrderLinesManager
+ * Adds drag handling to price lines owned by another manager (signal markers,
+ * trade lines) and reports modified prices
+ */
+export class OrderLinesManager {
+  /**
+   * @param {Object} chart - Lightweight Charts instance
+   * @param {Object} series - Series the price lines belong to
+   * @param {Object} options
+   * @param {Function} options.getLevels - Returns key levels for snapping ({ name: price })
+   * @param {Function} options.onModify - Called with (order, { entry, stop, target }) after a valid move
+   * @param {number} options.tickSize - Minimum price increment (default 0.01)
+   */
+  constructor(chart, series, { getLevels, onModify, tickSize = 0.01 }) {
+    this._chart = chart;
+    this._series = series;
+    this._getLevels = getLevels || (() => ({}));
+    this._onModify = onModify;
+    this._tickSize = tickSize;
+    this._orders = [];
+    this._drag = null;
+    this._hovering = false;
+    this._listeners = [];
+    this._readout = null;
+    this._errorTimer = null;
+  }
+
+  /**
+   * Start listening for mouse input on the chart container.
+   * Attach after the drawing tools: events they handle (preventDefault) are skipped.
+   * @param {HTMLElement} container - Element the chart was created in
+   */
+  attachTo(container) {
+    this._container = container;
+
+    this._readout = document.createElement('div');
+    this._readout.className = 'absolute z-20 hidden px-2 py-1 text-[11px] font-mono rounded bg-zinc-900/90 border border-zinc-700 pointer-events-none whitespace-nowrap';
+    container.appendChild(this._readout);
+
+    this._listen(container, 'mousedown', (e) => this._handleMouseDown(e), true);
+    this._listen(window, 'mousemove', (e) => this._handleMouseMove(e));
+    this._listen(window, 'mouseup', () => this._handleMouseUp());
+  }
+
+  /**
+   * Remove listeners and the readout
+   */
+  destroy() {
+    for (const { target, type, handler, capture } of this._listeners) {
+      target.removeEventListener(type, handler, capture);
+    }
+    this._listeners = [];
+    clearTimeout(this._errorTimer);
+    if (this._readout) {
+      this._readout.remove();
+      this._readout = null;
+    }
+    this._container = null;
+  }
+
+  /**
+   * Set the orders whose lines can be dragged
+   * @param {Array} orders - [{ id, direction, entry, stop, target, quantity, filled,
+   *   editable: ['entry', 'stop', 'target'], lines: { entry, stop, target } }]
+   */
+  setOrders(orders) {
+    // Lines are recreated by their owners, so an in-progress drag can't survive an update
+    if (this._drag) this._endDrag();
+    this._orders = (orders || []).map(order => ({
+      ...order,
+      entry: Number(order.entry),
+      stop: Number(order.stop),
+      target: order.target == null ? null : Number(order.target),
+    }));
+  }
+
+  // Input handling
+
+  _handleMouseDown(e) {
+    if (e.button !== 0 || e.defaultPrevented || isChartControlEvent(e)) return;
+
+    const pos = this._eventPosition(e);
+    if (!pos || !this._inMainPane(pos)) return;
+
+    const hit = this._hitTest(pos.y);
+    if (!hit) return;
+
+    this._drag = { ...hit, prices: { entry: hit.order.entry, stop: hit.order.stop, target: hit.order.target }, moved: false };
+    this._chart.applyOptions({ handleScroll: false, handleScale: false });
+    this._showReadout();
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  _handleMouseMove(e) {
+    const pos = this._eventPosition(e);
+    if (!pos) return;
+
+    if (!this._drag) {
+      this._updateHoverCursor(pos);
+      return;
+    }
+
+    const price = this._series.coordinateToPrice(pos.y);
+    if (price === null) return;
+
+    const snapped = e.shiftKey ? this._snap(pos.y) : null;
+    this._drag.prices[this._drag.kind] = this._roundToTick(snapped ?? price);
+    this._drag.moved = true;
+
+    this._drag.order.lines[this._drag.kind].applyOptions({ price: this._drag.prices[this._drag.kind] });
+    this._showReadout();
+  }
+
+  _handleMouseUp() {
+    if (!this._drag) return;
+
+    const { order, kind, prices, moved } = this._drag;
+    this._endDrag();
+    if (!moved) {
+      this._hideReadout();
+      return;
+    }
+
+    const error = validateOrder(order, prices, this._lastPrice(), this._tickSize);
+    if (error) {
+      // Snap back to the last accepted price
+      order.lines[kind].applyOptions({ price: order[kind] });
+      this._showError(error, order[kind]);
+      return;
+    }
+
+    this._hideReadout();
+    Object.assign(order, prices);
+    if (this._onModify) this._onModify(order, { ...prices });
+  }
+
+  _endDrag() {
+    this._drag = null;
+    this._chart.applyOptions({ handleScroll: true, handleScale: true });
+  }
+
+  _updateHoverCursor(pos) {
+    if (!this._container) return;
+
+    const hovering = this._inMainPane(pos) && this._hitTest(pos.y) !== null;
+    if (hovering === this._hovering) return;
+
+    // Leave the cursor alone while a drawing tool owns it
+    if (hovering && this._container.style.cursor) return;
+
+    this._hovering = hovering;
+    this._container.style.cursor = hovering ? 'ns-resize' : '';
+  }
+
+  _hitTest(y) {
+    for (const order of this._orders) {
+      for (const kind of order.editable || []) {
+        const price = order[kind];
+        if (price == null || !order.lines[kind]) continue;
+
+        const lineY = this._series.priceToCoordinate(price);
+        if (lineY !== null && Math.abs(lineY - y) <= HIT_TOLERANCE) {
+          return { order, kind };
+        }
+      }
+    }
+    return null;
+  }
+
+  // Readout
+
+  _showReadout() {
+    const { order, kind, prices } = this._drag;
+    const error = validateOrder(order, prices, this._lastPrice(), this._tickSize);
+    const risk = order.direction === 'long' ? prices.entry - prices.stop : prices.stop - prices.entry;
+    const reward = prices.target == null ? null : Math.abs(prices.target - prices.entry);
+
+    const parts = [`${LINE_LABELS[kind]} ${prices[kind].toFixed(2)}`];
+    parts.push(`R:R ${risk > 0 && reward !== null ? (reward / risk).toFixed(2) : '—'}`);
+
+    if (order.quantity) {
+      const amount = risk * order.quantity;
+      parts.push(amount >= 0 ? `Risk ${formatMoney(amount)}` : `Locked ${formatMoney(amount)}`);
+    } else {
+      parts.push(`Risk ${formatMoney(risk)}/sh`);
+    }
+
+    if (error) parts.push(error);
+
+    this._renderReadout(parts.join(' · '), prices[kind], error !== null);
+  }
+
+  _showError(message, price) {
+    this._renderReadout(message, price, true);
+    clearTimeout(this._errorTimer);
+    this._errorTimer = setTimeout(() => this._hideReadout(), ERROR_DISPLAY_MS);
+  }
+
+  _renderReadout(text, price, invalid) {
+    if (!this._readout) return;
+
+    const y = this._series.priceToCoordinate(price);
+    clearTimeout(this._errorTimer);
+    this._readout.textContent = text;
+    this._readout.style.color = invalid ? READOUT_COLORS.invalid : READOUT_COLORS.valid;
+    this._readout.style.right = `${this._chart.priceScale('right').width() + 8}px`;
+    this._readout.style.top = `${Math.max(0, (y ?? 0) - 28)}px`;
+    this._readout.classList.remove('hidden');
+  }
+
+  _hideReadout() {
+    if (this._readout) this._readout.classList.add('hidden');
+  }
+
+  // Prices
+
+  _snap(y) {
+    let best = null;
+
+    for (const price of Object.values(this._getLevels())) {
+      const levelY = this._series.priceToCoordinate(Number(price));
+      const distance = levelY === null ? Infinity : Math.abs(levelY - y);
+      if (distance <= SNAP_DISTANCE && (!best || distance < best.distance)) {
+        best = { price: Number(price), distance };
+      }
+    }
+
+    return best ? best.price : null;
+  }
+
+  _roundToTick(price) {
+    return Number((Math.round(price / this._tickSize) * this._tickSize).toFixed(8));
+  }
+
+  _lastPrice() {
+    const data = this._series.data();
+    return data.length > 0 ? data[data.length - 1].close : null;
+  }
+
+  // Helpers
+
+  _inMainPane({ x, y }) {
+    return x < this._chart.timeScale().width() && y >= 0 && y < this._chart.panes()[0].getHeight();
+  }
+
+  _eventPosition(e) {
+    if (!this._container) return null;
+    const rect = this._container.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  _listen(target, type, handler, capture = false) {
+    target.addEventListener(type, handler, capture);
+    this._listeners.push({ target, type, handler, capture });
+  }
+}
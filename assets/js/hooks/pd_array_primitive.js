@@ -0,0 +1,282 @@
+/**
+ * PdArrayPrimitive - Draws Fair Value Gap and Order Block zones
+ *
+ * Each zone is a box starting at its first candle and extending right:
+ * - Untouched zones extend to the right edge of the chart
+ * - Partially filled zones keep extending, with the filled portion faded and a dashed border
+ * - Mitigated zones stop at the mitigating candle and are drawn faded with a dotted border
+ *
+ * Mitigation follows the backend rules (lib/signal/technicals/pd_arrays):
+ * - FVG: fully filled when a wick trades through the far side of the gap
+ * - Order block: mitigated when a candle closes through the far side of the block
+ *
+ * Zone times (`time`, `activeFrom`) must be in chart (local) time, matching candle times.
+ */
+
+// Zone colors by direction
+const ZONE_COLORS = {
+  bullish: { r: 16, g: 185, b: 129 },  // green-500
+  bearish: { r: 239, g: 68, b: 68 },   // red-500
+};
+
+// Fill/border opacity by zone state
+const STATE_STYLES = {
+  fresh: { fill: 0.18, border: 0.7, dash: [] },
+  partial: { fill: 0.12, border: 0.6, dash: [4, 3] },
+  mitigated: { fill: 0.05, border: 0.3, dash: [1, 3] },
+};
+
+const KIND_LABELS = {
+  fvg: 'FVG',
+  order_block: 'OB',
+};
+
+function rgba({ r, g, b }, alpha) {
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Apply one candle to a zone's fill state
+ * @param {Object} zone - { kind, direction, top, bottom, activeFrom }
+ * @param {Object} state - { depth (0-1), mitigatedAt (time|null) }
+ * @param {Object} bar - { time, high, low, close }
+ * @returns {Object} New state
+ */
+function applyBar(zone, state, bar) {
+  if (state.mitigatedAt !== null || bar.time <= zone.activeFrom) {
+    return state;
+  }
+
+  const size = zone.top - zone.bottom;
+  const isBullish = zone.direction === 'bullish';
+
+  // Bullish zones are filled from the top down, bearish zones from the bottom up
+  const penetration = isBullish ? zone.top - bar.low : bar.high - zone.bottom;
+  const depth = size > 0 ? Math.min(1, Math.max(0, penetration / size)) : (penetration >= 0 ? 1 : 0);
+
+  let mitigated;
+  if (zone.kind === 'order_block') {
+    mitigated = isBullish ? bar.close < zone.bottom : bar.close > zone.top;
+  } else {
+    mitigated = isBullish ? bar.low <= zone.bottom : bar.high >= zone.top;
+  }
+
+  return {
+    depth: mitigated ? 1 : Math.max(state.depth, depth),
+    mitigatedAt: mitigated ? bar.time : null,
+  };
+}
+
+const EMPTY_STATE = { depth: 0, mitigatedAt: null };
+
+export class PdArrayPrimitive {
+  constructor() {
+    this._zones = [];
+    this._bars = [];
+    this._settled = new Map(); // zone id -> state from all bars except the last (still forming) one
+    this._states = new Map();  // zone id -> state including the last bar
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+    this._paneView = new PdArrayPaneView(this);
+  }
+
+  attached({ chart, series, requestUpdate }) {
+    this._chart = chart;
+    this._series = series;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+  }
+
+  /**
+   * Replace all zones
+   * @param {Array} zones - Array of { id, kind, direction, top, bottom, time, activeFrom }
+   */
+  setZones(zones) {
+    this._zones = (zones || []).slice().sort((a, b) => a.time - b.time);
+    this._recompute();
+  }
+
+  /**
+   * Replace the candles used to evaluate fills
+   * @param {Array} bars - Array of { time, open, high, low, close } in ascending time order
+   */
+  setBars(bars) {
+    this._bars = bars.slice();
+    this._recompute();
+  }
+
+  /**
+   * Apply a real-time candle update (replaces the last candle or appends a new one)
+   * @param {Object} bar - { time, open, high, low, close }
+   */
+  updateBar(bar) {
+    const last = this._bars[this._bars.length - 1];
+    if (last && bar.time < last.time) return;
+
+    if (last && bar.time === last.time) {
+      this._bars[this._bars.length - 1] = bar;
+    } else {
+      // The previous candle is complete - fold it into the settled state
+      if (last) {
+        for (const zone of this._zones) {
+          this._settled.set(zone.id, applyBar(zone, this._settled.get(zone.id) || EMPTY_STATE, last));
+        }
+      }
+      this._bars.push(bar);
+    }
+
+    for (const zone of this._zones) {
+      this._states.set(zone.id, applyBar(zone, this._settled.get(zone.id) || EMPTY_STATE, bar));
+    }
+
+    this._update();
+  }
+
+  /**
+   * Get zones with their current fill state for rendering
+   * @returns {Array} Array of { zone, state, status }
+   */
+  getRenderZones() {
+    const result = [];
+
+    for (const zone of this._zones) {
+      const state = this._states.get(zone.id) || EMPTY_STATE;
+      const status = state.mitigatedAt !== null ? 'mitigated' : state.depth > 0 ? 'partial' : 'fresh';
+      result.push({ zone, state, status });
+    }
+
+    return result;
+  }
+
+  getChart() {
+    return this._chart;
+  }
+
+  getSeries() {
+    return this._series;
+  }
+
+  updateAllViews() {}
+
+  paneViews() {
+    return [this._paneView];
+  }
+
+  /**
+   * @private
+   */
+  _recompute() {
+    this._settled.clear();
+    this._states.clear();
+
+    const lastIndex = this._bars.length - 1;
+
+    for (const zone of this._zones) {
+      let state = EMPTY_STATE;
+      for (let i = 0; i < lastIndex && state.mitigatedAt === null; i++) {
+        state = applyBar(zone, state, this._bars[i]);
+      }
+
+      this._settled.set(zone.id, state);
+      this._states.set(zone.id, lastIndex >= 0 ? applyBar(zone, state, this._bars[lastIndex]) : state);
+    }
+
+    this._update();
+  }
+
+  /**
+   * @private
+   */
+  _update() {
+    if (this._requestUpdate) this._requestUpdate();
+  }
+}
+
+class PdArrayPaneView {
+  constructor(source) {
+    this._source = source;
+  }
+
+  zOrder() {
+    return 'bottom';
+  }
+
+  renderer() {
+    return {
+      draw: (target) => {
+        const chart = this._source.getChart();
+        const series = this._source.getSeries();
+        if (!chart || !series) return;
+
+        const zones = this._source.getRenderZones();
+        if (zones.length === 0) return;
+
+        target.useMediaCoordinateSpace((scope) => {
+          const ctx = scope.context;
+          const timeScale = chart.timeScale();
+
+          ctx.save();
+          for (const { zone, state, status } of zones) {
+            this._drawZone(ctx, zone, state, status, timeScale, series, scope.mediaSize);
+          }
+          ctx.restore();
+        });
+      },
+    };
+  }
+
+  _drawZone(ctx, zone, state, status, timeScale, series, mediaSize) {
+    const startX = timeScale.timeToCoordinate(zone.time);
+    if (startX === null) return;
+
+    // Extend right until mitigated
+    let endX = mediaSize.width;
+    if (state.mitigatedAt !== null) {
+      const mitigatedX = timeScale.timeToCoordinate(state.mitigatedAt);
+      if (mitigatedX !== null) endX = mitigatedX;
+    }
+    if (endX <= startX) return;
+
+    const topY = series.priceToCoordinate(zone.top);
+    const bottomY = series.priceToCoordinate(zone.bottom);
+    if (topY === null || bottomY === null) return;
+
+    const color = ZONE_COLORS[zone.direction] || ZONE_COLORS.bullish;
+    const style = STATE_STYLES[status];
+    const width = endX - startX;
+    const height = Math.max(1, bottomY - topY);
+
+    // Zone body
+    ctx.fillStyle = rgba(color, style.fill);
+    ctx.fillRect(startX, topY, width, height);
+
+    // Filled portion of a partially filled zone is faded out
+    if (status === 'partial') {
+      const filledHeight = height * state.depth;
+      const filledY = zone.direction === 'bullish' ? topY : bottomY - filledHeight;
+      ctx.fillStyle = 'rgba(24, 24, 27, 0.45)'; // zinc-900 overlay
+      ctx.fillRect(startX, filledY, width, filledHeight);
+    }
+
+    // Border
+    ctx.strokeStyle = rgba(color, style.border);
+    ctx.lineWidth = 1;
+    ctx.setLineDash(style.dash);
+    ctx.strokeRect(startX, topY, width, height);
+    ctx.setLineDash([]);
+
+    // Label in the top-left corner (only if there's room)
+    if (height >= 10 && width >= 24) {
+      ctx.fillStyle = rgba(color, Math.min(1, style.border + 0.2));
+      ctx.font = '10px sans-serif';
+      ctx.textBaseline = 'top';
+      ctx.fillText(KIND_LABELS[zone.kind] || zone.kind, startX + 3, topY + 2);
+    }
+  }
+}
@@ -0,0 +1,693 @@
+import { isChartControlEvent } from './drawing_tools';
+
+/**
+ * Position Tool - Long/short position size and risk calculator drawn on the chart
+ *
+ * Arm the tool with the Long or Short button, then press on the chart to set
+ * the entry and drag to set the stop (a plain click uses a 0.5% stop); the
+ * target starts at 2R. Afterwards the entry, stop and target edges can be
+ * dragged and the box moved by its body; click it and press Delete to remove it.
+ *
+ * The box is drawn like TradeZonePrimitive's zones (red risk, green reward)
+ * and labelled with:
+ * - shares sized from the account size and % risk, plus option contracts when
+ *   a premium is known (sized on the premium, as Signal.Options.PositionSizer does)
+ * - dollar risk and R:R
+ * - distance from the entry to the nearest key level
+ *
+ * Account size and % risk default to data-position-sizing (the :position_sizing
+ * config, which signal option payoffs are sized with too). Changes made in the
+ * toolbar are remembered per browser and override those defaults. Times are
+ * chart (local) times.
+ */
+
+const TOOL_COLORS = {
+  risk: 'rgba(239, 68, 68, 0.15)',     // red-500
+  reward: 'rgba(16, 185, 129, 0.15)',  // green-500
+  stop: '#ef4444',                     // red-500
+  target: '#10b981',                   // green-500
+  entry: '#d4d4d8',                    // zinc-300
+  text: '#fafafa',                     // zinc-50
+  muted: '#a1a1aa',                    // zinc-400
+  labelBackground: 'rgba(24, 24, 27, 0.85)', // zinc-900
+};
+
+// Box width in bars from the entry bar
+const BOX_WIDTH_BARS = 20;
+
+const DEFAULT_TARGET_R = 2;
+
+// Stop distance (fraction of entry) when the entry is placed without a drag
+const DEFAULT_STOP_FRACTION = 0.005;
+
+const CONTRACT_MULTIPLIER = 100;
+const TICK_SIZE = 0.01;
+
+// Pixel distance within which the cursor "hits" an edge of the box
+const HIT_TOLERANCE = 5;
+
+const STORAGE_KEY = 'PositionTool:sizing';
+
+function roundToTick(price) {
+  return Number((Math.round(price / TICK_SIZE) * TICK_SIZE).toFixed(8));
+}
+
+function formatMoney(value) {
+  return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : '-'}${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Size a position from its prices and the account settings
+ * @param {Object} position - { direction, entry, stop, target, premium }
+ * @param {Object} sizing - { accountSize, riskPercentage }
+ * @param {Object} levels - Key levels ({ name: price })
+ */
+function calculatePosition(position, sizing, levels) {
+  const { entry, stop, target, premium } = position;
+  const risk = Math.abs(entry - stop);
+  const reward = Math.abs(target - entry);
+  const budget = sizing.accountSize * sizing.riskPercentage;
+
+  const shares = risk > 0 ? Math.floor(budget / risk) : 0;
+  const contracts = premium > 0 ? Math.floor(budget / (premium * CONTRACT_MULTIPLIER)) : null;
+
+  let nearestLevel = null;
+  for (const [name, price] of Object.entries(levels || {})) {
+    const distance = Number(price) - entry;
+    if (!nearestLevel || Math.abs(distance) < Math.abs(nearestLevel.distance)) {
+      nearestLevel = { name, price: Number(price), distance };
+    }
+  }
+
+  return {
+    risk,
+    reward,
+    rr: risk > 0 ? reward / risk : null,
+    shares,
+    dollarRisk: shares * risk,
+    contracts,
+    contractRisk: contracts === null ? null : contracts * premium * CONTRACT_MULTIPLIER,
+    nearestLevel,
+  };
+}
+
+/**
+ * Parse data-position-sizing ({ account_size, risk_percentage }) into tool sizing
+ * @param {string} json - Attribute value (defaults come from the :position_sizing config)
+ * @returns {Object} { accountSize, riskPercentage } (0 when missing, until set in the toolbar)
+ */
+export function parsePositionSizing(json) {
+  try {
+    const { account_size, risk_percentage } = JSON.parse(json || '{}') || {};
+    return {
+      accountSize: Number(account_size) || 0,
+      riskPercentage: Number(risk_percentage) || 0,
+    };
+  } catch (e) {
+    console.warn('PositionTool: Invalid sizing', e);
+    return { accountSize: 0, riskPercentage: 0 };
+  }
+}
+
+function loadSizing(defaults) {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    return saved ? { ...defaults, ...saved } : defaults;
+  } catch (e) {
+    console.warn('PositionTool: Failed to load sizing', e);
+    return defaults;
+  }
+}
+
+/**
+ * Position Tool View - renders the risk/reward box and its labels
+ */
+class PositionToolPaneView {
+  constructor(source) {
+    this._source = source;
+  }
+
+  renderer() {
+    return {
+      draw: (target) => {
+        const box = this._source.getBox();
+        if (!box) return;
+
+        target.useMediaCoordinateSpace((scope) => {
+          const ctx = scope.context;
+          ctx.save();
+          this._drawZones(ctx, box);
+          this._drawLabels(ctx, box);
+          ctx.restore();
+        });
+      },
+    };
+  }
+
+  _drawZones(ctx, box) {
+    const { left, right, entryY, stopY, targetY } = box;
+    const width = right - left;
+
+    ctx.fillStyle = TOOL_COLORS.risk;
+    ctx.fillRect(left, Math.min(entryY, stopY), width, Math.abs(stopY - entryY));
+    ctx.fillStyle = TOOL_COLORS.reward;
+    ctx.fillRect(left, Math.min(entryY, targetY), width, Math.abs(targetY - entryY));
+
+    const edges = [[stopY, TOOL_COLORS.stop], [targetY, TOOL_COLORS.target], [entryY, TOOL_COLORS.entry]];
+    ctx.lineWidth = 1;
+    for (const [y, color] of edges) {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(left, y);
+      ctx.lineTo(right, y);
+      ctx.stroke();
+
+      // Drag handles at the left end of each edge while selected
+      if (box.selected) {
+        ctx.fillStyle = color;
+        ctx.fillRect(left - 3, y - 3, 6, 6);
+      }
+    }
+  }
+
+  _drawLabels(ctx, box) {
+    const { left, entryY, stopY, targetY, position, stats } = box;
+    const entry = position.entry;
+    const percent = (value) => `${((value / entry) * 100).toFixed(2)}%`;
+
+    ctx.font = '11px ui-monospace, SFMono-Regular, Menlo, monospace';
+    ctx.textBaseline = 'middle';
+
+    // Target and stop labels sit just inside their edge of the box
+    const inside = (edgeY) => edgeY + (edgeY < entryY ? 9 : -9);
+    const rr = stats.rr === null ? '—' : `${stats.rr.toFixed(2)}R`;
+    ctx.fillStyle = TOOL_COLORS.target;
+    ctx.fillText(`Target ${position.target.toFixed(2)}  ${formatSigned(position.target - entry)} (${percent(stats.reward)})  ${rr}`, left + 6, inside(targetY));
+    ctx.fillStyle = TOOL_COLORS.stop;
+    ctx.fillText(`Stop ${position.stop.toFixed(2)}  ${formatSigned(position.stop - entry)} (${percent(stats.risk)})`, left + 6, inside(stopY));
+
+    // Summary at the entry edge
+    const lines = [
+      `${position.direction === 'long' ? 'LONG' : 'SHORT'} ${stats.shares.toLocaleString('en-US')} sh @ ${entry.toFixed(2)}  Risk ${formatMoney(stats.dollarRisk)}  R:R ${stats.rr === null ? '—' : stats.rr.toFixed(2)}`,
+    ];
+    if (stats.contracts !== null) {
+      lines.push(`${stats.contracts} contracts @ ${position.premium.toFixed(2)}  Risk ${formatMoney(stats.contractRisk)}`);
+    }
+    if (stats.nearestLevel) {
+      const { name, price, distance } = stats.nearestLevel;
+      lines.push(`${name.toUpperCase()} ${price.toFixed(2)}  ${formatSigned(distance)} from entry`);
+    }
+
+    const lineHeight = 15;
+    const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+    const height = lines.length * lineHeight + 6;
+    const top = entryY - height / 2;
+
+    ctx.fillStyle = TOOL_COLORS.labelBackground;
+    ctx.fillRect(left + 6, top, width, height);
+
+    lines.forEach((line, i) => {
+      ctx.fillStyle = i === 0 ? TOOL_COLORS.text : TOOL_COLORS.muted;
+      ctx.fillText(line, left + 12, top + 3 + lineHeight * (i + 0.5));
+    });
+  }
+}
+
+/**
+ * Position Tool Primitive
+ * Attach to the candlestick series, then call attachTo(container) for input
+ */
+export class PositionToolPrimitive {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getLevels - Returns key levels ({ name: price })
+   * @param {Object} options.sizing - Default { accountSize, riskPercentage } (overridden by saved settings)
+   */
+  constructor({ getLevels, sizing } = {}) {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+    this._getLevels = getLevels || (() => ({}));
+    this._sizing = loadSizing({ accountSize: 0, riskPercentage: 0, ...sizing });
+    this._position = null;
+    this._mode = null;
+    this._creating = null;
+    this._drag = null;
+    this._selected = false;
+    this._focused = false;
+    this._listeners = [];
+    this._modeListeners = [];
+    this._paneView = new PositionToolPaneView(this);
+  }
+
+  attached({ chart, series, requestUpdate }) {
+    this._chart = chart;
+    this._series = series;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+  }
+
+  paneViews() {
+    return [this._paneView];
+  }
+
+  updateAllViews() {}
+
+  /**
+   * Start listening for mouse and keyboard input on the chart container
+   * @param {HTMLElement} container - Element the chart was created in
+   */
+  attachTo(container) {
+    this._container = container;
+
+    // Capture phase so placing and dragging the box take precedence over chart panning
+    this._listen(container, 'mousedown', (e) => this._handleMouseDown(e), true);
+    this._listen(window, 'mousemove', (e) => this._handleMouseMove(e));
+    this._listen(window, 'mouseup', () => this._handleMouseUp());
+    this._listen(window, 'keydown', (e) => this._handleKeyDown(e));
+    this._listen(document, 'mousedown', (e) => {
+      this._focused = container.contains(e.target);
+    });
+  }
+
+  /**
+   * Remove all listeners added by attachTo
+   */
+  destroy() {
+    for (const { target, type, handler, capture } of this._listeners) {
+      target.removeEventListener(type, handler, capture);
+    }
+    this._listeners = [];
+    this._modeListeners = [];
+    this._container = null;
+  }
+
+  /**
+   * Arm the tool for placing a position (null to disarm)
+   * @param {string|null} mode - long, short
+   */
+  setMode(mode) {
+    this._mode = mode === 'long' || mode === 'short' ? mode : null;
+    if (this._container) {
+      this._container.style.cursor = this._mode ? 'crosshair' : '';
+    }
+    this._modeListeners.forEach(listener => listener(this._mode));
+  }
+
+  getMode() {
+    return this._mode;
+  }
+
+  /**
+   * Subscribe to mode changes (used by the toolbar to highlight the armed side)
+   */
+  onModeChange(listener) {
+    this._modeListeners.push(listener);
+  }
+
+  /**
+   * Place a position directly (e.g. prefilled from a signal)
+   * @param {Object} position - { direction, time, entry, stop, target, premium }
+   */
+  setPosition(position) {
+    if (!position) {
+      this.clear();
+      return;
+    }
+
+    const entry = Number(position.entry);
+    const stop = Number(position.stop);
+    const risk = Math.abs(entry - stop);
+    const direction = position.direction === 'short' ? 'short' : 'long';
+    const sign = direction === 'long' ? 1 : -1;
+
+    this._position = {
+      direction,
+      time: position.time,
+      entry,
+      stop,
+      target: position.target != null ? Number(position.target) : roundToTick(entry + sign * risk * DEFAULT_TARGET_R),
+      premium: position.premium != null ? Number(position.premium) : null,
+    };
+    this._selected = false;
+    this._update();
+  }
+
+  getPosition() {
+    return this._position ? { ...this._position } : null;
+  }
+
+  clear() {
+    this._position = null;
+    this._creating = null;
+    this._drag = null;
+    this._selected = false;
+    this._update();
+  }
+
+  getSizing() {
+    return { ...this._sizing };
+  }
+
+  /**
+   * Change the account size and/or risk fraction (0.01 = 1%)
+   */
+  setSizing(sizing) {
+    this._sizing = { ...this._sizing, ...sizing };
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this._sizing));
+    } catch (e) {
+      console.warn('PositionTool: Failed to save sizing', e);
+    }
+    this._update();
+  }
+
+  /**
+   * Box coordinates and position stats for the renderer
+   */
+  getBox() {
+    if (!this._position || !this._chart || !this._series) return null;
+
+    const index = this._barIndexAtOrBefore(this._position.time);
+    if (index === null) return null;
+
+    const timeScale = this._chart.timeScale();
+    const left = timeScale.logicalToCoordinate(index);
+    const right = timeScale.logicalToCoordinate(index + BOX_WIDTH_BARS);
+    const entryY = this._series.priceToCoordinate(this._position.entry);
+    const stopY = this._series.priceToCoordinate(this._position.stop);
+    const targetY = this._series.priceToCoordinate(this._position.target);
+
+    if ([left, right, entryY, stopY, targetY].some(value => value === null)) return null;
+
+    return {
+      left,
+      right,
+      entryY,
+      stopY,
+      targetY,
+      position: this._position,
+      selected: this._selected,
+      stats: calculatePosition(this._position, this._sizing, this._getLevels()),
+    };
+  }
+
+  // Input handling
+
+  _handleMouseDown(e) {
+    if (e.button !== 0 || !this._chart || isChartControlEvent(e)) return;
+
+    // Clicking anywhere else on the chart deselects the box
+    const wasSelected = this._selected;
+    this._selected = false;
+
+    const pos = this._eventPosition(e);
+    if (e.defaultPrevented || !pos || !this._inMainPane(pos)) {
+      if (wasSelected) this._update();
+      return;
+    }
+
+    if (this._mode) {
+      const point = this._positionToPoint(pos);
+      if (!point) return;
+
+      this._position = {
+        direction: this._mode,
+        time: point.time,
+        entry: point.price,
+        stop: point.price,
+        target: point.price,
+        premium: null,
+      };
+      this._creating = true;
+      this._selected = true;
+      this._setChartInteraction(false);
+      this._stopEvent(e);
+      return;
+    }
+
+    const part = this._hitTest(pos);
+    if (!part) {
+      if (wasSelected) this._update();
+      return;
+    }
+
+    this._selected = true;
+    this._drag = {
+      part,
+      startX: pos.x,
+      startPrice: this._series.coordinateToPrice(pos.y),
+      startIndex: this._barIndexAtOrBefore(this._position.time),
+      original: { ...this._position },
+    };
+    this._setChartInteraction(false);
+    this._stopEvent(e);
+    this._update();
+  }
+
+  _handleMouseMove(e) {
+    if (!this._creating && !this._drag) return;
+
+    const pos = this._eventPosition(e);
+    const price = pos && this._series.coordinateToPrice(pos.y);
+    if (price === null || price === undefined) return;
+
+    if (this._creating) {
+      this._setRisk(Math.abs(price - this._position.entry));
+    } else {
+      this._dragTo(pos, price);
+    }
+
+    this._update();
+  }
+
+  _handleMouseUp() {
+    if (this._creating) {
+      // A plain click places a default stop
+      if (Math.abs(this._position.entry - this._position.stop) < TICK_SIZE) {
+        this._setRisk(this._position.entry * DEFAULT_STOP_FRACTION);
+      }
+      this._creating = null;
+      this._setChartInteraction(true);
+      this.setMode(null);
+      this._update();
+      return;
+    }
+
+    if (this._drag) {
+      this._drag = null;
+      this._setChartInteraction(true);
+    }
+  }
+
+  _handleKeyDown(e) {
+    if (!this._focused) return;
+
+    // Ignore keys typed into form fields
+    const tag = e.target && e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+    if (e.key === 'Escape' && this._mode) {
+      this.setMode(null);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && this._selected && !e.defaultPrevented) {
+      e.preventDefault();
+      this.clear();
+    }
+  }
+
+  // Editing
+
+  /**
+   * Set the stop at the given distance from entry, with the target at 2R
+   */
+  _setRisk(distance) {
+    const sign = this._position.direction === 'long' ? 1 : -1;
+    const risk = Math.max(roundToTick(distance), TICK_SIZE);
+
+    this._position.stop = roundToTick(this._position.entry - sign * risk);
+    this._position.target = roundToTick(this._position.entry + sign * risk * DEFAULT_TARGET_R);
+  }
+
+  _dragTo(pos, price) {
+    const { part, original } = this._drag;
+    const sign = original.direction === 'long' ? 1 : -1;
+    const position = this._position;
+    price = roundToTick(price);
+
+    if (part === 'body') {
+      // Move the whole box - prices by the cursor's price delta, time by whole bars
+      const delta = roundToTick(price - this._drag.startPrice);
+      position.entry = roundToTick(original.entry + delta);
+      position.stop = roundToTick(original.stop + delta);
+      position.target = roundToTick(original.target + delta);
+
+      const data = this._series.data();
+      const spacing = this._chart.timeScale().options().barSpacing;
+      const index = Math.round(this._drag.startIndex + (pos.x - this._drag.startX) / spacing);
+      if (index >= 0 && index < data.length) position.time = data[index].time;
+      return;
+    }
+
+    // Keep the stop on the risk side and the target on the reward side of the entry
+    if (part === 'stop') {
+      position.stop = sign * (position.entry - price) >= TICK_SIZE ? price : roundToTick(position.entry - sign * TICK_SIZE);
+    } else if (part === 'target') {
+      position.target = sign * (price - position.entry) >= TICK_SIZE ? price : roundToTick(position.entry + sign * TICK_SIZE);
+    } else if (sign * (price - position.stop) >= TICK_SIZE && sign * (position.target - price) >= TICK_SIZE) {
+      position.entry = price;
+    }
+  }
+
+  _hitTest({ x, y }) {
+    const box = this.getBox();
+    if (!box || x < box.left - HIT_TOLERANCE || x > box.right + HIT_TOLERANCE) return null;
+
+    for (const part of ['stop', 'target', 'entry']) {
+      if (Math.abs(box[`${part}Y`] - y) <= HIT_TOLERANCE) return part;
+    }
+
+    const top = Math.min(box.stopY, box.targetY);
+    const bottom = Math.max(box.stopY, box.targetY);
+    return y >= top && y <= bottom ? 'body' : null;
+  }
+
+  // Coordinate conversion
+
+  _barIndexAtOrBefore(time) {
+    const data = this._series.data();
+    if (data.length === 0 || time == null) return null;
+    if (time <= data[0].time) return 0;
+
+    let lo = 0;
+    let hi = data.length - 1;
+    if (time >= data[hi].time) return hi;
+
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (data[mid].time <= time) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  _positionToPoint({ x, y }) {
+    const data = this._series.data();
+    const logical = this._chart.timeScale().coordinateToLogical(x);
+    const price = this._series.coordinateToPrice(y);
+    if (data.length === 0 || logical === null || price === null) return null;
+
+    const index = Math.min(Math.max(Math.round(logical), 0), data.length - 1);
+    return { time: data[index].time, price: roundToTick(price) };
+  }
+
+  _inMainPane({ x, y }) {
+    return x < this._chart.timeScale().width() && y >= 0 && y < this._chart.panes()[0].getHeight();
+  }
+
+  _eventPosition(e) {
+    if (!this._container) return null;
+    const rect = this._container.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // Helpers
+
+  _setChartInteraction(enabled) {
+    if (!this._chart) return;
+    this._chart.applyOptions({ handleScroll: enabled, handleScale: enabled });
+  }
+
+  _stopEvent(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  _listen(target, type, handler, capture = false) {
+    target.addEventListener(type, handler, capture);
+    this._listeners.push({ target, type, handler, capture });
+  }
+
+  _update() {
+    if (this._requestUpdate) this._requestUpdate();
+  }
+}
+
+/**
+ * Create the position tool toolbar (Long / Short, account size, % risk, clear)
+ * @param {HTMLElement} container - Chart container element
+ * @param {PositionToolPrimitive} positionTool - Tool to control
+ * @param {string} position - Tailwind position classes for the toolbar
+ * @returns {HTMLElement} The toolbar element
+ */
+export function createPositionToolbar(container, positionTool, position = 'top-18 left-2') {
+  if (getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+
+  const toolbar = document.createElement('div');
+  toolbar.className = `absolute ${position} z-10 flex items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded-lg p-1`;
+  toolbar.dataset.chartToolbar = '';
+
+  const buttonClass = 'px-2 py-0.5 text-xs font-medium rounded transition-colors';
+  const inactiveClass = 'text-zinc-400 hover:text-white hover:bg-zinc-700';
+  const activeClasses = { long: 'text-zinc-900 bg-green-400', short: 'text-zinc-900 bg-red-400' };
+
+  const modeButtons = [['long', 'Long'], ['short', 'Short']].map(([mode, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.title = `${label} position (click entry, drag stop)`;
+    button.className = `${buttonClass} ${inactiveClass}`;
+    button.addEventListener('click', () => {
+      positionTool.setMode(positionTool.getMode() === mode ? null : mode);
+    });
+    toolbar.appendChild(button);
+    return { mode, button };
+  });
+
+  const sizing = positionTool.getSizing();
+  const input = (title, value, step, onChange) => {
+    const field = document.createElement('input');
+    field.type = 'number';
+    field.min = '0';
+    field.step = step;
+    field.value = value;
+    field.title = title;
+    field.className = 'w-20 px-1 py-0.5 text-xs font-mono text-zinc-200 bg-zinc-800 border border-zinc-700 rounded';
+    field.addEventListener('change', () => {
+      const parsed = parseFloat(field.value);
+      if (Number.isFinite(parsed) && parsed > 0) onChange(parsed);
+    });
+    toolbar.appendChild(field);
+    return field;
+  };
+
+  input('Account size ($)', sizing.accountSize, '1000', (accountSize) => positionTool.setSizing({ accountSize }));
+  input('Risk per trade (%)', sizing.riskPercentage * 100, '0.1', (percent) => positionTool.setSizing({ riskPercentage: percent / 100 }));
+
+  const clearButton = document.createElement('button');
+  clearButton.type = 'button';
+  clearButton.textContent = '✕';
+  clearButton.title = 'Remove position (Del)';
+  clearButton.className = `${buttonClass} ${inactiveClass}`;
+  clearButton.addEventListener('click', () => positionTool.clear());
+  toolbar.appendChild(clearButton);
+
+  positionTool.onModeChange((activeMode) => {
+    for (const { mode, button } of modeButtons) {
+      button.className = `${buttonClass} ${mode === activeMode ? activeClasses[mode] : inactiveClass}`;
+    }
+  });
+
+  container.appendChild(toolbar);
+  return toolbar;
+}
@@ -0,0 +1,571 @@
+import { isChartControlEvent } from './drawing_tools';
+
+/**
+ * Price Alerts - Client-side alerts drawn as draggable price lines
+ *
+ * Alerts are created by clicking the price axis or pressing Alt+A (at the
+ * crosshair price, or the last price when the cursor is off the chart), and
+ * moved by dragging their line. Double-click a line to switch its trigger
+ * between "touch" and "close"; select it and press Delete to remove it.
+ *
+ * Each alert watches one direction, set from where price is when the alert
+ * is placed: above price it fires on a cross up, below on a cross down.
+ * Restored alerts take their direction from the first price the chart shows,
+ * since price may have moved past them while the chart was closed.
+ * - touch: fires as soon as a trade reaches the level
+ * - close: fires when a candle of the chart's timeframe closes beyond it
+ *
+ * An alert dropped on a key level line (PDH, OR15H, ...) is attached to that
+ * level by name and follows it when the levels update. Alerts are one-shot:
+ * a triggered alert is removed. Active alerts are remembered per symbol in
+ * localStorage.
+ */
+
+// Alert line colors - sky so alerts stand apart from key levels and drawings
+const ALERT_COLORS = {
+  line: '#38bdf8',     // sky-400
+  selected: '#bae6fd', // sky-200
+};
+
+// Pixel distance within which the cursor "hits" an alert line
+const HIT_TOLERANCE = 5;
+
+// Pixel distance within which a dropped alert attaches to a key level
+const SNAP_DISTANCE = 6;
+
+const STORAGE_PREFIX = 'TradingChart:alerts:';
+
+let alertCounter = 0;
+
+function generateId() {
+  alertCounter += 1;
+  return `${Date.now().toString(36)}-${alertCounter}`;
+}
+
+/**
+ * Whether a move from one price range reaches the alert level
+ * @param {Object} alert - { price, direction }
+ * @param {number} high - Highest price seen
+ * @param {number} low - Lowest price seen
+ */
+function reaches(alert, high, low) {
+  return alert.direction === 'up' ? high >= alert.price : low <= alert.price;
+}
+
+/**
+ * Short two-tone chime played when an alert triggers
+ */
+function playChime(audioContext) {
+  if (!audioContext) return;
+
+  const start = audioContext.currentTime;
+  [880, 1320].forEach((frequency, i) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const at = start + i * 0.15;
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, at);
+    gain.gain.exponentialRampToValueAtTime(0.2, at + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.3);
+
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(at);
+    oscillator.stop(at + 0.32);
+  });
+}
+
+/**
+ * PriceAlertsManager
+ * Manages alert price lines on a candlestick series and checks them against
+ * incoming prices
+ */
+export class PriceAlertsManager {
+  /**
+   * @param {Object} chart - Lightweight Charts instance
+   * @param {Object} series - Candlestick series the alert lines are drawn on
+   * @param {Object} options
+   * @param {string} options.symbol - Symbol the alerts belong to (storage key and notification text)
+   * @param {Function} options.getLevels - Returns the current key levels ({ pdh: price, ... })
+   * @param {Function} options.onTrigger - Called with the alert and trigger details
+   */
+  constructor(chart, series, { symbol, getLevels, onTrigger }) {
+    this._chart = chart;
+    this._series = series;
+    this._symbol = symbol;
+    this._getLevels = getLevels || (() => ({}));
+    this._onTrigger = onTrigger;
+    this._alerts = [];
+    this._priceLines = new Map();
+    this._selectedId = null;
+    this._drag = null;
+    this._axisClick = null;
+    this._crosshairPrice = null;
+    this._focused = false;
+    this._hovering = false;
+    this._listeners = [];
+    this._audioContext = null;
+    this._restoredDirections = false;
+
+    this._crosshairHandler = (param) => {
+      const inMainPane = param.point && (param.paneIndex ?? 0) === 0;
+      this._crosshairPrice = inMainPane ? this._series.coordinateToPrice(param.point.y) : null;
+    };
+    this._chart.subscribeCrosshairMove(this._crosshairHandler);
+
+    this._load();
+  }
+
+  /**
+   * Start listening for mouse and keyboard input on the chart container.
+   * Attach after the drawing tools: events they handle (preventDefault) are skipped.
+   * @param {HTMLElement} container - Element the chart was created in
+   */
+  attachTo(container) {
+    this._container = container;
+
+    this._listen(container, 'mousedown', (e) => this._handleMouseDown(e), true);
+    this._listen(container, 'dblclick', (e) => this._handleDoubleClick(e), true);
+    this._listen(window, 'mousemove', (e) => this._handleMouseMove(e));
+    this._listen(window, 'mouseup', (e) => this._handleMouseUp(e));
+    this._listen(window, 'keydown', (e) => this._handleKeyDown(e));
+    this._listen(document, 'mousedown', (e) => {
+      this._focused = container.contains(e.target);
+    });
+  }
+
+  /**
+   * Remove listeners, price lines and the audio context
+   */
+  destroy() {
+    for (const { target, type, handler, capture } of this._listeners) {
+      target.removeEventListener(type, handler, capture);
+    }
+    this._listeners = [];
+    this._chart.unsubscribeCrosshairMove(this._crosshairHandler);
+    this._clearLines();
+    if (this._audioContext) {
+      this._audioContext.close();
+      this._audioContext = null;
+    }
+    this._container = null;
+  }
+
+  /**
+   * Active alerts
+   * @returns {Array} [{ id, price, direction, trigger, level }]
+   */
+  getAlerts() {
+    return this._alerts.map(alert => ({ ...alert }));
+  }
+
+  /**
+   * Add an alert at a price (attached to a key level when one is given or within snap distance)
+   * @param {number} price - Alert price
+   * @param {Object} options - { trigger: 'touch' | 'close', level: key level name }
+   * @returns {Object|null} The new alert
+   */
+  addAlert(price, { trigger = 'touch', level = null } = {}) {
+    const placed = level ? this._levelPlacement(level) : this._snap(price);
+    if (!placed) return null;
+
+    const alert = {
+      id: generateId(),
+      price: placed.price,
+      level: placed.level,
+      trigger,
+      direction: this._directionFor(placed.price),
+    };
+
+    this._alerts.push(alert);
+    this._selectedId = alert.id;
+    this._prepareNotifications();
+    this._changed();
+    return alert;
+  }
+
+  /**
+   * Remove an alert
+   * @param {string} id - Alert id
+   */
+  removeAlert(id) {
+    const before = this._alerts.length;
+    this._alerts = this._alerts.filter(alert => alert.id !== id);
+    if (this._alerts.length === before) return;
+
+    if (this._selectedId === id) this._selectedId = null;
+    this._changed();
+  }
+
+  /**
+   * Move alerts attached to key levels after the levels update
+   * @param {Object} levels - Key levels ({ pdh: price, ... })
+   */
+  setKeyLevels(levels) {
+    let moved = false;
+
+    for (const alert of this._alerts) {
+      const price = alert.level && levels[alert.level];
+      if (price == null || Number(price) === alert.price) continue;
+
+      alert.price = Number(price);
+      alert.direction = this._directionFor(alert.price);
+      moved = true;
+    }
+
+    if (moved) this._changed();
+  }
+
+  /**
+   * Set the direction of restored alerts from the current price - call once the series has data
+   */
+  refreshRestoredDirections() {
+    if (!this._restoredDirections || this._lastPrice() === null) return;
+
+    this._restoredDirections = false;
+    for (const alert of this._alerts) {
+      alert.direction = this._directionFor(alert.price);
+    }
+    this._changed();
+  }
+
+  /**
+   * Check touch alerts against the range traded since the last check
+   * @param {number} high - Highest price
+   * @param {number} low - Lowest price
+   * @param {number} time - UTC seconds of the price
+   */
+  checkTouch(high, low, time) {
+    this._check('touch', high, low, time);
+  }
+
+  /**
+   * Check close alerts against a completed candle
+   * @param {number} close - Candle close
+   * @param {number} time - UTC seconds of the candle
+   */
+  checkClose(close, time) {
+    this._check('close', close, close, time);
+  }
+
+  // Triggering
+
+  _check(trigger, high, low, time) {
+    this.refreshRestoredDirections();
+
+    const fired = this._alerts.filter(alert => alert.trigger === trigger && reaches(alert, high, low));
+    if (fired.length === 0) return;
+
+    this._alerts = this._alerts.filter(alert => !fired.includes(alert));
+    if (fired.some(alert => alert.id === this._selectedId)) this._selectedId = null;
+    this._changed();
+
+    for (const alert of fired) {
+      const price = alert.direction === 'up' ? high : low;
+      this._notify(alert, price);
+      if (this._onTrigger) this._onTrigger(alert, { price, time });
+    }
+  }
+
+  _notify(alert, price) {
+    const verb = alert.trigger === 'close'
+      ? (alert.direction === 'up' ? 'closed above' : 'closed below')
+      : (alert.direction === 'up' ? 'crossed above' : 'crossed below');
+    const level = alert.level ? ` (${alert.level.toUpperCase()})` : '';
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+      new Notification(`${this._symbol} price alert`, {
+        body: `${this._symbol} ${verb} ${alert.price.toFixed(2)}${level} at ${price.toFixed(2)}`,
+        tag: `${this._symbol}-${alert.id}`,
+      });
+    }
+
+    playChime(this._audioContext);
+  }
+
+  /**
+   * Ask for notification permission and unlock audio - called from a user gesture
+   */
+  _prepareNotifications() {
+    if ('Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!this._audioContext && AudioContextClass) {
+      this._audioContext = new AudioContextClass();
+    }
+  }
+
+  // Input handling
+
+  _handleMouseDown(e) {
+    if (e.button !== 0 || e.defaultPrevented || isChartControlEvent(e)) return;
+
+    const pos = this._eventPosition(e);
+    if (!pos || !this._inMainPane(pos.y)) return;
+
+    // Click on the price axis - creates an alert on release
+    if (pos.x >= this._paneWidth()) {
+      this._axisClick = pos;
+      return;
+    }
+
+    const hit = this._hitTest(pos.y);
+    if (hit) {
+      this._selectedId = hit.id;
+      this._drag = { id: hit.id, moved: false };
+      this._setChartInteraction(false);
+      this._render();
+      this._stopEvent(e);
+    } else if (this._selectedId) {
+      this._selectedId = null;
+      this._render();
+    }
+  }
+
+  _handleMouseMove(e) {
+    const pos = this._eventPosition(e);
+    if (!pos) return;
+
+    if (!this._drag) {
+      this._updateHoverCursor(pos);
+      return;
+    }
+
+    const alert = this._findAlert(this._drag.id);
+    const price = this._series.coordinateToPrice(pos.y);
+    if (!alert || price === null) return;
+
+    // Move the existing line while dragging - labels are redrawn on release
+    alert.price = this._roundPrice(price);
+    alert.level = null;
+    this._drag.moved = true;
+    this._priceLines.get(alert.id)?.applyOptions({ price: alert.price });
+  }
+
+  _handleMouseUp(e) {
+    if (this._axisClick) {
+      const pos = this._eventPosition(e);
+      const start = this._axisClick;
+      this._axisClick = null;
+
+      // Dragging the axis rescales it - only a plain click creates an alert
+      if (pos && Math.hypot(pos.x - start.x, pos.y - start.y) < 3) {
+        const price = this._series.coordinateToPrice(start.y);
+        if (price !== null) this.addAlert(price);
+      }
+      return;
+    }
+
+    if (!this._drag) return;
+
+    const alert = this._findAlert(this._drag.id);
+    const moved = this._drag.moved;
+    this._drag = null;
+    this._setChartInteraction(true);
+
+    if (alert && moved) {
+      const placed = this._snap(alert.price);
+      alert.price = placed.price;
+      alert.level = placed.level;
+      alert.direction = this._directionFor(alert.price);
+      this._changed();
+    }
+  }
+
+  _handleDoubleClick(e) {
+    if (e.defaultPrevented || isChartControlEvent(e)) return;
+
+    const pos = this._eventPosition(e);
+    if (!pos || !this._inMainPane(pos.y) || pos.x >= this._paneWidth()) return;
+
+    const hit = this._hitTest(pos.y);
+    if (!hit) return;
+
+    this._stopEvent(e);
+    hit.trigger = hit.trigger === 'touch' ? 'close' : 'touch';
+    this._changed();
+  }
+
+  _handleKeyDown(e) {
+    if (!this._focused) return;
+
+    // Ignore keys typed into form fields
+    const tag = e.target && e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+    if (e.altKey && e.code === 'KeyA') {
+      e.preventDefault();
+      const price = this._crosshairPrice ?? this._lastPrice();
+      if (price !== null) this.addAlert(price);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && this._selectedId) {
+      e.preventDefault();
+      this.removeAlert(this._selectedId);
+    }
+  }
+
+  _updateHoverCursor(pos) {
+    if (!this._container) return;
+
+    const hovering = pos.x < this._paneWidth() && this._inMainPane(pos.y) && this._hitTest(pos.y) !== null;
+    if (hovering === this._hovering) return;
+
+    // Leave the cursor alone while a drawing tool owns it
+    if (hovering && this._container.style.cursor) return;
+
+    this._hovering = hovering;
+    this._container.style.cursor = hovering ? 'ns-resize' : '';
+  }
+
+  // Placement
+
+  _hitTest(y) {
+    for (let i = this._alerts.length - 1; i >= 0; i--) {
+      const alertY = this._series.priceToCoordinate(this._alerts[i].price);
+      if (alertY !== null && Math.abs(alertY - y) <= HIT_TOLERANCE) {
+        return this._alerts[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Attach to the nearest key level line within snap distance, else keep the price
+   */
+  _snap(price) {
+    const y = this._series.priceToCoordinate(price);
+    let best = null;
+
+    if (y !== null) {
+      for (const [level, levelPrice] of Object.entries(this._getLevels())) {
+        const levelY = this._series.priceToCoordinate(Number(levelPrice));
+        const distance = levelY === null ? Infinity : Math.abs(levelY - y);
+        if (distance <= SNAP_DISTANCE && (!best || distance < best.distance)) {
+          best = { level, price: Number(levelPrice), distance };
+        }
+      }
+    }
+
+    return best ? { price: best.price, level: best.level } : { price: this._roundPrice(price), level: null };
+  }
+
+  _levelPlacement(level) {
+    const price = this._getLevels()[level];
+    return price == null ? null : { price: Number(price), level };
+  }
+
+  _directionFor(price) {
+    const last = this._lastPrice();
+    return last === null || price >= last ? 'up' : 'down';
+  }
+
+  _lastPrice() {
+    const data = this._series.data();
+    return data.length > 0 ? data[data.length - 1].close : null;
+  }
+
+  _roundPrice(price) {
+    const minMove = this._series.options().priceFormat.minMove || 0.01;
+    return Number((Math.round(price / minMove) * minMove).toFixed(8));
+  }
+
+  // Rendering
+
+  _render() {
+    this._clearLines();
+
+    for (const alert of this._alerts) {
+      const selected = alert.id === this._selectedId;
+      const arrow = alert.direction === 'up' ? '↑' : '↓';
+      const parts = ['ALERT', arrow, alert.level && alert.level.toUpperCase(), alert.trigger === 'close' && 'CLOSE'];
+
+      this._priceLines.set(alert.id, this._series.createPriceLine({
+        price: alert.price,
+        color: selected ? ALERT_COLORS.selected : ALERT_COLORS.line,
+        lineWidth: selected ? 2 : 1,
+        lineStyle: alert.trigger === 'close' ? 0 : 2, // Solid for close, dashed for touch
+        axisLabelVisible: true,
+        title: parts.filter(Boolean).join(' '),
+      }));
+    }
+  }
+
+  _clearLines() {
+    for (const line of this._priceLines.values()) {
+      this._series.removePriceLine(line);
+    }
+    this._priceLines.clear();
+  }
+
+  // Persistence
+
+  _load() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + this._symbol) || '[]');
+      this._alerts = saved
+        .filter(alert => alert && Number.isFinite(alert.price))
+        .map(alert => ({
+          id: alert.id || generateId(),
+          price: alert.price,
+          level: alert.level || null,
+          trigger: alert.trigger === 'close' ? 'close' : 'touch',
+          direction: alert.direction === 'down' ? 'down' : 'up',
+        }));
+      this._restoredDirections = this._alerts.length > 0;
+    } catch (e) {
+      console.warn('PriceAlerts: Failed to load saved alerts', e);
+      this._alerts = [];
+    }
+
+    this._render();
+  }
+
+  _save() {
+    try {
+      window.localStorage.setItem(STORAGE_PREFIX + this._symbol, JSON.stringify(this.getAlerts()));
+    } catch (e) {
+      console.warn('PriceAlerts: Failed to save alerts', e);
+    }
+  }
+
+  // Helpers
+
+  _findAlert(id) {
+    return this._alerts.find(alert => alert.id === id);
+  }
+
+  _paneWidth() {
+    return this._chart.timeScale().width();
+  }
+
+  _inMainPane(y) {
+    return y >= 0 && y < this._chart.panes()[0].getHeight();
+  }
+
+  _eventPosition(e) {
+    if (!this._container) return null;
+    const rect = this._container.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  _setChartInteraction(enabled) {
+    this._chart.applyOptions({ handleScroll: enabled, handleScale: enabled });
+  }
+
+  _stopEvent(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  _listen(target, type, handler, capture = false) {
+    target.addEventListener(type, handler, capture);
+    this._listeners.push({ target, type, handler, capture });
+  }
+
+  _changed() {
+    this._render();
+    this._save();
+  }
+}
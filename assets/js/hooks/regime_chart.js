@@ -1,4 +1,5 @@
 import { createChart, CandlestickSeries, createSeriesMarkers } from 'lightweight-charts';
+import { ChartSync } from './chart_sync';
 
 /**
  * RegimeChart - Annotated candlestick chart for regime explanation
@@ -169,9 +170,15 @@ export const RegimeChart = {
       this.chart.applyOptions({ width });
     });
     this.resizeObserver.observe(this.el);
+
+    // Mirror crosshair/visible range with charts sharing data-sync-group
+    this.chartSync = new ChartSync(this.el, this.chart, this.candleSeries);
   },
 
   destroyed() {
+    if (this.chartSync) {
+      this.chartSync.destroy();
+    }
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
@@ -15,7 +15,7 @@ const SESSION_COLORS = {
 };
 
 // Session boundaries in minutes from midnight ET
-const SESSION_BOUNDARIES = {
+export const SESSION_BOUNDARIES = {
   premarketStart: 4 * 60,        // 4:00 AM = 240 minutes
   regularStart: 9 * 60 + 30,     // 9:30 AM = 570 minutes
   regularEnd: 16 * 60,           // 4:00 PM = 960 minutes
@@ -25,7 +25,7 @@ const SESSION_BOUNDARIES = {
 /**
  * Convert a UTC timestamp to Eastern Time and get minutes from midnight
  */
-function getETMinutesFromMidnight(utcTimestamp) {
+export function getETMinutesFromMidnight(utcTimestamp) {
   // Create date from UTC timestamp
   const date = new Date(utcTimestamp * 1000);
 
@@ -45,7 +45,7 @@ function getETMinutesFromMidnight(utcTimestamp) {
 /**
  * Determine which session a given UTC timestamp falls into
  */
-function getSession(utcTimestamp) {
+export function getSession(utcTimestamp) {
   const minutesFromMidnight = getETMinutesFromMidnight(utcTimestamp);
 
   if (minutesFromMidnight >= SESSION_BOUNDARIES.premarketStart &&
@@ -63,6 +63,17 @@ function getSession(utcTimestamp) {
   return null;
 }
 
+/**
+ * Get the Eastern Time calendar date for a UTC timestamp as YYYY-MM-DD
+ * Used to detect trading day boundaries (e.g. for session-anchored indicators)
+ */
+export function getETDateKey(utcTimestamp) {
+  const date = new Date(utcTimestamp * 1000);
+
+  // en-CA formats dates as YYYY-MM-DD
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
 /**
  * Session Highlighter View - renders the background rectangles
  */
@@ -3,6 +3,8 @@
  *
  * Displays entry, stop loss, and take profit levels for trade signals.
  * Supports multiple signals per chart with different visual styles.
+ * Active signals are drawn at full strength; filled, expired, invalidated
+ * and cancelled signals stay on the chart but are dimmed.
  */
 
 // Signal line colors
@@ -21,6 +23,28 @@ const LINE_STYLES = {
   dotted: 1,
 };
 
+// Opacity applied to signals that are no longer active
+const INACTIVE_OPACITY = 0.35;
+
+/**
+ * Convert a hex color (#rrggbb) to rgba with the given opacity
+ */
+function withOpacity(hex, opacity) {
+  const r = parseInt(hex.slice(1, 3), 16);
+  const g = parseInt(hex.slice(3, 5), 16);
+  const b = parseInt(hex.slice(5, 7), 16);
+  return `rgba(${r}, ${g}, ${b}, ${opacity})`;
+}
+
+/**
+ * Get the display color for a signal element based on its status
+ * @param {string} color - Base hex color
+ * @param {string} status - Signal status (active, filled, expired, ...)
+ */
+export function signalColor(color, status) {
+  return !status || status === 'active' ? color : withOpacity(color, INACTIVE_OPACITY);
+}
+
 /**
  * SignalMarkersManager
  * Manages multiple signal annotations on a candlestick series
@@ -41,36 +65,36 @@ export class SignalMarkersManager {
       this.removeSignal(signal.id);
     }
 
-    const direction = signal.direction;
-    const isLong = direction === 'long';
+    const status = signal.status || 'active';
+    const isActive = status === 'active';
 
-    // Entry line
+    // Entry line - dashed while active, dotted once the signal is resolved
     const entryLine = this._series.createPriceLine({
       price: parseFloat(signal.entry_price),
-      color: SIGNAL_COLORS.entry,
-      lineWidth: 2,
-      lineStyle: LINE_STYLES.dashed,
-      axisLabelVisible: true,
-      title: `Entry ${signal.symbol}`,
+      color: signalColor(SIGNAL_COLORS.entry, status),
+      lineWidth: isActive ? 2 : 1,
+      lineStyle: isActive ? LINE_STYLES.dashed : LINE_STYLES.dotted,
+      axisLabelVisible: isActive,
+      title: isActive ? `Entry ${signal.symbol}` : `Entry (${status})`,
     });
 
     // Stop loss line
     const stopLine = this._series.createPriceLine({
       price: parseFloat(signal.stop_loss),
-      color: SIGNAL_COLORS.stopLoss,
+      color: signalColor(SIGNAL_COLORS.stopLoss, status),
       lineWidth: 1,
-      lineStyle: LINE_STYLES.solid,
-      axisLabelVisible: true,
+      lineStyle: isActive ? LINE_STYLES.solid : LINE_STYLES.dotted,
+      axisLabelVisible: isActive,
       title: 'SL',
     });
 
     // Take profit line
     const targetLine = this._series.createPriceLine({
       price: parseFloat(signal.take_profit),
-      color: SIGNAL_COLORS.takeProfit,
+      color: signalColor(SIGNAL_COLORS.takeProfit, status),
       lineWidth: 1,
-      lineStyle: LINE_STYLES.solid,
-      axisLabelVisible: true,
+      lineStyle: isActive ? LINE_STYLES.solid : LINE_STYLES.dotted,
+      axisLabelVisible: isActive,
       title: 'TP',
     });
 
@@ -106,21 +130,12 @@ export class SignalMarkersManager {
     const signalData = this._signals.get(signalId);
     if (!signalData) return;
 
-    // Dim the lines for non-active signals
-    const opacity = status === 'active' ? 1 : 0.4;
-    const lineStyle = status === 'active' ? LINE_STYLES.dashed : LINE_STYLES.dotted;
-
-    // We can't directly update price line options in lightweight-charts,
-    // so we remove and recreate with updated styles
-    const signal = signalData.signal;
-    signal.status = status;
+    // Recreate the lines so the style matches the new status
+    // (non-active signals are dimmed rather than removed)
+    const signal = { ...signalData.signal, status };
 
     this.removeSignal(signalId);
-
-    if (status === 'active') {
-      this.addSignal(signal);
-    }
-    // Don't re-add non-active signals (they stay removed)
+    this.addSignal(signal);
   }
 
   /**
@@ -140,6 +155,18 @@ export class SignalMarkersManager {
     return Array.from(this._signals.values()).map(data => data.signal);
   }
 
+  /**
+   * Get the price lines drawn for a signal (for dragging)
+   * @param {string} signalId - The signal ID
+   * @returns {Object|null} { entry, stop, target } price lines
+   */
+  getLines(signalId) {
+    const signalData = this._signals.get(signalId);
+    if (!signalData) return null;
+
+    return { entry: signalData.entryLine, stop: signalData.stopLine, target: signalData.targetLine };
+  }
+
   /**
    * Check if a signal is currently displayed
    * @param {string} signalId - The signal ID
@@ -156,9 +183,7 @@ export class SignalMarkersManager {
   setSignals(signals) {
     this.clearAll();
     for (const signal of signals) {
-      if (signal.status === 'active') {
-        this.addSignal(signal);
-      }
+      this.addSignal(signal);
     }
   }
 }
@@ -227,18 +252,21 @@ export class SignalMarkerPrimitive {
   constructor() {
     this._chart = null;
     this._series = null;
+    this._requestUpdate = null;
     this._markers = [];
     this._paneView = new SignalMarkerPaneView(this);
   }
 
-  attached({ chart, series }) {
+  attached({ chart, series, requestUpdate }) {
     this._chart = chart;
     this._series = series;
+    this._requestUpdate = requestUpdate;
   }
 
   detached() {
     this._chart = null;
     this._series = null;
+    this._requestUpdate = null;
   }
 
   paneViews() {
@@ -253,6 +281,16 @@ export class SignalMarkerPrimitive {
    */
   addMarker(marker) {
     this._markers.push(marker);
+    if (this._requestUpdate) this._requestUpdate();
+  }
+
+  /**
+   * Replace all markers at once
+   * @param {Array} markers - Array of { time, price, direction, color }
+   */
+  setMarkers(markers) {
+    this._markers = markers || [];
+    if (this._requestUpdate) this._requestUpdate();
   }
 
   /**
@@ -260,6 +298,7 @@ export class SignalMarkerPrimitive {
    */
   clearMarkers() {
     this._markers = [];
+    if (this._requestUpdate) this._requestUpdate();
   }
 
   /**
@@ -5,6 +5,10 @@ import { createChart, CandlestickSeries } from 'lightweight-charts';
  *
  * Shows recent price action with entry, stop, and target levels overlaid.
  * Designed to be compact and fit within signal cards.
+ *
+ * With data-position-href, clicking the chart opens that page (the symbol
+ * chart with the position tool prefilled from the signal) instead of
+ * selecting the card.
  */
 
 /**
@@ -120,6 +124,16 @@ export const SparkChart = {
       // Fit content to show all data
       this.chart.timeScale().fitContent();
     }
+
+    // Open the position tool for this signal
+    if (this.el.dataset.positionHref) {
+      this.el.style.cursor = 'pointer';
+      this.el.title = 'Open position calculator';
+      this.el.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.js().navigate(this.el.dataset.positionHref);
+      });
+    }
   },
 
   updated() {
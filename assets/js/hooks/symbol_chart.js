@@ -1,6 +1,17 @@
-import { createChart, CandlestickSeries, HistogramSeries } from 'lightweight-charts';
+import { createChart, CandlestickSeries } from 'lightweight-charts';
 import { SessionHighlighter } from './session_highlighter';
 import { TradeZonePrimitive } from './trade_zone_primitive';
+import { BarAggregator, bucketStart, normalizeTimeframe } from './bar_aggregation';
+import { DrawingToolsPrimitive, createDrawingToolbar } from './drawing_tools';
+import { PdArrayPrimitive } from './pd_array_primitive';
+import { MarketStructurePrimitive } from './market_structure_primitive';
+import { PaneManager, createPaneToolbar, parsePaneList } from './chart_panes';
+import { ChartLegend, priceLegend } from './chart_legend';
+import { animateChartZoom } from './chart_animation';
+import { createExportMenu, exportChartPng, exportCsv, exportJson, exportFilename, getVisibleData, formatChartTimestamp } from './chart_export';
+import { ChartSync } from './chart_sync';
+import { OrderLinesManager } from './order_lines';
+import { PositionToolPrimitive, createPositionToolbar, parsePositionSizing } from './position_tool';
 
 /**
  * Convert UTC timestamp to browser's local timezone
@@ -47,120 +58,23 @@ function formatTimeExact(time) {
   return `${hour12}:${minuteStr} ${ampm}`;
 }
 
-/**
- * Easing function for smooth animation (ease-out cubic)
- */
-function easeOutCubic(t) {
-  return 1 - Math.pow(1 - t, 3);
-}
-
-/**
- * Animate the chart's visible time range
- * @param {Object} chart - Lightweight Charts instance
- * @param {Object} targetRange - Target range { from, to }
- * @param {number} duration - Animation duration in ms
- * @param {Function} onComplete - Callback when animation completes
- */
-function animateTimeRange(chart, targetRange, duration = 250, onComplete = null) {
-  const timeScale = chart.timeScale();
-  const startRange = timeScale.getVisibleRange();
-
-  if (!startRange) {
-    timeScale.setVisibleRange(targetRange);
-    if (onComplete) onComplete();
-    return;
-  }
+// Load older bars when the visible range comes within this many bars of the left edge
+const HISTORY_LOAD_THRESHOLD = 20;
 
-  const startTime = performance.now();
-  const startFrom = startRange.from;
-  const startTo = startRange.to;
-  const deltaFrom = targetRange.from - startFrom;
-  const deltaTo = targetRange.to - startTo;
+// Give up waiting for a history reply after this long so scrolling back can retry
+const HISTORY_REQUEST_TIMEOUT_MS = 10000;
 
-  function animate(currentTime) {
-    const elapsed = currentTime - startTime;
-    const progress = Math.min(elapsed / duration, 1);
-    const easedProgress = easeOutCubic(progress);
+// Candles shown before entry and after exit when zooming to a trade
+const TRADE_ZOOM_PADDING_BARS = 10;
 
-    const currentFrom = startFrom + deltaFrom * easedProgress;
-    const currentTo = startTo + deltaTo * easedProgress;
-
-    timeScale.setVisibleRange({ from: currentFrom, to: currentTo });
-
-    if (progress < 1) {
-      requestAnimationFrame(animate);
-    } else if (onComplete) {
-      onComplete();
-    }
-  }
-
-  requestAnimationFrame(animate);
-}
+const TRADE_ZOOM_DURATION = 400;
 
 /**
- * Animate both time range and price range together for smooth zoom effect
- * @param {Object} chart - Lightweight Charts instance
- * @param {Object} series - The candle series
- * @param {Object} targetTimeRange - Target time range { from, to }
- * @param {Object} startPriceRange - Starting price range { minValue, maxValue }
- * @param {Object} targetPriceRange - Target price range { minValue, maxValue }
- * @param {number} duration - Animation duration in ms
- * @param {Function} onComplete - Callback when animation completes
+ * Format a date for tick marks and crosshair on the daily timeframe
  */
-function animateChartZoom(chart, series, targetTimeRange, startPriceRange, targetPriceRange, duration = 250, onComplete = null) {
-  const timeScale = chart.timeScale();
-  const startTimeRange = timeScale.getVisibleRange();
-
-  if (!startTimeRange) {
-    timeScale.setVisibleRange(targetTimeRange);
-    series.applyOptions({
-      autoscaleInfoProvider: () => ({ priceRange: targetPriceRange }),
-    });
-    if (onComplete) onComplete();
-    return;
-  }
-
-  const startTime = performance.now();
-
-  // Time range deltas
-  const startTimeFrom = startTimeRange.from;
-  const startTimeTo = startTimeRange.to;
-  const deltaTimeFrom = targetTimeRange.from - startTimeFrom;
-  const deltaTimeTo = targetTimeRange.to - startTimeTo;
-
-  // Price range deltas
-  const startPriceMin = startPriceRange.minValue;
-  const startPriceMax = startPriceRange.maxValue;
-  const deltaPriceMin = targetPriceRange.minValue - startPriceMin;
-  const deltaPriceMax = targetPriceRange.maxValue - startPriceMax;
-
-  function animate(currentTime) {
-    const elapsed = currentTime - startTime;
-    const progress = Math.min(elapsed / duration, 1);
-    const easedProgress = easeOutCubic(progress);
-
-    // Interpolate time range
-    const currentTimeFrom = startTimeFrom + deltaTimeFrom * easedProgress;
-    const currentTimeTo = startTimeTo + deltaTimeTo * easedProgress;
-    timeScale.setVisibleRange({ from: currentTimeFrom, to: currentTimeTo });
-
-    // Interpolate price range
-    const currentPriceMin = startPriceMin + deltaPriceMin * easedProgress;
-    const currentPriceMax = startPriceMax + deltaPriceMax * easedProgress;
-    series.applyOptions({
-      autoscaleInfoProvider: () => ({
-        priceRange: { minValue: currentPriceMin, maxValue: currentPriceMax },
-      }),
-    });
-
-    if (progress < 1) {
-      requestAnimationFrame(animate);
-    } else if (onComplete) {
-      onComplete();
-    }
-  }
-
-  requestAnimationFrame(animate);
+function formatDate(time) {
+  const date = new Date(time * 1000);
+  return `${date.getUTCMonth() + 1}/${date.getUTCDate()}`;
 }
 
 /**
@@ -168,6 +82,15 @@ function animateChartZoom(chart, series, targetTimeRange, startPriceRange, targe
  *
  * This hook creates a candlestick chart with trade entry/exit markers.
  * Used for reviewing trades on a specific date.
+ *
+ * Volume and oscillators are drawn in resizable sub-panes chosen with
+ * data-panes (see chart_panes.js).
+ *
+ * Clicking a trade row in TradesTable zooms to that trade; the ‹ / › controls
+ * step through trades in time order and Escape or "All" zooms back out.
+ *
+ * Open trades get entry/stop/target lines; the stop and target can be dragged
+ * (see order_lines.js) and valid moves are pushed as modify_trade.
  */
 export const SymbolChart = {
   mounted() {
@@ -185,6 +108,10 @@ export const SymbolChart = {
         background: { color: '#18181b' },
         textColor: '#a1a1aa',
         attributionLogo: false,
+        panes: {
+          separatorColor: '#3f3f46', // zinc-700
+          separatorHoverColor: 'rgba(113, 113, 122, 0.3)', // zinc-500
+        },
       },
       grid: {
         vertLines: { color: '#3f3f46' },
@@ -229,21 +156,12 @@ export const SymbolChart = {
       wickDownColor: '#ef4444',
     });
 
-    // Add volume series
-    this.volumeSeries = this.chart.addSeries(HistogramSeries, {
-      color: '#3f3f46',
-      priceFormat: {
-        type: 'volume',
-      },
-      priceScaleId: '',
-    });
-
-    this.volumeSeries.priceScale().applyOptions({
-      scaleMargins: {
-        top: 0.8,
-        bottom: 0,
-      },
-    });
+    // OHLCV legend for the bar under the crosshair (latest bar otherwise)
+    this._volumeByTime = new Map();
+    this.legend = new ChartLegend(this.chart, this.candleSeries, this.el, priceLegend(this.candleSeries, {
+      getVolume: (time) => this._volumeByTime.get(time),
+      showSession: () => this.timeframe !== '1D',
+    }));
 
     // Create session highlighter
     this.sessionHighlighter = new SessionHighlighter();
@@ -253,22 +171,134 @@ export const SymbolChart = {
     this.tradeZonePrimitive = new TradeZonePrimitive();
     this.candleSeries.attachPrimitive(this.tradeZonePrimitive);
 
+    // Create FVG/order block zones (detected server-side for the loaded bars)
+    this.pdArrayPrimitive = new PdArrayPrimitive();
+    this.candleSeries.attachPrimitive(this.pdArrayPrimitive);
+    this._pdArrays = JSON.parse(this.el.dataset.pdArrays || '[]');
+
+    // Create market structure overlay (swing labels, BOS/ChoCh lines, trend bias badge)
+    this.marketStructurePrimitive = new MarketStructurePrimitive();
+    this.candleSeries.attachPrimitive(this.marketStructurePrimitive);
+    this._structure = JSON.parse(this.el.dataset.structure || 'null');
+
+    // Create drawing tools - drawings are saved per symbol and shared with the market chart
+    this.drawingTools = new DrawingToolsPrimitive({
+      onChange: (drawings) => this.pushEvent('save_drawings', { symbol, drawings }),
+    });
+    this.candleSeries.attachPrimitive(this.drawingTools);
+    this.drawingTools.attachTo(this.el);
+    this.drawingToolbar = createDrawingToolbar(this.el, this.drawingTools);
+
+    // Long/short position size and risk calculator (account size and % risk from data-position-sizing)
+    this._levelPrices = {};
+    this.positionTool = new PositionToolPrimitive({
+      getLevels: () => this._levelPrices,
+      sizing: parsePositionSizing(this.el.dataset.positionSizing),
+    });
+    this.candleSeries.attachPrimitive(this.positionTool);
+    this.positionTool.attachTo(this.el);
+
+    // Make open trade stop/target lines draggable (after the drawing and position tools, which take precedence)
+    this.orderLines = new OrderLinesManager(this.chart, this.candleSeries, {
+      getLevels: () => this._levelPrices,
+      onModify: (order, { stop, target }) => this.pushEvent('modify_trade', {
+        id: order.id,
+        stop_loss: stop,
+        take_profit: target,
+      }),
+    });
+    this.orderLines.attachTo(this.el);
+
+    // Create volume/oscillator sub-panes (layout from data-panes until the user saves one)
+    this.paneManager = new PaneManager(this.chart, {
+      defaultLayout: parsePaneList(this.el.dataset.panes),
+      savedLayout: JSON.parse(this.el.dataset.paneLayout || 'null'),
+      onSave: (layout) => this.pushEvent('save_pane_layout', layout),
+    });
+    this.paneToolbar = createPaneToolbar(this.el, this.paneManager);
+
+    // PNG / CSV / JSON export for the trade journal
+    this.exportMenu = createExportMenu(this.el, {
+      png: () => this.exportPng(),
+      csv: () => this.exportVisibleBars(),
+      json: () => this.exportTrades(),
+    }, 'top-18 left-2');
+    this.positionToolbar = createPositionToolbar(this.el, this.positionTool, 'top-26 left-2');
+
     // Store price lines for key levels (must be initialized before loadChartData)
     this.priceLines = [];
 
     // Store price lines for trades
     this.tradeLines = [];
 
+    // History state for lazy back-scrolling (older bars are prepended as the user scrolls left)
+    this._bars = [];
+    this._olderBars = [];
+    this._loadingHistory = false;
+    this._historyExhausted = false;
+    this._lastLogicalRange = null;
+
+    // Bars are stored at 1-minute resolution and rendered at the selected timeframe
+    this.timeframe = normalizeTimeframe(this.el.dataset.timeframe);
+    this.applyTimeScaleFormat();
+
     // Load initial data
     this.loadChartData();
+    this.drawingTools.setDrawings(JSON.parse(this.el.dataset.drawings || '[]'));
+    this.syncPositionPrefill();
+
+    // Request older bars when the user scrolls or zooms out towards the first bar
+    this._visibleRangeHandler = (range) => this.maybeLoadHistory(range);
+    this.chart.timeScale().subscribeVisibleLogicalRangeChange(this._visibleRangeHandler);
+
+    // Live bars (only pushed while viewing the current session)
+    this.handleEvent('live-bar', ({ bar }) => {
+      this.appendLiveBar(bar);
+    });
+
+    // Listen for market structure updates as new swings are confirmed
+    this.handleEvent('structure-updated', ({ structure }) => {
+      this._structure = structure;
+      this.syncStructure();
+    });
+
+    // Listen for timeframe switches (1m, 5m, 15m, 1h, 1D)
+    this.handleEvent('timeframe-changed', ({ timeframe }) => {
+      this.setTimeframe(timeframe);
+    });
 
     // Listen for data updates from LiveView
     this.handleEvent('chart-data-updated', ({ bars, trades, levels }) => {
       this.updateChartData(bars, trades, levels);
     });
 
+    // A trade's stop/target was saved (or rejected - then it carries the unchanged prices)
+    this.handleEvent('trade-levels-updated', ({ trade }) => {
+      this.updateTrade(trade);
+    });
+
     // Store full range for restoring after zoom
     this._fullRange = null;
+    this._focusedTradeId = null;
+
+    // Zoom to a trade when its row is clicked (or Enter is pressed on it) in TradesTable
+    this._focusHandler = (e) => {
+      const trade = (this._trades || []).find(t => String(t.id) === String(e.detail?.id));
+      if (trade) this.zoomToTrade(trade);
+    };
+    window.addEventListener('trade-focus', this._focusHandler);
+
+    // Escape returns to the full range (unless a drawing is in progress)
+    this._keyHandler = (e) => {
+      if (e.key !== 'Escape' || !this._fullRange) return;
+      if (this.drawingTools.getTool() !== null) return;
+      if (e.target instanceof HTMLElement && e.target.closest('input, textarea, select')) return;
+      this.showAllTrades();
+    };
+    document.addEventListener('keydown', this._keyHandler);
+
+    this.tradeNavToolbar = this.createTradeNavToolbar();
+    this.updateTradeNavToolbar();
 
     // Listen for trade highlight events via custom DOM events (client-side only, no server round-trip)
     this._highlightHandler = (e) => {
@@ -282,7 +312,8 @@ export const SymbolChart = {
 
     this._unhighlightHandler = () => {
       if (this.tradeZonePrimitive && this._candleData) {
-        this.tradeZonePrimitive.setHighlightedTrade(null);
+        // Keep the zoomed-to trade highlighted
+        this.tradeZonePrimitive.setHighlightedTrade(this._focusedTradeId);
         // Force primitive redraw by re-setting the candle data
         this.candleSeries.setData(this._candleData);
       }
@@ -299,6 +330,15 @@ export const SymbolChart = {
     });
 
     this.resizeObserver.observe(this.el);
+
+    // Mirror crosshair/visible range with charts sharing data-sync-group
+    this.chartSync = new ChartSync(this.el, this.chart, this.candleSeries);
+  },
+
+  updated() {
+    // The container ignores DOM patches but its data attributes are still updated - the
+    // position prefill loads separately from the bars, so it can arrive after mounting
+    this.syncPositionPrefill();
   },
 
   loadChartData() {
@@ -314,7 +354,18 @@ export const SymbolChart = {
   },
 
   updateChartData(bars, trades, levels) {
-    this.setChartData(bars || [], trades || [], levels || []);
+    bars = bars || [];
+
+    // Keep history that was already scrolled in if the update continues the same series
+    const olderBars = this._olderBars;
+    if (olderBars.length > 0 && bars.length > 0 && bars[0].time > olderBars[olderBars.length - 1].time) {
+      bars = olderBars.concat(bars);
+    } else {
+      this._olderBars = [];
+      this._historyExhausted = false;
+    }
+
+    this.setChartData(bars, trades || [], levels || []);
   },
 
   setChartData(bars, trades, levels) {
@@ -322,11 +373,21 @@ export const SymbolChart = {
     this.clearPriceLines();
     this.clearTradeLines();
 
+    // A fresh data set resets the range tracking so the fit below doesn't trigger a history load
+    this._lastLogicalRange = null;
+
+    // The fit below replaces any trade zoom
+    this._fullRange = null;
+    this._focusedTradeId = null;
+
     if (bars.length === 0) {
       this.candleSeries.setData([]);
-      this.volumeSeries.setData([]);
+      this.paneManager.setBars([]);
+      this.legend.refresh();
+      this._bars = [];
       this._candleData = [];
       this._trades = [];
+      this.updateTradeNavToolbar();
       // Clear markers if they exist
       if (this.seriesMarkers) {
         this.seriesMarkers.setMarkers([]);
@@ -334,8 +395,34 @@ export const SymbolChart = {
       return;
     }
 
-    // Transform and set candle data
-    const candleData = bars.map(bar => ({
+    this._trades = trades || [];
+    this.updateTradeNavToolbar();
+
+    // Transform and set candle, volume and session data
+    const candleData = this.applyBars(bars);
+
+    // Draw trade lines (entry, stop, target) instead of markers
+    this.drawTradeLines(trades || []);
+
+    // Draw key level price lines
+    this.drawLevelLines(levels || []);
+
+    // Fit content to view
+    this.chart.timeScale().fitContent();
+
+    // Ensure all trade levels are visible in the price scale
+    this.fitPriceScale(candleData, trades || []);
+  },
+
+  applyBars(bars) {
+    this._bars = bars;
+
+    // Roll the minute bars up into the selected timeframe for display (the aggregator
+    // keeps the current candle's minutes so live bars can update it in place)
+    this.aggregator = new BarAggregator(this.timeframe);
+    const displayBars = this.aggregator.setBars(bars);
+
+    const candleData = displayBars.map(bar => ({
       time: timeToLocal(bar.time),
       open: parseFloat(bar.open),
       high: parseFloat(bar.high),
@@ -343,37 +430,266 @@ export const SymbolChart = {
       close: parseFloat(bar.close),
     }));
 
-    // Store for later use (price scale fitting)
+    // Store for later use (price scale fitting, export)
     this._candleData = candleData;
-    this._trades = trades || [];
-
-    const volumeData = bars.map(bar => ({
-      time: timeToLocal(bar.time),
-      value: bar.volume,
-      color: bar.close >= bar.open ? '#10b98133' : '#ef444433',
-    }));
+    this._volumeByTime = new Map(candleData.map((candle, i) => [candle.time, displayBars[i].volume || 0]));
 
     // Update session highlighter
-    const sessionData = bars.map(bar => ({
+    this._sessionData = displayBars.map(bar => ({
       localTime: timeToLocal(bar.time),
       utcTime: bar.time,
     }));
-    this.sessionHighlighter.setData(sessionData);
+    this.sessionHighlighter.setData(this._sessionData);
 
     this.candleSeries.setData(candleData);
-    this.volumeSeries.setData(volumeData);
+    this.legend.refresh();
 
-    // Draw trade lines (entry, stop, target) instead of markers
-    this.drawTradeLines(trades || []);
+    // Volume and oscillator panes (live bars come through here too)
+    this.paneManager.setBars(displayBars.map((bar, i) => ({ ...candleData[i], volume: bar.volume || 0 })));
 
-    // Draw key level price lines
-    this.drawLevelLines(levels || []);
+    // Re-anchor zones and structure to the current candles
+    this.pdArrayPrimitive.setBars(candleData);
+    this.syncPdArrays();
+    this.syncStructure();
 
-    // Fit content to view
+    return candleData;
+  },
+
+  setTimeframe(timeframe) {
+    timeframe = normalizeTimeframe(timeframe);
+    if (timeframe === this.timeframe) return;
+
+    this.timeframe = timeframe;
+    this.applyTimeScaleFormat();
+
+    if (this._bars.length === 0) return;
+
+    this._lastLogicalRange = null;
+    const candleData = this.applyBars(this._bars);
+    this.drawTradeLines(this._trades);
     this.chart.timeScale().fitContent();
+    this.fitPriceScale(candleData, this._trades);
+  },
 
-    // Ensure all trade levels are visible in the price scale
-    this.fitPriceScale(candleData, trades || []);
+  applyTimeScaleFormat() {
+    // Daily candles are labelled by date, intraday candles by time
+    const isDaily = this.timeframe === '1D';
+
+    this.chart.applyOptions({
+      timeScale: {
+        timeVisible: !isDaily,
+        tickMarkFormatter: (time) => (isDaily ? formatDate(time) : formatTime12Hour(time)),
+      },
+      localization: {
+        timeFormatter: (time) => (isDaily ? formatDate(time) : formatTimeExact(time)),
+      },
+    });
+  },
+
+  // Apply data-position-prefill when it changes (each signal's prefill is placed once)
+  syncPositionPrefill() {
+    const raw = this.el.dataset.positionPrefill || 'null';
+    if (raw === this._positionPrefill) return;
+
+    this._positionPrefill = raw;
+    this.applyPositionPrefill(JSON.parse(raw));
+  },
+
+  /**
+   * Place the position tool from a signal (opened from a signal card's spark chart)
+   * @param {Object|null} prefill - { direction, entry, stop, target, time (UTC seconds), premium }
+   */
+  applyPositionPrefill(prefill) {
+    if (!prefill) return;
+
+    this.positionTool.setPosition({
+      direction: prefill.direction,
+      time: this.toCandleTime(prefill.time),
+      entry: prefill.entry,
+      stop: prefill.stop,
+      target: prefill.target,
+      premium: prefill.premium,
+    });
+  },
+
+  // Map a UTC trade time onto the time of the candle that contains it
+  toCandleTime(utcTime) {
+    return timeToLocal(bucketStart(utcTime, this.timeframe) ?? utcTime);
+  },
+
+  syncPdArrays() {
+    this.pdArrayPrimitive.setZones(this._pdArrays.map(zone => ({
+      ...zone,
+      time: this.toCandleTime(zone.time),
+      activeFrom: this.toCandleTime(zone.active_from),
+    })));
+  },
+
+  syncStructure() {
+    if (!this._structure) {
+      this.marketStructurePrimitive.setStructure({});
+      return;
+    }
+
+    // On higher timeframes several swings can land on one candle - keep the most extreme per candle
+    const swingsByCandle = new Map();
+    for (const swing of this._structure.swings || []) {
+      const time = this.toCandleTime(swing.time);
+      const key = `${time}-${swing.type}`;
+      const existing = swingsByCandle.get(key);
+      const isMoreExtreme = !existing ||
+        (swing.type === 'high' ? swing.price >= existing.price : swing.price <= existing.price);
+
+      if (isMoreExtreme) {
+        swingsByCandle.set(key, { ...swing, time });
+      }
+    }
+
+    this.marketStructurePrimitive.setStructure({
+      swings: Array.from(swingsByCandle.values()),
+      breaks: (this._structure.breaks || []).map(structureBreak => ({
+        ...structureBreak,
+        swingTime: this.toCandleTime(structureBreak.swing_time),
+        breakTime: this.toCandleTime(structureBreak.break_time),
+      })),
+      trend: this._structure.trend,
+      state: this._structure.state,
+    });
+  },
+
+  appendLiveBar(bar) {
+    if (this._bars.length === 0) return;
+
+    const lastBar = this._bars[this._bars.length - 1];
+    if (bar.time < lastBar.time) return;
+
+    // Replace the minute if it was already received, otherwise append it
+    if (bar.time === lastBar.time) {
+      this._bars[this._bars.length - 1] = bar;
+    } else {
+      this._bars.push(bar);
+    }
+
+    // Only the current candle changes - update it in place instead of re-applying every bar
+    const candle = this.aggregator.update(bar);
+    if (!candle) return;
+
+    const candlePoint = {
+      time: timeToLocal(candle.time),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+    };
+
+    const lastCandle = this._candleData[this._candleData.length - 1];
+    if (lastCandle && lastCandle.time === candlePoint.time) {
+      this._candleData[this._candleData.length - 1] = candlePoint;
+    } else {
+      this._candleData.push(candlePoint);
+      this._sessionData.push({ localTime: candlePoint.time, utcTime: candle.time });
+      this.sessionHighlighter.setData(this._sessionData);
+    }
+
+    this.candleSeries.update(candlePoint);
+    this._volumeByTime.set(candlePoint.time, candle.volume || 0);
+    this.legend.refresh();
+    this.paneManager.updateBar({ ...candlePoint, volume: candle.volume || 0 });
+    this.pdArrayPrimitive.updateBar(candlePoint);
+  },
+
+  exportPng() {
+    const symbol = this.el.dataset.symbol;
+    exportChartPng(this.chart, {
+      title: `${symbol} · ${this.timeframe}`,
+      filename: exportFilename([symbol, this.timeframe], 'png'),
+    });
+  },
+
+  exportVisibleBars() {
+    const rows = getVisibleData(this.chart, this.candleSeries).map(candle => ({
+      time: formatChartTimestamp(candle.time),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: this._volumeByTime ? this._volumeByTime.get(candle.time) : null,
+    }));
+
+    exportCsv(rows, ['time', 'open', 'high', 'low', 'close', 'volume'],
+      exportFilename([this.el.dataset.symbol, this.timeframe, 'bars'], 'csv'));
+  },
+
+  exportTrades() {
+    exportJson({ symbol: this.el.dataset.symbol, trades: this._trades || [] },
+      exportFilename([this.el.dataset.symbol, 'trades'], 'json'));
+  },
+
+  addPdArrays(zones) {
+    const ids = new Set(this._pdArrays.map(zone => zone.id));
+    this._pdArrays = zones.filter(zone => !ids.has(zone.id)).concat(this._pdArrays);
+  },
+
+  maybeLoadHistory(range) {
+    const previousRange = this._lastLogicalRange;
+    this._lastLogicalRange = range;
+
+    if (!range || !previousRange || this._loadingHistory || this._historyExhausted) return;
+    if (this._bars.length === 0) return;
+
+    // Only load when the left edge moved left (scroll or zoom out) and is near the first bar
+    const movedLeft = range.from < previousRange.from;
+    if (!movedLeft || range.from > HISTORY_LOAD_THRESHOLD) return;
+
+    // The flag is cleared when the reply arrives, fails or times out, so a lost reply can't
+    // disable history loading until the page is reloaded
+    this._loadingHistory = true;
+    const timeout = setTimeout(() => { this._loadingHistory = false; }, HISTORY_REQUEST_TIMEOUT_MS);
+
+    this.pushEvent('load_older_bars', { before: this._bars[0].time })
+      .then(({ bars, pd_arrays }) => {
+        this.addPdArrays(pd_arrays || []);
+        this.prependBars(bars || []);
+      })
+      .catch((error) => console.warn('SymbolChart: Failed to load older bars', error))
+      .finally(() => {
+        clearTimeout(timeout);
+        this._loadingHistory = false;
+      });
+  },
+
+  prependBars(olderBars) {
+    const firstTime = this._bars.length > 0 ? this._bars[0].time : Infinity;
+    const newBars = olderBars.filter(bar => bar.time < firstTime);
+
+    if (newBars.length === 0) {
+      // Nothing older in the database
+      this._historyExhausted = true;
+      return;
+    }
+
+    const timeScale = this.chart.timeScale();
+    const visibleRange = timeScale.getVisibleLogicalRange();
+    const previousCount = this._candleData.length;
+
+    this._olderBars = newBars.concat(this._olderBars);
+    const candleData = this.applyBars(newBars.concat(this._bars));
+
+    // Number of candles added at the current timeframe
+    const addedCount = candleData.length - previousCount;
+
+    // Keep all bars (and trade levels) inside the fixed autoscale range
+    this.fitPriceScale(candleData, this._trades);
+
+    // Shift the viewport by the number of prepended bars so the chart doesn't jump
+    if (visibleRange) {
+      const shifted = {
+        from: visibleRange.from + addedCount,
+        to: visibleRange.to + addedCount,
+      };
+      this._lastLogicalRange = shifted;
+      timeScale.setVisibleLogicalRange(shifted);
+    }
   },
 
   fitPriceScale(candleData, trades) {
@@ -429,6 +745,118 @@ export const SymbolChart = {
     });
   },
 
+  // Trade zoom
+
+  /**
+   * Animate to a trade's window (entry - padding to exit + padding)
+   * The full range is remembered on the first zoom so showAllTrades can return to it.
+   */
+  zoomToTrade(trade) {
+    if (!this._candleData || this._candleData.length === 0 || !trade.entry_time) return;
+
+    const lastIndex = this._candleData.length - 1;
+    const entryTime = this.toCandleTime(trade.entry_time);
+    const exitTime = trade.exit_time ? this.toCandleTime(trade.exit_time) : this._candleData[lastIndex].time;
+
+    const indexAtOrAfter = (time) => {
+      const index = this._candleData.findIndex(candle => candle.time >= time);
+      return index === -1 ? lastIndex : index;
+    };
+    const fromIndex = Math.max(0, indexAtOrAfter(entryTime) - TRADE_ZOOM_PADDING_BARS);
+    const toIndex = Math.min(lastIndex, indexAtOrAfter(exitTime) + TRADE_ZOOM_PADDING_BARS);
+
+    const targetTimeRange = { from: this._candleData[fromIndex].time, to: this._candleData[toIndex].time };
+    const targetPriceRange = this.calculateTradePriceRange(trade, targetTimeRange.from, targetTimeRange.to);
+
+    if (!this._fullRange) {
+      this._fullRange = this.chart.timeScale().getVisibleRange();
+    }
+
+    const startPriceRange = this._priceRange || this.calculateFullPriceRange();
+    this._priceRange = targetPriceRange;
+
+    this._focusedTradeId = trade.id;
+    this.tradeZonePrimitive.setHighlightedTrade(trade.id);
+    this.updateTradeNavToolbar();
+
+    animateChartZoom(this.chart, this.candleSeries, targetTimeRange, startPriceRange, targetPriceRange, TRADE_ZOOM_DURATION);
+  },
+
+  /**
+   * Animate back to the range shown before the first trade zoom
+   */
+  showAllTrades() {
+    if (!this._fullRange) return;
+
+    const targetPriceRange = this.calculateFullPriceRange();
+    const startPriceRange = this._priceRange || targetPriceRange;
+    this._priceRange = targetPriceRange;
+
+    const fullRange = this._fullRange;
+    this._fullRange = null;
+    this._focusedTradeId = null;
+    this.tradeZonePrimitive.setHighlightedTrade(null);
+    this.updateTradeNavToolbar();
+
+    animateChartZoom(this.chart, this.candleSeries, fullRange, startPriceRange, targetPriceRange, TRADE_ZOOM_DURATION);
+  },
+
+  /**
+   * Zoom to the next (1) or previous (-1) trade by entry time
+   * With no trade focused, next starts at the first trade and previous at the last.
+   */
+  stepTrade(step) {
+    const trades = (this._trades || [])
+      .filter(trade => trade.entry_time)
+      .sort((a, b) => a.entry_time - b.entry_time);
+    if (trades.length === 0) return;
+
+    const current = trades.findIndex(trade => trade.id === this._focusedTradeId);
+    let index;
+    if (current === -1) {
+      index = step > 0 ? 0 : trades.length - 1;
+    } else {
+      index = Math.min(trades.length - 1, Math.max(0, current + step));
+    }
+
+    this.zoomToTrade(trades[index]);
+  },
+
+  createTradeNavToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'absolute top-10 right-20 z-10 hidden items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded-lg p-1';
+
+    const buttonClass = 'px-2 py-0.5 text-xs font-medium rounded transition-colors text-zinc-400 hover:text-white hover:bg-zinc-700';
+    const makeButton = (label, title, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = title;
+      button.className = buttonClass;
+      button.addEventListener('click', onClick);
+      toolbar.appendChild(button);
+      return button;
+    };
+
+    makeButton('‹', 'Previous trade', () => this.stepTrade(-1));
+    this._showAllButton = makeButton('All', 'Show all trades (Esc)', () => this.showAllTrades());
+    makeButton('›', 'Next trade', () => this.stepTrade(1));
+
+    toolbar.dataset.chartToolbar = '';
+    this.el.appendChild(toolbar);
+    return toolbar;
+  },
+
+  updateTradeNavToolbar() {
+    if (!this.tradeNavToolbar) return;
+
+    const hasTrades = (this._trades || []).length > 0;
+    this.tradeNavToolbar.classList.toggle('hidden', !hasTrades);
+    this.tradeNavToolbar.classList.toggle('flex', hasTrades);
+    this._showAllButton.disabled = !this._fullRange;
+    this._showAllButton.classList.toggle('opacity-40', !this._fullRange);
+  },
+
   calculateTradePriceRange(trade, fromTime, toTime) {
     // Collect prices relevant to this specific trade
     const prices = [];
@@ -516,6 +944,14 @@ export const SymbolChart = {
     };
   },
 
+  updateTrade(trade) {
+    this._trades = (this._trades || []).map(t => (String(t.id) === String(trade.id) ? trade : t));
+
+    // Redraw lines and zones in place, keeping the current zoom
+    this.clearTradeLines();
+    this.drawTradeLines(this._trades);
+  },
+
   clearPriceLines() {
     // Remove all existing price lines
     for (const line of this.priceLines) {
@@ -530,6 +966,7 @@ export const SymbolChart = {
       this.candleSeries.removePriceLine(line);
     }
     this.tradeLines = [];
+    this.orderLines.setOrders([]);
 
     // Clear the trade zone primitive
     if (this.tradeZonePrimitive) {
@@ -543,17 +980,54 @@ export const SymbolChart = {
     // - they clutter the view when there are multiple trades
     // - detailed trade info is shown in the trade detail modal chart
     if (this.tradeZonePrimitive) {
-      // Convert times to local for the primitive
+      // Convert times to local candle times for the primitive
       const tradesWithLocalTime = (trades || []).map(trade => ({
         ...trade,
-        entry_time: trade.entry_time ? timeToLocal(trade.entry_time) : null,
-        exit_time: trade.exit_time ? timeToLocal(trade.exit_time) : null,
+        entry_time: trade.entry_time ? this.toCandleTime(trade.entry_time) : null,
+        exit_time: trade.exit_time ? this.toCandleTime(trade.exit_time) : null,
       }));
       this.tradeZonePrimitive.setTrades(tradesWithLocalTime);
     }
+
+    // Open trades are the exception: their stop and target can still be moved
+    const orders = (trades || []).filter(trade => trade.editable).map(trade => {
+      const line = (price, color, title, lineStyle) => {
+        const priceLine = this.candleSeries.createPriceLine({
+          price: parseFloat(price),
+          color,
+          lineWidth: 1,
+          lineStyle,
+          axisLabelVisible: true,
+          title,
+        });
+        this.tradeLines.push(priceLine);
+        return priceLine;
+      };
+
+      return {
+        id: trade.id,
+        direction: trade.direction,
+        entry: parseFloat(trade.entry_price),
+        stop: parseFloat(trade.stop_loss),
+        target: trade.take_profit ? parseFloat(trade.take_profit) : null,
+        quantity: trade.position_size,
+        filled: true,
+        editable: trade.take_profit ? ['stop', 'target'] : ['stop'],
+        lines: {
+          entry: line(trade.entry_price, '#f59e0b', 'Entry', 2), // amber-500, dashed
+          stop: line(trade.stop_loss, '#ef4444', 'SL', 0), // red-500
+          target: trade.take_profit ? line(trade.take_profit, '#10b981', 'TP', 0) : null, // green-500
+        },
+      };
+    });
+
+    this.orderLines.setOrders(orders);
   },
 
   drawLevelLines(levels) {
+    // Remembered by label for snapping dragged trade lines
+    this._levelPrices = {};
+
     if (!levels || levels.length === 0) {
       return;
     }
@@ -572,19 +1046,44 @@ export const SymbolChart = {
       });
 
       this.priceLines.push(line);
+      this._levelPrices[level.label] = price;
     }
   },
 
   destroyed() {
+    if (this.legend) {
+      this.legend.destroy();
+    }
+    if (this.chartSync) {
+      this.chartSync.destroy();
+    }
+    if (this.drawingTools) {
+      this.drawingTools.destroy();
+    }
+    if (this.positionTool) {
+      this.positionTool.destroy();
+    }
+    if (this.orderLines) {
+      this.orderLines.destroy();
+    }
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
+    if (this.chart && this._visibleRangeHandler) {
+      this.chart.timeScale().unsubscribeVisibleLogicalRangeChange(this._visibleRangeHandler);
+    }
     if (this._highlightHandler) {
       window.removeEventListener('trade-highlight', this._highlightHandler);
     }
     if (this._unhighlightHandler) {
       window.removeEventListener('trade-unhighlight', this._unhighlightHandler);
     }
+    if (this._focusHandler) {
+      window.removeEventListener('trade-focus', this._focusHandler);
+    }
+    if (this._keyHandler) {
+      document.removeEventListener('keydown', this._keyHandler);
+    }
     if (this.chart) {
       this.chart.remove();
     }
@@ -0,0 +1,385 @@
+import {
+  NEGATIVE_RGB,
+  POSITIVE_RGB,
+  EMPTY_CELL_COLOR,
+  SELECT_CLASS,
+  LABEL_CLASS,
+  mix,
+  createTooltip,
+  showTooltip,
+  moveTooltip,
+  hideTooltip,
+} from './heatmap_utils';
+
+/**
+ * TimeOfDayHeatmap - Performance by entry time (ET) and weekday
+ *
+ * Features:
+ * - Weekday rows by entry-time bucket columns (bucket size chosen by the LiveView)
+ * - Metric picker: expectancy ($ or R per trade) or win rate
+ * - Trade count per cell; cells below data-min-trades are dimmed
+ * - P&L by time bucket (all weekdays) as bars aligned under the heatmap columns,
+ *   with cumulative P&L up to each bucket in the tooltip
+ *
+ * Expects data-cells as [{ weekday, time_slot, trades, winners, losers, win_rate,
+ * net_pnl, expectancy, avg_r }] and data-interval as the bucket size in minutes.
+ */
+
+const METRICS = {
+  expectancy: { label: 'Expectancy ($)', neutral: 0, format: (v) => formatCurrency(v) },
+  avg_r: { label: 'Expectancy (R)', neutral: 0, format: (v) => `${v >= 0 ? '+' : ''}${v.toFixed(2)}R` },
+  win_rate: { label: 'Win rate', neutral: 50, format: (v) => `${v.toFixed(0)}%` },
+};
+
+const DEFAULT_METRIC = 'expectancy';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const WEEKEND = ['saturday', 'sunday'];
+
+const BAR_HEIGHT_PX = 48; // Each half (profit above, loss below the zero line)
+
+function formatCurrency(value) {
+  return value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+}
+
+function formatWeekday(day) {
+  return day.charAt(0).toUpperCase() + day.slice(1, 3);
+}
+
+function parseMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function formatMinutes(minutes) {
+  const hour = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour}:${minute}`;
+}
+
+/**
+ * Every bucket start from the first to the last traded bucket, so quiet
+ * buckets show up as gaps instead of disappearing
+ */
+function bucketStarts(cells, interval) {
+  const starts = cells.map(cell => parseMinutes(cell.time_slot));
+  if (starts.length === 0) return [];
+
+  const first = Math.min(...starts);
+  const last = Math.max(...starts);
+  const buckets = [];
+  for (let minutes = first; minutes <= last; minutes += interval) {
+    buckets.push(formatMinutes(minutes));
+  }
+  return buckets;
+}
+
+/**
+ * Cell background for a value, scaled by the largest distance from neutral
+ */
+function cellColor(value, { neutral, spread }) {
+  if (value === null) return EMPTY_CELL_COLOR;
+
+  const t = spread > 0 ? Math.min(1, Math.abs(value - neutral) / spread) : 1;
+  return mix(value >= neutral ? POSITIVE_RGB : NEGATIVE_RGB, 0.15 + 0.85 * t);
+}
+
+function cellValue(cell, metric) {
+  const value = cell ? cell[metric] : null;
+  return value === null || value === undefined ? null : value;
+}
+
+export const TimeOfDayHeatmap = {
+  mounted() {
+    this.metric = METRICS[this.el.dataset.metric] ? this.el.dataset.metric : DEFAULT_METRIC;
+
+    this.el.classList.add('relative');
+    this.loadCells();
+    this.render();
+  },
+
+  updated() {
+    this.loadCells();
+    this.render();
+  },
+
+  loadCells() {
+    let cells = [];
+    try {
+      cells = JSON.parse(this.el.dataset.cells || '[]');
+    } catch (e) {
+      console.error('TimeOfDayHeatmap: Failed to parse cells:', e);
+    }
+
+    this.cells = Array.isArray(cells) ? cells.filter(cell => cell.weekday && cell.time_slot) : [];
+    this.interval = parseInt(this.el.dataset.interval || '15', 10) || 15;
+    this.minTrades = parseInt(this.el.dataset.minTrades || '0', 10) || 0;
+
+    this.cellMap = new Map(this.cells.map(cell => [`${cell.weekday}|${cell.time_slot.slice(0, 5)}`, cell]));
+    this.buckets = bucketStarts(this.cells, this.interval);
+
+    // Weekend rows only when there are weekend trades (e.g. crypto)
+    const days = new Set(this.cells.map(cell => cell.weekday));
+    this.weekdays = WEEKDAYS.filter(day => !WEEKEND.includes(day) || days.has(day));
+  },
+
+  render() {
+    hideTooltip(this.tooltip);
+
+    if (this.cells.length === 0) {
+      const message = document.createElement('div');
+      message.className = 'text-zinc-500 text-center py-8 text-sm';
+      message.textContent = 'No closed trades to map.';
+      this.el.replaceChildren(message);
+      return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'space-y-3';
+    container.append(this.createControls(), this.createGrid(), this.createScale());
+
+    this.tooltip = createTooltip();
+
+    this.el.replaceChildren(container, this.tooltip);
+  },
+
+  createControls() {
+    const controls = document.createElement('div');
+    controls.className = 'flex flex-wrap items-center gap-4';
+
+    const wrapper = document.createElement('label');
+    wrapper.className = 'flex items-center gap-2';
+
+    const text = document.createElement('span');
+    text.className = LABEL_CLASS;
+    text.textContent = 'Color by';
+
+    const select = document.createElement('select');
+    select.className = SELECT_CLASS;
+    for (const [value, metric] of Object.entries(METRICS)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = metric.label;
+      option.selected = value === this.metric;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => {
+      this.metric = select.value;
+      this.render();
+    });
+
+    wrapper.append(text, select);
+    controls.appendChild(wrapper);
+    return controls;
+  },
+
+  /**
+   * Color range for the current metric: neutral value and largest distance from it
+   */
+  metricRange() {
+    const neutral = METRICS[this.metric].neutral;
+    let spread = 0;
+    for (const cell of this.cells) {
+      const value = cellValue(cell, this.metric);
+      if (value !== null) spread = Math.max(spread, Math.abs(value - neutral));
+    }
+    return { neutral, spread };
+  },
+
+  /**
+   * Heatmap rows (weekdays) with the P&L bars as the last row, sharing columns
+   */
+  createGrid() {
+    const metric = METRICS[this.metric];
+    const range = this.metricRange();
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'overflow-x-auto';
+
+    const grid = document.createElement('div');
+    grid.className = 'inline-grid gap-1 text-xs';
+    grid.style.gridTemplateColumns = `auto repeat(${this.buckets.length}, minmax(${this.interval < 15 ? '2.75rem' : '3.5rem'}, 1fr))`;
+
+    // Header row: bucket start times (ET)
+    const corner = document.createElement('div');
+    corner.className = 'text-zinc-500 pr-2 self-end';
+    corner.textContent = 'ET';
+    grid.appendChild(corner);
+
+    for (const bucket of this.buckets) {
+      const header = document.createElement('div');
+      header.className = 'text-center text-zinc-400 font-mono';
+      // Label every half hour when buckets are narrow
+      header.textContent = this.interval < 15 && parseMinutes(bucket) % 30 !== 0 ? '' : bucket;
+      grid.appendChild(header);
+    }
+
+    for (const day of this.weekdays) {
+      const label = document.createElement('div');
+      label.className = 'text-right text-zinc-400 pr-2 self-center';
+      label.textContent = formatWeekday(day);
+      grid.appendChild(label);
+
+      for (const bucket of this.buckets) {
+        const cell = this.cellMap.get(`${day}|${bucket}`) || null;
+        const value = cellValue(cell, this.metric);
+        const thin = cell && cell.trades < this.minTrades;
+
+        const element = document.createElement('div');
+        element.className = [
+          'h-10 rounded flex flex-col items-center justify-center font-mono leading-tight',
+          cell ? 'hover:ring-2 hover:ring-white/60' : '',
+          thin ? 'opacity-40' : '',
+        ].join(' ');
+        element.style.backgroundColor = cellColor(value, range);
+        element.style.color = value === null ? '#71717a' : '#fafafa';
+
+        const valueText = document.createElement('span');
+        valueText.textContent = value === null ? '–' : metric.format(value);
+        element.appendChild(valueText);
+
+        if (cell) {
+          const count = document.createElement('span');
+          count.className = 'text-[10px] opacity-70';
+          count.textContent = `n=${cell.trades}`;
+          element.appendChild(count);
+
+          element.addEventListener('mouseenter', (e) => this.showCellTooltip(e, cell, day, bucket));
+          element.addEventListener('mousemove', (e) => moveTooltip(this.tooltip, e));
+          element.addEventListener('mouseleave', () => hideTooltip(this.tooltip));
+        }
+
+        grid.appendChild(element);
+      }
+    }
+
+    this.appendPnlBars(grid);
+
+    wrapper.appendChild(grid);
+    return wrapper;
+  },
+
+  /**
+   * Net P&L per bucket over all weekdays: profit bars grow up from the zero
+   * line, losses grow down
+   */
+  appendPnlBars(grid) {
+    const totals = this.buckets.map(bucket => {
+      let pnl = 0;
+      let trades = 0;
+      for (const day of this.weekdays) {
+        const cell = this.cellMap.get(`${day}|${bucket}`);
+        if (cell) {
+          pnl += cell.net_pnl || 0;
+          trades += cell.trades || 0;
+        }
+      }
+      return { bucket, pnl, trades };
+    });
+
+    const maxAbs = Math.max(...totals.map(total => Math.abs(total.pnl)), 0);
+
+    const label = document.createElement('div');
+    label.className = 'text-right text-zinc-400 pr-2 self-center mt-2';
+    label.textContent = 'P&L';
+    grid.appendChild(label);
+
+    let cumulative = 0;
+    for (const total of totals) {
+      cumulative += total.pnl;
+      const runningPnl = cumulative;
+
+      const column = document.createElement('div');
+      column.className = 'flex flex-col mt-2 rounded hover:bg-zinc-800/60';
+
+      const upper = document.createElement('div');
+      upper.className = 'flex items-end justify-center border-b border-zinc-600';
+      upper.style.height = `${BAR_HEIGHT_PX}px`;
+      const lower = document.createElement('div');
+      lower.className = 'flex items-start justify-center';
+      lower.style.height = `${BAR_HEIGHT_PX}px`;
+
+      if (total.pnl !== 0 && maxAbs > 0) {
+        const bar = document.createElement('div');
+        bar.className = `w-3/4 ${total.pnl > 0 ? 'bg-green-500/70 rounded-t' : 'bg-red-500/70 rounded-b'}`;
+        bar.style.height = `${Math.max(1, (Math.abs(total.pnl) / maxAbs) * BAR_HEIGHT_PX)}px`;
+        (total.pnl > 0 ? upper : lower).appendChild(bar);
+      }
+
+      column.append(upper, lower);
+      column.addEventListener('mouseenter', (e) => this.showBarTooltip(e, total, runningPnl));
+      column.addEventListener('mousemove', (e) => moveTooltip(this.tooltip, e));
+      column.addEventListener('mouseleave', () => hideTooltip(this.tooltip));
+      grid.appendChild(column);
+    }
+  },
+
+  createScale() {
+    const { neutral, spread } = this.metricRange();
+    const metric = METRICS[this.metric];
+
+    const scale = document.createElement('div');
+    scale.className = 'flex items-center gap-2 text-xs text-zinc-500';
+    if (spread === 0) return scale;
+
+    const bar = document.createElement('div');
+    bar.className = 'h-2 w-48 rounded';
+    const range = { neutral, spread };
+    bar.style.background = `linear-gradient(to right, ${cellColor(neutral - spread, range)}, ${EMPTY_CELL_COLOR}, ${cellColor(neutral + spread, range)})`;
+
+    const low = document.createElement('span');
+    low.className = 'font-mono';
+    low.textContent = metric.format(neutral - spread);
+    const high = document.createElement('span');
+    high.className = 'font-mono';
+    high.textContent = metric.format(neutral + spread);
+
+    scale.append(low, bar, high);
+
+    if (this.minTrades > 0) {
+      const note = document.createElement('span');
+      note.className = 'ml-4';
+      note.textContent = `Dimmed: fewer than ${this.minTrades} trades`;
+      scale.appendChild(note);
+    }
+
+    return scale;
+  },
+
+  bucketLabel(bucket) {
+    return `${bucket}-${formatMinutes(parseMinutes(bucket) + this.interval)} ET`;
+  },
+
+  showCellTooltip(event, cell, day, bucket) {
+    const lines = [
+      { text: `${formatWeekday(day)} ${this.bucketLabel(bucket)}`, className: 'text-zinc-200' },
+      {
+        text: `${cell.trades} trades · ${cell.winners}W / ${cell.losers}L`,
+        className: cell.trades < this.minTrades ? 'text-amber-400' : 'text-zinc-400',
+      },
+    ];
+
+    for (const [key, metric] of Object.entries(METRICS)) {
+      const value = cellValue(cell, key);
+      if (value !== null) {
+        lines.push({ text: `${metric.label}: ${metric.format(value)}`, className: key === this.metric ? 'text-white' : 'text-zinc-400' });
+      }
+    }
+
+    lines.push({ text: `Net P&L: ${formatCurrency(cell.net_pnl || 0)}`, className: cell.net_pnl >= 0 ? 'text-green-400' : 'text-red-400' });
+    showTooltip(this.tooltip, event, lines);
+  },
+
+  showBarTooltip(event, total, cumulative) {
+    showTooltip(this.tooltip, event, [
+      { text: `${this.bucketLabel(total.bucket)} · all days`, className: 'text-zinc-200' },
+      { text: `Net P&L: ${formatCurrency(total.pnl)}`, className: total.pnl >= 0 ? 'text-green-400' : 'text-red-400' },
+      { text: `${total.trades} trades`, className: 'text-zinc-400' },
+      { text: `Cumulative through this bucket: ${formatCurrency(cumulative)}`, className: 'text-zinc-400' },
+    ]);
+  },
+
+  destroyed() {
+    this.el.replaceChildren();
+  }
+};
@@ -1,5 +1,9 @@
-import { createChart, CandlestickSeries } from 'lightweight-charts';
+import { createChart, CandlestickSeries, createSeriesMarkers } from 'lightweight-charts';
 import { TradeZonePrimitive } from './trade_zone_primitive';
+import { animateTimeRange } from './chart_animation';
+import { ChartSync } from './chart_sync';
+import { ChartLegend, priceLegend } from './chart_legend';
+import { createExportMenu, exportChartPng, exportCsv, exportJson, exportFilename, getVisibleData, formatChartTimestamp } from './chart_export';
 
 /**
  * TradeDetailChart - Chart for trade details modal
@@ -8,8 +12,47 @@ import { TradeZonePrimitive } from './trade_zone_primitive';
  * - Candlestick bars (5 min before entry to 5 min after exit)
  * - Shaded risk/reward zones
  * - Price lines for key level, entry, target, exit
+ * - Unrealized P&L and R-multiple at the crosshair
+ *
+ * For options trades (payload includes contract and option_bars) the
+ * contract's premium bars are drawn in a second pane under the underlying,
+ * sharing its time scale. Entry and exit fills are marked on both panes: at
+ * the underlying's price on the fill bars and at the fill premiums, and the
+ * P&L readout follows the premium.
+ *
+ * Replay mode steps through the trade bar by bar, starting a few bars before
+ * entry. The trade zone grows as time advances and the view follows the
+ * current bar.
  */
 
+// Bars shown before the entry bar when a replay starts
+const REPLAY_LEAD_BARS = 3;
+
+// Bars of empty space kept to the right of the current bar while replaying
+const REPLAY_FOLLOW_BARS = 4;
+
+// Base delay between bars at 1x speed (ms)
+const REPLAY_INTERVAL = 800;
+
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+// Duration of the scroll that follows the current bar - faster replays jump instead so
+// animations don't overlap
+const REPLAY_FOLLOW_ANIMATION_MS = 200;
+
+// Colors renderPnl switches between
+const PNL_COLOR_CLASSES = ['text-green-400', 'text-red-400', 'text-zinc-400'];
+
+// Chart height without / with the premium pane
+const CHART_HEIGHT = 250;
+const OPTIONS_CHART_HEIGHT = 400;
+
+const UNDERLYING_PANE_STRETCH = 3;
+const PREMIUM_PANE_STRETCH = 2;
+
+// Shares per options contract
+const CONTRACT_MULTIPLIER = 100;
+
 /**
  * Convert UTC timestamp to browser's local timezone
  */
@@ -31,12 +74,42 @@ function formatTimeExact(time) {
   return `${hour12}:${minuteStr} ${ampm}`;
 }
 
+/**
+ * Last bar at or before a time (the bar a fill happened on), else the first bar
+ */
+function barAt(data, time) {
+  let found = null;
+  for (const bar of data) {
+    if (bar.time > time) break;
+    found = bar;
+  }
+  return found || data[0] || null;
+}
+
+function toCandles(bars) {
+  return (bars || []).map(bar => ({
+    time: timeToLocal(bar.time),
+    open: parseFloat(bar.open),
+    high: parseFloat(bar.high),
+    low: parseFloat(bar.low),
+    close: parseFloat(bar.close),
+  }));
+}
+
+/**
+ * Format a signed amount with an optional prefix (e.g. +$125.50, -0.42)
+ */
+function formatSigned(value, prefix) {
+  const sign = value >= 0 ? '+' : '-';
+  return `${sign}${prefix}${Math.abs(value).toFixed(2)}`;
+}
+
 export const TradeDetailChart = {
   mounted() {
     // Create chart with dark theme
     this.chart = createChart(this.el, {
       width: 500,
-      height: 250,
+      height: CHART_HEIGHT,
       layout: {
         background: { color: '#18181b' }, // zinc-900
         textColor: '#a1a1aa', // zinc-400
@@ -79,8 +152,47 @@ export const TradeDetailChart = {
     this.tradeZonePrimitive = new TradeZonePrimitive();
     this.candleSeries.attachPrimitive(this.tradeZonePrimitive);
 
+    // Fill markers on the underlying (options trades only)
+    this.fillMarkers = createSeriesMarkers(this.candleSeries, []);
+
+    // Premium pane series, created for options trades
+    this.premiumSeries = null;
+    this.premiumMarkers = null;
+
     // Store price lines for cleanup
     this.priceLines = [];
+    this.premiumPriceLines = [];
+
+    // Replay state (null when showing the whole trade)
+    this._replay = null;
+    this._replayTimer = null;
+    this._replaySpeed = REPLAY_SPEEDS[0];
+
+    // Replay controls and the cursor P&L readout are overlaid on the chart
+    if (getComputedStyle(this.el).position === 'static') {
+      this.el.style.position = 'relative';
+    }
+    this.createReplayControls();
+    this.createCursorReadout();
+
+    this._crosshairHandler = (param) => this.updateCursorReadout(param);
+    this.chart.subscribeCrosshairMove(this._crosshairHandler);
+
+    // Mirror crosshair/visible range with charts sharing data-sync-group
+    this.chartSync = new ChartSync(this.el, this.chart, this.candleSeries);
+
+    // OHLCV legend for the bar under the crosshair, above the time axis
+    this._volumeByTime = new Map();
+    this.legend = new ChartLegend(this.chart, this.candleSeries, this.el, priceLegend(this.candleSeries, {
+      getVolume: (time) => this._volumeByTime.get(time),
+    }), 'bottom-8 left-1/2 -translate-x-1/2');
+
+    // PNG / CSV / JSON export for the trade journal
+    this.exportMenu = createExportMenu(this.el, {
+      png: () => this.exportPng(),
+      csv: () => this.exportVisibleBars(),
+      json: () => this.exportTrade(),
+    }, 'top-1 right-1');
 
     // Listen for chart data from LiveView
     this.handleEvent('trade-chart-data', (data) => {
@@ -88,44 +200,551 @@ export const TradeDetailChart = {
     });
   },
 
-  setChartData({ bars, trade, level }) {
+  setChartData({ bars, trade, level, contract, option_bars }) {
+    this.stopReplay();
+
+    // Raw payload (UTC times, string prices) for JSON export
+    this._payload = contract ? { trade, level, contract } : { trade, level };
+
+    // Transform bar data
+    this._candleData = toCandles(bars);
+    this._volumeByTime = new Map((bars || []).map(bar => [timeToLocal(bar.time), bar.volume]));
+    this._contract = contract || null;
+    this._premiumData = contract ? toCandles(option_bars) : [];
+
+    // Trade times are kept in chart (local) time
+    this._trade = trade
+      ? {
+        ...trade,
+        entry_time: trade.entry_time ? timeToLocal(trade.entry_time) : null,
+        exit_time: trade.exit_time ? timeToLocal(trade.exit_time) : null,
+      }
+      : null;
+    this._level = level;
+
+    // An options trade's entry/exit prices are premiums; the underlying pane
+    // uses the underlying's closes on the fill bars instead
+    if (this._trade && contract) {
+      this._trade.entry_price = this.underlyingFillPrice(this._trade.entry_time);
+      this._trade.exit_price = this._trade.exit_price !== null ? this.underlyingFillPrice(this._trade.exit_time) : null;
+    }
+
+    this.setupPremiumPane();
+    this.renderFullTrade();
+    this.updateReplayControls();
+  },
+
+  renderFullTrade() {
     // Clear existing price lines
     this.clearPriceLines();
 
-    if (!bars || bars.length === 0) {
+    if (this._candleData.length === 0) {
       this.candleSeries.setData([]);
+      this.tradeZonePrimitive.setTrades([]);
+      this.fillMarkers.setMarkers([]);
+      if (this.premiumSeries) this.premiumSeries.setData([]);
+      this.legend.refresh();
       return;
     }
 
-    // Transform bar data
-    const candleData = bars.map(bar => ({
-      time: timeToLocal(bar.time),
-      open: parseFloat(bar.open),
-      high: parseFloat(bar.high),
-      low: parseFloat(bar.low),
-      close: parseFloat(bar.close),
-    }));
+    this.candleSeries.setData(this._candleData);
+    this.legend.refresh();
 
-    this.candleSeries.setData(candleData);
+    this.renderFills(this._trade !== null, this._trade && this._trade.exit_time !== null);
+    if (this.premiumSeries) {
+      this.premiumSeries.setData(this._premiumData);
+      this.fitPremiumScale(this._premiumData);
+    }
 
     // Set up trade zone (shaded risk/reward areas)
-    if (trade) {
-      const tradeWithLocalTime = {
-        ...trade,
-        entry_time: trade.entry_time ? timeToLocal(trade.entry_time) : null,
-        exit_time: trade.exit_time ? timeToLocal(trade.exit_time) : null,
-      };
-      this.tradeZonePrimitive.setTrades([tradeWithLocalTime]);
-    }
+    this.tradeZonePrimitive.setTrades(this._trade ? [this._trade] : []);
 
     // Draw price lines
-    this.drawPriceLines(trade, level);
+    this.drawPriceLines(this._trade, this._level);
 
     // Fit content to show all data
     this.chart.timeScale().fitContent();
 
     // Ensure all trade levels are visible in the price scale
-    this.fitPriceScale(candleData, trade, level);
+    this.fitPriceScale(this._candleData, this._trade, this._level);
+  },
+
+  // Replay
+
+  startReplay() {
+    if (!this._candleData || this._candleData.length === 0) return;
+
+    this.pauseReplay();
+
+    const entryIndex = this.findEntryIndex();
+    this._replay = { index: Math.max(0, entryIndex - REPLAY_LEAD_BARS) };
+    this.renderReplayFrame();
+    this.updateReplayControls();
+  },
+
+  togglePlayback() {
+    if (this._replayTimer) {
+      this.pauseReplay();
+      return;
+    }
+
+    // Start over when playing from the end (or from the full trade view)
+    if (!this._replay || this._replay.index >= this._candleData.length - 1) {
+      this.startReplay();
+    }
+
+    this.scheduleReplayStep();
+    this.updateReplayControls();
+  },
+
+  scheduleReplayStep() {
+    this._replayTimer = setTimeout(() => {
+      this._replayTimer = null;
+
+      if (this.stepReplay()) {
+        this.scheduleReplayStep();
+      }
+      this.updateReplayControls();
+    }, REPLAY_INTERVAL / this._replaySpeed);
+  },
+
+  pauseReplay() {
+    if (this._replayTimer) {
+      clearTimeout(this._replayTimer);
+      this._replayTimer = null;
+    }
+    this.updateReplayControls();
+  },
+
+  /**
+   * Reveal the next bar
+   * @returns {boolean} Whether there are more bars to reveal
+   */
+  stepReplay() {
+    if (!this._replay) {
+      this.startReplay();
+      return true;
+    }
+
+    const lastIndex = this._candleData.length - 1;
+    if (this._replay.index >= lastIndex) return false;
+
+    this._replay.index += 1;
+    this.renderReplayFrame();
+    this.updateReplayControls();
+
+    return this._replay.index < lastIndex;
+  },
+
+  cycleReplaySpeed() {
+    const i = REPLAY_SPEEDS.indexOf(this._replaySpeed);
+    this._replaySpeed = REPLAY_SPEEDS[(i + 1) % REPLAY_SPEEDS.length];
+    this.updateReplayControls();
+  },
+
+  stopReplay() {
+    this.pauseReplay();
+    this._replay = null;
+  },
+
+  exitReplay() {
+    this.stopReplay();
+    this.renderFullTrade();
+    this.updateReplayControls();
+  },
+
+  renderReplayFrame() {
+    const index = this._replay.index;
+    const current = this._candleData[index];
+    const trade = this._trade;
+
+    // Unrevealed bars are kept as whitespace so the time scale spans the whole trade
+    this.candleSeries.setData(this._candleData.map((candle, i) => (i <= index ? candle : { time: candle.time })));
+    this.legend.refresh();
+
+    const entered = trade && trade.entry_time !== null && current.time >= trade.entry_time;
+    const exited = entered && trade.exit_time !== null && current.time >= trade.exit_time;
+
+    this.renderFills(entered, exited);
+    if (this.premiumSeries) {
+      const revealed = this._premiumData.filter(bar => bar.time <= current.time);
+      this.premiumSeries.setData(this._premiumData.map(bar => (bar.time <= current.time ? bar : { time: bar.time })));
+      this.fitPremiumScale(revealed);
+    }
+
+    // The trade zone grows with the replay until the exit bar
+    this.tradeZonePrimitive.setTrades(entered
+      ? [{ ...trade, exit_time: exited ? trade.exit_time : current.time }]
+      : []);
+
+    // Only show the exit once it has happened
+    const visibleTrade = trade && !exited ? { ...trade, exit_price: null } : trade;
+    this.clearPriceLines();
+    this.drawPriceLines(visibleTrade, this._level);
+    this.fitPriceScale(this._candleData.slice(0, index + 1), visibleTrade, this._level);
+
+    // Follow the current bar, keeping a few empty slots to its right
+    const toIndex = Math.min(this._candleData.length - 1, index + REPLAY_FOLLOW_BARS);
+    const range = { from: this._candleData[0].time, to: this._candleData[toIndex].time };
+    if (REPLAY_INTERVAL / this._replaySpeed > REPLAY_FOLLOW_ANIMATION_MS) {
+      animateTimeRange(this.chart, range, REPLAY_FOLLOW_ANIMATION_MS);
+    } else {
+      this.chart.timeScale().setVisibleRange(range);
+    }
+  },
+
+  findEntryIndex() {
+    if (!this._trade || this._trade.entry_time === null) return 0;
+
+    const index = this._candleData.findIndex(candle => candle.time >= this._trade.entry_time);
+    return index === -1 ? 0 : index;
+  },
+
+  /**
+   * Unrealized P&L at a price (realized at the exit price once the trade has exited)
+   * @returns {Object|null} { pnl (null without position size), perShare, r (null without risk), realized }
+   */
+  calculateTradePnl(time, close) {
+    const trade = this._trade;
+    if (!trade || trade.entry_time === null || time < trade.entry_time) return null;
+
+    if (this._contract) return this.calculateOptionPnl(time);
+
+    const entry = parseFloat(trade.entry_price);
+    const stop = parseFloat(trade.stop_loss);
+    const realized = trade.exit_time !== null && time >= trade.exit_time && trade.exit_price;
+    const price = realized ? parseFloat(trade.exit_price) : close;
+
+    const direction = trade.direction === 'long' ? 1 : -1;
+    const perShare = (price - entry) * direction;
+    const risk = Math.abs(entry - stop);
+
+    return {
+      pnl: trade.position_size ? perShare * trade.position_size : null,
+      perShare,
+      r: risk > 0 ? perShare / risk : null,
+      realized: Boolean(realized),
+    };
+  },
+
+  /**
+   * Option P&L from the premium (the contract is always bought, calls for longs
+   * and puts for shorts). R is against the trade's risk amount.
+   */
+  calculateOptionPnl(time) {
+    const trade = this._trade;
+    const contract = this._contract;
+    const entry = parseFloat(contract.entry_premium);
+    const realized = trade.exit_time !== null && time >= trade.exit_time && contract.exit_premium;
+
+    let premium;
+    if (realized) {
+      premium = parseFloat(contract.exit_premium);
+    } else {
+      const bar = barAt(this._premiumData, time);
+      if (!bar || bar.time > time) return null;
+      premium = bar.close;
+    }
+
+    const perShare = premium - entry;
+    const pnl = contract.num_contracts ? perShare * contract.num_contracts * CONTRACT_MULTIPLIER : null;
+    const risk = parseFloat(trade.risk_amount);
+
+    return {
+      pnl,
+      perShare,
+      r: pnl !== null && risk > 0 ? pnl / risk : null,
+      realized: Boolean(realized),
+    };
+  },
+
+  underlyingFillPrice(time) {
+    const bar = time !== null ? barAt(this._candleData, time) : null;
+    return bar ? bar.close : null;
+  },
+
+  // Options premium pane
+
+  /**
+   * Add the premium pane for options trades (and grow the chart to fit it),
+   * or drop it for equity trades
+   */
+  setupPremiumPane() {
+    this.clearPremiumPriceLines();
+
+    if (!this._contract) {
+      if (this.premiumSeries) {
+        this.chart.removeSeries(this.premiumSeries);
+        this.premiumSeries = null;
+        this.premiumMarkers = null;
+      }
+      this.resizeChart(CHART_HEIGHT);
+      return;
+    }
+
+    if (!this.premiumSeries) {
+      this.premiumSeries = this.chart.addSeries(CandlestickSeries, {
+        upColor: '#38bdf8', // sky-400
+        downColor: '#a855f7', // purple-500
+        borderUpColor: '#38bdf8',
+        borderDownColor: '#a855f7',
+        wickUpColor: '#38bdf8',
+        wickDownColor: '#a855f7',
+        priceLineVisible: false,
+      }, 1);
+      this.premiumMarkers = createSeriesMarkers(this.premiumSeries, []);
+
+      const panes = this.chart.panes();
+      panes[0].setStretchFactor(UNDERLYING_PANE_STRETCH);
+      panes[1].setStretchFactor(PREMIUM_PANE_STRETCH);
+    }
+
+    this.resizeChart(OPTIONS_CHART_HEIGHT);
+    this.drawPremiumPriceLines();
+  },
+
+  resizeChart(height) {
+    this.el.style.height = `${height}px`;
+    this.chart.applyOptions({ height });
+  },
+
+  drawPremiumPriceLines() {
+    const contract = this._contract;
+
+    if (contract.entry_premium) {
+      this.premiumPriceLines.push(this.premiumSeries.createPriceLine({
+        price: parseFloat(contract.entry_premium),
+        color: '#38bdf8', // sky-400
+        lineWidth: 1,
+        lineStyle: 0, // solid
+        axisLabelVisible: true,
+        title: 'Entry',
+      }));
+    }
+  },
+
+  clearPremiumPriceLines() {
+    if (this.premiumSeries) {
+      for (const line of this.premiumPriceLines) {
+        this.premiumSeries.removePriceLine(line);
+      }
+    }
+    this.premiumPriceLines = [];
+  },
+
+  /**
+   * Entry/exit markers on the fill bars of both panes (options trades)
+   */
+  renderFills(entered, exited) {
+    const trade = this._trade;
+    const contract = this._contract;
+
+    if (!trade || !contract || trade.entry_time === null) {
+      this.fillMarkers.setMarkers([]);
+      if (this.premiumMarkers) this.premiumMarkers.setMarkers([]);
+      return;
+    }
+
+    const isLong = trade.direction === 'long';
+    const underlying = [];
+    const premium = [];
+
+    const fill = (time, kind) => {
+      const opening = kind === 'entry';
+      // Premium: bought on entry, sold on exit
+      const bar = barAt(this._premiumData, time);
+      if (bar) {
+        const price = parseFloat(opening ? contract.entry_premium : contract.exit_premium);
+        premium.push({
+          time: bar.time,
+          position: opening ? 'belowBar' : 'aboveBar',
+          color: opening ? '#38bdf8' : '#f59e0b',
+          shape: opening ? 'arrowUp' : 'arrowDown',
+          text: `${opening ? 'Buy' : 'Sell'} ${Number.isFinite(price) ? price.toFixed(2) : ''}`.trim(),
+        });
+      }
+
+      const candle = barAt(this._candleData, time);
+      if (candle) {
+        const up = opening === isLong;
+        underlying.push({
+          time: candle.time,
+          position: up ? 'belowBar' : 'aboveBar',
+          color: opening ? '#38bdf8' : '#f59e0b',
+          shape: up ? 'arrowUp' : 'arrowDown',
+          text: `${opening ? 'Entry' : 'Exit'} ${candle.close.toFixed(2)}`,
+        });
+      }
+    };
+
+    if (entered) fill(trade.entry_time, 'entry');
+    if (exited && trade.exit_time !== null && contract.exit_premium) fill(trade.exit_time, 'exit');
+
+    this.fillMarkers.setMarkers(underlying);
+    if (this.premiumMarkers) this.premiumMarkers.setMarkers(premium);
+  },
+
+  fitPremiumScale(premiumData) {
+    const contract = this._contract;
+    const prices = [];
+    for (const bar of premiumData) {
+      prices.push(bar.high, bar.low);
+    }
+    if (contract.entry_premium) prices.push(parseFloat(contract.entry_premium));
+    if (contract.exit_premium) prices.push(parseFloat(contract.exit_premium));
+
+    this.applyPriceRange(this.premiumSeries, prices);
+  },
+
+  // Export
+
+  exportName() {
+    const trade = this._trade;
+    if (!trade) return ['trade'];
+
+    const date = trade.entry_time !== null ? formatChartTimestamp(trade.entry_time).slice(0, 10) : null;
+    return [trade.symbol, trade.direction, date];
+  },
+
+  exportPng() {
+    const trade = this._trade;
+    const title = trade
+      ? `${trade.symbol || ''} ${(trade.direction || '').toUpperCase()} · entry ${trade.entry_time !== null ? formatChartTimestamp(trade.entry_time) : '-'}`.trim()
+      : 'Trade';
+
+    exportChartPng(this.chart, { title, filename: exportFilename(this.exportName(), 'png') });
+  },
+
+  exportVisibleBars() {
+    const rows = getVisibleData(this.chart, this.candleSeries).map(candle => ({
+      time: formatChartTimestamp(candle.time),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+    }));
+
+    exportCsv(rows, ['time', 'open', 'high', 'low', 'close'], exportFilename(this.exportName().concat(['bars']), 'csv'));
+  },
+
+  exportTrade() {
+    exportJson(this._payload || {}, exportFilename(this.exportName(), 'json'));
+  },
+
+  // Controls and readouts
+
+  createReplayControls() {
+    const controls = document.createElement('div');
+    controls.className = 'absolute top-1 left-1 z-10 hidden items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded p-0.5 text-xs';
+
+    const makeButton = (label, title, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = title;
+      button.className = 'px-2 py-0.5 rounded text-zinc-300 hover:text-white hover:bg-zinc-700 transition-colors';
+      button.addEventListener('click', onClick);
+      controls.appendChild(button);
+      return button;
+    };
+
+    this._replayButtons = {
+      restart: makeButton('⟲', 'Restart replay', () => this.startReplay()),
+      play: makeButton('▶', 'Play / pause', () => this.togglePlayback()),
+      step: makeButton('Step', 'Reveal next bar', () => {
+        this.pauseReplay();
+        this.stepReplay();
+      }),
+      speed: makeButton('1x', 'Replay speed', () => this.cycleReplaySpeed()),
+      exit: makeButton('Full', 'Show the whole trade', () => this.exitReplay()),
+    };
+
+    // Running P&L at the current replay bar
+    this._replayReadout = document.createElement('span');
+    this._replayReadout.className = 'px-2 font-mono text-zinc-400';
+    controls.appendChild(this._replayReadout);
+
+    this.el.appendChild(controls);
+    this._replayControls = controls;
+  },
+
+  updateReplayControls() {
+    if (!this._replayControls) return;
+
+    const hasData = this._candleData && this._candleData.length > 0 && this._trade;
+    this._replayControls.classList.toggle('hidden', !hasData);
+    this._replayControls.classList.toggle('flex', Boolean(hasData));
+    if (!hasData) return;
+
+    const inReplay = this._replay !== null;
+    this._replayButtons.play.textContent = this._replayTimer ? '❚❚' : '▶';
+    this._replayButtons.speed.textContent = `${this._replaySpeed}x`;
+    this._replayButtons.restart.disabled = !inReplay;
+    this._replayButtons.exit.disabled = !inReplay;
+    this._replayButtons.restart.classList.toggle('opacity-40', !inReplay);
+    this._replayButtons.exit.classList.toggle('opacity-40', !inReplay);
+
+    if (!inReplay) {
+      this._replayReadout.textContent = '';
+      return;
+    }
+
+    const current = this._candleData[this._replay.index];
+    const result = this.calculateTradePnl(current.time, current.close);
+    this.renderPnl(this._replayReadout, result, formatTimeExact(current.time));
+  },
+
+  createCursorReadout() {
+    const readout = document.createElement('div');
+    readout.className = 'absolute z-10 hidden pointer-events-none bg-zinc-900/90 border border-zinc-700 rounded px-2 py-1 text-xs font-mono';
+    this.el.appendChild(readout);
+    this._cursorReadout = readout;
+  },
+
+  updateCursorReadout(param) {
+    const readout = this._cursorReadout;
+    const candle = param.time && param.seriesData ? param.seriesData.get(this.candleSeries) : null;
+
+    // Whitespace (unrevealed replay bars) has no close
+    const result = candle && candle.close !== undefined ? this.calculateTradePnl(param.time, candle.close) : null;
+
+    if (!result || !param.point) {
+      readout.classList.add('hidden');
+      return;
+    }
+
+    this.renderPnl(readout, result, result.realized ? 'Realized' : 'Unrealized');
+    readout.classList.remove('hidden');
+
+    // Keep the readout next to the cursor, flipping left near the right edge.
+    // The point is relative to its pane, so offset it below the upper pane
+    // (plus the 1px separator) when hovering the premium pane.
+    const offset = 12;
+    const paneTop = param.paneIndex > 0 ? this.chart.panes()[0].getHeight() + 1 : 0;
+    const left = param.point.x + offset + readout.offsetWidth > this.el.clientWidth
+      ? param.point.x - offset - readout.offsetWidth
+      : param.point.x + offset;
+    readout.style.left = `${Math.max(0, left)}px`;
+    readout.style.top = `${Math.max(0, paneTop + param.point.y - readout.offsetHeight - offset)}px`;
+  },
+
+  renderPnl(target, result, label) {
+    if (!result) {
+      target.textContent = label;
+      target.classList.remove(...PNL_COLOR_CLASSES);
+      target.classList.add('text-zinc-400');
+      return;
+    }
+
+    const pnl = result.pnl !== null
+      ? formatSigned(result.pnl, '$')
+      : `${formatSigned(result.perShare, '')}/sh`;
+    const r = result.r !== null ? ` ${result.r >= 0 ? '+' : ''}${result.r.toFixed(2)}R` : '';
+    const color = result.perShare >= 0 ? 'text-green-400' : 'text-red-400';
+
+    target.textContent = `${label} ${pnl}${r}`;
+    target.classList.remove(...PNL_COLOR_CLASSES);
+    target.classList.add(color);
   },
 
   fitPriceScale(candleData, trade, level) {
@@ -151,6 +770,13 @@ export const TradeDetailChart = {
       prices.push(parseFloat(level.price));
     }
 
+    this.applyPriceRange(this.candleSeries, prices);
+  },
+
+  /**
+   * Autoscale a series to cover the given prices
+   */
+  applyPriceRange(series, prices) {
     if (prices.length === 0) return;
 
     // Calculate min and max with some padding
@@ -159,21 +785,18 @@ export const TradeDetailChart = {
     const range = maxPrice - minPrice;
     const padding = range * 0.08; // 8% padding on each side
 
-    // Store the price range for the autoscale provider
-    this._priceRange = {
+    const priceRange = {
       minValue: minPrice - padding,
       maxValue: maxPrice + padding,
     };
 
     // Update the series with custom autoscale provider
-    this.candleSeries.applyOptions({
-      autoscaleInfoProvider: () => ({
-        priceRange: this._priceRange,
-      }),
+    series.applyOptions({
+      autoscaleInfoProvider: () => ({ priceRange }),
     });
 
     // Force the chart to re-autoscale with the new provider
-    this.candleSeries.priceScale().applyOptions({
+    series.priceScale().applyOptions({
       autoScale: true,
     });
   },
@@ -252,6 +875,16 @@ export const TradeDetailChart = {
   },
 
   destroyed() {
+    this.stopReplay();
+    if (this.legend) {
+      this.legend.destroy();
+    }
+    if (this.chartSync) {
+      this.chartSync.destroy();
+    }
+    if (this.chart && this._crosshairHandler) {
+      this.chart.unsubscribeCrosshairMove(this._crosshairHandler);
+    }
     if (this.chart) {
       this.chart.remove();
     }
@@ -0,0 +1,574 @@
+import { createOptionsChart, HistogramSeries, LineSeries } from 'lightweight-charts';
+import { TradeScatterPrimitive } from './trade_scatter_primitive';
+
+/**
+ * TradeDistributionChart - Shape of a backtest's trade outcomes
+ *
+ * Views (toolbar, remembered in localStorage):
+ * - R histogram: trade count per R-multiple bin
+ * - MAE / MFE: max adverse vs max favorable excursion per trade (in R), colored
+ *   by outcome; hovering shows the trade, clicking pushes select_trade
+ * - Expectancy: running average R by trade number, with a rolling window
+ *
+ * Below the chart, MAE/MFE diagnostics say whether stops look too tight
+ * (winners that nearly hit the stop) or targets too far (few trades reach them).
+ *
+ * Expects data-trades as [{ id, symbol, direction, exit_time, pnl, r_multiple,
+ * mae_r, mfe_r, target_r }] (closed trades; mae_r <= 0).
+ */
+
+const VIEWS = {
+  histogram: 'R histogram',
+  excursion: 'MAE / MFE',
+  expectancy: 'Expectancy',
+};
+
+const DEFAULT_VIEW = 'histogram';
+const STORAGE_KEY = 'trade-distribution:view';
+
+const WIN_COLOR = '#22c55e';       // green-500
+const LOSS_COLOR = '#ef4444';      // red-500
+const FLAT_COLOR = '#a1a1aa';      // zinc-400
+const EXPECTANCY_COLOR = '#f59e0b'; // amber-500
+const ROLLING_COLOR = '#60a5fa';   // blue-400
+
+const ROLLING_WINDOW = 20;
+
+// Diagnostics thresholds
+const NEAR_STOP_R = 0.25;          // Winner came within this much of the 1R stop
+const TIGHT_STOP_SHARE = 0.25;
+const GAVE_BACK_MFE_R = 1;         // Loser was up at least this much first
+const GAVE_BACK_SHARE = 0.25;
+const TARGET_REACH_SHARE = 0.3;
+const MIN_SAMPLE = 10;
+
+const TOOLBAR_BUTTON_CLASS = 'px-2 py-0.5 text-xs font-medium rounded transition-colors';
+const TOOLBAR_ACTIVE_CLASS = 'bg-zinc-700 text-white';
+const TOOLBAR_INACTIVE_CLASS = 'text-zinc-400 hover:text-white hover:bg-zinc-700';
+
+function parseValue(val) {
+  if (val === null || val === undefined) {
+    return null;
+  }
+  const num = typeof val === 'number' ? val : parseFloat(val);
+  if (isNaN(num) || !isFinite(num)) {
+    return null;
+  }
+  return num;
+}
+
+function formatR(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+}
+
+function formatPct(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+const R_FORMAT = { type: 'custom', formatter: (value) => formatR(value), minMove: 0.01 };
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function outcomeColor(trade) {
+  if (trade.pnl > 0) return WIN_COLOR;
+  if (trade.pnl < 0) return LOSS_COLOR;
+  return FLAT_COLOR;
+}
+
+function loadView() {
+  try {
+    const view = localStorage.getItem(STORAGE_KEY);
+    return VIEWS[view] ? view : DEFAULT_VIEW;
+  } catch (e) {
+    return DEFAULT_VIEW;
+  }
+}
+
+function saveView(view) {
+  try {
+    localStorage.setItem(STORAGE_KEY, view);
+  } catch (e) {
+    // Storage unavailable (private mode) - the view still switches for this page
+  }
+}
+
+/**
+ * Validate trades and sort them by exit time
+ */
+function processTrades(rawTrades) {
+  if (!Array.isArray(rawTrades)) return [];
+
+  return rawTrades
+    .map(raw => ({
+      id: raw.id,
+      symbol: raw.symbol || '',
+      direction: raw.direction || '',
+      exitTime: parseValue(raw.exit_time) ?? 0,
+      pnl: parseValue(raw.pnl) ?? 0,
+      r: parseValue(raw.r_multiple),
+      mae: parseValue(raw.mae_r),
+      mfe: parseValue(raw.mfe_r),
+      target: parseValue(raw.target_r),
+    }))
+    .filter(trade => trade.id)
+    .sort((a, b) => a.exitTime - b.exitTime);
+}
+
+/**
+ * Trade counts per R bin (0.25R, or 0.5R for wide distributions).
+ * Empty bins are kept so the horizontal axis is continuous.
+ */
+function buildHistogram(rValues) {
+  if (rValues.length === 0) return { width: 0.25, bins: [] };
+
+  const min = Math.min(...rValues);
+  const max = Math.max(...rValues);
+  const width = max - min > 6 ? 0.5 : 0.25;
+
+  const first = Math.floor(min / width);
+  const last = Math.floor(max / width);
+  const counts = new Map();
+  for (const value of rValues) {
+    const bin = Math.floor(value / width);
+    counts.set(bin, (counts.get(bin) || 0) + 1);
+  }
+
+  const bins = [];
+  for (let bin = first; bin <= last; bin++) {
+    bins.push({ start: bin * width, count: counts.get(bin) || 0 });
+  }
+  return { width, bins };
+}
+
+/**
+ * Whether stops look too tight or targets too far, from MAE/MFE
+ * @returns {Array<{ text, warning }>}
+ */
+function excursionDiagnostics(trades) {
+  const measured = trades.filter(trade => trade.mae !== null && trade.mfe !== null);
+  if (measured.length === 0) {
+    return [{ text: 'No MAE/MFE recorded for these trades.', warning: false }];
+  }
+
+  const lines = [];
+  const winners = measured.filter(trade => trade.pnl > 0);
+  const losers = measured.filter(trade => trade.pnl < 0);
+
+  if (winners.length > 0) {
+    const nearStop = winners.filter(trade => trade.mae <= -(1 - NEAR_STOP_R)).length / winners.length;
+    lines.push(nearStop >= TIGHT_STOP_SHARE
+      ? { text: `Stops may be too tight: ${formatPct(nearStop)} of winners came within ${NEAR_STOP_R}R of the stop first.`, warning: true }
+      : { text: `${formatPct(nearStop)} of winners came within ${NEAR_STOP_R}R of the stop.`, warning: false });
+
+    const captured = average(winners.filter(trade => trade.mfe > 0 && trade.r !== null).map(trade => Math.min(1, trade.r / trade.mfe)));
+    if (captured !== null) {
+      lines.push({ text: `Winners kept ${formatPct(captured)} of their MFE on average.`, warning: false });
+    }
+  }
+
+  if (losers.length > 0) {
+    const gaveBack = losers.filter(trade => trade.mfe >= GAVE_BACK_MFE_R).length / losers.length;
+    lines.push(gaveBack >= GAVE_BACK_SHARE
+      ? { text: `${formatPct(gaveBack)} of losers were up ${GAVE_BACK_MFE_R}R or more before stopping out - consider breakeven stops or partials.`, warning: true }
+      : { text: `${formatPct(gaveBack)} of losers were up ${GAVE_BACK_MFE_R}R or more first.`, warning: false });
+  }
+
+  const targeted = measured.filter(trade => trade.target !== null && trade.target > 0);
+  if (targeted.length > 0) {
+    const reached = targeted.filter(trade => trade.mfe >= trade.target).length / targeted.length;
+    const medianTarget = median(targeted.map(trade => trade.target));
+    const medianMfe = median(targeted.map(trade => trade.mfe));
+    const tooFar = reached < TARGET_REACH_SHARE && medianMfe < medianTarget;
+
+    lines.push({
+      text: `${tooFar ? 'Targets may be too far: only ' : ''}${formatPct(reached)} of trades reached their target (median ${medianTarget.toFixed(2)}R); median MFE was ${medianMfe.toFixed(2)}R.`,
+      warning: tooFar,
+    });
+  }
+
+  if (measured.length < MIN_SAMPLE) {
+    lines.push({ text: `Only ${measured.length} trades - treat these as hints.`, warning: false });
+  }
+
+  return lines;
+}
+
+export const TradeDistributionChart = {
+  mounted() {
+    this.view = loadView();
+    this.chart = null;
+
+    this.el.classList.add('relative');
+
+    this.toolbar = document.createElement('div');
+    this.toolbar.className = 'flex flex-wrap items-center gap-2 mb-2';
+    this.viewButtons = document.createElement('div');
+    this.viewButtons.className = 'flex items-center gap-1 bg-zinc-900/80 border border-zinc-700 rounded-lg p-1';
+    this.summary = document.createElement('div');
+    this.summary.className = 'ml-auto text-xs text-zinc-400 font-mono';
+    this.toolbar.append(this.viewButtons, this.summary);
+
+    for (const [view, label] of Object.entries(VIEWS)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.view = view;
+      button.textContent = label;
+      button.addEventListener('click', () => {
+        this.view = view;
+        saveView(view);
+        this.render();
+      });
+      this.viewButtons.appendChild(button);
+    }
+
+    this.chartEl = document.createElement('div');
+    this.chartEl.className = 'w-full';
+
+    this.diagnostics = document.createElement('ul');
+    this.diagnostics.className = 'mt-3 space-y-1 text-xs';
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'absolute z-20 hidden pointer-events-none px-2 py-1 bg-zinc-900/95 border border-zinc-700 rounded text-xs font-mono whitespace-nowrap';
+
+    this.el.replaceChildren(this.toolbar, this.chartEl, this.diagnostics, this.tooltip);
+
+    // Handle window resize
+    this.resizeObserver = new ResizeObserver(entries => {
+      if (entries.length === 0 || !entries[0].target || !this.chart) return;
+      const { width } = entries[0].contentRect;
+      if (width > 0) {
+        this.chart.applyOptions({ width });
+      }
+    });
+    this.resizeObserver.observe(this.chartEl);
+
+    this.loadTrades();
+    this.render();
+  },
+
+  updated() {
+    this.loadTrades();
+    this.render();
+  },
+
+  loadTrades() {
+    let trades = [];
+    try {
+      trades = JSON.parse(this.el.dataset.trades || '[]');
+    } catch (e) {
+      console.error('TradeDistributionChart: Failed to parse trades:', e);
+    }
+    this.trades = processTrades(trades);
+  },
+
+  render() {
+    this.destroyChart();
+    this.hideTooltip();
+
+    for (const button of this.viewButtons.children) {
+      button.className = `${TOOLBAR_BUTTON_CLASS} ${button.dataset.view === this.view ? TOOLBAR_ACTIVE_CLASS : TOOLBAR_INACTIVE_CLASS}`;
+    }
+
+    this.renderDiagnostics();
+
+    if (this.trades.length === 0) {
+      this.summary.textContent = '';
+      this.chartEl.innerHTML = '<div class="text-zinc-500 text-center py-8">No closed trades</div>';
+      return;
+    }
+
+    this.chartEl.replaceChildren();
+    try {
+      // Horizontal labels: trade numbers for expectancy, R values otherwise
+      this.chart = createOptionsChart(this.chartEl, this.chartOptions(this.view === 'expectancy' ? 0 : 2));
+      if (this.view === 'excursion') {
+        this.renderExcursion();
+      } else if (this.view === 'expectancy') {
+        this.renderExpectancy();
+      } else {
+        this.renderHistogram();
+      }
+    } catch (e) {
+      console.error('TradeDistributionChart: Failed to create chart:', e);
+      this.chartEl.innerHTML = '<div class="text-zinc-500 text-center py-8">Failed to create chart</div>';
+    }
+  },
+
+  chartOptions(precision) {
+    return {
+      width: this.chartEl.clientWidth || 800,
+      height: parseInt(this.el.dataset.height || '320', 10),
+      layout: {
+        background: { color: '#18181b' },
+        textColor: '#a1a1aa',
+        attributionLogo: false,
+      },
+      localization: { precision },
+      grid: {
+        vertLines: { color: '#27272a' },
+        horzLines: { color: '#27272a' },
+      },
+      crosshair: {
+        mode: 0,
+        vertLine: { color: '#71717a', width: 1, style: 3, labelBackgroundColor: '#3f3f46' },
+        horzLine: { color: '#71717a', width: 1, style: 3, labelBackgroundColor: '#3f3f46' },
+      },
+      rightPriceScale: {
+        borderColor: '#3f3f46',
+        scaleMargins: { top: 0.1, bottom: 0.05 },
+      },
+      timeScale: {
+        borderColor: '#3f3f46',
+      },
+      handleScroll: false,
+      handleScale: false,
+    };
+  },
+
+  renderHistogram() {
+    const rValues = this.trades.map(trade => trade.r).filter(value => value !== null);
+    const { width, bins } = buildHistogram(rValues);
+
+    const series = this.chart.addSeries(HistogramSeries, {
+      priceFormat: { type: 'custom', formatter: (value) => String(Math.round(value)), minMove: 1 },
+      lastValueVisible: false,
+      priceLineVisible: false,
+    });
+    series.setData(bins.map(bin => ({
+      time: bin.start,
+      value: bin.count,
+      color: bin.start >= 0 ? WIN_COLOR : LOSS_COLOR,
+    })));
+    this.chart.timeScale().fitContent();
+
+    const above2R = rValues.filter(value => value >= 2).length;
+    const positive = rValues.filter(value => value > 0).length;
+    this.summary.textContent = rValues.length === 0
+      ? 'No R-multiples recorded'
+      : `${rValues.length} trades · avg ${formatR(average(rValues))} · median ${formatR(median(rValues))} · ${formatPct(positive / rValues.length)} > 0R · ${formatPct(above2R / rValues.length)} ≥ 2R`;
+
+    this.subscribeTooltip((param) => {
+      const data = param.seriesData.get(series);
+      if (!data || param.time === undefined) return null;
+      return [
+        { text: `${formatR(param.time)} to ${formatR(param.time + width)}`, className: 'text-zinc-200' },
+        { text: `${data.value} trades (${formatPct(data.value / rValues.length)})`, className: 'text-zinc-400' },
+      ];
+    });
+  },
+
+  renderExcursion() {
+    const measured = this.trades.filter(trade => trade.mae !== null && trade.mfe !== null);
+    if (measured.length === 0) {
+      this.destroyChart();
+      this.summary.textContent = '';
+      this.chartEl.innerHTML = '<div class="text-zinc-500 text-center py-8">No MAE/MFE recorded for these trades</div>';
+      return;
+    }
+
+    const targets = measured.map(trade => trade.target).filter(value => value !== null && value > 0);
+    const medianTarget = median(targets);
+
+    // Uniform grid for the MAE axis (always reaching past the 1R stop)
+    const maxMae = Math.max(1.1, ...measured.map(trade => Math.abs(trade.mae)));
+    const step = Math.max(0.01, Math.ceil((maxMae / 400) * 100) / 100);
+    const gridPoints = [];
+    for (let i = 0; i * step <= maxMae + step; i++) {
+      gridPoints.push({ time: Number((i * step).toFixed(4)), value: 0 });
+    }
+
+    const mfeValues = measured.map(trade => trade.mfe);
+    const maxY = Math.max(...mfeValues, medianTarget ?? 0, 1);
+    const minY = Math.min(0, ...mfeValues);
+
+    // Invisible carrier: defines the grid and the MFE price range
+    const carrier = this.chart.addSeries(LineSeries, {
+      color: 'rgba(0, 0, 0, 0)',
+      lastValueVisible: false,
+      priceLineVisible: false,
+      crosshairMarkerVisible: false,
+      priceFormat: R_FORMAT,
+      autoscaleInfoProvider: () => ({ priceRange: { minValue: minY, maxValue: maxY } }),
+    });
+    carrier.setData(gridPoints);
+
+    this.scatter = new TradeScatterPrimitive();
+    carrier.attachPrimitive(this.scatter);
+
+    const guides = [{ axis: 'x', value: 1, label: 'Stop (1R)' }];
+    if (medianTarget !== null) {
+      guides.push({ axis: 'y', value: medianTarget, label: `Median target ${medianTarget.toFixed(2)}R` });
+    }
+
+    this.scatter.setData({
+      points: measured.map(trade => ({ id: trade.id, x: Math.abs(trade.mae), y: trade.mfe, color: outcomeColor(trade) })),
+      guides,
+      grid: { origin: 0, step },
+    });
+    this.chart.timeScale().fitContent();
+
+    this.summary.textContent = `${measured.length} trades · x: MAE (R against) · y: MFE (R in favor)`;
+
+    const tradesById = new Map(measured.map(trade => [trade.id, trade]));
+
+    this.subscribeTooltip((param) => {
+      const trade = tradesById.get(param.hoveredObjectId);
+      this.scatter.setHovered(trade ? trade.id : null);
+      if (!trade) return null;
+
+      const lines = [
+        { text: `${trade.symbol} ${trade.direction}`, className: 'text-zinc-200' },
+        { text: `Result ${trade.r !== null ? formatR(trade.r) : 'n/a'}`, className: trade.pnl >= 0 ? 'text-green-400' : 'text-red-400' },
+        { text: `MAE ${formatR(trade.mae)} · MFE ${formatR(trade.mfe)}`, className: 'text-zinc-400' },
+      ];
+      if (trade.target !== null) {
+        lines.push({ text: `Target ${trade.target.toFixed(2)}R`, className: 'text-zinc-400' });
+      }
+      lines.push({ text: 'Click for details', className: 'text-zinc-500' });
+      return lines;
+    });
+
+    this._onClick = (param) => {
+      const id = param.hoveredObjectId;
+      if (typeof id === 'string' && tradesById.has(id)) {
+        this.pushEvent('select_trade', { id });
+      }
+    };
+    this.chart.subscribeClick(this._onClick);
+  },
+
+  renderExpectancy() {
+    const rTrades = this.trades.filter(trade => trade.r !== null);
+
+    const running = [];
+    const rolling = [];
+    let sum = 0;
+    rTrades.forEach((trade, index) => {
+      sum += trade.r;
+      running.push({ time: index + 1, value: sum / (index + 1) });
+
+      if (index + 1 >= ROLLING_WINDOW) {
+        const recent = rTrades.slice(index + 1 - ROLLING_WINDOW, index + 1);
+        rolling.push({ time: index + 1, value: average(recent.map(t => t.r)) });
+      } else {
+        rolling.push({ time: index + 1 });
+      }
+    });
+
+    const expectancySeries = this.chart.addSeries(LineSeries, {
+      color: EXPECTANCY_COLOR,
+      lineWidth: 2,
+      priceFormat: R_FORMAT,
+      lastValueVisible: true,
+      priceLineVisible: false,
+    });
+    expectancySeries.setData(running);
+    expectancySeries.createPriceLine({ price: 0, color: '#52525b', lineWidth: 1, lineStyle: 2, axisLabelVisible: false });
+
+    const rollingSeries = this.chart.addSeries(LineSeries, {
+      color: ROLLING_COLOR,
+      lineWidth: 1,
+      lineStyle: 2,
+      priceFormat: R_FORMAT,
+      lastValueVisible: false,
+      priceLineVisible: false,
+    });
+    rollingSeries.setData(rolling);
+    this.chart.timeScale().fitContent();
+
+    const final = running.length > 0 ? running[running.length - 1].value : null;
+    this.summary.textContent = final === null
+      ? 'No R-multiples recorded'
+      : `Expectancy ${formatR(final)} over ${running.length} trades · dashed: last ${ROLLING_WINDOW}`;
+
+    this.subscribeTooltip((param) => {
+      const point = param.seriesData.get(expectancySeries);
+      if (!point || param.time === undefined) return null;
+
+      const trade = rTrades[param.time - 1];
+      const rollingPoint = param.seriesData.get(rollingSeries);
+      const lines = [
+        { text: `Trade #${param.time} · ${trade.symbol} ${formatR(trade.r)}`, className: 'text-zinc-200' },
+        { text: `Expectancy ${formatR(point.value)}`, className: 'text-amber-400' },
+      ];
+      if (rollingPoint && rollingPoint.value !== undefined) {
+        lines.push({ text: `Last ${ROLLING_WINDOW}: ${formatR(rollingPoint.value)}`, className: 'text-blue-400' });
+      }
+      return lines;
+    });
+  },
+
+  renderDiagnostics() {
+    this.diagnostics.replaceChildren(...excursionDiagnostics(this.trades).map(line => {
+      const item = document.createElement('li');
+      item.className = line.warning ? 'text-amber-400' : 'text-zinc-400';
+      item.textContent = `${line.warning ? '⚠ ' : ''}${line.text}`;
+      return item;
+    }));
+  },
+
+  /**
+   * Show a tooltip next to the cursor with the lines returned by buildLines(param)
+   */
+  subscribeTooltip(buildLines) {
+    this._onCrosshairMove = (param) => {
+      const lines = param.point ? buildLines(param) : null;
+      if (!lines) {
+        this.hideTooltip();
+        return;
+      }
+
+      this.tooltip.replaceChildren(...lines.map(({ text, className }) => {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        return line;
+      }));
+      this.tooltip.classList.remove('hidden');
+
+      const left = Math.min(param.point.x + 12, this.el.clientWidth - this.tooltip.offsetWidth - 4);
+      this.tooltip.style.left = `${Math.max(left, 0)}px`;
+      this.tooltip.style.top = `${this.chartEl.offsetTop + param.point.y + 12}px`;
+    };
+    this.chart.subscribeCrosshairMove(this._onCrosshairMove);
+  },
+
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.classList.add('hidden');
+    }
+  },
+
+  destroyChart() {
+    if (!this.chart) return;
+
+    if (this._onCrosshairMove) {
+      this.chart.unsubscribeCrosshairMove(this._onCrosshairMove);
+      this._onCrosshairMove = null;
+    }
+    if (this._onClick) {
+      this.chart.unsubscribeClick(this._onClick);
+      this._onClick = null;
+    }
+    this.chart.remove();
+    this.chart = null;
+    this.scatter = null;
+  },
+
+  destroyed() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    this.destroyChart();
+  }
+};
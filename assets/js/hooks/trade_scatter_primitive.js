@@ -0,0 +1,191 @@
+/**
+ * Trade Scatter Primitive - MAE vs MFE dots on a price-based (options) chart
+ *
+ * The horizontal axis is a uniform grid of values (step apart, starting at
+ * origin) carried by the series this primitive is attached to, so any value
+ * maps to a coordinate through its logical index. The vertical axis is the
+ * series' price scale.
+ *
+ * Dots are hit-tested: the hovered trade's id comes back as
+ * param.hoveredObjectId in crosshair and click events.
+ *
+ * Also draws dashed guide lines (e.g. the stop at 1R MAE and the median target).
+ */
+
+const DOT_RADIUS = 4;
+const HOVER_RADIUS = 6;
+const GUIDE_COLOR = 'rgba(161, 161, 170, 0.6)'; // zinc-400
+const LABEL_FONT = '11px sans-serif';
+
+export class TradeScatterPrimitive {
+  constructor() {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+    this._points = [];   // { id, x, y, color }
+    this._guides = [];   // { axis: 'x' | 'y', value, label }
+    this._grid = { origin: 0, step: 1 };
+    this._hoveredId = null;
+    this._paneView = {
+      zOrder: () => 'top',
+      renderer: () => ({ draw: (target) => this._draw(target) }),
+    };
+  }
+
+  attached({ chart, series, requestUpdate }) {
+    this._chart = chart;
+    this._series = series;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._series = null;
+    this._requestUpdate = null;
+  }
+
+  paneViews() {
+    return [this._paneView];
+  }
+
+  updateAllViews() {
+    // Coordinates are computed at draw time
+  }
+
+  /**
+   * @param {Object} data
+   * @param {Array} data.points - [{ id, x, y, color }]
+   * @param {Array} data.guides - [{ axis: 'x' | 'y', value, label }]
+   * @param {Object} data.grid - { origin, step } of the horizontal axis
+   */
+  setData({ points, guides, grid }) {
+    this._points = points;
+    this._guides = guides;
+    this._grid = grid;
+    this._update();
+  }
+
+  setHovered(id) {
+    if (id === this._hoveredId) return;
+    this._hoveredId = id;
+    this._update();
+  }
+
+  hitTest(x, y) {
+    let closest = null;
+    let closestDistance = HOVER_RADIUS * HOVER_RADIUS;
+
+    for (const point of this._points) {
+      const coordinates = this._coordinates(point);
+      if (!coordinates) continue;
+
+      const distance = (coordinates.x - x) ** 2 + (coordinates.y - y) ** 2;
+      if (distance <= closestDistance) {
+        closest = point;
+        closestDistance = distance;
+      }
+    }
+
+    return closest ? { externalId: closest.id, zOrder: 'top', cursorStyle: 'pointer' } : null;
+  }
+
+  _update() {
+    if (this._requestUpdate) this._requestUpdate();
+  }
+
+  _xCoordinate(value) {
+    if (!this._chart) return null;
+    const logical = (value - this._grid.origin) / this._grid.step;
+    return this._chart.timeScale().logicalToCoordinate(logical);
+  }
+
+  _coordinates(point) {
+    if (!this._series) return null;
+    const x = this._xCoordinate(point.x);
+    const y = this._series.priceToCoordinate(point.y);
+    if (x === null || y === null) return null;
+    return { x, y };
+  }
+
+  _draw(target) {
+    if (!this._chart || !this._series) return;
+
+    target.useMediaCoordinateSpace((scope) => {
+      const ctx = scope.context;
+      const { width, height } = scope.mediaSize;
+
+      ctx.save();
+
+      // Guide lines
+      ctx.strokeStyle = GUIDE_COLOR;
+      ctx.fillStyle = GUIDE_COLOR;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([4, 4]);
+      ctx.font = LABEL_FONT;
+
+      for (const guide of this._guides) {
+        const coordinate = guide.axis === 'x'
+          ? this._xCoordinate(guide.value)
+          : this._series.priceToCoordinate(guide.value);
+        if (coordinate === null) continue;
+
+        const position = Math.round(coordinate) + 0.5;
+        ctx.beginPath();
+        if (guide.axis === 'x') {
+          ctx.moveTo(position, 0);
+          ctx.lineTo(position, height);
+        } else {
+          ctx.moveTo(0, position);
+          ctx.lineTo(width, position);
+        }
+        ctx.stroke();
+
+        if (guide.label) {
+          ctx.textBaseline = 'top';
+          if (guide.axis === 'x') {
+            ctx.fillText(guide.label, position + 4, 4);
+          } else {
+            ctx.fillText(guide.label, 4, position + 3);
+          }
+        }
+      }
+
+      ctx.setLineDash([]);
+
+      // Dots, hovered one last so it is on top
+      let hovered = null;
+      for (const point of this._points) {
+        if (point.id === this._hoveredId) {
+          hovered = point;
+          continue;
+        }
+        this._drawDot(ctx, point, DOT_RADIUS, 0.7);
+      }
+      if (hovered) {
+        this._drawDot(ctx, hovered, HOVER_RADIUS, 1);
+        const coordinates = this._coordinates(hovered);
+        if (coordinates) {
+          ctx.strokeStyle = '#fafafa';
+          ctx.lineWidth = 1.5;
+          ctx.beginPath();
+          ctx.arc(coordinates.x, coordinates.y, HOVER_RADIUS, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+
+      ctx.restore();
+    });
+  }
+
+  _drawDot(ctx, point, radius, alpha) {
+    const coordinates = this._coordinates(point);
+    if (!coordinates) return;
+
+    ctx.globalAlpha = alpha;
+    ctx.fillStyle = point.color;
+    ctx.beginPath();
+    ctx.arc(coordinates.x, coordinates.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+}
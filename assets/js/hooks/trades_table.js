@@ -1,8 +1,10 @@
 /**
- * TradesTable Hook - Handles trade row hover events and local time formatting
+ * TradesTable Hook - Handles trade row hover/click events and local time formatting
  *
  * Dispatches custom events to highlight trade zones on the chart
- * without requiring a server round-trip.
+ * without requiring a server round-trip. Clicking a row (or pressing Enter
+ * on it) asks the chart to zoom to that trade; the row's Details button
+ * opens the trade detail modal instead.
  */
 export const TradesTable = {
   mounted() {
@@ -46,6 +48,29 @@ export const TradesTable = {
 
       const tradeId = row.dataset.tradeId;
 
+      // Rows are focusable so Enter can zoom to the trade
+      row.tabIndex = 0;
+
+      const focusTrade = () => {
+        window.dispatchEvent(new CustomEvent('trade-focus', {
+          detail: { id: tradeId }
+        }));
+      };
+
+      // Buttons inside the row have their own action, so don't also zoom
+      const fromButton = (e) => e.target instanceof Element && e.target.closest('button') !== null;
+
+      row.addEventListener('click', (e) => {
+        if (!fromButton(e)) focusTrade();
+      });
+
+      row.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !fromButton(e)) {
+          e.preventDefault();
+          focusTrade();
+        }
+      });
+
       row.addEventListener('mouseenter', () => {
         window.dispatchEvent(new CustomEvent('trade-highlight', {
           detail: { id: tradeId }
@@ -1,6 +1,17 @@
-import { createChart, CandlestickSeries, HistogramSeries } from 'lightweight-charts';
+import { createChart, CandlestickSeries } from 'lightweight-charts';
 import { SessionHighlighter } from './session_highlighter';
 import { KeyLevelsManager } from './key_levels';
+import { IndicatorManager, parseIndicatorList } from './indicators';
+import { SignalMarkersManager, SignalMarkerPrimitive, signalColor } from './signal_markers';
+import { BarAggregator, bucketStart, normalizeTimeframe } from './bar_aggregation';
+import { DrawingToolsPrimitive, createDrawingToolbar } from './drawing_tools';
+import { PdArrayPrimitive } from './pd_array_primitive';
+import { PaneManager, createPaneToolbar, parsePaneList } from './chart_panes';
+import { ChartLegend, priceLegend } from './chart_legend';
+import { ChartSync } from './chart_sync';
+import { PriceAlertsManager } from './price_alerts';
+import { OrderLinesManager } from './order_lines';
+import { PositionToolPrimitive, createPositionToolbar, parsePositionSizing } from './position_tool';
 
 /**
  * Convert UTC timestamp to browser's local timezone
@@ -57,11 +68,57 @@ function formatTimeExact(time) {
   return `${hour12}:${minuteStr} ${ampm}`;
 }
 
+/**
+ * Format a date for tick marks and crosshair on the daily timeframe
+ */
+function formatDate(time) {
+  const date = new Date(time * 1000);
+  return `${date.getUTCMonth() + 1}/${date.getUTCDate()}`;
+}
+
+/**
+ * Normalize a bar from LiveView (numeric time, float prices)
+ */
+function normalizeBar(bar) {
+  return {
+    time: typeof bar.time === 'number' ? bar.time : parseInt(bar.time, 10),
+    open: parseFloat(bar.open),
+    high: parseFloat(bar.high),
+    low: parseFloat(bar.low),
+    close: parseFloat(bar.close),
+    volume: bar.volume || 0,
+  };
+}
+
+// Range traded since the previous snapshot of the same minute - its close through the
+// current close plus any new extremes. A new minute's whole range is new.
+function rangeSince(previous, bar) {
+  if (!previous || previous.time !== bar.time) return { high: bar.high, low: bar.low };
+
+  return {
+    high: Math.max(previous.close, bar.close, bar.high > previous.high ? bar.high : -Infinity),
+    low: Math.min(previous.close, bar.close, bar.low < previous.low ? bar.low : Infinity),
+  };
+}
+
 /**
  * TradingChart Hook - Lightweight Charts integration for real-time market data
  *
  * This hook creates and manages a candlestick chart with real-time updates.
  * It subscribes to Phoenix LiveView events for bar updates.
+ *
+ * The hook keeps the raw 1-minute bars and renders them at the selected
+ * timeframe (data-timeframe or the timeframe-change event); real-time
+ * updates are folded into the current aggregated candle.
+ *
+ * Volume and oscillators (RSI, MACD, relative volume) are drawn in resizable
+ * sub-panes chosen with data-panes (see chart_panes.js).
+ *
+ * Price alerts (see price_alerts.js) are checked against real-time prices and
+ * completed candles; triggers are pushed as price_alert_triggered.
+ *
+ * Entry, stop and target lines of active signals can be dragged (see
+ * order_lines.js); valid moves are pushed as modify_signal.
  */
 export const TradingChart = {
   mounted() {
@@ -82,6 +139,10 @@ export const TradingChart = {
         background: { color: '#18181b' }, // zinc-900 (lighter for visibility)
         textColor: '#a1a1aa', // zinc-400
         attributionLogo: false, // Disable TradingView logo to prevent duplicate ID warnings
+        panes: {
+          separatorColor: '#3f3f46', // zinc-700
+          separatorHoverColor: 'rgba(113, 113, 122, 0.3)', // zinc-500
+        },
       },
       grid: {
         vertLines: { color: '#3f3f46' }, // zinc-700 (more visible)
@@ -126,22 +187,12 @@ export const TradingChart = {
       wickDownColor: '#ef4444',
     });
 
-    // Add volume series (v5 API)
-    this.volumeSeries = this.chart.addSeries(HistogramSeries, {
-      color: '#3f3f46',
-      priceFormat: {
-        type: 'volume',
-      },
-      priceScaleId: '', // render as overlay
-    });
-
-    // Apply scale margins to volume series price scale (v5 requires this separate call)
-    this.volumeSeries.priceScale().applyOptions({
-      scaleMargins: {
-        top: 0.8,
-        bottom: 0,
-      },
-    });
+    // OHLCV legend for the bar under the crosshair (latest bar otherwise)
+    this._volumeByTime = new Map();
+    this.legend = new ChartLegend(this.chart, this.candleSeries, this.el, priceLegend(this.candleSeries, {
+      getVolume: (time) => this._volumeByTime.get(time),
+      showSession: () => this.timeframe !== '1D',
+    }));
 
     // Create and attach session highlighter for market hours visualization
     this.sessionHighlighter = new SessionHighlighter();
@@ -157,60 +208,98 @@ export const TradingChart = {
       this.keyLevelsManager.setLevels(initialLevels);
     }
 
-    // Load initial data
-    const initialData = JSON.parse(this.el.dataset.initialBars || '[]');
-    console.log('Initial data:', initialData.length, 'bars');
+    // Create signal markers (entry/SL/TP lines + entry arrow at the trigger bar)
+    this.signalMarkersManager = new SignalMarkersManager(this.candleSeries);
+    this.signalMarkerPrimitive = new SignalMarkerPrimitive();
+    this.candleSeries.attachPrimitive(this.signalMarkerPrimitive);
 
-    if (initialData.length > 0) {
-      console.log('First bar:', initialData[0]);
-      console.log('Last bar:', initialData[initialData.length - 1]);
+    const initialSignals = JSON.parse(this.el.dataset.signals || '[]');
+    if (initialSignals.length > 0) {
+      this.signalMarkersManager.setSignals(initialSignals);
+    }
 
-      const candleData = initialData.map(bar => ({
-        time: timeToLocal(bar.time),
-        open: parseFloat(bar.open),
-        high: parseFloat(bar.high),
-        low: parseFloat(bar.low),
-        close: parseFloat(bar.close),
-      }));
+    // Create FVG/order block zones (server-detected, fills tracked against live candles)
+    this.pdArrayPrimitive = new PdArrayPrimitive();
+    this.candleSeries.attachPrimitive(this.pdArrayPrimitive);
+    this._pdArrays = JSON.parse(this.el.dataset.pdArrays || '[]');
 
-      const volumeData = initialData.map(bar => ({
-        time: timeToLocal(bar.time),
-        value: bar.volume,
-        color: bar.close >= bar.open ? '#10b98133' : '#ef444433',
-      }));
+    // Create indicator manager for VWAP/EMA/ATR overlays
+    this.indicatorManager = new IndicatorManager(this.chart);
 
-      console.log('Setting candle data:', candleData.length, 'points');
-      this.candleSeries.setData(candleData);
-      this.volumeSeries.setData(volumeData);
+    // Create drawing tools (trendlines, rays, boxes, notes) - saved per symbol on every change
+    this.drawingTools = new DrawingToolsPrimitive({
+      onChange: (drawings) => this.pushEvent('save_drawings', { symbol, drawings }),
+    });
+    this.candleSeries.attachPrimitive(this.drawingTools);
+    this.drawingTools.attachTo(this.el);
+    this.drawingToolbar = createDrawingToolbar(this.el, this.drawingTools);
+
+    // Long/short position size and risk calculator (account size and % risk from data-position-sizing)
+    this.positionTool = new PositionToolPrimitive({
+      getLevels: () => this.keyLevelsManager.getLevels(),
+      sizing: parsePositionSizing(this.el.dataset.positionSizing),
+    });
+    this.candleSeries.attachPrimitive(this.positionTool);
+    this.positionTool.attachTo(this.el);
+    this.positionToolbar = createPositionToolbar(this.el, this.positionTool, 'top-18 left-2');
+
+    // Make active signal lines draggable (after the drawing and position tools, which take precedence on overlapping clicks)
+    this.orderLines = new OrderLinesManager(this.chart, this.candleSeries, {
+      getLevels: () => this.keyLevelsManager.getLevels(),
+      onModify: (order, { entry, stop, target }) => this.pushEvent('modify_signal', {
+        id: order.id,
+        entry_price: entry,
+        stop_loss: stop,
+        take_profit: target,
+      }),
+    });
+    this.orderLines.attachTo(this.el);
+
+    // Create price alerts (after the drawing tools and signal lines, which take precedence on overlapping clicks)
+    this.priceAlerts = new PriceAlertsManager(this.chart, this.candleSeries, {
+      symbol,
+      getLevels: () => this.keyLevelsManager.getLevels(),
+      onTrigger: (alert, { price, time }) => this.pushEvent('price_alert_triggered', {
+        symbol,
+        level_price: alert.price,
+        price,
+        time,
+        direction: alert.direction,
+        trigger: alert.trigger,
+        key_level: alert.level,
+      }),
+    });
+    this.priceAlerts.attachTo(this.el);
+    this.priceAlerts.setKeyLevels(this.keyLevelsManager.getLevels());
+
+    // Create volume/oscillator sub-panes (layout from data-panes until the user saves one)
+    this.paneManager = new PaneManager(this.chart, {
+      defaultLayout: parsePaneList(this.el.dataset.panes),
+      savedLayout: JSON.parse(this.el.dataset.paneLayout || 'null'),
+      onSave: (layout) => this.pushEvent('save_pane_layout', layout),
+    });
+    this.paneToolbar = createPaneToolbar(this.el, this.paneManager);
 
-      // Update session highlighter with both local time (for coordinates) and UTC time (for session detection)
-      const sessionData = initialData.map(bar => ({
-        localTime: timeToLocal(bar.time),
-        utcTime: bar.time,
-      }));
-      this.sessionHighlighter.setData(sessionData);
-      this._sessionData = sessionData;
+    // Load initial data (raw 1-minute bars, rendered at the selected timeframe)
+    const initialData = JSON.parse(this.el.dataset.initialBars || '[]');
+    console.log('Initial data:', initialData.length, 'bars');
 
-      console.log('Chart data loaded successfully');
-    } else {
+    this._minuteBars = initialData.map(normalizeBar);
+    this.timeframe = normalizeTimeframe(this.el.dataset.timeframe);
+    this.aggregator = new BarAggregator(this.timeframe);
+    this.applyTimeScaleFormat();
+    this.renderBars();
+    this.syncSignalMarkers();
+    this.syncOrderLines();
+    this.syncPdArrays();
+    this.drawingTools.setDrawings(JSON.parse(this.el.dataset.drawings || '[]'));
+
+    if (initialData.length === 0) {
       console.warn('No initial data available for chart');
-      this._sessionData = [];
     }
 
-    // Track current candle for real-time updates
-    // Initialize from the last bar if available
-    if (initialData.length > 0) {
-      const lastBar = initialData[initialData.length - 1];
-      this.currentCandle = {
-        time: timeToLocal(lastBar.time),
-        open: parseFloat(lastBar.open),
-        high: parseFloat(lastBar.high),
-        low: parseFloat(lastBar.low),
-        close: parseFloat(lastBar.close),
-      };
-    } else {
-      this.currentCandle = null;
-    }
+    // Enable indicators from data attribute (defaults to VWAP + 9/20 EMAs)
+    this.indicatorManager.setIndicators(parseIndicatorList(this.el.dataset.indicators));
 
     // Listen for new bar updates from LiveView (symbol-specific events)
     this.handleEvent(`bar-update-${symbol}`, ({ bar }) => {
@@ -226,6 +315,26 @@ export const TradingChart = {
     this.handleEvent(`levels-update-${symbol}`, ({ levels }) => {
       console.log('Key levels updated:', levels);
       this.keyLevelsManager.setLevels(levels);
+      this.priceAlerts.setKeyLevels(levels);
+    });
+
+    // Listen for trade signal lifecycle updates (generated, filled, expired, invalidated)
+    this.handleEvent(`signal-update-${symbol}`, ({ signal }) => {
+      this.updateSignal(signal);
+    });
+
+    // Listen for timeframe switches (1m, 5m, 15m, 1h, 1D)
+    this.handleEvent(`timeframe-change-${symbol}`, ({ timeframe }) => {
+      this.setTimeframe(timeframe);
+    });
+
+    // Listen for indicator toggles (enabled omitted = flip current state)
+    this.handleEvent(`indicator-toggle-${symbol}`, ({ indicator, enabled }) => {
+      if (enabled === undefined || enabled === null) {
+        this.indicatorManager.toggle(indicator);
+      } else {
+        this.indicatorManager.setEnabled(indicator, enabled);
+      }
     });
 
     // Handle window resize
@@ -236,89 +345,245 @@ export const TradingChart = {
     });
 
     this.resizeObserver.observe(this.el);
-  },
 
-  updateBar(bar) {
-    // Ensure time is a number (LiveView JSON can sometimes serialize differently)
-    const barTime = typeof bar.time === 'number' ? bar.time : parseInt(bar.time, 10);
-    const localTime = timeToLocal(barTime);
+    // Mirror crosshair/visible range with charts sharing data-sync-group
+    this.chartSync = new ChartSync(this.el, this.chart, this.candleSeries);
+  },
 
-    // Only update if the new bar time is >= the current candle time (prevent stale updates)
-    if (this.currentCandle && localTime < this.currentCandle.time) {
-      console.log('Skipping stale bar update:', localTime, '<', this.currentCandle.time);
-      return;
-    }
+  renderBars() {
+    // Aggregate the minute bars into the selected timeframe
+    const bars = this.aggregator.setBars(this._minuteBars);
 
-    const candlePoint = {
-      time: localTime,
+    const candleData = bars.map(bar => ({
+      time: timeToLocal(bar.time),
       open: parseFloat(bar.open),
       high: parseFloat(bar.high),
       low: parseFloat(bar.low),
       close: parseFloat(bar.close),
-    };
+    }));
 
-    const volumePoint = {
-      time: localTime,
-      value: bar.volume,
-      color: parseFloat(bar.close) >= parseFloat(bar.open) ? '#10b98133' : '#ef444433',
-    };
+    this.candleSeries.setData(candleData);
+    this.priceAlerts.refreshRestoredDirections();
 
-    this.candleSeries.update(candlePoint);
-    this.volumeSeries.update(volumePoint);
+    this._volumeByTime = new Map(candleData.map((candle, i) => [candle.time, bars[i].volume || 0]));
+    this.legend.refresh();
 
-    // Update session highlighter data for new bar
-    const existingIndex = this._sessionData.findIndex(d => d.localTime === localTime);
-    if (existingIndex === -1) {
-      this._sessionData.push({ localTime, utcTime: barTime });
-      this.sessionHighlighter.setData(this._sessionData);
+    // Update session highlighter with both local time (for coordinates) and UTC time (for session detection)
+    this._sessionData = bars.map(bar => ({
+      localTime: timeToLocal(bar.time),
+      utcTime: bar.time,
+    }));
+    this.sessionHighlighter.setData(this._sessionData);
+
+    // Feed indicators with the same bars (utcTime needed for session anchoring)
+    this.indicatorManager.setBars(bars.map((bar, i) => ({
+      ...candleData[i],
+      utcTime: bar.time,
+      volume: bar.volume || 0,
+    })));
+
+    // Volume and oscillator panes
+    this.paneManager.setBars(bars.map((bar, i) => ({ ...candleData[i], volume: bar.volume || 0 })));
+
+    // Zone fills are evaluated against the rendered candles
+    this.pdArrayPrimitive.setBars(candleData);
+
+    // Track current candle for real-time updates
+    this.currentCandle = candleData.length > 0 ? candleData[candleData.length - 1] : null;
+    this._candleUtcTime = bars.length > 0 ? bars[bars.length - 1].time : null;
+  },
+
+  setTimeframe(timeframe) {
+    timeframe = normalizeTimeframe(timeframe);
+    if (timeframe === this.timeframe) return;
+
+    this.timeframe = timeframe;
+    this.aggregator = new BarAggregator(timeframe);
+    this.applyTimeScaleFormat();
+    this.renderBars();
+    this.syncSignalMarkers();
+    this.syncPdArrays();
+    this.chart.timeScale().scrollToRealTime();
+  },
+
+  applyTimeScaleFormat() {
+    // Daily candles are labelled by date, intraday candles by time
+    const isDaily = this.timeframe === '1D';
+
+    this.chart.applyOptions({
+      timeScale: {
+        timeVisible: !isDaily,
+        tickMarkFormatter: (time) => (isDaily ? formatDate(time) : formatTime12Hour(time)),
+      },
+      localization: {
+        timeFormatter: (time) => (isDaily ? formatDate(time) : formatTimeExact(time)),
+      },
+    });
+  },
+
+  updateBar(bar) {
+    const minuteBar = normalizeBar(bar);
+    const lastBar = this._minuteBars[this._minuteBars.length - 1];
+
+    // Only update if the new bar time is >= the current minute (prevent stale updates)
+    if (lastBar && minuteBar.time < lastBar.time) {
+      console.log('Skipping stale bar update:', minuteBar.time, '<', lastBar.time);
+      return;
     }
 
-    // Update current candle tracker
-    this.currentCandle = candlePoint;
+    // Only what traded since the last check can touch an alert - not the whole minute
+    const touched = rangeSince(lastBar, minuteBar);
+
+    if (lastBar && minuteBar.time === lastBar.time) {
+      this._minuteBars[this._minuteBars.length - 1] = minuteBar;
+    } else {
+      this._minuteBars.push(minuteBar);
+    }
+
+    this.priceAlerts.checkTouch(touched.high, touched.low, minuteBar.time);
+    this.applyMinuteBar(minuteBar);
   },
 
   updatePrice(data) {
     // Ensure time is a number
     const dataTime = typeof data.time === 'number' ? data.time : parseInt(data.time, 10);
-    const localTime = timeToLocal(dataTime);
     const price = parseFloat(data.price);
-
-    // Check if this is a new candle (new minute) or update to current
-    if (!this.currentCandle || localTime > this.currentCandle.time) {
-      // New candle - start fresh with this price
-      this.currentCandle = {
-        time: localTime,
-        open: price,
-        high: price,
-        low: price,
-        close: price,
-      };
-
-      // Update session highlighter for new candle
-      const existingIndex = this._sessionData.findIndex(d => d.localTime === localTime);
-      if (existingIndex === -1) {
-        this._sessionData.push({ localTime, utcTime: dataTime });
-        this.sessionHighlighter.setData(this._sessionData);
+    let minuteBar = this._minuteBars[this._minuteBars.length - 1];
+
+    // Check if this is a new minute or an update to the current one
+    if (!minuteBar || dataTime > minuteBar.time) {
+      // New minute - start fresh with this price
+      minuteBar = { time: dataTime, open: price, high: price, low: price, close: price, volume: 0 };
+      this._minuteBars.push(minuteBar);
+    } else if (dataTime === minuteBar.time) {
+      // Same minute - update close and potentially high/low
+      minuteBar.close = price;
+      if (price > minuteBar.high) {
+        minuteBar.high = price;
       }
-    } else if (localTime === this.currentCandle.time) {
-      // Same candle - update close and potentially high/low
-      this.currentCandle.close = price;
-      if (price > this.currentCandle.high) {
-        this.currentCandle.high = price;
-      }
-      if (price < this.currentCandle.low) {
-        this.currentCandle.low = price;
+      if (price < minuteBar.low) {
+        minuteBar.low = price;
       }
+    } else {
+      // Ignore stale data
+      return;
     }
-    // Ignore if localTime < currentCandle.time (stale data)
 
-    // Update the chart
-    if (this.currentCandle) {
-      this.candleSeries.update(this.currentCandle);
+    this.priceAlerts.checkTouch(price, price, dataTime);
+    this.applyMinuteBar(minuteBar);
+  },
+
+  applyMinuteBar(minuteBar) {
+    // Fold the minute into the current candle of the selected timeframe
+    const candle = this.aggregator.update(minuteBar);
+    if (!candle) return;
+
+    const localTime = timeToLocal(candle.time);
+
+    // A new candle means the previous one closed - check close alerts against it
+    if (this.currentCandle && localTime > this.currentCandle.time) {
+      this.priceAlerts.checkClose(this.currentCandle.close, this._candleUtcTime);
     }
+    this._candleUtcTime = candle.time;
+
+    const candlePoint = {
+      time: localTime,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+    };
+
+    this.candleSeries.update(candlePoint);
+
+    this._volumeByTime.set(localTime, candle.volume || 0);
+    this.legend.refresh();
+
+    // Update session highlighter data for a new candle
+    const lastSession = this._sessionData[this._sessionData.length - 1];
+    if (!lastSession || lastSession.localTime < localTime) {
+      this._sessionData.push({ localTime, utcTime: candle.time });
+      this.sessionHighlighter.setData(this._sessionData);
+    }
+
+    // Update current candle tracker and recompute the last indicator and oscillator points
+    this.currentCandle = candlePoint;
+    this.indicatorManager.updateBar({ ...candlePoint, utcTime: candle.time, volume: candle.volume });
+    this.paneManager.updateBar({ ...candlePoint, volume: candle.volume || 0 });
+    this.pdArrayPrimitive.updateBar(candlePoint);
+  },
+
+  updateSignal(signal) {
+    // Re-adding replaces the lines, picking up moved prices as well as the status
+    this.signalMarkersManager.addSignal(signal);
+
+    this.syncSignalMarkers();
+    this.syncOrderLines();
+  },
+
+  syncSignalMarkers() {
+    // Rebuild entry arrows from the signals currently on the chart
+    const markers = this.signalMarkersManager.getSignals()
+      .filter(signal => signal.trigger_time)
+      .map(signal => ({
+        // Place the arrow on the candle that contains the trigger bar
+        time: timeToLocal(bucketStart(signal.trigger_time, this.timeframe) ?? signal.trigger_time),
+        price: parseFloat(signal.entry_price),
+        direction: signal.direction,
+        color: signalColor(signal.direction === 'long' ? '#10b981' : '#ef4444', signal.status),
+      }));
+
+    this.signalMarkerPrimitive.setMarkers(markers);
+  },
+
+  syncOrderLines() {
+    // Only active signals can be modified (resolved signals stay on the chart, dimmed)
+    const orders = this.signalMarkersManager.getSignals()
+      .filter(signal => !signal.status || signal.status === 'active')
+      .map(signal => ({
+        id: signal.id,
+        direction: signal.direction,
+        entry: signal.entry_price,
+        stop: signal.stop_loss,
+        target: signal.take_profit,
+        filled: false,
+        editable: ['entry', 'stop', 'target'],
+        lines: this.signalMarkersManager.getLines(signal.id),
+      }));
+
+    this.orderLines.setOrders(orders);
+  },
+
+  syncPdArrays() {
+    // Anchor zones to the candles that contain their formation bars
+    const toCandleTime = (utcTime) => timeToLocal(bucketStart(utcTime, this.timeframe) ?? utcTime);
+
+    this.pdArrayPrimitive.setZones(this._pdArrays.map(zone => ({
+      ...zone,
+      time: toCandleTime(zone.time),
+      activeFrom: toCandleTime(zone.active_from),
+    })));
   },
 
   destroyed() {
+    if (this.legend) {
+      this.legend.destroy();
+    }
+    if (this.chartSync) {
+      this.chartSync.destroy();
+    }
+    if (this.drawingTools) {
+      this.drawingTools.destroy();
+    }
+    if (this.positionTool) {
+      this.positionTool.destroy();
+    }
+    if (this.priceAlerts) {
+      this.priceAlerts.destroy();
+    }
+    if (this.orderLines) {
+      this.orderLines.destroy();
+    }
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
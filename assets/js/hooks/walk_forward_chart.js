@@ -0,0 +1,407 @@
+import { createChart, BaselineSeries, LineSeries } from 'lightweight-charts';
+import { ChartSync } from './chart_sync';
+import { WalkForwardBandsPrimitive, WalkForwardTimelinePrimitive } from './walk_forward_primitive';
+
+/**
+ * WalkForwardChart - Walk-forward analysis timeline
+ *
+ * Features:
+ * - Out-of-sample equity stitched across folds (baseline at initial capital)
+ * - Each fold's OOS period shaded behind the equity and labelled with its
+ *   OOS / IS ratio (walk-forward efficiency)
+ * - Timeline pane with one row per fold: in-sample bar then out-of-sample bar,
+ *   colored green (efficiency >= data-min-efficiency), amber (below) or red (overfit)
+ * - Summary of average efficiency and overfit folds
+ * - Tooltip with the fold's periods, metrics and parameters
+ *
+ * Data attributes:
+ * - data-folds: [{ index, params, training_start, training_end, testing_start,
+ *   testing_end, in_sample_metric, out_of_sample_metric, efficiency,
+ *   degradation_pct, is_overfit, oos_trades, oos_net_profit }]
+ * - data-equity: [{ time, value }] stitched OOS equity
+ * - data-initial-capital, data-metric, data-min-efficiency, data-height
+ */
+
+const EQUITY_PANE_STRETCH = 3;
+const TIMELINE_PANE_STRETCH = 2;
+
+const DAY_SECONDS = 86400;
+
+const PASS_COLOR = '#22c55e';     // green-500
+const WEAK_COLOR = '#f59e0b';     // amber-500
+const OVERFIT_COLOR = '#ef4444';  // red-500
+const UNKNOWN_COLOR = '#71717a';  // zinc-500
+
+function parseValue(val) {
+  if (val === null || val === undefined) {
+    return null;
+  }
+  const num = typeof val === 'number' ? val : parseFloat(val);
+  if (isNaN(num) || !isFinite(num)) {
+    return null;
+  }
+  return num;
+}
+
+/**
+ * Parse an ISO date ("2024-01-31") to chart time at 00:00 UTC
+ */
+function parseDate(value) {
+  if (typeof value !== 'string') return null;
+  const [year, month, day] = value.split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return Date.UTC(year, month - 1, day) / 1000;
+}
+
+function formatDate(time) {
+  return new Date(time * 1000).toISOString().slice(0, 10);
+}
+
+function formatCurrency(value) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(value);
+}
+
+function formatMetric(value) {
+  return value === null ? 'n/a' : value.toFixed(2);
+}
+
+const CURRENCY_FORMAT = { type: 'custom', formatter: (price) => formatCurrency(price), minMove: 1 };
+
+/**
+ * Out-of-sample bar color for a fold
+ */
+function foldColor(fold, minEfficiency) {
+  if (fold.isOverfit) return OVERFIT_COLOR;
+  if (fold.efficiency === null) return UNKNOWN_COLOR;
+  return fold.efficiency >= minEfficiency ? PASS_COLOR : WEAK_COLOR;
+}
+
+/**
+ * Validate folds and convert their dates to chart times
+ */
+function processFolds(rawFolds, minEfficiency) {
+  if (!Array.isArray(rawFolds)) return [];
+
+  return rawFolds
+    .map(raw => {
+      const fold = {
+        index: raw.index ?? 0,
+        params: raw.params || {},
+        trainingStart: parseDate(raw.training_start),
+        trainingEnd: parseDate(raw.training_end),
+        testingStart: parseDate(raw.testing_start),
+        testingEnd: parseDate(raw.testing_end),
+        inSampleMetric: parseValue(raw.in_sample_metric),
+        outOfSampleMetric: parseValue(raw.out_of_sample_metric),
+        efficiency: parseValue(raw.efficiency),
+        degradationPct: parseValue(raw.degradation_pct),
+        isOverfit: raw.is_overfit === true,
+        oosTrades: raw.oos_trades || 0,
+        oosNetProfit: parseValue(raw.oos_net_profit),
+      };
+      fold.color = foldColor(fold, minEfficiency);
+      return fold;
+    })
+    .filter(fold => fold.testingStart !== null && fold.testingEnd !== null)
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Reduce equity points to the last value of each UTC day so they share the
+ * timeline pane's daily time points
+ */
+function processEquity(rawData) {
+  if (!Array.isArray(rawData)) return [];
+
+  const byDay = new Map();
+  const points = rawData
+    .map(point => ({ time: parseValue(point?.time), value: parseValue(point?.value) }))
+    .filter(point => point.time !== null && point.value !== null)
+    .sort((a, b) => a.time - b.time);
+
+  for (const point of points) {
+    byDay.set(Math.floor(point.time / DAY_SECONDS) * DAY_SECONDS, point.value);
+  }
+
+  return Array.from(byDay, ([time, value]) => ({ time, value }));
+}
+
+/**
+ * One point per calendar day from the first training start to the last
+ * testing end, so every fold boundary has a time point
+ */
+function timelineDays(folds, equityData) {
+  const times = [];
+  for (const fold of folds) {
+    times.push(fold.trainingStart, fold.trainingEnd, fold.testingStart, fold.testingEnd);
+  }
+  for (const point of equityData) {
+    times.push(point.time);
+  }
+
+  const valid = times.filter(time => time !== null);
+  if (valid.length === 0) return [];
+
+  const first = Math.min(...valid);
+  const last = Math.max(...valid);
+  const days = [];
+  for (let time = first; time <= last; time += DAY_SECONDS) {
+    days.push({ time, value: 0 });
+  }
+  return days;
+}
+
+export const WalkForwardChart = {
+  mounted() {
+    const container = this.el;
+    const width = container.clientWidth || 800;
+    const height = parseInt(container.dataset.height || '420', 10);
+
+    let rawFolds = [];
+    let rawEquity = [];
+    try {
+      rawFolds = JSON.parse(container.dataset.folds || '[]');
+      rawEquity = JSON.parse(container.dataset.equity || '[]');
+    } catch (e) {
+      console.error('WalkForwardChart: Failed to parse data:', e);
+      container.innerHTML = '<div class="text-zinc-500 text-center py-8">Invalid walk-forward data</div>';
+      return;
+    }
+
+    this._minEfficiency = parseValue(container.dataset.minEfficiency) ?? 0.5;
+    const folds = processFolds(rawFolds, this._minEfficiency);
+
+    if (folds.length === 0) {
+      container.innerHTML = '<div class="text-zinc-500 text-center py-8">No walk-forward folds available</div>';
+      return;
+    }
+
+    try {
+      this.chart = createChart(container, {
+        width: width,
+        height: height,
+        layout: {
+          background: { color: '#18181b' },
+          textColor: '#a1a1aa',
+          attributionLogo: false,
+          panes: {
+            separatorColor: '#3f3f46', // zinc-700
+            separatorHoverColor: 'rgba(113, 113, 122, 0.3)', // zinc-500
+          },
+        },
+        grid: {
+          vertLines: { color: '#27272a' },
+          horzLines: { color: '#27272a' },
+        },
+        crosshair: {
+          mode: 0, // Normal - the timeline rows are not series values
+          vertLine: {
+            color: '#71717a',
+            width: 1,
+            style: 3,
+            labelBackgroundColor: '#3f3f46',
+          },
+          horzLine: {
+            visible: false,
+            labelVisible: false,
+          },
+        },
+        rightPriceScale: {
+          borderColor: '#3f3f46',
+          scaleMargins: {
+            top: 0.15,
+            bottom: 0.1,
+          },
+        },
+        timeScale: {
+          borderColor: '#3f3f46',
+          timeVisible: false,
+        },
+      });
+
+      // Stitched out-of-sample equity
+      this.equitySeries = this.chart.addSeries(BaselineSeries, {
+        topLineColor: PASS_COLOR,
+        topFillColor1: 'rgba(34, 197, 94, 0.2)',
+        topFillColor2: 'rgba(34, 197, 94, 0.02)',
+        bottomLineColor: OVERFIT_COLOR,
+        bottomFillColor1: 'rgba(239, 68, 68, 0.02)',
+        bottomFillColor2: 'rgba(239, 68, 68, 0.2)',
+        lineWidth: 2,
+        priceFormat: CURRENCY_FORMAT,
+        lastValueVisible: true,
+        priceLineVisible: false,
+      });
+
+      // Carrier for the timeline rows: a flat, invisible line with a point per day
+      this.timelineSeries = this.chart.addSeries(LineSeries, {
+        color: 'rgba(0, 0, 0, 0)',
+        lastValueVisible: false,
+        priceLineVisible: false,
+        crosshairMarkerVisible: false,
+      }, 1);
+      this.chart.priceScale('right', 1).applyOptions({ visible: false });
+
+      const panes = this.chart.panes();
+      panes[0].setStretchFactor(EQUITY_PANE_STRETCH);
+      panes[1].setStretchFactor(TIMELINE_PANE_STRETCH);
+
+      this.bandsPrimitive = new WalkForwardBandsPrimitive();
+      this.equitySeries.attachPrimitive(this.bandsPrimitive);
+      this.timelinePrimitive = new WalkForwardTimelinePrimitive();
+      this.timelineSeries.attachPrimitive(this.timelinePrimitive);
+    } catch (e) {
+      console.error('WalkForwardChart: Failed to create chart:', e);
+      container.innerHTML = '<div class="text-zinc-500 text-center py-8">Failed to create chart</div>';
+      return;
+    }
+
+    // Summary and tooltip overlays
+    container.style.position = 'relative';
+    this.summary = document.createElement('div');
+    this.summary.className = 'absolute top-2 left-2 z-10 px-2 py-1 bg-zinc-900/80 border border-zinc-700 rounded text-xs text-zinc-300 pointer-events-none';
+    container.appendChild(this.summary);
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'absolute z-20 hidden pointer-events-none px-2 py-1 bg-zinc-900/95 border border-zinc-700 rounded text-xs font-mono whitespace-nowrap';
+    container.appendChild(this.tooltip);
+
+    this.render(folds, rawEquity);
+    this.chart.timeScale().fitContent();
+
+    this._onCrosshairMove = (param) => this.showFoldTooltip(param);
+    this.chart.subscribeCrosshairMove(this._onCrosshairMove);
+
+    // Handle window resize
+    this.resizeObserver = new ResizeObserver(entries => {
+      if (entries.length === 0 || !entries[0].target) return;
+      const { width } = entries[0].contentRect;
+      if (width > 0) {
+        this.chart.applyOptions({ width });
+      }
+    });
+
+    this.resizeObserver.observe(container);
+
+    // Mirror crosshair/visible range with charts sharing data-sync-group
+    this.chartSync = new ChartSync(container, this.chart, this.equitySeries);
+  },
+
+  updated() {
+    if (!this.chart) return;
+
+    try {
+      const folds = processFolds(JSON.parse(this.el.dataset.folds || '[]'), this._minEfficiency);
+      this.render(folds, JSON.parse(this.el.dataset.equity || '[]'));
+    } catch (e) {
+      console.warn('WalkForwardChart: Failed to update:', e);
+    }
+  },
+
+  /**
+   * Set equity, timeline rows and fold bands, and refresh the summary
+   */
+  render(folds, rawEquity) {
+    const initialCapital = parseValue(this.el.dataset.initialCapital) ?? 100000;
+    const equityData = processEquity(rawEquity);
+
+    this._folds = folds;
+    this.equitySeries.applyOptions({ baseValue: { type: 'price', price: initialCapital } });
+    this.equitySeries.setData(equityData);
+    this.timelineSeries.setData(timelineDays(folds, equityData));
+    this.bandsPrimitive.setFolds(folds);
+    this.timelinePrimitive.setFolds(folds);
+
+    this.renderSummary(folds);
+  },
+
+  renderSummary(folds) {
+    const efficiencies = folds.map(fold => fold.efficiency).filter(value => value !== null);
+    const overfit = folds.filter(fold => fold.isOverfit).length;
+    const average = efficiencies.length > 0
+      ? efficiencies.reduce((sum, value) => sum + value, 0) / efficiencies.length
+      : null;
+
+    const metric = this.el.dataset.metric || 'metric';
+    this.summary.textContent =
+      `${folds.length} folds · avg OOS/IS ${metric} ${formatMetric(average)} · ${overfit}/${folds.length} overfit`;
+  },
+
+  /**
+   * Fold under the crosshair: the hovered row in the timeline pane, otherwise
+   * the fold whose out-of-sample period contains the time
+   */
+  foldAt(param) {
+    if (param.paneIndex === 1) {
+      const paneHeight = this.chart.panes()[1].getHeight();
+      return this.timelinePrimitive.foldAtY(param.point.y, paneHeight);
+    }
+
+    const time = param.time;
+    return this._folds.find(fold => time >= fold.testingStart && time <= fold.testingEnd) || null;
+  },
+
+  showFoldTooltip(param) {
+    const fold = param.point && param.time !== undefined ? this.foldAt(param) : null;
+    if (!fold) {
+      this.tooltip.classList.add('hidden');
+      return;
+    }
+
+    const metric = this.el.dataset.metric || 'metric';
+    const lines = [
+      { text: `Fold ${fold.index + 1}`, className: 'text-zinc-200' },
+      { text: `IS  ${formatDate(fold.trainingStart ?? fold.testingStart)} → ${fold.trainingEnd !== null ? formatDate(fold.trainingEnd) : '?'}`, className: 'text-blue-300' },
+      { text: `OOS ${formatDate(fold.testingStart)} → ${formatDate(fold.testingEnd)}`, className: 'text-zinc-300' },
+      { text: `${metric}: IS ${formatMetric(fold.inSampleMetric)} · OOS ${formatMetric(fold.outOfSampleMetric)}`, className: 'text-zinc-400' },
+      {
+        text: `OOS/IS ${formatMetric(fold.efficiency)}${fold.isOverfit ? ' · overfit' : ''}`,
+        className: fold.isOverfit ? 'text-red-400' : 'text-zinc-300',
+      },
+      {
+        text: `${fold.oosTrades} OOS trades${fold.oosNetProfit !== null ? ` · ${formatCurrency(fold.oosNetProfit)}` : ''}`,
+        className: 'text-zinc-400',
+      },
+    ];
+
+    const params = Object.entries(fold.params).map(([key, value]) => `${key}=${value}`).join(' ');
+    if (params) {
+      lines.push({ text: params, className: 'text-zinc-500' });
+    }
+
+    this.tooltip.replaceChildren(...lines.map(({ text, className }) => {
+      const line = document.createElement('div');
+      line.className = className;
+      line.textContent = text;
+      return line;
+    }));
+
+    this.tooltip.classList.remove('hidden');
+
+    // Pane-local y: offset timeline rows by the equity pane and separator
+    const paneOffset = param.paneIndex === 1 ? this.chart.panes()[0].getHeight() + 1 : 0;
+    const left = Math.min(param.point.x + 12, this.el.clientWidth - this.tooltip.offsetWidth - 4);
+    this.tooltip.style.left = `${Math.max(left, 0)}px`;
+    this.tooltip.style.top = `${param.point.y + paneOffset + 12}px`;
+  },
+
+  destroyed() {
+    if (this._onCrosshairMove) {
+      this.chart.unsubscribeCrosshairMove(this._onCrosshairMove);
+    }
+    if (this.chartSync) {
+      this.chartSync.destroy();
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    if (this.chart) {
+      this.chart.remove();
+    }
+  }
+};
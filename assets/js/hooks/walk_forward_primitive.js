@@ -0,0 +1,165 @@
+/**
+ * Walk-Forward Primitives - Fold periods on a walk-forward chart
+ *
+ * - WalkForwardBandsPrimitive: shades each fold's out-of-sample period behind
+ *   the stitched OOS equity and labels it with the fold's OOS / IS ratio
+ * - WalkForwardTimelinePrimitive: one row per fold with the in-sample bar
+ *   followed by the out-of-sample bar (Gantt style)
+ *
+ * Folds are { index, trainingStart, trainingEnd, testingStart, testingEnd,
+ * efficiency, color } with times in chart seconds. Out-of-sample bars are
+ * colored by the caller (see the hook's foldColor).
+ */
+
+const IN_SAMPLE_COLOR = 'rgba(96, 165, 250, 0.35)'; // blue-400
+const LABEL_FONT = '11px sans-serif';
+const LABEL_COLOR = 'rgba(228, 228, 231, 0.9)';      // zinc-200
+const ROW_PADDING = 4;
+const MAX_ROW_HEIGHT = 18;
+
+/**
+ * Pixel span of a period, from the start of its first day to the end of its last
+ */
+function periodSpan(timeScale, start, end) {
+  if (start === null || end === null) return null;
+
+  const startX = timeScale.timeToCoordinate(start);
+  const endX = timeScale.timeToCoordinate(end);
+  if (startX === null || endX === null) return null;
+
+  const halfBar = (timeScale.options().barSpacing || 6) / 2;
+  return { left: startX - halfBar, right: endX + halfBar };
+}
+
+function formatRatio(efficiency) {
+  return efficiency === null ? 'n/a' : `${efficiency.toFixed(2)}x`;
+}
+
+/**
+ * Base for both primitives: holds the folds and the chart it is attached to
+ */
+class FoldsPrimitive {
+  constructor() {
+    this._chart = null;
+    this._requestUpdate = null;
+    this._folds = [];
+    this._paneView = { renderer: () => ({ draw: (target) => this._draw(target) }), zOrder: () => 'bottom' };
+  }
+
+  attached({ chart, requestUpdate }) {
+    this._chart = chart;
+    this._requestUpdate = requestUpdate;
+  }
+
+  detached() {
+    this._chart = null;
+    this._requestUpdate = null;
+  }
+
+  paneViews() {
+    return [this._paneView];
+  }
+
+  updateAllViews() {
+    // Coordinates are computed at draw time
+  }
+
+  setFolds(folds) {
+    this._folds = folds;
+    if (this._requestUpdate) this._requestUpdate();
+  }
+}
+
+export class WalkForwardBandsPrimitive extends FoldsPrimitive {
+  _draw(target) {
+    if (!this._chart || this._folds.length === 0) return;
+    const timeScale = this._chart.timeScale();
+
+    target.useMediaCoordinateSpace((scope) => {
+      const ctx = scope.context;
+      const height = scope.mediaSize.height;
+
+      ctx.save();
+      ctx.font = LABEL_FONT;
+      ctx.textBaseline = 'top';
+
+      for (const fold of this._folds) {
+        const span = periodSpan(timeScale, fold.testingStart, fold.testingEnd);
+        if (!span) continue;
+
+        ctx.globalAlpha = 0.12;
+        ctx.fillStyle = fold.color;
+        ctx.fillRect(span.left, 0, span.right - span.left, height);
+
+        // Fold boundary
+        ctx.globalAlpha = 0.5;
+        ctx.fillRect(Math.round(span.left), 0, 1, height);
+
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = LABEL_COLOR;
+        const label = `F${fold.index + 1} ${formatRatio(fold.efficiency)}`;
+        if (ctx.measureText(label).width + 8 <= span.right - span.left) {
+          ctx.fillText(label, span.left + 4, 4);
+        }
+      }
+
+      ctx.restore();
+    });
+  }
+}
+
+export class WalkForwardTimelinePrimitive extends FoldsPrimitive {
+  /**
+   * Row height for the current pane height (rows shrink to fit many folds)
+   */
+  rowHeight(paneHeight) {
+    if (this._folds.length === 0) return MAX_ROW_HEIGHT;
+    return Math.min(MAX_ROW_HEIGHT, (paneHeight - ROW_PADDING * 2) / this._folds.length);
+  }
+
+  /**
+   * Fold drawn at a y coordinate within the timeline pane
+   */
+  foldAtY(y, paneHeight) {
+    const row = Math.floor((y - ROW_PADDING) / this.rowHeight(paneHeight));
+    return this._folds[row] || null;
+  }
+
+  _draw(target) {
+    if (!this._chart || this._folds.length === 0) return;
+    const timeScale = this._chart.timeScale();
+
+    target.useMediaCoordinateSpace((scope) => {
+      const ctx = scope.context;
+      const rowHeight = this.rowHeight(scope.mediaSize.height);
+      const barHeight = Math.max(2, rowHeight - 4);
+
+      ctx.save();
+      ctx.font = LABEL_FONT;
+      ctx.textBaseline = 'middle';
+
+      this._folds.forEach((fold, row) => {
+        const y = ROW_PADDING + row * rowHeight + (rowHeight - barHeight) / 2;
+
+        const inSample = periodSpan(timeScale, fold.trainingStart, fold.trainingEnd);
+        if (inSample) {
+          ctx.fillStyle = IN_SAMPLE_COLOR;
+          ctx.fillRect(inSample.left, y, inSample.right - inSample.left, barHeight);
+        }
+
+        const outOfSample = periodSpan(timeScale, fold.testingStart, fold.testingEnd);
+        if (!outOfSample) return;
+
+        ctx.fillStyle = fold.color;
+        ctx.fillRect(outOfSample.left, y, outOfSample.right - outOfSample.left, barHeight);
+
+        if (barHeight >= 8) {
+          ctx.fillStyle = LABEL_COLOR;
+          ctx.fillText(`F${fold.index + 1} ${formatRatio(fold.efficiency)}`, outOfSample.right + 4, y + barHeight / 2);
+        }
+      });
+
+      ctx.restore();
+    });
+  }
+}
@@ -63,6 +63,12 @@ config :phoenix, :json_library, Jason
 # Configure timezone database
 config :elixir, :time_zone_database, Tz.TimeZoneDatabase
 
+# Account for the charts' position size tool and option payoff sizing
+# (risk_percentage: 0.01 = 1% per trade)
+config :signal, :position_sizing,
+  account_size: 100_000,
+  risk_percentage: 0.01
+
 # Import environment specific config. This must remain at the bottom
 # of this file so it overrides the configuration defined above.
 import_config "#{config_env()}.exs"
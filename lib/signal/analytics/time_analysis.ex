@@ -7,6 +7,7 @@ defmodule Signal.Analytics.TimeAnalysis do
   - **By Time Slot**: Performance in 15-minute intervals (9:30-9:45, etc.)
   - **By Weekday**: Performance by day of week
   - **By Month**: Performance by calendar month
+  - **By Weekday and Time Slot**: Performance per weekday/time slot cell (heatmaps)
   - **Best/Worst**: Identifies optimal and suboptimal trading periods
 
   ## Usage
@@ -193,6 +194,24 @@ defmodule Signal.Analytics.TimeAnalysis do
     |> Map.new()
   end
 
+  @doc """
+  Groups trades by day of week and time slot and calculates stats for each.
+
+  Keys are `{weekday, time_slot}` tuples, e.g. `{:monday, "09:30-09:45"}`,
+  for heatmaps of entry time against weekday.
+  """
+  @spec by_weekday_and_time_slot(list(map()), non_neg_integer()) ::
+          %{{atom(), String.t()} => TimeSlotStats.t()}
+  def by_weekday_and_time_slot(trades, interval_minutes \\ 15) do
+    trades
+    |> Enum.group_by(&{get_weekday(&1), get_time_slot(&1, interval_minutes)})
+    |> Enum.reject(fn {{day, slot}, _trades} -> is_nil(day) or is_nil(slot) end)
+    |> Enum.map(fn {{_day, slot} = key, cell_trades} ->
+      {key, calculate_slot_stats(slot, cell_trades)}
+    end)
+    |> Map.new()
+  end
+
   @doc """
   Groups trades by calendar month and calculates stats for each.
   """
@@ -234,6 +253,12 @@ defmodule Signal.Analytics.TimeAnalysis do
     end
   end
 
+  @doc """
+  Returns the minimum number of trades for a period to be ranked.
+  """
+  @spec min_trades_for_ranking() :: pos_integer()
+  def min_trades_for_ranking, do: @min_trades_for_ranking
+
   # Private Functions
 
   defp get_time_slot(trade, interval_minutes) do
@@ -179,6 +179,43 @@ defmodule Signal.Backtest.SimulatedTrade do
     |> validate_inclusion(:status, [:stopped_out, :target_hit, :time_exit, :manual_exit])
   end
 
+  @doc """
+  Creates a changeset for moving the stop loss and/or take profit of an open trade.
+
+  The entry (and so risk_amount, the R used for r_multiple) is unchanged. The
+  stop may be trailed past entry, but must stay on the loss side of the target.
+  """
+  def levels_changeset(trade, attrs) do
+    trade
+    |> cast(attrs, [:stop_loss, :take_profit])
+    |> validate_required([:stop_loss])
+    |> validate_number(:stop_loss, greater_than: 0)
+    |> validate_number(:take_profit, greater_than: 0)
+    |> validate_open()
+    |> validate_stop_before_target()
+  end
+
+  defp validate_open(changeset) do
+    if get_field(changeset, :status) == :open do
+      changeset
+    else
+      add_error(changeset, :status, "must be open to move stop or target")
+    end
+  end
+
+  defp validate_stop_before_target(changeset) do
+    stop = get_field(changeset, :stop_loss)
+    target = get_field(changeset, :take_profit)
+
+    expected = if get_field(changeset, :direction) == :short, do: :gt, else: :lt
+
+    if stop && target && Decimal.compare(stop, target) != expected do
+      add_error(changeset, :take_profit, "must be beyond the stop loss")
+    else
+      changeset
+    end
+  end
+
   @doc """
   Calculates P&L for a trade given an exit price.
 
@@ -0,0 +1,82 @@
+defmodule Signal.Charts do
+  @moduledoc """
+  Persistence for chart annotations created in the browser.
+
+  ## Usage
+
+      # Load the drawings for a symbol (empty list if none saved)
+      drawings = Charts.get_drawings("AAPL")
+
+      # Replace the drawings for a symbol
+      {:ok, drawing_set} = Charts.save_drawings("AAPL", drawings)
+
+      # Load / replace the sub-pane layout of a chart hook
+      layout = Charts.get_pane_layout("SymbolChart")
+      {:ok, pane_layout} = Charts.save_pane_layout("SymbolChart", %{panes: ["volume"]})
+  """
+
+  alias Signal.Charts.DrawingSet
+  alias Signal.Charts.PaneLayout
+  alias Signal.Repo
+
+  @doc """
+  Returns the saved drawings for a symbol, or an empty list.
+  """
+  @spec get_drawings(String.t()) :: [map()]
+  def get_drawings(symbol) do
+    case Repo.get(DrawingSet, symbol) do
+      %DrawingSet{drawings: drawings} -> drawings
+      nil -> []
+    end
+  end
+
+  @doc """
+  Replaces all drawings for a symbol.
+
+  ## Returns
+
+    * `{:ok, drawing_set}` - Drawings saved
+    * `{:error, changeset}` - Drawings failed validation
+  """
+  @spec save_drawings(String.t(), [map()]) ::
+          {:ok, DrawingSet.t()} | {:error, Ecto.Changeset.t()}
+  def save_drawings(symbol, drawings) when is_list(drawings) do
+    %DrawingSet{}
+    |> DrawingSet.changeset(%{symbol: symbol, drawings: drawings})
+    |> Repo.insert(
+      on_conflict: {:replace, [:drawings, :updated_at]},
+      conflict_target: :symbol
+    )
+  end
+
+  @doc """
+  Returns the saved pane layout for a chart hook as `%{panes: [...], stretch: %{}}`,
+  or nil when the chart should use its default layout.
+  """
+  @spec get_pane_layout(String.t()) :: %{panes: [String.t()], stretch: map()} | nil
+  def get_pane_layout(chart) do
+    case Repo.get(PaneLayout, chart) do
+      %PaneLayout{panes: panes, stretch: stretch} -> %{panes: panes, stretch: stretch}
+      nil -> nil
+    end
+  end
+
+  @doc """
+  Replaces the pane layout for a chart hook.
+
+  ## Returns
+
+    * `{:ok, pane_layout}` - Layout saved
+    * `{:error, changeset}` - Layout failed validation
+  """
+  @spec save_pane_layout(String.t(), map()) ::
+          {:ok, PaneLayout.t()} | {:error, Ecto.Changeset.t()}
+  def save_pane_layout(chart, attrs) when is_map(attrs) do
+    %PaneLayout{}
+    |> PaneLayout.changeset(Map.put(attrs, :chart, chart))
+    |> Repo.insert(
+      on_conflict: {:replace, [:panes, :stretch, :updated_at]},
+      conflict_target: :chart
+    )
+  end
+end
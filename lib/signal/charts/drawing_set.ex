@@ -0,0 +1,70 @@
+defmodule Signal.Charts.DrawingSet do
+  @moduledoc """
+  Ecto schema for the chart drawings saved for a symbol.
+
+  Drawings are created client-side by the chart drawing tools and stored as a
+  single list per symbol, so they reload on every chart showing that symbol.
+
+  Each drawing is a map with:
+
+  * `id` - Client-generated identifier
+  * `type` - One of "trendline", "ray", "rect", "text"
+  * `points` - List of `%{"time" => unix_seconds, "price" => number}`
+  * `text` - Note text (text drawings only)
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @drawing_types ~w(trendline ray rect text)
+  @max_drawings 500
+
+  @type t :: %__MODULE__{
+          symbol: String.t(),
+          drawings: [map()],
+          inserted_at: DateTime.t(),
+          updated_at: DateTime.t()
+        }
+
+  @primary_key {:symbol, :string, autogenerate: false}
+
+  schema "chart_drawings" do
+    field :drawings, {:array, :map}, default: []
+
+    timestamps(type: :utc_datetime_usec)
+  end
+
+  @doc """
+  Creates a changeset for a symbol's drawings.
+
+  ## Validations
+
+    * symbol is required
+    * at most #{@max_drawings} drawings
+    * every drawing has a known type and a list of points
+  """
+  @spec changeset(t(), map()) :: Ecto.Changeset.t()
+  def changeset(drawing_set, attrs) do
+    drawing_set
+    |> cast(attrs, [:symbol, :drawings])
+    |> validate_required([:symbol])
+    |> validate_length(:drawings, max: @max_drawings)
+    |> validate_change(:drawings, fn :drawings, drawings ->
+      if Enum.all?(drawings, &valid_drawing?/1) do
+        []
+      else
+        [drawings: "contains an invalid drawing"]
+      end
+    end)
+  end
+
+  defp valid_drawing?(%{"type" => type, "points" => points})
+       when type in @drawing_types and is_list(points) do
+    Enum.all?(points, fn
+      %{"time" => time, "price" => price} -> is_number(time) and is_number(price)
+      _ -> false
+    end)
+  end
+
+  defp valid_drawing?(_), do: false
+end
@@ -0,0 +1,63 @@
+defmodule Signal.Charts.PaneLayout do
+  @moduledoc """
+  Ecto schema for the sub-pane layout saved for a chart hook.
+
+  The chart hooks show volume and oscillator panes below the price pane. The
+  layout the user picks is saved per hook, so it is the same in every browser.
+  Like drawings it is not scoped to an account - the app has no user accounts.
+
+  * `chart` - Hook name ("TradingChart" or "SymbolChart")
+  * `panes` - Pane keys, top to bottom (see assets/js/hooks/chart_panes.js)
+  * `stretch` - Relative pane heights keyed by pane, `"main"` for the price pane
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @pane_keys ~w(volume rvol rsi macd)
+
+  @type t :: %__MODULE__{
+          chart: String.t(),
+          panes: [String.t()],
+          stretch: map(),
+          inserted_at: DateTime.t(),
+          updated_at: DateTime.t()
+        }
+
+  @primary_key {:chart, :string, autogenerate: false}
+
+  schema "chart_pane_layouts" do
+    field :panes, {:array, :string}, default: []
+    field :stretch, :map, default: %{}
+
+    timestamps(type: :utc_datetime_usec)
+  end
+
+  @doc """
+  Creates a changeset for a chart's pane layout.
+
+  ## Validations
+
+    * chart is required
+    * panes are known pane keys
+    * stretch factors are positive numbers for "main" or a known pane
+  """
+  @spec changeset(t(), map()) :: Ecto.Changeset.t()
+  def changeset(layout, attrs) do
+    layout
+    |> cast(attrs, [:chart, :panes, :stretch])
+    |> validate_required([:chart])
+    |> validate_subset(:panes, @pane_keys)
+    |> validate_change(:stretch, fn :stretch, stretch ->
+      if Enum.all?(stretch, &valid_stretch?/1) do
+        []
+      else
+        [stretch: "contains an invalid pane height"]
+      end
+    end)
+  end
+
+  defp valid_stretch?({pane, factor}) do
+    pane in ["main" | @pane_keys] and is_number(factor) and factor > 0
+  end
+end
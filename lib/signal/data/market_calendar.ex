@@ -200,6 +200,21 @@ defmodule Signal.Data.MarketCalendar do
     Repo.all(query)
   end
 
+  @doc """
+  Returns the calendar days (with open and close times) between two dates
+  (inclusive), ordered by date.
+  """
+  @spec calendar_days_between(Date.t(), Date.t()) :: [%MarketCalendarDay{}]
+  def calendar_days_between(start_date, end_date) do
+    query =
+      from(c in MarketCalendarDay,
+        where: c.date >= ^start_date and c.date <= ^end_date,
+        order_by: [asc: c.date]
+      )
+
+    Repo.all(query)
+  end
+
   @doc """
   Returns the expected number of market minutes for a date.
 
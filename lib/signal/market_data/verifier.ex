@@ -14,6 +14,7 @@ defmodule Signal.MarketData.Verifier do
   Most functions accept an options keyword list:
   - `:filter_market_hours` - Only count gaps during trading hours (default: true)
   - `:thresholds` - Custom pass/fail thresholds (see default_thresholds/0)
+  - `:start_date` / `:end_date` - Only check bars on these trading dates (inclusive)
 
   ## Examples
 
@@ -25,6 +26,13 @@ defmodule Signal.MarketData.Verifier do
 
       # Generate quality report with pass/fail status
       {:ok, report} = Verifier.generate_quality_report("AAPL")
+
+      # Verify a single month
+      {:ok, report} =
+        Verifier.generate_quality_report("AAPL",
+          start_date: ~D[2024-03-01],
+          end_date: ~D[2024-03-31]
+        )
   """
 
   require Logger
@@ -86,11 +94,12 @@ defmodule Signal.MarketData.Verifier do
     Logger.info("[Verifier] Verifying #{symbol}...")
 
     filter_market_hours = Keyword.get(opts, :filter_market_hours, true)
+    range = date_range(opts)
 
-    with {:ok, stats} <- get_statistics(symbol),
-         {:ok, ohlc_issues} <- check_ohlc_violations(symbol),
-         {:ok, gap_issues} <- check_gaps(symbol, filter_market_hours),
-         {:ok, duplicate_issues} <- check_duplicates(symbol) do
+    with {:ok, stats} <- get_statistics(symbol, range),
+         {:ok, ohlc_issues} <- check_ohlc_violations(symbol, range),
+         {:ok, gap_issues} <- check_gaps(symbol, filter_market_hours, range),
+         {:ok, duplicate_issues} <- check_duplicates(symbol, range) do
       issues =
         [ohlc_issues, gap_issues, duplicate_issues]
         |> Enum.reject(&is_nil/1)
@@ -122,6 +131,9 @@ defmodule Signal.MarketData.Verifier do
 
     * `:filter_market_hours` - Only count gaps during trading hours (default: true)
     * `:thresholds` - Custom thresholds (default: see default_thresholds/0)
+    * `:start_date` / `:end_date` - Limit the report to bars on these trading
+      dates (inclusive). Expected bars then cover the whole requested range,
+      so days with no bars at all count as missing.
 
   ## Returns
 
@@ -139,17 +151,13 @@ defmodule Signal.MarketData.Verifier do
   def generate_quality_report(symbol, opts \\ []) do
     thresholds = Keyword.get(opts, :thresholds, @default_thresholds)
     filter_market_hours = Keyword.get(opts, :filter_market_hours, true)
+    range = date_range(opts)
 
-    with {:ok, stats} <- get_statistics(symbol),
-         {:ok, ohlc_issues} <- check_ohlc_violations(symbol),
-         {:ok, gap_issues} <- check_gaps(symbol, filter_market_hours) do
+    with {:ok, stats} <- get_statistics(symbol, range),
+         {:ok, ohlc_issues} <- check_ohlc_violations(symbol, range),
+         {:ok, gap_issues} <- check_gaps(symbol, filter_market_hours, range) do
       # Calculate expected bars from calendar
-      expected_bars =
-        if stats.earliest_date && stats.latest_date do
-          MarketCalendar.total_expected_minutes(stats.earliest_date, stats.latest_date)
-        else
-          0
-        end
+      expected_bars = expected_bars(stats, range)
 
       # Use regular_hours_bars for coverage calculation to exclude pre/post market
       regular_hours_bars = stats.regular_hours_bars
@@ -360,9 +368,31 @@ defmodule Signal.MarketData.Verifier do
 
   # Private Functions
 
-  defp get_statistics(symbol) do
+  defp date_range(opts) do
+    {Keyword.get(opts, :start_date), Keyword.get(opts, :end_date)}
+  end
+
+  # Restricts a Bar query to the trading dates in range (nil bounds are open)
+  defp in_range(query, {start_date, end_date}) do
+    query = if start_date, do: where(query, [b], b.date >= ^start_date), else: query
+    if end_date, do: where(query, [b], b.date <= ^end_date), else: query
+  end
+
+  # Expected bars cover the requested range, falling back to the span of the data
+  defp expected_bars(stats, {start_date, end_date}) do
+    first = start_date || stats.earliest_date
+    last = end_date || stats.latest_date
+
+    if first && last do
+      MarketCalendar.total_expected_minutes(first, last)
+    else
+      0
+    end
+  end
+
+  defp get_statistics(symbol, range) do
     query =
-      from b in Bar,
+      from(b in Bar,
         where: b.symbol == ^symbol,
         select: %{
           total_bars: count(b.bar_time),
@@ -370,6 +400,8 @@ defmodule Signal.MarketData.Verifier do
           latest: max(b.bar_time),
           avg_volume: avg(b.volume)
         }
+      )
+      |> in_range(range)
 
     case Repo.one(query) do
       %{total_bars: 0} ->
@@ -386,14 +418,16 @@ defmodule Signal.MarketData.Verifier do
       %{total_bars: total, earliest: earliest, latest: latest, avg_volume: avg_vol} ->
         # Count distinct trading days
         trading_days_query =
-          from b in Bar,
+          from(b in Bar,
             where: b.symbol == ^symbol,
             select: fragment("COUNT(DISTINCT DATE(?))", b.bar_time)
+          )
+          |> in_range(range)
 
         trading_days = Repo.one(trading_days_query) || 0
 
         # Count bars during regular market hours only (9:30 AM - 4:00 PM ET)
-        regular_hours_bars = count_regular_hours_bars(symbol)
+        regular_hours_bars = count_regular_hours_bars(symbol, range)
 
         avg_volume =
           cond do
@@ -427,24 +461,31 @@ defmodule Signal.MarketData.Verifier do
   end
 
   # Count bars during regular market hours using the denormalized session field
-  defp count_regular_hours_bars(symbol) do
+  defp count_regular_hours_bars(symbol, range) do
     query =
-      from b in Bar,
+      from(b in Bar,
         where: b.symbol == ^symbol and b.session == :regular,
         select: count(b.bar_time)
+      )
+      |> in_range(range)
 
     Repo.one(query) || 0
   end
 
-  defp check_ohlc_violations(symbol) do
-    query =
-      from b in Bar,
+  defp check_ohlc_violations(symbol, range) do
+    violating =
+      from(b in Bar,
         where: b.symbol == ^symbol,
         where:
           fragment("? < ?", b.high, b.open) or
             fragment("? < ?", b.high, b.close) or
             fragment("? > ?", b.low, b.open) or
-            fragment("? > ?", b.low, b.close),
+            fragment("? > ?", b.low, b.close)
+      )
+      |> in_range(range)
+
+    query =
+      from b in violating,
         select: %{
           bar_time: b.bar_time,
           open: b.open,
@@ -456,15 +497,7 @@ defmodule Signal.MarketData.Verifier do
 
     violations = Repo.all(query)
 
-    count_query =
-      from b in Bar,
-        where: b.symbol == ^symbol,
-        where:
-          fragment("? < ?", b.high, b.open) or
-            fragment("? < ?", b.high, b.close) or
-            fragment("? > ?", b.low, b.open) or
-            fragment("? > ?", b.low, b.close),
-        select: count(b.bar_time)
+    count_query = from b in violating, select: count(b.bar_time)
 
     count = Repo.one(count_query) || 0
 
@@ -481,7 +514,7 @@ defmodule Signal.MarketData.Verifier do
     end
   end
 
-  defp check_gaps(symbol, filter_market_hours) do
+  defp check_gaps(symbol, filter_market_hours, {start_date, end_date}) do
     # Query to find gaps larger than 1 minute
     # Use CTE to calculate gaps, then filter in WHERE clause
     query = """
@@ -492,6 +525,8 @@ defmodule Signal.MarketData.Verifier do
         EXTRACT(EPOCH FROM (LEAD(bar_time) OVER (ORDER BY bar_time) - bar_time))/60 as gap_minutes
       FROM market_bars
       WHERE symbol = $1
+        AND ($2::date IS NULL OR date >= $2)
+        AND ($3::date IS NULL OR date <= $3)
     )
     SELECT bar_time, next_bar, gap_minutes
     FROM gaps_cte
@@ -501,7 +536,7 @@ defmodule Signal.MarketData.Verifier do
     LIMIT 100
     """
 
-    case Ecto.Adapters.SQL.query(Repo, query, [symbol]) do
+    case Ecto.Adapters.SQL.query(Repo, query, [symbol, start_date, end_date]) do
       {:ok, %{rows: [_ | _] = rows}} ->
         gaps =
           rows
@@ -580,9 +615,9 @@ defmodule Signal.MarketData.Verifier do
     end)
   end
 
-  defp check_duplicates(symbol) do
+  defp check_duplicates(symbol, range) do
     query =
-      from b in Bar,
+      from(b in Bar,
         where: b.symbol == ^symbol,
         group_by: [b.symbol, b.bar_time],
         having: count(b.bar_time) > 1,
@@ -591,6 +626,8 @@ defmodule Signal.MarketData.Verifier do
           bar_time: b.bar_time,
           count: count(b.bar_time)
         }
+      )
+      |> in_range(range)
 
     duplicates = Repo.all(query)
     count = length(duplicates)
@@ -198,6 +198,48 @@ defmodule Signal.Optimization.Validation do
     Enum.reject(validation_results, & &1.is_overfit)
   end
 
+  @doc """
+  Pairs persisted walk-forward results into per-fold comparisons.
+
+  For each window with an out-of-sample result, finds the training result of the
+  same window and parameters (the best in-sample set that was carried forward)
+  and validates one against the other.
+
+  ## Parameters
+
+    * `results` - Optimization results with `:window_index`, `:is_training` and
+      `:parameters` (training results of every grid combination plus one OOS
+      result per window)
+    * `metric` - The metric to compare (default: :profit_factor)
+
+  ## Returns
+
+    * List of fold maps sorted by window index, each with `:index`, `:params`,
+      `:in_sample`, `:out_of_sample` and the fields of `validate_result/3`
+  """
+  @spec fold_results([map()], atom()) :: [map()]
+  def fold_results(results, metric \\ :profit_factor) do
+    training =
+      results
+      |> Enum.filter(&(&1.is_training && &1.window_index != nil))
+      |> Map.new(&{{&1.window_index, &1.parameters}, &1})
+
+    results
+    |> Enum.filter(&(!&1.is_training && &1.window_index != nil))
+    |> Enum.sort_by(& &1.window_index)
+    |> Enum.map(fn oos ->
+      in_sample = Map.get(training, {oos.window_index, oos.parameters})
+      {:ok, validation} = validate_result(in_sample, oos, metric)
+
+      Map.merge(validation, %{
+        index: oos.window_index,
+        params: oos.parameters,
+        in_sample: in_sample,
+        out_of_sample: oos
+      })
+    end)
+  end
+
   @doc """
   Returns the overfit threshold (30% degradation).
   """
@@ -23,6 +23,7 @@ defmodule Signal.SignalGenerator do
       {:ok, signal} = SignalGenerator.fill(signal, fill_price)
       {:ok, signal} = SignalGenerator.expire(signal)
       {:ok, signal} = SignalGenerator.invalidate(signal)
+      {:ok, signal} = SignalGenerator.modify(signal, %{stop_loss: new_stop})
 
       # Query signals
       signals = SignalGenerator.get_active_signals("AAPL")
@@ -309,6 +310,42 @@ defmodule Signal.SignalGenerator do
     end
   end
 
+  @doc """
+  Moves the entry, stop loss and/or take profit of an active signal.
+
+  Missing prices keep their current values; risk/reward is recalculated.
+
+  ## Parameters
+
+    * `signal` - The signal to modify
+    * `attrs` - Map with any of `:entry_price`, `:stop_loss`, `:take_profit`
+
+  ## Returns
+
+    * `{:ok, updated_signal}` - Signal updated and broadcast as `:signal_modified`
+    * `{:error, :not_active}` - Only active signals can be modified
+    * `{:error, changeset}` - Prices are invalid for the signal's direction
+  """
+  @spec modify(TradeSignal.t(), map()) ::
+          {:ok, TradeSignal.t()} | {:error, :not_active | Ecto.Changeset.t()}
+  def modify(%TradeSignal{status: "active"} = signal, attrs) do
+    result =
+      signal
+      |> TradeSignal.levels_changeset(attrs)
+      |> Repo.update()
+
+    case result do
+      {:ok, updated} ->
+        broadcast_signal(updated, :modified)
+        {:ok, updated}
+
+      error ->
+        error
+    end
+  end
+
+  def modify(%TradeSignal{}, _attrs), do: {:error, :not_active}
+
   @doc """
   Gets all active signals for a symbol.
 
@@ -159,6 +159,35 @@ defmodule Signal.Signals.TradeSignal do
     |> validate_inclusion(:status, @valid_statuses)
   end
 
+  @doc """
+  Creates a changeset for moving a signal's entry, stop loss or take profit.
+
+  Recalculates risk_reward from the new prices and applies the same
+  direction checks as `changeset/2`.
+  """
+  @spec levels_changeset(t(), map()) :: Ecto.Changeset.t()
+  def levels_changeset(%__MODULE__{} = signal, attrs) do
+    signal
+    |> cast(attrs, [:entry_price, :stop_loss, :take_profit])
+    |> validate_required([:entry_price, :stop_loss, :take_profit])
+    |> validate_number(:entry_price, greater_than: 0)
+    |> validate_number(:stop_loss, greater_than: 0)
+    |> validate_number(:take_profit, greater_than: 0)
+    |> validate_prices()
+    |> put_risk_reward()
+    |> validate_number(:risk_reward, greater_than: 0)
+  end
+
+  defp put_risk_reward(%Ecto.Changeset{valid?: false} = changeset), do: changeset
+
+  defp put_risk_reward(changeset) do
+    entry = get_field(changeset, :entry_price)
+    risk = Decimal.abs(Decimal.sub(entry, get_field(changeset, :stop_loss)))
+    reward = Decimal.abs(Decimal.sub(get_field(changeset, :take_profit), entry))
+
+    put_change(changeset, :risk_reward, reward |> Decimal.div(risk) |> Decimal.round(2))
+  end
+
   # Validates that stop_loss and take_profit make sense for the direction
   defp validate_prices(changeset) do
     direction = get_field(changeset, :direction)
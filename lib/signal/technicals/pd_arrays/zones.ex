@@ -0,0 +1,113 @@
+defmodule Signal.Technicals.PdArrays.Zones do
+  @moduledoc """
+  Builds chart-ready PD array zones (Fair Value Gaps and Order Blocks).
+
+  The chart hooks draw each zone as a box starting at the zone's first candle
+  and extending right. Fill state (untouched, partially filled, mitigated) is
+  evaluated client-side against the bars after `active_from`, so zones keep
+  updating as real-time bars arrive.
+
+  ## Zone Format
+
+      %{
+        id: "fvg-1704119460-bullish",
+        kind: "fvg" | "order_block",
+        direction: "bullish" | "bearish",
+        top: 175.50,
+        bottom: 175.20,
+        time: 1704119460,          # First candle of the zone (unix seconds)
+        active_from: 1704119520,   # Last candle of the formation - fills count after this
+        quality_score: 3           # Order blocks only
+      }
+
+  ## Usage
+
+      zones = Zones.for_chart(bars)
+  """
+
+  alias Signal.MarketData.Bar
+  alias Signal.Technicals.PdArrays.FairValueGap
+  alias Signal.Technicals.PdArrays.OrderBlock
+
+  @type zone :: %{
+          id: String.t(),
+          kind: String.t(),
+          direction: String.t(),
+          top: float(),
+          bottom: float(),
+          time: integer(),
+          active_from: integer(),
+          quality_score: integer() | nil
+        }
+
+  @doc """
+  Scans bars for FVGs and order blocks and formats them for the chart hooks.
+
+  ## Parameters
+
+    * `bars` - List of bars in chronological order (oldest first)
+    * `opts` - Options
+      * `:order_blocks` - Whether to include order blocks (default: true)
+      * `:min_fvg_size` - Minimum FVG size to include (default: 0)
+
+  ## Returns
+
+  List of zone maps sorted by time (oldest first).
+  """
+  @spec for_chart(list(Bar.t()), keyword()) :: list(zone())
+  def for_chart(bars, opts \\ []) when is_list(bars) do
+    include_order_blocks = Keyword.get(opts, :order_blocks, true)
+    min_fvg_size = Keyword.get(opts, :min_fvg_size, Decimal.new(0))
+
+    bar_tuple = List.to_tuple(bars)
+
+    fvgs =
+      bars
+      |> FairValueGap.scan(min_size: min_fvg_size)
+      |> Enum.map(&format_fvg(&1, bar_tuple))
+
+    order_blocks =
+      if include_order_blocks do
+        bars
+        |> OrderBlock.scan()
+        |> Enum.map(&format_order_block/1)
+      else
+        []
+      end
+
+    (fvgs ++ order_blocks)
+    |> Enum.uniq_by(& &1.id)
+    |> Enum.sort_by(& &1.time)
+  end
+
+  # FVGs span the three candles of the formation (index is the displacement candle)
+  defp format_fvg(fvg, bar_tuple) do
+    first_bar = elem(bar_tuple, fvg.index - 1)
+    last_bar = elem(bar_tuple, fvg.index + 1)
+
+    build_zone("fvg", fvg, first_bar.bar_time, last_bar.bar_time, nil)
+  end
+
+  # Order blocks start at the first opposing candle and become active after the BOS
+  defp format_order_block(ob) do
+    first_bar = List.first(ob.bars)
+
+    build_zone("order_block", ob, first_bar.bar_time, ob.bos_bar.bar_time, ob.quality_score)
+  end
+
+  defp build_zone(kind, zone, start_time, active_from, quality_score) do
+    time = DateTime.to_unix(start_time)
+    direction = Atom.to_string(zone.type)
+
+    %{
+      id: "#{kind}-#{time}-#{direction}",
+      kind: kind,
+      direction: direction,
+      top: Decimal.to_float(zone.top),
+      bottom: Decimal.to_float(zone.bottom),
+      time: time,
+      active_from: DateTime.to_unix(active_from),
+      quality_score: quality_score
+    }
+  end
+end
@@ -0,0 +1,224 @@
+defmodule Signal.Technicals.StructureOverlay do
+  @moduledoc """
+  Builds chart-ready market structure annotations from a bar series.
+
+  Combines Swings and StructureDetector output into:
+  - Labeled swings: HH/LH for swing highs, HL/LL for swing lows
+    (the first swing of each type is labeled H or L)
+  - Structure breaks: every close beyond the most recent swing high/low.
+    A break in the direction of the prevailing bias is a Break of Structure (BOS);
+    a break against it is a Change of Character (ChoCh).
+  - The current trend bias and structure state (see `StructureDetector.get_structure_state/1`)
+
+  ## Output Format
+
+      %{
+        swings: [%{time: 1704119460, price: 175.5, type: "high", label: "HH"}, ...],
+        breaks: [
+          %{
+            kind: "bos" | "choch",
+            direction: "bullish" | "bearish",
+            price: 175.5,            # Price of the broken swing
+            swing_time: 1704119460,  # Bar of the broken swing
+            break_time: 1704119820   # Bar that closed beyond it
+          },
+          ...
+        ],
+        trend: "bullish" | "bearish" | "ranging",
+        state: "strong_bullish" | "weak_bullish" | "strong_bearish" | "weak_bearish" | "ranging"
+      }
+
+  ## Usage
+
+      structure = StructureOverlay.for_chart(bars)
+
+      # After appending a live bar, rebuild only if it can change the structure
+      StructureOverlay.changed_by_last_bar?(bars_with_live_bar, structure)
+  """
+
+  alias Signal.MarketData.Bar
+  alias Signal.Technicals.StructureDetector
+  alias Signal.Technicals.Swings
+
+  @type overlay :: %{
+          swings: list(map()),
+          breaks: list(map()),
+          trend: String.t(),
+          state: String.t()
+        }
+
+  @default_lookback 2
+
+  @doc """
+  Analyzes a bar series and formats its structure for the chart hooks.
+
+  ## Parameters
+
+    * `bars` - List of bars in chronological order (oldest first)
+    * `opts` - Options
+      * `:lookback` - Swing detection lookback (default: 2)
+
+  ## Returns
+
+  Overlay map (see module docs).
+  """
+  @spec for_chart(list(Bar.t()), keyword()) :: overlay()
+  def for_chart(bars, opts \\ []) when is_list(bars) do
+    lookback = Keyword.get(opts, :lookback, @default_lookback)
+
+    swings = Swings.identify_swings(bars, lookback: lookback)
+    swing_highs = Enum.filter(swings, &(&1.type == :high))
+    swing_lows = Enum.filter(swings, &(&1.type == :low))
+
+    trend = StructureDetector.determine_trend(swing_highs, swing_lows)
+
+    state =
+      StructureDetector.get_structure_state(%{
+        trend: trend,
+        latest_bos: StructureDetector.detect_bos(bars, swings, trend),
+        latest_choch: StructureDetector.detect_choch(bars, swings, trend)
+      })
+
+    %{
+      swings: label_swings(swings),
+      breaks: detect_breaks(bars, swings, lookback),
+      trend: Atom.to_string(trend),
+      state: Atom.to_string(state)
+    }
+  end
+
+  @doc """
+  Checks whether the last bar of `bars` can change an overlay built from the bars
+  before it.
+
+  The overlay only changes when the last bar confirms a swing (it is the
+  `lookback`th bar after one) or closes beyond the latest unbroken swing high or
+  low, so live updates can skip the full `for_chart/2` rebuild otherwise.
+
+  Takes the same options as `for_chart/2`.
+  """
+  @spec changed_by_last_bar?(list(Bar.t()), overlay(), keyword()) :: boolean()
+  def changed_by_last_bar?(bars, overlay, opts \\ [])
+
+  def changed_by_last_bar?([], _overlay, _opts), do: false
+
+  def changed_by_last_bar?(bars, overlay, opts) do
+    lookback = Keyword.get(opts, :lookback, @default_lookback)
+    candidate = length(bars) - 1 - lookback
+
+    Swings.swing_high?(bars, candidate, lookback) or
+      Swings.swing_low?(bars, candidate, lookback) or
+      beyond_unbroken_swing?(overlay, List.last(bars))
+  end
+
+  # Only the latest swing of each type can be active - older ones were replaced or broken
+  defp beyond_unbroken_swing?(overlay, bar) do
+    broken = MapSet.new(overlay.breaks, & &1.swing_time)
+    close = Decimal.to_float(bar.close)
+
+    Enum.any?([{"high", &Kernel.>/2}, {"low", &Kernel.</2}], fn {type, beyond?} ->
+      case overlay.swings |> Enum.filter(&(&1.type == type)) |> List.last() do
+        nil -> false
+        swing -> not MapSet.member?(broken, swing.time) and beyond?.(close, swing.price)
+      end
+    end)
+  end
+
+  # Swing labels compare each swing against the previous swing of the same type
+
+  defp label_swings(swings) do
+    {labeled, _previous} =
+      Enum.map_reduce(swings, %{high: nil, low: nil}, fn swing, previous ->
+        label = swing_label(swing, previous[swing.type])
+
+        formatted = %{
+          time: DateTime.to_unix(swing.bar_time),
+          price: Decimal.to_float(swing.price),
+          type: Atom.to_string(swing.type),
+          label: label
+        }
+
+        {formatted, Map.put(previous, swing.type, swing.price)}
+      end)
+
+    labeled
+  end
+
+  defp swing_label(%{type: :high}, nil), do: "H"
+  defp swing_label(%{type: :low}, nil), do: "L"
+
+  defp swing_label(%{type: :high, price: price}, previous_price) do
+    if Decimal.compare(price, previous_price) == :gt, do: "HH", else: "LH"
+  end
+
+  defp swing_label(%{type: :low, price: price}, previous_price) do
+    if Decimal.compare(price, previous_price) == :lt, do: "LL", else: "HL"
+  end
+
+  # Walk the bars, tracking the most recent confirmed swing high/low before each bar.
+  # A swing is only known once `lookback` bars have closed after it, so it can't be
+  # broken (or replace the previous swing) any earlier - otherwise history repaints.
+  # Each swing can only be broken once.
+
+  defp detect_breaks(bars, swings, lookback) do
+    initial = %{pending: swings, high: nil, low: nil, bias: :ranging, breaks: []}
+
+    bars
+    |> Enum.with_index()
+    |> Enum.reduce(initial, fn {bar, index}, acc ->
+      acc
+      |> activate_swings(index, lookback)
+      |> check_break(bar)
+    end)
+    |> Map.fetch!(:breaks)
+    |> Enum.reverse()
+  end
+
+  defp activate_swings(%{pending: [%{index: swing_index} = swing | rest]} = acc, index, lookback)
+       when swing_index + lookback < index do
+    acc
+    |> Map.put(swing.type, swing)
+    |> Map.put(:pending, rest)
+    |> activate_swings(index, lookback)
+  end
+
+  defp activate_swings(acc, _index, _lookback), do: acc
+
+  defp check_break(%{high: high} = acc, bar) when not is_nil(high) do
+    if Decimal.compare(bar.close, high.price) == :gt do
+      record_break(%{acc | high: nil}, :bullish, high, bar)
+    else
+      check_low_break(acc, bar)
+    end
+  end
+
+  defp check_break(acc, bar), do: check_low_break(acc, bar)
+
+  defp check_low_break(%{low: low} = acc, bar) when not is_nil(low) do
+    if Decimal.compare(bar.close, low.price) == :lt do
+      record_break(%{acc | low: nil}, :bearish, low, bar)
+    else
+      acc
+    end
+  end
+
+  defp check_low_break(acc, _bar), do: acc
+
+  defp record_break(acc, direction, swing, bar) do
+    kind = if reversal?(acc.bias, direction), do: "choch", else: "bos"
+
+    structure_break = %{
+      kind: kind,
+      direction: Atom.to_string(direction),
+      price: Decimal.to_float(swing.price),
+      swing_time: DateTime.to_unix(swing.bar_time),
+      break_time: DateTime.to_unix(bar.bar_time)
+    }
+
+    %{acc | bias: direction, breaks: [structure_break | acc.breaks]}
+  end
+
+  defp reversal?(:bullish, :bearish), do: true
+  defp reversal?(:bearish, :bullish), do: true
+  defp reversal?(_bias, _direction), do: false
+end
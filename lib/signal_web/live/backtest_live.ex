@@ -10,6 +10,8 @@ defmodule SignalWeb.BacktestLive do
 
   import Ecto.Query
   import SignalWeb.Live.Helpers.Formatters
+  import SignalWeb.Live.Helpers.EquityCurves
+  import SignalWeb.Live.Helpers.TradeDistribution
 
   @moduledoc """
   Backtest dashboard for configuring, running, and viewing backtest results.
@@ -18,10 +20,13 @@ defmodule SignalWeb.BacktestLive do
   - Configuration form for symbols, dates, strategies, capital, risk
   - Real-time progress tracking during backtest execution
   - Results display with metrics, equity curve, and trade list
+  - Equity comparison against other runs and a buy-and-hold benchmark
+  - R-multiple histogram, MAE/MFE scatter and cumulative expectancy
   - Recent runs history
   """
 
   @default_symbols ~w[AAPL TSLA NVDA MSFT META]
+  @default_benchmark "SPY"
   @available_strategies [
     {"break_and_retest", "Break & Retest"},
     {"opening_range_breakout", "Opening Range Breakout"}
@@ -56,6 +61,11 @@ defmodule SignalWeb.BacktestLive do
        trades: [],
        equity_curve: [],
 
+       # Comparison (other runs and a buy-and-hold benchmark on the equity chart)
+       compare_runs: [],
+       benchmark_symbol: @default_benchmark,
+       benchmark: nil,
+
        # History
        recent_runs: recent_runs,
 
@@ -148,6 +158,35 @@ defmodule SignalWeb.BacktestLive do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_event("toggle_compare_run", %{"id" => run_id}, socket) do
+    compare_runs = socket.assigns.compare_runs
+
+    if Enum.any?(compare_runs, &(&1.id == run_id)) do
+      remaining = Enum.reject(compare_runs, &(&1.id == run_id))
+      {:noreply, assign(socket, :compare_runs, remaining)}
+    else
+      case load_comparison(run_id) do
+        {:ok, comparison} ->
+          {:noreply, assign(socket, :compare_runs, compare_runs ++ [comparison])}
+
+        {:error, _reason} ->
+          {:noreply, put_flash(socket, :error, "Failed to load run for comparison")}
+      end
+    end
+  end
+
+  @impl true
+  def handle_event("set_benchmark", %{"symbol" => symbol}, socket) do
+    symbol = if symbol == "", do: nil, else: symbol
+
+    {:noreply,
+     assign(socket,
+       benchmark_symbol: symbol,
+       benchmark: load_benchmark(symbol, socket.assigns.result[:run])
+     )}
+  end
+
   @impl true
   def handle_event("load_run", %{"id" => run_id}, socket) do
     case load_run_results(run_id) do
@@ -157,6 +196,8 @@ defmodule SignalWeb.BacktestLive do
            result: result,
            trades: trades,
            equity_curve: equity_curve,
+           compare_runs: Enum.reject(socket.assigns.compare_runs, &(&1.id == run_id)),
+           benchmark: load_benchmark(socket.assigns.benchmark_symbol, result.run),
            active_tab: :results
          )}
 
@@ -185,6 +226,7 @@ defmodule SignalWeb.BacktestLive do
            result: result,
            trades: trades,
            equity_curve: final_curve,
+           benchmark: load_benchmark(socket.assigns.benchmark_symbol, result.run),
            active_tab: :results,
            recent_runs: load_recent_runs()
          )}
@@ -295,13 +337,6 @@ defmodule SignalWeb.BacktestLive do
     |> Repo.all()
   end
 
-  defp load_trades_chronological(run_id) do
-    SimulatedTrade
-    |> where([t], t.backtest_run_id == ^run_id)
-    |> order_by([t], asc: t.exit_time)
-    |> Repo.all()
-  end
-
   defp load_run_results(run_id) do
     case Repo.get(BacktestRun, run_id) do
       nil ->
@@ -310,32 +345,19 @@ defmodule SignalWeb.BacktestLive do
       run ->
         result = Repo.get_by(BacktestResult, backtest_run_id: run_id)
         trades = load_trades(run_id)
-        trades_chrono = load_trades_chronological(run_id)
-        equity_curve = build_equity_curve(trades_chrono, run.initial_capital, run.start_date)
-        {:ok, %{run: run, analytics: result}, trades, equity_curve}
+        {:ok, %{run: run, analytics: result}, trades, run_equity_curve(run)}
     end
   end
 
-  # Build equity curve from closed trades
-  defp build_equity_curve([], _initial_capital, _start_date), do: []
-
-  defp build_equity_curve(trades, initial_capital, start_date) do
-    # Start with initial capital at the beginning of the backtest
-    start_datetime = DateTime.new!(start_date, ~T[09:30:00], "America/New_York")
-    initial_point = {start_datetime, initial_capital}
-
-    # Build running equity from trades sorted by exit time
-    {curve, _final} =
-      Enum.reduce(trades, {[initial_point], initial_capital}, fn trade, {points, equity} ->
-        if trade.exit_time && trade.pnl do
-          new_equity = Decimal.add(equity, trade.pnl)
-          {[{trade.exit_time, new_equity} | points], new_equity}
-        else
-          {points, equity}
-        end
-      end)
-
-    Enum.reverse(curve)
+  # Symbols offered as buy-and-hold benchmarks: SPY plus the symbols traded in the run
+  defp benchmark_symbols(result) do
+    symbols =
+      case result[:run] do
+        nil -> []
+        run -> run.symbols || []
+      end
+
+    Enum.uniq([@default_benchmark | symbols])
   end
 
   # Helper functions to extract metrics from result
@@ -372,15 +394,19 @@ defmodule SignalWeb.BacktestLive do
     end
   end
 
-  defp format_equity_curve_json(nil), do: "[]"
-  defp format_equity_curve_json([]), do: "[]"
-
-  defp format_equity_curve_json(equity_curve) do
-    equity_curve
-    |> Enum.map(fn {datetime, equity} ->
+  # Closed trades for the equity chart's win/loss markers
+  defp format_equity_trades_json(trades) do
+    trades
+    |> Enum.filter(&(&1.exit_time && &1.pnl))
+    |> Enum.map(fn trade ->
       %{
-        time: DateTime.to_unix(datetime),
-        value: Decimal.to_float(equity)
+        id: trade.id,
+        symbol: trade.symbol,
+        direction: trade.direction,
+        exit_time: DateTime.to_unix(trade.exit_time),
+        pnl: Decimal.to_float(trade.pnl),
+        r_multiple: trade.r_multiple && Decimal.to_float(trade.r_multiple),
+        status: trade.status
       }
     end)
     |> Jason.encode!()
@@ -687,17 +713,53 @@ defmodule SignalWeb.BacktestLive do
     <!-- Equity Curve Chart -->
             <div :if={@equity_curve != []} class="mb-6">
               <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden">
-                <div class="px-4 py-3 border-b border-zinc-800">
+                <div class="px-4 py-3 border-b border-zinc-800 flex flex-wrap items-center gap-3">
                   <h3 class="font-bold text-white">Equity Curve</h3>
+                  <div class="flex flex-wrap items-center gap-2 ml-auto">
+                    <span
+                      :for={comparison <- @compare_runs}
+                      class="flex items-center gap-1 px-2 py-0.5 text-xs rounded bg-zinc-800 text-zinc-300"
+                    >
+                      {comparison.name}
+                      <button
+                        type="button"
+                        phx-click="toggle_compare_run"
+                        phx-value-id={comparison.id}
+                        class="text-zinc-500 hover:text-white"
+                        title="Remove from comparison"
+                      >
+                        <.icon name="hero-x-mark" class="w-3 h-3" />
+                      </button>
+                    </span>
+                    <form phx-change="set_benchmark" class="flex items-center gap-2">
+                      <label class="text-xs text-zinc-500">Benchmark</label>
+                      <select
+                        name="symbol"
+                        class="bg-zinc-800 border border-zinc-700 rounded-lg px-2 py-1 text-xs text-white"
+                      >
+                        <option value="" selected={is_nil(@benchmark_symbol)}>None</option>
+                        <option
+                          :for={symbol <- benchmark_symbols(@result)}
+                          value={symbol}
+                          selected={symbol == @benchmark_symbol}
+                        >
+                          {symbol}
+                        </option>
+                      </select>
+                    </form>
+                  </div>
                 </div>
                 <div class="p-4">
                   <div
                     id="equity-curve-chart"
                     phx-hook="EquityCurveChart"
                     phx-update="ignore"
-                    data-equity={format_equity_curve_json(@equity_curve)}
+                    data-equity={equity_curve_json(@equity_curve)}
                     data-initial-capital={get_initial_capital(@result)}
-                    data-height="300"
+                    data-trades={format_equity_trades_json(@trades)}
+                    data-comparisons={comparisons_json(@compare_runs)}
+                    data-benchmark={benchmark_json(@benchmark)}
+                    data-height="400"
                     class="w-full"
                   >
                   </div>
@@ -705,6 +767,23 @@ defmodule SignalWeb.BacktestLive do
               </div>
             </div>
             
+    <!-- Trade Distribution -->
+            <div :if={@trades != []} class="mb-6">
+              <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden">
+                <div class="px-4 py-3 border-b border-zinc-800">
+                  <h3 class="font-bold text-white">Trade Distribution</h3>
+                </div>
+                <div
+                  id="trade-distribution-chart"
+                  phx-hook="TradeDistributionChart"
+                  phx-update="ignore"
+                  data-trades={trade_distribution_json(@trades)}
+                  class="p-4"
+                >
+                </div>
+              </div>
+            </div>
+            
     <!-- Trade List -->
             <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden">
               <div class="px-4 py-3 border-b border-zinc-800">
@@ -743,6 +822,7 @@ defmodule SignalWeb.BacktestLive do
                         class="hover:bg-zinc-800/50 cursor-pointer"
                         phx-click="select_trade"
                         phx-value-id={trade.id}
+                        data-trade-id={trade.id}
                       >
                         <td class="px-4 py-3 text-sm font-medium text-white">{trade.symbol}</td>
                         <td class={"px-4 py-3 text-sm #{if trade.direction == :long, do: "text-green-400", else: "text-red-400"}"}>
@@ -835,7 +915,21 @@ defmodule SignalWeb.BacktestLive do
                         <td class="px-4 py-3 text-sm text-right text-zinc-300">
                           {run.signals_generated || 0}
                         </td>
-                        <td class="px-4 py-3 text-right">
+                        <td class="px-4 py-3 text-right space-x-3">
+                          <button
+                            :if={run.status == :completed && @result[:run] && @result[:run].id != run.id}
+                            phx-click="toggle_compare_run"
+                            phx-value-id={run.id}
+                            class={[
+                              "text-sm",
+                              if(Enum.any?(@compare_runs, &(&1.id == run.id)),
+                                do: "text-amber-400 hover:text-amber-300",
+                                else: "text-zinc-400 hover:text-white"
+                              )
+                            ]}
+                          >
+                            Compare
+                          </button>
                           <button
                             :if={run.status == :completed}
                             phx-click="load_run"
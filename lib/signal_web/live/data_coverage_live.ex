@@ -4,19 +4,31 @@ defmodule SignalWeb.DataCoverageLive do
   import Ecto.Query
   alias SignalWeb.Live.Components.Navigation
   alias Signal.Alpaca.Client, as: AlpacaClient
+  alias Signal.Data.MarketCalendar
   alias Signal.MarketData.Bar
   alias Signal.MarketData.GapFiller
+  alias Signal.MarketData.Verifier
   alias Signal.Repo
 
   @moduledoc """
   Data coverage visualization showing a GitHub-style heatmap of bar data completeness.
 
-  Displays a calendar grid where each cell represents a trading day, colored by
-  data coverage percentage. Helps identify gaps in historical data.
+  Displays a calendar grid (DataCoverageCalendar hook) where each cell represents a
+  trading day, colored by regular-session bars vs the minutes expected from the
+  market calendar, with half days and holidays marked. Helps identify gaps in
+  historical data.
 
-  Uses Alpaca's market calendar API for accurate trading day and market hours data.
+  Selecting a day or range in the calendar fills gaps or runs a quality report for
+  just that range.
+
+  Uses the stored market calendar (`Signal.Data.MarketCalendar`) for trading days
+  and market hours, falling back to Alpaca's calendar API when it has not been
+  synced for the selected year.
   """
 
+  # Days below this coverage % count as gaps
+  @fill_threshold 99
+
   @impl true
   def mount(_params, _session, socket) do
     symbols = Application.get_env(:signal, :symbols, [])
@@ -30,8 +42,12 @@ defmodule SignalWeb.DataCoverageLive do
         available_years: (current_year - 5)..current_year |> Enum.to_list() |> Enum.reverse(),
         coverage_data: %{},
         loading: false,
+        holidays: [],
+        fill_threshold: @fill_threshold,
         filling_gaps: false,
         fill_result: nil,
+        verifying: false,
+        verify_result: nil,
         stats: nil,
         calendar_error: nil
       )
@@ -46,7 +62,12 @@ defmodule SignalWeb.DataCoverageLive do
   def handle_event("update_filters", %{"symbol" => symbol, "year" => year}, socket) do
     {:noreply,
      socket
-     |> assign(selected_symbol: symbol, selected_year: String.to_integer(year), fill_result: nil)
+     |> assign(
+       selected_symbol: symbol,
+       selected_year: String.to_integer(year),
+       fill_result: nil,
+       verify_result: nil
+     )
      |> load_coverage_data()}
   end
 
@@ -58,13 +79,66 @@ defmodule SignalWeb.DataCoverageLive do
 
     Task.start(fn ->
       # Use the optimized fill_from_coverage which batches contiguous missing days
-      result = GapFiller.fill_from_coverage(symbol, coverage_data, threshold: 99)
+      result = GapFiller.fill_from_coverage(symbol, coverage_data, threshold: @fill_threshold)
       send(parent, {:fill_complete, result})
     end)
 
     {:noreply, assign(socket, filling_gaps: true, fill_result: nil)}
   end
 
+  @impl true
+  # One fill at a time - the calendar's buttons are disabled while busy, but don't rely on it
+  def handle_event("fill_range", _params, %{assigns: %{filling_gaps: true}} = socket) do
+    {:noreply, socket}
+  end
+
+  def handle_event("fill_range", %{"start" => start_date, "end" => end_date}, socket) do
+    case parse_date_range(start_date, end_date) do
+      {:ok, start_date, end_date} ->
+        symbol = socket.assigns.selected_symbol
+
+        coverage_data =
+          Map.filter(socket.assigns.coverage_data, fn {date, _} ->
+            Date.compare(date, start_date) != :lt and Date.compare(date, end_date) != :gt
+          end)
+
+        parent = self()
+
+        Task.start(fn ->
+          result =
+            GapFiller.fill_from_coverage(symbol, coverage_data, threshold: @fill_threshold)
+
+          send(parent, {:fill_complete, result})
+        end)
+
+        {:noreply, assign(socket, filling_gaps: true, fill_result: nil)}
+
+      {:error, message} ->
+        {:noreply, put_flash(socket, :error, message)}
+    end
+  end
+
+  @impl true
+  def handle_event("verify_range", %{"start" => start_date, "end" => end_date}, socket) do
+    case parse_date_range(start_date, end_date) do
+      {:ok, start_date, end_date} ->
+        symbol = socket.assigns.selected_symbol
+        parent = self()
+
+        Task.start(fn ->
+          result =
+            Verifier.generate_quality_report(symbol, start_date: start_date, end_date: end_date)
+
+          send(parent, {:verify_complete, {start_date, end_date}, result})
+        end)
+
+        {:noreply, assign(socket, verifying: true, verify_result: nil)}
+
+      {:error, message} ->
+        {:noreply, put_flash(socket, :error, message)}
+    end
+  end
+
   @impl true
   def handle_info({:fill_complete, result}, socket) do
     {:noreply,
@@ -73,14 +147,41 @@ defmodule SignalWeb.DataCoverageLive do
      |> load_coverage_data()}
   end
 
+  @impl true
+  def handle_info({:verify_complete, range, result}, socket) do
+    {:noreply, assign(socket, verifying: false, verify_result: {range, result})}
+  end
+
+  # Range comes from the calendar hook, so validate it rather than trusting it
+  defp parse_date_range(start_date, end_date) do
+    with {:ok, start_date} <- parse_date(start_date),
+         {:ok, end_date} <- parse_date(end_date) do
+      if Date.compare(start_date, end_date) == :gt do
+        {:error, "Start date must be on or before end date"}
+      else
+        {:ok, start_date, end_date}
+      end
+    end
+  end
+
+  defp parse_date(value) when is_binary(value) do
+    case Date.from_iso8601(value) do
+      {:ok, date} -> {:ok, date}
+      {:error, _} -> {:error, "Invalid date: #{value}"}
+    end
+  end
+
+  defp parse_date(_value), do: {:error, "Invalid date range"}
+
   defp load_coverage_data(socket) do
     symbol = socket.assigns.selected_symbol
     year = socket.assigns.selected_year
 
-    {coverage_data, stats, calendar_error} = fetch_coverage_data(symbol, year)
+    {coverage_data, holidays, stats, calendar_error} = fetch_coverage_data(symbol, year)
 
     assign(socket,
       coverage_data: coverage_data,
+      holidays: holidays,
       stats: stats,
       loading: false,
       calendar_error: calendar_error
@@ -93,17 +194,16 @@ defmodule SignalWeb.DataCoverageLive do
     today = Date.utc_today()
     end_date = if Date.compare(year_end, today) == :gt, do: today, else: year_end
 
-    # Fetch trading calendar from Alpaca API
     {trading_calendar, calendar_error} = fetch_trading_calendar(start_date, end_date)
 
-    # Query bar counts per day
+    # Query regular-session bar counts per trading date, to compare against the
+    # market minutes of each day
     bar_counts =
       from(b in Bar,
-        where: b.symbol == ^symbol,
-        where: fragment("?::date", b.bar_time) >= ^start_date,
-        where: fragment("?::date", b.bar_time) <= ^end_date,
-        group_by: fragment("?::date", b.bar_time),
-        select: {fragment("?::date", b.bar_time), count(b.bar_time)}
+        where: b.symbol == ^symbol and b.session == :regular,
+        where: b.date >= ^start_date and b.date <= ^end_date,
+        group_by: b.date,
+        select: {b.date, count(b.bar_time)}
       )
       |> Repo.all()
       |> Map.new()
@@ -117,7 +217,7 @@ defmodule SignalWeb.DataCoverageLive do
         expected = calculate_expected_bars(day.open, day.close)
         actual = Map.get(bar_counts, day.date, 0)
         coverage_pct = if expected > 0, do: min(100.0, actual / expected * 100), else: 0.0
-        is_half_day = Time.compare(day.close, ~T[14:00:00]) == :lt
+        is_half_day = Time.compare(day.close, ~T[16:00:00]) == :lt
 
         {day.date,
          %{
@@ -133,10 +233,15 @@ defmodule SignalWeb.DataCoverageLive do
 
     # Calculate stats
     total_trading_days = length(trading_calendar)
-    days_with_full_data = Enum.count(coverage_data, fn {_, v} -> v.coverage_pct >= 99 end)
+    days_with_full_data =
+      Enum.count(coverage_data, fn {_, v} -> v.coverage_pct >= @fill_threshold end)
 
     days_with_partial_data =
-      Enum.count(coverage_data, fn {_, v} -> v.coverage_pct > 0 and v.coverage_pct < 99 end)
+      Enum.count(coverage_data, fn {_, v} ->
+        v.coverage_pct > 0 and v.coverage_pct < @fill_threshold
+      end)
+
+    half_days = Enum.count(coverage_data, fn {_, v} -> v.is_half_day end)
 
     days_missing = Enum.count(coverage_data, fn {_, v} -> v.coverage_pct == 0 end)
     total_bars = Enum.sum(Enum.map(coverage_data, fn {_, v} -> v.actual end))
@@ -144,6 +249,7 @@ defmodule SignalWeb.DataCoverageLive do
 
     stats = %{
       total_trading_days: total_trading_days,
+      half_days: half_days,
       days_with_full_data: days_with_full_data,
       days_with_partial_data: days_with_partial_data,
       days_missing: days_missing,
@@ -153,10 +259,28 @@ defmodule SignalWeb.DataCoverageLive do
         if(expected_bars > 0, do: Float.round(total_bars / expected_bars * 100, 1), else: 0)
     }
 
-    {coverage_data, stats, calendar_error}
+    {coverage_data, holidays(trading_calendar, start_date, end_date), stats, calendar_error}
+  end
+
+  # Weekdays the market was closed. Without calendar data every weekday would
+  # look like a holiday, so none are reported.
+  defp holidays([], _start_date, _end_date), do: []
+
+  defp holidays(trading_calendar, start_date, end_date) do
+    trading_days = MapSet.new(trading_calendar, & &1.date)
+
+    Date.range(start_date, end_date)
+    |> Enum.filter(&(Date.day_of_week(&1) <= 5 and not MapSet.member?(trading_days, &1)))
   end
 
   defp fetch_trading_calendar(start_date, end_date) do
+    case MarketCalendar.calendar_days_between(start_date, end_date) do
+      [] -> fetch_api_calendar(start_date, end_date)
+      calendar -> {calendar, nil}
+    end
+  end
+
+  defp fetch_api_calendar(start_date, end_date) do
     Logger.debug("[DataCoverage] Fetching calendar from #{start_date} to #{end_date}")
 
     case AlpacaClient.get_calendar(start: start_date, end: end_date) do
@@ -177,81 +301,34 @@ defmodule SignalWeb.DataCoverageLive do
     close_minutes - open_minutes
   end
 
-  # Generate weeks for the heatmap grid (GitHub style: columns are weeks)
-  defp generate_weeks(year, coverage_data) do
-    start_date = Date.new!(year, 1, 1)
-    end_date = Date.new!(year, 12, 31)
-    today = Date.utc_today()
-
-    # Start from the first Sunday on or before Jan 1
-    first_sunday = Date.add(start_date, -Date.day_of_week(start_date))
-
-    # Generate all weeks
-    Stream.iterate(first_sunday, &Date.add(&1, 7))
-    |> Enum.take_while(fn week_start -> Date.compare(week_start, end_date) != :gt end)
-    |> Enum.map(fn week_start ->
-      # Generate 7 days for this week (Sun-Sat, but we'll show Mon, Wed, Fri labels)
-      days =
-        0..6
-        |> Enum.map(fn day_offset ->
-          date = Date.add(week_start, day_offset)
-          in_year = date.year == year
-          in_future = Date.compare(date, today) == :gt
-
-          coverage = Map.get(coverage_data, date)
-
-          %{
-            date: date,
-            in_year: in_year,
-            in_future: in_future,
-            coverage: coverage,
-            day_of_week: Date.day_of_week(date)
-          }
-        end)
-
-      %{week_start: week_start, days: days}
+  defp coverage_days_json(coverage_data) do
+    coverage_data
+    |> Enum.sort_by(fn {date, _} -> date end, Date)
+    |> Enum.map(fn {date, c} ->
+      %{
+        date: Date.to_iso8601(date),
+        actual: c.actual,
+        expected: c.expected,
+        pct: Float.round(c.coverage_pct, 2),
+        half_day: c.is_half_day,
+        open: Calendar.strftime(c.open, "%H:%M"),
+        close: Calendar.strftime(c.close, "%H:%M")
+      }
     end)
+    |> Jason.encode!()
   end
 
-  # Non-trading day
-  defp coverage_color(nil), do: "bg-zinc-800"
-
-  defp coverage_color(%{coverage_pct: pct}) do
-    cond do
-      pct >= 99 -> "bg-green-500"
-      pct >= 75 -> "bg-green-600"
-      pct >= 50 -> "bg-yellow-500"
-      pct >= 25 -> "bg-orange-500"
-      pct > 0 -> "bg-red-500"
-      # Missing data
-      true -> "bg-zinc-700"
-    end
-  end
-
-  defp month_labels(year) do
-    # Calculate which week column each month starts in
-    first_sunday = Date.add(Date.new!(year, 1, 1), -Date.day_of_week(Date.new!(year, 1, 1)))
+  defp holidays_json(holidays), do: holidays |> Enum.map(&Date.to_iso8601/1) |> Jason.encode!()
 
-    1..12
-    |> Enum.map(fn month ->
-      first_of_month = Date.new!(year, month, 1)
-      days_since_start = Date.diff(first_of_month, first_sunday)
-      week_index = div(days_since_start, 7)
+  defp format_range({start_date, end_date}) when start_date == end_date,
+    do: Calendar.strftime(start_date, "%b %-d, %Y")
 
-      %{
-        month: month,
-        name: Calendar.strftime(first_of_month, "%b"),
-        week_index: week_index
-      }
-    end)
+  defp format_range({start_date, end_date}) do
+    "#{Calendar.strftime(start_date, "%b %-d")} - #{Calendar.strftime(end_date, "%b %-d, %Y")}"
   end
 
   @impl true
   def render(assigns) do
-    weeks = generate_weeks(assigns.selected_year, assigns.coverage_data)
-    months = month_labels(assigns.selected_year)
-    assigns = assign(assigns, weeks: weeks, months: months)
-
     ~H"""
     <div class="min-h-screen bg-gradient-to-br from-zinc-950 via-zinc-900 to-zinc-950">
       <Navigation.header
@@ -367,16 +444,18 @@ defmodule SignalWeb.DataCoverageLive do
               <span>{@calendar_error}</span>
             </div>
             <p class="mt-2 text-sm text-red-300">
-              Make sure Alpaca API credentials are configured. Run
-              <code class="bg-red-900/50 px-1 rounded">source .env</code>
-              before starting the server.
+              The market calendar has not been synced for this year. Run
+              <code class="bg-red-900/50 px-1 rounded">mix signal.sync_calendar</code>
+              or make sure Alpaca API credentials are configured
+              (<code class="bg-red-900/50 px-1 rounded">source .env</code>
+              before starting the server).
             </p>
           </div>
         <% end %>
         
     <!-- Stats -->
         <%= if @stats do %>
-          <div class="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 mb-8">
+          <div class="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-4 mb-8">
             <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 p-4">
               <div class="text-2xl font-bold text-white">{@stats.coverage_pct}%</div>
               <div class="text-xs text-zinc-400">Overall Coverage</div>
@@ -397,6 +476,10 @@ defmodule SignalWeb.DataCoverageLive do
               <div class="text-2xl font-bold text-white">{@stats.total_trading_days}</div>
               <div class="text-xs text-zinc-400">Trading Days</div>
             </div>
+            <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 p-4">
+              <div class="text-2xl font-bold text-sky-300">{@stats.half_days}</div>
+              <div class="text-xs text-zinc-400">Half Days</div>
+            </div>
             <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 p-4">
               <div class="text-2xl font-bold text-white">{format_number(@stats.total_bars)}</div>
               <div class="text-xs text-zinc-400">Total Bars</div>
@@ -412,102 +495,83 @@ defmodule SignalWeb.DataCoverageLive do
         
     <!-- Heatmap -->
         <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 p-6">
-          <div class="flex items-start gap-2">
-            <!-- Day labels (Mon, Wed, Fri) -->
-            <div class="flex flex-col gap-[3px] text-xs text-zinc-500 pt-5">
-              <div class="h-[11px]"></div>
-              <div class="h-[11px] flex items-center">Mon</div>
-              <div class="h-[11px]"></div>
-              <div class="h-[11px] flex items-center">Wed</div>
-              <div class="h-[11px]"></div>
-              <div class="h-[11px] flex items-center">Fri</div>
-              <div class="h-[11px]"></div>
-            </div>
-            
-    <!-- Grid -->
-            <div class="flex-1 overflow-x-auto">
-              <!-- Month labels -->
-              <div class="flex gap-[3px] mb-1 text-xs text-zinc-500 relative h-4">
-                <%= for month <- @months do %>
-                  <div
-                    class="absolute"
-                    style={"left: #{month.week_index * 14}px"}
-                  >
-                    {month.name}
+          <div
+            id="data-coverage-calendar"
+            phx-hook="DataCoverageCalendar"
+            phx-update="ignore"
+            data-days={coverage_days_json(@coverage_data)}
+            data-holidays={holidays_json(@holidays)}
+            data-year={@selected_year}
+            data-today={Date.to_iso8601(Date.utc_today())}
+            data-threshold={@fill_threshold}
+            data-busy={to_string(@filling_gaps or @verifying)}
+          >
+          </div>
+        </div>
+        
+    <!-- Range Verification -->
+        <%= if @verifying or @verify_result do %>
+          <div class="mt-6 bg-zinc-900/50 rounded-xl border border-zinc-800 p-6">
+            <%= case @verify_result do %>
+              <% nil -> %>
+                <div class="text-sm text-zinc-400">Verifying {@selected_symbol}...</div>
+              <% {range, {:error, reason}} -> %>
+                <div class="text-sm text-red-400">
+                  Verification failed for {format_range(range)}: {inspect(reason)}
+                </div>
+              <% {range, {:ok, report}} -> %>
+                <div class="flex items-center gap-3 mb-4">
+                  <h3 class="text-sm font-semibold text-white">
+                    {report.symbol} · {format_range(range)}
+                  </h3>
+                  <span class={[
+                    "text-xs font-medium uppercase px-2 py-0.5 rounded",
+                    case report.status do
+                      :pass -> "bg-green-900/50 text-green-400"
+                      :warn -> "bg-yellow-900/50 text-yellow-400"
+                      :fail -> "bg-red-900/50 text-red-400"
+                    end
+                  ]}>
+                    {report.status}
+                  </span>
+                </div>
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <div class="text-white font-mono">{report.coverage_pct}%</div>
+                    <div class="text-xs text-zinc-400">Coverage</div>
                   </div>
-                <% end %>
-              </div>
-              
-    <!-- Week columns -->
-              <div class="flex gap-[3px]">
-                <%= for week <- @weeks do %>
-                  <div class="flex flex-col gap-[3px]">
-                    <%= for day <- week.days do %>
-                      <div
-                        class={[
-                          "w-[11px] h-[11px] rounded-sm",
-                          cond do
-                            not day.in_year -> "bg-transparent"
-                            day.in_future -> "bg-zinc-800/50"
-                            day.day_of_week in [6, 7] -> "bg-zinc-800/30"
-                            true -> coverage_color(day.coverage)
-                          end
-                        ]}
-                        title={format_tooltip(day)}
-                      >
-                      </div>
-                    <% end %>
+                  <div>
+                    <div class="text-white font-mono">
+                      {format_number(report.regular_hours_bars)} / {format_number(
+                        report.expected_bars
+                      )}
+                    </div>
+                    <div class="text-xs text-zinc-400">Regular Hours / Expected Bars</div>
+                  </div>
+                  <div>
+                    <div class="text-white font-mono">{report.gap_count}</div>
+                    <div class="text-xs text-zinc-400">Intraday Gaps</div>
                   </div>
+                  <div>
+                    <div class="text-white font-mono">{report.ohlc_violations}</div>
+                    <div class="text-xs text-zinc-400">OHLC Violations</div>
+                  </div>
+                </div>
+                <%= if report.issues != [] do %>
+                  <ul class="mt-4 space-y-1 text-xs text-zinc-300 list-disc list-inside">
+                    <%= for issue <- report.issues do %>
+                      <li>{issue}</li>
+                    <% end %>
+                  </ul>
                 <% end %>
-              </div>
-            </div>
-          </div>
-          
-    <!-- Legend -->
-          <div class="flex items-center justify-end gap-2 mt-4 text-xs text-zinc-500">
-            <span>Less</span>
-            <div class="w-[11px] h-[11px] rounded-sm bg-zinc-700" title="No data"></div>
-            <div class="w-[11px] h-[11px] rounded-sm bg-red-500" title="< 25%"></div>
-            <div class="w-[11px] h-[11px] rounded-sm bg-orange-500" title="25-49%"></div>
-            <div class="w-[11px] h-[11px] rounded-sm bg-yellow-500" title="50-74%"></div>
-            <div class="w-[11px] h-[11px] rounded-sm bg-green-600" title="75-98%"></div>
-            <div class="w-[11px] h-[11px] rounded-sm bg-green-500" title="99-100%"></div>
-            <span>More</span>
+            <% end %>
           </div>
-        </div>
+        <% end %>
       </div>
     </div>
     """
   end
 
-  defp format_tooltip(day) do
-    cond do
-      not day.in_year ->
-        ""
-
-      day.in_future ->
-        "#{Date.to_string(day.date)} (future)"
-
-      day.day_of_week in [6, 7] ->
-        "#{Date.to_string(day.date)} (weekend)"
-
-      day.coverage == nil ->
-        "#{Date.to_string(day.date)} (holiday)"
-
-      true ->
-        c = day.coverage
-        hours = format_market_hours(c.open, c.close)
-
-        "#{Date.to_string(day.date)} #{hours}: #{c.actual}/#{c.expected} bars (#{Float.round(c.coverage_pct, 1)}%)"
-    end
-  end
-
-  defp format_market_hours(open, close) do
-    open_str = Calendar.strftime(open, "%-I:%M%P")
-    close_str = Calendar.strftime(close, "%-I:%M%P")
-    "(#{open_str}-#{close_str})"
-  end
-
   defp format_number(number) when is_integer(number) do
     number
     |> Integer.to_string()
@@ -0,0 +1,171 @@
+defmodule SignalWeb.Live.Helpers.EquityCurves do
+  @moduledoc """
+  Equity curve data for the EquityCurveChart hook.
+
+  Provides:
+  - Equity curves rebuilt from a backtest run's closed trades
+  - Walk-forward out-of-sample folds stitched into one curve
+  - Named comparison curves for other runs (backtests or optimization results)
+  - Daily closes for a buy-and-hold benchmark over a run's period
+  - JSON encoding for the hook's data attributes
+  """
+
+  import Ecto.Query
+
+  alias Signal.Backtest.BacktestRun
+  alias Signal.Backtest.SimulatedTrade
+  alias Signal.MarketData.Bar
+  alias Signal.Repo
+
+  @doc """
+  Builds an equity curve from closed trades sorted by exit time.
+
+  Starts with the initial capital at the open of the first day and adds each
+  trade's P&L at its exit time. Returns a list of `{DateTime, Decimal}` tuples.
+  """
+  def build_equity_curve([], _initial_capital, _start_date), do: []
+
+  def build_equity_curve(trades, initial_capital, start_date) do
+    # Start with initial capital at the beginning of the backtest
+    start_datetime = DateTime.new!(start_date, ~T[09:30:00], "America/New_York")
+    initial_point = {start_datetime, initial_capital}
+
+    # Build running equity from trades sorted by exit time
+    {curve, _final} =
+      Enum.reduce(trades, {[initial_point], initial_capital}, fn trade, {points, equity} ->
+        if trade.exit_time && trade.pnl do
+          new_equity = Decimal.add(equity, trade.pnl)
+          {[{trade.exit_time, new_equity} | points], new_equity}
+        else
+          {points, equity}
+        end
+      end)
+
+    Enum.reverse(curve)
+  end
+
+  @doc """
+  Loads a run's closed trades and builds its equity curve.
+  """
+  def run_equity_curve(%BacktestRun{} = run) do
+    SimulatedTrade
+    |> where([t], t.backtest_run_id == ^run.id)
+    |> order_by([t], asc: t.exit_time)
+    |> Repo.all()
+    |> build_equity_curve(run.initial_capital, run.start_date)
+  end
+
+  @doc """
+  Builds one equity curve from the trades of several runs, in exit order.
+
+  Used to stitch walk-forward out-of-sample folds into a single curve that
+  starts with `initial_capital` on `start_date`.
+  """
+  def runs_equity_curve([], _initial_capital, _start_date), do: []
+
+  def runs_equity_curve(run_ids, initial_capital, start_date) do
+    SimulatedTrade
+    |> where([t], t.backtest_run_id in ^run_ids)
+    |> order_by([t], asc: t.exit_time)
+    |> Repo.all()
+    |> build_equity_curve(initial_capital, start_date)
+  end
+
+  @doc """
+  Loads a backtest run as a named comparison curve.
+
+  Returns `{:ok, %{id, name, run, initial_capital, equity_curve}}` or `{:error, :not_found}`.
+  """
+  def load_comparison(run_id, name \\ nil) do
+    case Repo.get(BacktestRun, run_id) do
+      nil ->
+        {:error, :not_found}
+
+      run ->
+        {:ok,
+         %{
+           id: run.id,
+           name: name || run_label(run),
+           run: run,
+           initial_capital: run.initial_capital,
+           equity_curve: run_equity_curve(run)
+         }}
+    end
+  end
+
+  @doc """
+  Loads daily closes of a benchmark symbol over a run's period (the last bar of
+  each regular session). The chart scales them to a buy-and-hold curve.
+
+  Returns `%{symbol, closes}` or nil when there is no data.
+  """
+  def load_benchmark(nil, _run), do: nil
+  def load_benchmark(_symbol, nil), do: nil
+
+  def load_benchmark(symbol, %BacktestRun{} = run) do
+    closes =
+      Bar
+      |> where([b], b.symbol == ^symbol and b.session == :regular)
+      |> where([b], b.date >= ^run.start_date and b.date <= ^run.end_date)
+      |> distinct([b], asc: b.date)
+      |> order_by([b], desc: b.bar_time)
+      |> select([b], {b.bar_time, b.close})
+      |> Repo.all()
+
+    case closes do
+      [] -> nil
+      _ -> %{symbol: symbol, closes: closes}
+    end
+  end
+
+  @doc """
+  Short label for a run, e.g. "AAPL, TSLA 2024-01-01 - 2024-06-30".
+  """
+  def run_label(%BacktestRun{} = run) do
+    "#{Enum.join(run.symbols, ", ")} #{run.start_date} - #{run.end_date}"
+  end
+
+  @doc """
+  Encodes an equity curve as `[{time, value}]` JSON for data-equity.
+  """
+  def equity_curve_json(nil), do: "[]"
+  def equity_curve_json([]), do: "[]"
+
+  def equity_curve_json(equity_curve) do
+    equity_curve
+    |> Enum.map(&point_to_map/1)
+    |> Jason.encode!()
+  end
+
+  @doc """
+  Encodes comparison curves as JSON for data-comparisons.
+  """
+  def comparisons_json(comparisons) do
+    comparisons
+    |> Enum.map(fn comparison ->
+      %{
+        id: comparison.id,
+        name: comparison.name,
+        initial_capital: Decimal.to_float(comparison.initial_capital),
+        equity: Enum.map(comparison.equity_curve, &point_to_map/1)
+      }
+    end)
+    |> Jason.encode!()
+  end
+
+  @doc """
+  Encodes a benchmark as JSON for data-benchmark ("null" when there is none).
+  """
+  def benchmark_json(nil), do: "null"
+
+  def benchmark_json(benchmark) do
+    Jason.encode!(%{
+      name: "#{benchmark.symbol} buy & hold",
+      closes: Enum.map(benchmark.closes, &point_to_map/1)
+    })
+  end
+
+  defp point_to_map({datetime, value}) do
+    %{time: DateTime.to_unix(datetime), value: Decimal.to_float(value)}
+  end
+end
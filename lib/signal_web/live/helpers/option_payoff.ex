@@ -0,0 +1,150 @@
+defmodule SignalWeb.Live.Helpers.OptionPayoff do
+  @moduledoc """
+  Position data for the OptionPayoffChart hook.
+
+  Describes a long call or put: the contract, entry premium, size in
+  contracts, breakeven and max loss (from `Signal.Options.PositionSizer`),
+  the current underlying price, and a mark (underlying price and premium at
+  a point in time) the hook solves implied volatility from for the
+  theoretical P&L curve.
+
+  Signals are resolved to a contract the same way the options backtest
+  does (`Signal.Instruments.Resolver` with the default options config) and
+  sized with the `:position_sizing` account (`PositionTool.sizing/0`).
+  """
+
+  alias Signal.Instruments.Config
+  alias Signal.Instruments.Resolver
+  alias Signal.Options.PositionSizer
+  alias Signal.Options.PriceLookup
+  alias SignalWeb.Live.Helpers.PositionTool
+
+  @doc """
+  Payoff for an options trade (a SimulatedTrade with `instrument_type`
+  "options"), or nil for equity trades and options trades missing contract,
+  premium, size or entry details.
+
+  `bars` are underlying bars around the trade, for the underlying price at
+  the fills. The mark is the exit once the trade has closed, else the entry.
+  """
+  def trade_payoff(
+        %{
+          instrument_type: "options",
+          contract_symbol: symbol,
+          strike: %Decimal{},
+          expiration_date: %Date{},
+          entry_premium: %Decimal{},
+          num_contracts: contracts,
+          entry_time: %DateTime{}
+        } = trade,
+        bars
+      )
+      when is_binary(symbol) and is_integer(contracts) and bars != [] do
+    {mark_time, mark_premium} =
+      if trade.exit_time && trade.exit_premium do
+        {trade.exit_time, trade.exit_premium}
+      else
+        {trade.entry_time, trade.entry_premium}
+      end
+
+    underlying_price = underlying_price_at(bars, mark_time)
+
+    build(%{
+      contract_symbol: symbol,
+      contract_type: contract_type(trade.contract_type),
+      strike: trade.strike,
+      expiration: trade.expiration_date,
+      premium: trade.entry_premium,
+      contracts: trade.num_contracts,
+      underlying_price: underlying_price,
+      stop_loss: trade.stop_loss,
+      take_profit: trade.take_profit,
+      mark: %{time: mark_time, underlying_price: underlying_price, premium: mark_premium}
+    })
+  end
+
+  def trade_payoff(_trade, _bars), do: nil
+
+  @doc """
+  Resolves a signal to the contract the options backtest would trade and
+  sizes it with `PositionSizer.from_equity/1`.
+
+  Returns `{:ok, payoff}` or `{:error, reason}` when no contract or premium
+  is available (contracts must be synced and options bars stored).
+  """
+  def signal_payoff(signal) do
+    %{account_size: account_size, risk_percentage: risk_percentage} = PositionTool.sizing()
+
+    with {:ok, contract} <- Resolver.resolve(signal, Config.options()),
+         {:ok, premium} <-
+           PriceLookup.get_entry_price(contract.contract_symbol, signal.generated_at),
+         {:ok, contracts, _cost} <-
+           PositionSizer.from_equity(
+             account_equity: to_decimal(account_size),
+             risk_percentage: to_decimal(risk_percentage),
+             entry_premium: premium
+           ) do
+      {:ok,
+       build(%{
+         contract_symbol: contract.contract_symbol,
+         contract_type: contract.contract_type,
+         strike: contract.strike,
+         expiration: contract.expiration,
+         premium: premium,
+         contracts: contracts,
+         underlying_price: signal.entry_price,
+         stop_loss: signal.stop_loss,
+         take_profit: signal.take_profit,
+         mark: %{
+           time: signal.generated_at,
+           underlying_price: signal.entry_price,
+           premium: premium
+         }
+       })}
+    end
+  end
+
+  @doc """
+  Encodes a payoff as JSON for data-payoff.
+  """
+  def payoff_json(payoff), do: Jason.encode!(payoff)
+
+  defp build(attrs) do
+    %{
+      contract_symbol: attrs.contract_symbol,
+      contract_type: Atom.to_string(attrs.contract_type),
+      strike: to_float(attrs.strike),
+      expiration: Date.to_iso8601(attrs.expiration),
+      premium: to_float(attrs.premium),
+      contracts: attrs.contracts,
+      breakeven:
+        to_float(PositionSizer.breakeven(attrs.strike, attrs.premium, attrs.contract_type)),
+      max_loss: to_float(PositionSizer.max_loss(attrs.contracts, attrs.premium)),
+      underlying_price: to_float(attrs.underlying_price),
+      stop_loss: to_float(attrs.stop_loss),
+      take_profit: to_float(attrs.take_profit),
+      mark: %{
+        time: DateTime.to_unix(attrs.mark.time),
+        underlying_price: to_float(attrs.mark.underlying_price),
+        premium: to_float(attrs.mark.premium)
+      }
+    }
+  end
+
+  # Close of the last bar at or before the time (else the first bar)
+  defp underlying_price_at([first | _] = bars, time) do
+    bars
+    |> Enum.take_while(&(DateTime.compare(&1.bar_time, time) != :gt))
+    |> List.last(first)
+    |> Map.fetch!(:close)
+  end
+
+  defp contract_type("put"), do: :put
+  defp contract_type(_), do: :call
+
+  defp to_decimal(value) when is_float(value), do: Decimal.from_float(value)
+  defp to_decimal(value), do: Decimal.new(value)
+
+  defp to_float(nil), do: nil
+  defp to_float(%Decimal{} = decimal), do: Decimal.to_float(decimal)
+end
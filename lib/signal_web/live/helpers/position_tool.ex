@@ -0,0 +1,59 @@
+defmodule SignalWeb.Live.Helpers.PositionTool do
+  @moduledoc """
+  Data for the chart hooks' position size and risk calculator
+  (assets/js/hooks/position_tool.js).
+
+  The account size and risk per trade default to the `:position_sizing`
+  config (the tool lets the user override them per browser). The tool can
+  be prefilled from a signal's entry, stop and target, with the option
+  premium when the signal resolves to a contract the way the options
+  backtest does.
+  """
+
+  alias SignalWeb.Live.Helpers.OptionPayoff
+
+  @doc """
+  The configured account size and risk per trade (`:position_sizing`).
+
+  Also used by `OptionPayoff` to size option contracts, so both agree.
+  """
+  def sizing do
+    config = Application.fetch_env!(:signal, :position_sizing)
+
+    %{
+      account_size: Keyword.fetch!(config, :account_size),
+      risk_percentage: Keyword.fetch!(config, :risk_percentage)
+    }
+  end
+
+  @doc """
+  Encodes `sizing/0` as JSON for data-position-sizing.
+  """
+  def sizing_json, do: Jason.encode!(sizing())
+
+  @doc """
+  Position tool prefill for a trade signal (times are Unix seconds).
+  """
+  def signal_prefill(signal) do
+    premium =
+      case OptionPayoff.signal_payoff(signal) do
+        {:ok, payoff} -> payoff.premium
+        {:error, _reason} -> nil
+      end
+
+    %{
+      signal_id: signal.id,
+      direction: signal.direction,
+      entry: Decimal.to_float(signal.entry_price),
+      stop: Decimal.to_float(signal.stop_loss),
+      target: Decimal.to_float(signal.take_profit),
+      time: DateTime.to_unix(signal.generated_at),
+      premium: premium
+    }
+  end
+
+  @doc """
+  Encodes a prefill as JSON for data-position-prefill ("null" for none).
+  """
+  def prefill_json(prefill), do: Jason.encode!(prefill)
+end
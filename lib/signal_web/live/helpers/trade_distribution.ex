@@ -0,0 +1,53 @@
+defmodule SignalWeb.Live.Helpers.TradeDistribution do
+  @moduledoc """
+  Trade data for the TradeDistributionChart hook.
+
+  Encodes closed trades with their R-multiple, maximum adverse/favorable
+  excursion (MAE/MFE, in R) and planned target in R, for the R histogram,
+  MAE/MFE scatter and cumulative expectancy views.
+  """
+
+  @doc """
+  Encodes closed trades as JSON for data-trades.
+  """
+  def trade_distribution_json(trades) do
+    trades
+    |> Enum.filter(&(&1.exit_time && &1.pnl))
+    |> Enum.map(fn trade ->
+      %{
+        id: trade.id,
+        symbol: trade.symbol,
+        direction: trade.direction,
+        exit_time: DateTime.to_unix(trade.exit_time),
+        pnl: Decimal.to_float(trade.pnl),
+        r_multiple: to_float(trade.r_multiple),
+        mae_r: to_float(trade.max_adverse_r),
+        mfe_r: to_float(trade.max_favorable_r),
+        target_r: to_float(target_r(trade))
+      }
+    end)
+    |> Jason.encode!()
+  end
+
+  @doc """
+  Planned reward of a trade in R: distance to the take profit over the
+  distance to the initial stop. Returns nil without a target or risk.
+  """
+  def target_r(%{take_profit: nil}), do: nil
+  def target_r(%{stop_loss: nil}), do: nil
+
+  def target_r(%{entry_price: entry, stop_loss: stop, take_profit: target}) do
+    risk = Decimal.abs(Decimal.sub(entry, stop))
+
+    if Decimal.positive?(risk) do
+      target
+      |> Decimal.sub(entry)
+      |> Decimal.abs()
+      |> Decimal.div(risk)
+      |> Decimal.round(2)
+    end
+  end
+
+  defp to_float(nil), do: nil
+  defp to_float(%Decimal{} = decimal), do: Decimal.to_float(decimal)
+end
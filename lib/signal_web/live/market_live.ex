@@ -1,9 +1,15 @@
 defmodule SignalWeb.MarketLive do
   use SignalWeb, :live_view
+  require Logger
   import Ecto.Query
   alias SignalWeb.Live.Components.SystemStats
   alias SignalWeb.Live.Components.Navigation
   alias Signal.Technicals.Levels
+  alias Signal.Signals.TradeSignal
+  alias Signal.SignalGenerator
+  alias Signal.Charts
+  alias Signal.Technicals.PdArrays.Zones
+  alias SignalWeb.Live.Helpers.PositionTool
 
   @moduledoc """
   Real-time market data dashboard displaying live quotes, bars, and system health.
@@ -13,8 +19,48 @@ defmodule SignalWeb.MarketLive do
   - Latest bar data (OHLC + volume)
   - Connection status
   - System health metrics
+  - Client-side indicator overlays (VWAP, EMAs, ATR bands) on the charts
+  - Trade signal entry/stop/target markers on the charts, draggable while the
+    signal is active (moves are saved and broadcast to other viewers)
+  - Client-side timeframe aggregation (1m bars rolled up to 5m/15m/1h/daily)
+  - Chart drawings (trendlines, rays, boxes, notes) saved per symbol
+  - Fair value gap and order block zones drawn until mitigated
+  - Volume/oscillator sub-panes, with the chosen layout saved server-side
+  - Client-side price alerts (draggable lines, optionally attached to a key level);
+    triggers are logged here
+  - Position size and risk calculator on the charts (account size and risk per
+    trade from the `:position_sizing` config)
   """
 
+  # Indicator keys understood by the TradingChart hook (see assets/js/hooks/indicators.js)
+  @available_indicators ~w(vwap ema9 ema20 sma50 atr)
+  @default_indicators ~w(vwap ema9 ema20)
+
+  # Timeframes the chart hooks can aggregate 1m bars into (see assets/js/hooks/bar_aggregation.js)
+  @timeframes ~w(1m 5m 15m 1h 1D)
+
+  # Signal broadcasts (see Signal.SignalGenerator) that update the chart markers
+  @chart_signal_events [
+    :signal_generated,
+    :signal_filled,
+    :signal_expired,
+    :signal_invalidated,
+    :signal_modified
+  ]
+
+  # Chart data loaded asynchronously once the socket connects
+  @chart_async_keys [
+    :chart_data,
+    :key_levels,
+    :chart_signals,
+    :chart_drawings,
+    :chart_pd_arrays,
+    :chart_pane_layout
+  ]
+
+  # Key the charts' sub-pane layout is saved under
+  @pane_layout_chart "TradingChart"
+
   @impl true
   def mount(_params, _session, socket) do
     # Get configured symbols
@@ -30,6 +76,11 @@ defmodule SignalWeb.MarketLive do
         Phoenix.PubSub.subscribe(Signal.PubSub, "levels:#{symbol}")
       end)
 
+      # Subscribe to trade signals for charted symbols
+      Enum.each(chart_symbols, fn symbol ->
+        Phoenix.PubSub.subscribe(Signal.PubSub, "signals:#{symbol}")
+      end)
+
       # Subscribe to connection and system stats
       Phoenix.PubSub.subscribe(Signal.PubSub, "alpaca:connection")
       Phoenix.PubSub.subscribe(Signal.PubSub, "system:stats")
@@ -51,6 +102,8 @@ defmodule SignalWeb.MarketLive do
         connection_status: connection_status,
         connection_details: %{},
         stats_expanded: false,
+        indicators: @default_indicators,
+        timeframe: "1m",
         system_stats: %{
           quotes_per_sec: 0,
           bars_per_min: 0,
@@ -66,24 +119,52 @@ defmodule SignalWeb.MarketLive do
     # Only load when connected to avoid blocking initial render
     socket =
       if connected?(socket) do
-        assign_async(socket, [:chart_data, :key_levels], fn ->
-          chart_data =
+        assign_async(socket, @chart_async_keys, fn ->
+          recent_bars =
             chart_symbols
-            |> Enum.map(fn symbol -> {symbol, get_recent_bars_for_chart(symbol)} end)
+            |> Enum.map(fn symbol -> {symbol, load_recent_bars(symbol)} end)
             |> Map.new()
 
+          chart_data =
+            Map.new(recent_bars, fn {symbol, bars} -> {symbol, format_bars_for_chart(bars)} end)
+
+          chart_pd_arrays =
+            Map.new(recent_bars, fn {symbol, bars} -> {symbol, Zones.for_chart(bars)} end)
+
           key_levels =
             chart_symbols
             |> Enum.map(fn symbol -> {symbol, load_key_levels(symbol)} end)
             |> Map.new()
 
-          {:ok, %{chart_data: chart_data, key_levels: key_levels}}
+          chart_signals =
+            chart_symbols
+            |> Enum.map(fn symbol -> {symbol, load_signals_for_chart(symbol)} end)
+            |> Map.new()
+
+          chart_drawings =
+            chart_symbols
+            |> Enum.map(fn symbol -> {symbol, load_drawings(symbol)} end)
+            |> Map.new()
+
+          {:ok,
+           %{
+             chart_data: chart_data,
+             key_levels: key_levels,
+             chart_signals: chart_signals,
+             chart_drawings: chart_drawings,
+             chart_pd_arrays: chart_pd_arrays,
+             chart_pane_layout: load_pane_layout()
+           }}
         end)
       else
         # Pre-render state: no async results yet
         socket
         |> assign(:chart_data, nil)
         |> assign(:key_levels, nil)
+        |> assign(:chart_signals, nil)
+        |> assign(:chart_drawings, nil)
+        |> assign(:chart_pd_arrays, nil)
+        |> assign(:chart_pane_layout, nil)
       end
 
     {:ok, socket}
@@ -227,6 +308,22 @@ defmodule SignalWeb.MarketLive do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_info({event, %TradeSignal{} = signal}, socket)
+      when event in @chart_signal_events do
+    # Push signal lifecycle changes to the chart - resolved signals are dimmed, not removed
+    socket =
+      if signal.symbol in socket.assigns.chart_symbols do
+        push_event(socket, "signal-update-#{signal.symbol}", %{
+          signal: format_signal_for_chart(signal)
+        })
+      else
+        socket
+      end
+
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_info(stats_map, socket) when is_map(stats_map) do
     # Handle system stats from PubSub
@@ -256,8 +353,153 @@ defmodule SignalWeb.MarketLive do
     {:noreply, assign(socket, :stats_expanded, !socket.assigns.stats_expanded)}
   end
 
+  @impl true
+  def handle_event("toggle_indicator", %{"indicator" => indicator}, socket)
+      when indicator in @available_indicators do
+    enabled = indicator not in socket.assigns.indicators
+
+    indicators =
+      if enabled do
+        socket.assigns.indicators ++ [indicator]
+      else
+        List.delete(socket.assigns.indicators, indicator)
+      end
+
+    # Charts are phx-update="ignore", so toggles are pushed rather than re-rendered
+    socket =
+      Enum.reduce(socket.assigns.chart_symbols, socket, fn symbol, acc ->
+        push_event(acc, "indicator-toggle-#{symbol}", %{indicator: indicator, enabled: enabled})
+      end)
+
+    {:noreply, assign(socket, :indicators, indicators)}
+  end
+
+  def handle_event("toggle_indicator", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("set_timeframe", %{"timeframe" => timeframe}, socket)
+      when timeframe in @timeframes do
+    socket =
+      Enum.reduce(socket.assigns.chart_symbols, socket, fn symbol, acc ->
+        push_event(acc, "timeframe-change-#{symbol}", %{timeframe: timeframe})
+      end)
+
+    {:noreply, assign(socket, :timeframe, timeframe)}
+  end
+
+  def handle_event("set_timeframe", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("save_drawings", %{"symbol" => symbol, "drawings" => drawings}, socket)
+      when is_list(drawings) do
+    # Only the charted symbols can be written from this page
+    if symbol in socket.assigns.chart_symbols do
+      case Charts.save_drawings(symbol, drawings) do
+        {:ok, _drawing_set} ->
+          :ok
+
+        {:error, changeset} ->
+          Logger.warning(
+            "[MarketLive] Failed to save drawings for #{symbol}: #{inspect(changeset.errors)}"
+          )
+      end
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_event("save_drawings", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("save_pane_layout", %{"panes" => panes, "stretch" => stretch}, socket)
+      when is_list(panes) and is_map(stretch) do
+    case Charts.save_pane_layout(@pane_layout_chart, %{panes: panes, stretch: stretch}) do
+      {:ok, _pane_layout} ->
+        :ok
+
+      {:error, changeset} ->
+        Logger.warning("[MarketLive] Failed to save pane layout: #{inspect(changeset.errors)}")
+    end
+
+    {:noreply, socket}
+  end
+
+  def handle_event("save_pane_layout", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("modify_signal", %{"id" => id} = params, socket) do
+    attrs = Map.take(params, ["entry_price", "stop_loss", "take_profit"])
+
+    socket =
+      case chart_signal(socket, id) do
+        nil ->
+          put_flash(socket, :error, "Signal not found")
+
+        signal ->
+          case SignalGenerator.modify(signal, attrs) do
+            {:ok, _updated} ->
+              # The chart is updated by the :signal_modified broadcast
+              socket
+
+            {:error, reason} ->
+              Logger.warning("[MarketLive] Failed to modify signal #{id}: #{inspect(reason)}")
+
+              # Put the dragged lines back where they were
+              socket
+              |> put_flash(:error, "Could not modify #{signal.symbol} signal")
+              |> push_event("signal-update-#{signal.symbol}", %{
+                signal: format_signal_for_chart(signal)
+              })
+          end
+      end
+
+    {:noreply, socket}
+  end
+
+  def handle_event("modify_signal", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("price_alert_triggered", %{"symbol" => symbol} = params, socket)
+      when is_binary(symbol) do
+    key_level =
+      case params["key_level"] do
+        level when is_binary(level) -> " (#{String.upcase(alert_field(level))})"
+        _ -> ""
+      end
+
+    [symbol, trigger, direction, level_price, price] =
+      Enum.map(~w(symbol trigger direction level_price price), &alert_field(params[&1]))
+
+    Logger.info(
+      "[MarketLive] Price alert triggered for #{symbol}: #{trigger} " <>
+        "#{direction} through #{level_price}#{key_level} at #{price}"
+    )
+
+    {:noreply, socket}
+  end
+
+  def handle_event("price_alert_triggered", _params, socket) do
+    {:noreply, socket}
+  end
+
   # Private helper functions
 
+  # Alert fields come from the client hook - only log plain values, stripped of anything
+  # that isn't part of a symbol, word or number (newlines, control characters)
+  defp alert_field(value) when is_binary(value), do: String.replace(value, ~r/[^\w.\-]/u, "")
+  defp alert_field(value) when is_number(value), do: value
+  defp alert_field(_value), do: "?"
+
   defp get_initial_monitor_stats do
     try do
       stats = Signal.Monitor.get_stats()
@@ -400,7 +642,7 @@ defmodule SignalWeb.MarketLive do
     end
   end
 
-  defp get_recent_bars_for_chart(symbol) do
+  defp load_recent_bars(symbol) do
     # Get the most recent 390 bars (full trading day) for initial chart display
     # Using limit instead of time cutoff ensures data shows even after hours
     query =
@@ -411,23 +653,27 @@ defmodule SignalWeb.MarketLive do
       )
 
     try do
-      Signal.Repo.all(query)
+      query
+      |> Signal.Repo.all()
       |> Enum.reverse()
-      |> Enum.map(fn bar ->
-        %{
-          time: DateTime.to_unix(bar.bar_time),
-          open: Decimal.to_string(bar.open),
-          high: Decimal.to_string(bar.high),
-          low: Decimal.to_string(bar.low),
-          close: Decimal.to_string(bar.close),
-          volume: bar.volume
-        }
-      end)
     rescue
       _ -> []
     end
   end
 
+  defp format_bars_for_chart(bars) do
+    Enum.map(bars, fn bar ->
+      %{
+        time: DateTime.to_unix(bar.bar_time),
+        open: Decimal.to_string(bar.open),
+        high: Decimal.to_string(bar.high),
+        low: Decimal.to_string(bar.low),
+        close: Decimal.to_string(bar.close),
+        volume: bar.volume
+      }
+    end)
+  end
+
   defp load_key_levels(symbol) do
     case Levels.get_current_levels(String.to_atom(symbol)) do
       {:ok, levels} -> format_levels_for_chart(levels)
@@ -452,12 +698,87 @@ defmodule SignalWeb.MarketLive do
     |> Map.new()
   end
 
+  defp load_signals_for_chart(symbol) do
+    # Signals generated since the start of the chart window (last 24 hours)
+    since = DateTime.add(DateTime.utc_now(), -24 * 60 * 60, :second)
+
+    query =
+      from(s in TradeSignal,
+        where: s.symbol == ^symbol,
+        where: s.generated_at >= ^since,
+        order_by: [asc: s.generated_at]
+      )
+
+    try do
+      query
+      |> Signal.Repo.all()
+      |> Enum.map(&format_signal_for_chart/1)
+    rescue
+      _ -> []
+    end
+  end
+
+  # The signal with the client-supplied id, when it is drawn on one of the charts
+  defp chart_signal(socket, id) do
+    with {:ok, id} <- Ecto.UUID.cast(id),
+         %TradeSignal{} = signal <- Signal.Repo.get(TradeSignal, id),
+         true <- signal.symbol in socket.assigns.chart_symbols do
+      signal
+    else
+      _ -> nil
+    end
+  end
+
+  defp load_drawings(symbol) do
+    try do
+      Charts.get_drawings(symbol)
+    rescue
+      _ -> []
+    end
+  end
+
+  defp load_pane_layout do
+    try do
+      Charts.get_pane_layout(@pane_layout_chart)
+    rescue
+      _ -> nil
+    end
+  end
+
+  defp format_signal_for_chart(%TradeSignal{} = signal) do
+    %{
+      id: signal.id,
+      symbol: signal.symbol,
+      direction: to_string(signal.direction),
+      status: to_string(signal.status),
+      entry_price: decimal_to_float(signal.entry_price),
+      stop_loss: decimal_to_float(signal.stop_loss),
+      take_profit: decimal_to_float(signal.take_profit),
+      trigger_time: signal_trigger_time(signal)
+    }
+  end
+
+  # The entry arrow is drawn on the bar that triggered the signal: the retest bar
+  # for break & retest setups, then the break bar, then the generation minute
+  defp signal_trigger_time(signal) do
+    trigger = signal.retest_bar_time || signal.break_bar_time || signal.generated_at
+
+    if trigger do
+      unix = DateTime.to_unix(trigger)
+      unix - rem(unix, 60)
+    end
+  end
+
   defp decimal_to_float(nil), do: nil
 
   defp decimal_to_float(decimal) do
     Decimal.to_float(decimal)
   end
 
+  defp available_indicators, do: @available_indicators
+
+  defp timeframes, do: @timeframes
+
   # Async result helpers for template
   defp chart_loading?(nil), do: false
 
@@ -483,6 +804,33 @@ defmodule SignalWeb.MarketLive do
 
   defp get_key_levels(_, _symbol), do: %{}
 
+  defp get_chart_signals(%Phoenix.LiveView.AsyncResult{ok?: true, result: result}, symbol) do
+    Map.get(result, symbol, [])
+  end
+
+  defp get_chart_signals(_, _symbol), do: []
+
+  defp get_chart_drawings(%Phoenix.LiveView.AsyncResult{ok?: true, result: result}, symbol) do
+    Map.get(result, symbol, [])
+  end
+
+  defp get_chart_drawings(_, _symbol), do: []
+
+  defp get_chart_pd_arrays(%Phoenix.LiveView.AsyncResult{ok?: true, result: result}, symbol) do
+    Map.get(result, symbol, [])
+  end
+
+  defp get_chart_pd_arrays(_, _symbol), do: []
+
+  defp get_chart_pane_layout(%Phoenix.LiveView.AsyncResult{ok?: true, result: result}), do: result
+  defp get_chart_pane_layout(_), do: nil
+
+  defp indicator_label("vwap"), do: "VWAP"
+  defp indicator_label("ema9"), do: "EMA 9"
+  defp indicator_label("ema20"), do: "EMA 20"
+  defp indicator_label("sma50"), do: "SMA 50"
+  defp indicator_label("atr"), do: "ATR Bands"
+
   # Template
   @impl true
   def render(assigns) do
@@ -507,6 +855,39 @@ defmodule SignalWeb.MarketLive do
           />
         </div>
         
+    <!-- Chart Controls -->
+        <div class="flex items-center gap-2 mb-4">
+          <span class="text-xs text-zinc-500 uppercase tracking-wider mr-1">Timeframe</span>
+          <button
+            :for={timeframe <- timeframes()}
+            phx-click="set_timeframe"
+            phx-value-timeframe={timeframe}
+            class={[
+              "px-3 py-1 text-xs font-medium font-mono rounded-lg border transition-colors",
+              timeframe == @timeframe && "bg-zinc-700 text-white border-zinc-600",
+              timeframe != @timeframe &&
+                "bg-zinc-900 text-zinc-500 border-zinc-800 hover:text-zinc-300"
+            ]}
+          >
+            {timeframe}
+          </button>
+          <span class="w-px h-5 bg-zinc-800 mx-2"></span>
+          <span class="text-xs text-zinc-500 uppercase tracking-wider mr-1">Indicators</span>
+          <button
+            :for={indicator <- available_indicators()}
+            phx-click="toggle_indicator"
+            phx-value-indicator={indicator}
+            class={[
+              "px-3 py-1 text-xs font-medium rounded-lg border transition-colors",
+              indicator in @indicators && "bg-zinc-700 text-white border-zinc-600",
+              indicator not in @indicators &&
+                "bg-zinc-900 text-zinc-500 border-zinc-800 hover:text-zinc-300"
+            ]}
+          >
+            {indicator_label(indicator)}
+          </button>
+        </div>
+        
     <!-- Charts Grid -->
         <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
           <%= for symbol <- @chart_symbols do %>
@@ -554,6 +935,15 @@ defmodule SignalWeb.MarketLive do
                 data-symbol={symbol}
                 data-initial-bars={Jason.encode!(get_chart_bars(@chart_data, symbol))}
                 data-key-levels={Jason.encode!(get_key_levels(@key_levels, symbol))}
+                data-indicators={Enum.join(@indicators, ",")}
+                data-timeframe={@timeframe}
+                data-signals={Jason.encode!(get_chart_signals(@chart_signals, symbol))}
+                data-drawings={Jason.encode!(get_chart_drawings(@chart_drawings, symbol))}
+                data-pd-arrays={Jason.encode!(get_chart_pd_arrays(@chart_pd_arrays, symbol))}
+                data-position-sizing={PositionTool.sizing_json()}
+                data-panes="volume"
+                data-pane-layout={Jason.encode!(get_chart_pane_layout(@chart_pane_layout))}
+                data-sync-group="market"
                 class="w-full min-h-[500px]"
               >
               </div>
@@ -5,10 +5,12 @@ defmodule SignalWeb.OptimizationLive do
   alias Signal.Optimization.Runner
   alias Signal.Optimization.OptimizationRun
   alias Signal.Optimization.OptimizationResult
+  alias Signal.Optimization.Validation
   alias Signal.Repo
 
   import Ecto.Query
   import SignalWeb.Live.Helpers.Formatters
+  import SignalWeb.Live.Helpers.EquityCurves
 
   @moduledoc """
   Optimization dashboard for parameter tuning and walk-forward analysis.
@@ -18,6 +20,9 @@ defmodule SignalWeb.OptimizationLive do
   - Walk-forward optimization settings
   - Real-time progress tracking
   - Results comparison with overfitting detection
+  - Equity curves of selected parameter sets on one chart
+  - Heatmap of a metric over any two grid parameters
+  - Walk-forward timeline with stitched out-of-sample equity
   """
 
   @default_symbols ~w[AAPL TSLA NVDA MSFT META]
@@ -29,6 +34,8 @@ defmodule SignalWeb.OptimizationLive do
   @confluence_options [5, 6, 7, 8, 9]
   @rr_options [1.5, 2.0, 2.5, 3.0]
   @risk_options [0.01, 0.015, 0.02]
+  @max_compared_results 5
+  @benchmark_symbol "SPY"
 
   @impl true
   def mount(_params, _session, socket) do
@@ -73,6 +80,17 @@ defmodule SignalWeb.OptimizationLive do
        results: [],
        best_params: nil,
 
+       # Equity comparison of selected results (first one is the primary curve)
+       compared_results: [],
+       compare_benchmark: nil,
+
+       # Heatmap (all training results of the loaded run)
+       heatmap_results: [],
+       heatmap_run: nil,
+
+       # Walk-forward folds and stitched OOS equity (nil for grid searches)
+       walk_forward: nil,
+
        # History
        recent_runs: recent_runs,
 
@@ -197,14 +215,61 @@ defmodule SignalWeb.OptimizationLive do
     {:noreply, assign(socket, :active_tab, String.to_existing_atom(tab))}
   end
 
+  @impl true
+  def handle_event("toggle_compare_result", %{"id" => result_id}, socket) do
+    compared = socket.assigns.compared_results
+
+    cond do
+      Enum.any?(compared, &(&1.result_id == result_id)) ->
+        remaining = Enum.reject(compared, &(&1.result_id == result_id))
+        {:noreply, assign_compared_results(socket, remaining)}
+
+      length(compared) >= @max_compared_results ->
+        {:noreply,
+         put_flash(socket, :error, "Compare at most #{@max_compared_results} parameter sets")}
+
+      true ->
+        result = Enum.find(socket.assigns.results, &(&1.id == result_id))
+
+        case result && load_result_comparison(result) do
+          {:ok, comparison} ->
+            {:noreply, assign_compared_results(socket, compared ++ [comparison])}
+
+          _ ->
+            {:noreply, put_flash(socket, :error, "No backtest run for this parameter set")}
+        end
+    end
+  end
+
+  # Heatmap cell click - show that parameter set's equity curve first in the comparison
+  @impl true
+  def handle_event("load_run", %{"result_id" => result_id}, socket) do
+    result = Enum.find(socket.assigns.heatmap_results, &(&1.id == result_id))
+    compared = Enum.reject(socket.assigns.compared_results, &(&1.result_id == result_id))
+
+    case result && load_result_comparison(result) do
+      {:ok, comparison} ->
+        compared = Enum.take([comparison | compared], @max_compared_results)
+        {:noreply, assign_compared_results(socket, compared)}
+
+      _ ->
+        {:noreply, put_flash(socket, :error, "No backtest run for this parameter set")}
+    end
+  end
+
   @impl true
   def handle_event("load_run", %{"id" => run_id}, socket) do
     case load_run_results(run_id) do
-      {:ok, results, best_params} ->
+      {:ok, run, results} ->
         {:noreply,
          assign(socket,
            results: results,
-           best_params: best_params,
+           best_params: run.best_params,
+           compared_results: [],
+           compare_benchmark: nil,
+           heatmap_results: load_heatmap_results(run_id),
+           heatmap_run: run,
+           walk_forward: load_walk_forward(run),
            active_tab: :results
          )}
 
@@ -220,11 +285,18 @@ defmodule SignalWeb.OptimizationLive do
 
   @impl true
   def handle_info({:optimization_complete, result}, socket) do
+    run = Repo.get(OptimizationRun, result.run_id)
+
     {:noreply,
      assign(socket,
        run_status: :completed,
        results: load_results(result.run_id),
        best_params: result.best_params,
+       compared_results: [],
+       compare_benchmark: nil,
+       heatmap_results: load_heatmap_results(result.run_id),
+       heatmap_run: run,
+       walk_forward: run && load_walk_forward(run),
        active_tab: :results,
        recent_runs: load_recent_runs()
      )}
@@ -351,14 +423,126 @@ defmodule SignalWeb.OptimizationLive do
     |> Repo.all()
   end
 
+  defp load_result_comparison(%OptimizationResult{backtest_run_id: nil}), do: {:error, :no_run}
+
+  defp load_result_comparison(result) do
+    with {:ok, comparison} <- load_comparison(result.backtest_run_id, params_label(result)) do
+      {:ok, Map.put(comparison, :result_id, result.id)}
+    end
+  end
+
+  # The benchmark follows the primary (first selected) result's period
+  defp assign_compared_results(socket, compared) do
+    benchmark =
+      case compared do
+        [] -> nil
+        [primary | _] -> load_benchmark(@benchmark_symbol, primary.run)
+      end
+
+    assign(socket, compared_results: compared, compare_benchmark: benchmark)
+  end
+
+  defp params_label(result) do
+    (result.parameters || %{})
+    |> Enum.map_join(", ", fn {key, value} -> "#{key}: #{value}" end)
+  end
+
+  # Every training result (the table only shows the top 20)
+  defp load_heatmap_results(run_id) do
+    OptimizationResult
+    |> where([r], r.optimization_run_id == ^run_id)
+    |> where([r], r.is_training == true)
+    |> Repo.all()
+  end
+
+  defp heatmap_results_json(results) do
+    results
+    |> Enum.map(fn result ->
+      %{
+        id: result.id,
+        parameters: result.parameters || %{},
+        window_index: result.window_index,
+        total_trades: result.total_trades || 0,
+        metrics: %{
+          profit_factor: decimal_to_float(result.profit_factor),
+          sharpe_ratio: decimal_to_float(result.sharpe_ratio),
+          win_rate: decimal_to_float(result.win_rate),
+          net_profit: decimal_to_float(result.net_profit)
+        }
+      }
+    end)
+    |> Jason.encode!()
+  end
+
+  defp decimal_to_float(nil), do: nil
+  defp decimal_to_float(%Decimal{} = decimal), do: Decimal.to_float(decimal)
+
+  defp load_walk_forward(%OptimizationRun{walk_forward_config: config})
+       when config == nil or map_size(config) == 0,
+       do: nil
+
+  defp load_walk_forward(run) do
+    results =
+      OptimizationResult
+      |> where([r], r.optimization_run_id == ^run.id)
+      |> where([r], not is_nil(r.window_index))
+      |> Repo.all()
+
+    metric = String.to_existing_atom(run.optimization_metric)
+
+    case Validation.fold_results(results, metric) do
+      [] ->
+        nil
+
+      folds ->
+        oos_run_ids =
+          folds
+          |> Enum.map(& &1.out_of_sample.backtest_run_id)
+          |> Enum.reject(&is_nil/1)
+
+        start_date = hd(folds).out_of_sample.window_start_date
+
+        %{
+          folds: folds,
+          metric: run.optimization_metric,
+          initial_capital: run.initial_capital,
+          equity_curve: runs_equity_curve(oos_run_ids, run.initial_capital, start_date)
+        }
+    end
+  end
+
+  defp walk_forward_folds_json(folds) do
+    folds
+    |> Enum.map(fn fold ->
+      in_sample = fold.in_sample || %{}
+      oos = fold.out_of_sample
+
+      %{
+        index: fold.index,
+        params: fold.params || %{},
+        training_start: Map.get(in_sample, :window_start_date),
+        training_end: Map.get(in_sample, :window_end_date),
+        testing_start: oos.window_start_date,
+        testing_end: oos.window_end_date,
+        in_sample_metric: decimal_to_float(fold.in_sample_metric),
+        out_of_sample_metric: decimal_to_float(fold.out_of_sample_metric),
+        efficiency: decimal_to_float(fold.walk_forward_efficiency),
+        degradation_pct: decimal_to_float(fold.degradation_pct),
+        is_overfit: fold.is_overfit,
+        oos_trades: oos.total_trades || 0,
+        oos_net_profit: decimal_to_float(oos.net_profit)
+      }
+    end)
+    |> Jason.encode!()
+  end
+
   defp load_run_results(run_id) do
     case Repo.get(OptimizationRun, run_id) do
       nil ->
         {:error, :not_found}
 
       run ->
-        results = load_results(run_id)
-        {:ok, results, run.best_params}
+        {:ok, run, load_results(run_id)}
     end
   end
 
@@ -721,6 +905,81 @@ defmodule SignalWeb.OptimizationLive do
               </div>
             </div>
             
+    <!-- Walk-Forward Timeline -->
+            <div :if={@walk_forward} class="mb-6">
+              <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden">
+                <div class="px-4 py-3 border-b border-zinc-800">
+                  <h3 class="font-bold text-white">Walk-Forward Timeline</h3>
+                  <p class="text-xs text-zinc-500">
+                    In-sample and out-of-sample period of each fold, with OOS equity stitched
+                    across folds. Fold color is OOS / IS {@walk_forward.metric}.
+                  </p>
+                </div>
+                <div class="p-4">
+                  <div
+                    id="walk-forward-chart"
+                    phx-hook="WalkForwardChart"
+                    phx-update="ignore"
+                    data-folds={walk_forward_folds_json(@walk_forward.folds)}
+                    data-equity={equity_curve_json(@walk_forward.equity_curve)}
+                    data-initial-capital={Decimal.to_string(@walk_forward.initial_capital)}
+                    data-metric={@walk_forward.metric}
+                    data-min-efficiency={Validation.min_efficiency()}
+                    data-height="420"
+                    class="w-full"
+                  >
+                  </div>
+                </div>
+              </div>
+            </div>
+            
+    <!-- Parameter Heatmap -->
+            <div :if={@heatmap_results != []} class="mb-6">
+              <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden">
+                <div class="px-4 py-3 border-b border-zinc-800">
+                  <h3 class="font-bold text-white">Parameter Heatmap</h3>
+                  <p class="text-xs text-zinc-500">
+                    Look for broad regions that hold up, not single peaks.
+                    Click a cell to load its equity curve.
+                  </p>
+                </div>
+                <div
+                  id="optimization-heatmap"
+                  phx-hook="OptimizationHeatmap"
+                  phx-update="ignore"
+                  data-results={heatmap_results_json(@heatmap_results)}
+                  data-metric={@heatmap_run && @heatmap_run.optimization_metric}
+                  data-min-trades={@heatmap_run && @heatmap_run.min_trades}
+                  class="p-4"
+                >
+                </div>
+              </div>
+            </div>
+            
+    <!-- Equity Comparison -->
+            <div :if={@compared_results != []} class="mb-6">
+              <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden">
+                <div class="px-4 py-3 border-b border-zinc-800">
+                  <h3 class="font-bold text-white">Equity Comparison</h3>
+                </div>
+                <div class="p-4">
+                  <div
+                    id="optimization-equity-chart"
+                    phx-hook="EquityCurveChart"
+                    phx-update="ignore"
+                    data-title={hd(@compared_results).name}
+                    data-equity={equity_curve_json(hd(@compared_results).equity_curve)}
+                    data-initial-capital={Decimal.to_string(hd(@compared_results).initial_capital)}
+                    data-comparisons={comparisons_json(tl(@compared_results))}
+                    data-benchmark={benchmark_json(@compare_benchmark)}
+                    data-height="400"
+                    class="w-full"
+                  >
+                  </div>
+                </div>
+              </div>
+            </div>
+            
     <!-- Results Table -->
             <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden">
               <div class="px-4 py-3 border-b border-zinc-800">
@@ -748,6 +1007,9 @@ defmodule SignalWeb.OptimizationLive do
                       <th class="px-4 py-3 text-right text-xs font-medium text-zinc-400 uppercase">
                         Max DD
                       </th>
+                      <th class="px-4 py-3 text-right text-xs font-medium text-zinc-400 uppercase">
+                        Compare
+                      </th>
                     </tr>
                   </thead>
                   <tbody class="divide-y divide-zinc-800">
@@ -777,6 +1039,16 @@ defmodule SignalWeb.OptimizationLive do
                         <td class="px-4 py-3 text-sm text-right text-red-400 font-mono">
                           {format_pct(result.max_drawdown_pct)}
                         </td>
+                        <td class="px-4 py-3 text-right">
+                          <input
+                            :if={result.backtest_run_id}
+                            type="checkbox"
+                            checked={Enum.any?(@compared_results, &(&1.result_id == result.id))}
+                            phx-click="toggle_compare_result"
+                            phx-value-id={result.id}
+                            class="rounded bg-zinc-800 border-zinc-700 text-purple-500"
+                          />
+                        </td>
                       </tr>
                     <% end %>
                   </tbody>
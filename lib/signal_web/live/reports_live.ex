@@ -5,10 +5,12 @@ defmodule SignalWeb.ReportsLive do
   alias Signal.Backtest.BacktestRun
   alias Signal.Backtest.SimulatedTrade
   alias Signal.Analytics.BacktestResult
+  alias Signal.Analytics.TimeAnalysis
   alias Signal.Repo
 
   import Ecto.Query
   import SignalWeb.Live.Helpers.Formatters
+  import SignalWeb.Live.Helpers.TradeDistribution
 
   @moduledoc """
   Reports dashboard for detailed performance analysis of backtest results.
@@ -16,10 +18,15 @@ defmodule SignalWeb.ReportsLive do
   Features:
   - Backtest run selector
   - Time-based performance analysis (by time slot, weekday, month)
+  - Entry time / weekday heatmap with P&L by time bucket
+  - R-multiple histogram, MAE/MFE scatter and cumulative expectancy
   - Signal analysis (by grade, strategy, symbol)
   - Trade explorer with export
   """
 
+  # Entry-time bucket sizes (minutes) for the time-of-day heatmap
+  @time_bucket_options [5, 15, 30]
+
   @impl true
   def mount(_params, _session, socket) do
     completed_runs = load_completed_runs()
@@ -39,10 +46,12 @@ defmodule SignalWeb.ReportsLive do
        backtest_run: nil,
        backtest_result: nil,
        trades: [],
+       selected_trade_id: nil,
 
        # Analysis data
        time_analysis: nil,
        signal_analysis: nil,
+       time_bucket_minutes: 15,
 
        # UI state
        active_tab: :overview
@@ -59,6 +68,7 @@ defmodule SignalWeb.ReportsLive do
            backtest_run: data.run,
            backtest_result: data.result,
            trades: data.trades,
+           selected_trade_id: nil,
            time_analysis: data.result && data.result.time_analysis,
            signal_analysis: data.result && data.result.signal_analysis
          )}
@@ -73,6 +83,27 @@ defmodule SignalWeb.ReportsLive do
     {:noreply, assign(socket, :active_tab, String.to_existing_atom(tab))}
   end
 
+  # Clicked in the trade distribution chart: show the trade in the explorer
+  @impl true
+  def handle_event("select_trade", %{"id" => id}, socket) do
+    {:noreply, assign(socket, selected_trade_id: id, active_tab: :trades)}
+  end
+
+  @impl true
+  def handle_event("set_time_bucket", %{"minutes" => minutes}, socket) when is_binary(minutes) do
+    case Integer.parse(minutes) do
+      {minutes, ""} when minutes in @time_bucket_options ->
+        {:noreply, assign(socket, :time_bucket_minutes, minutes)}
+
+      _ ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("set_time_bucket", _params, socket) do
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_event("export_trades", _params, socket) do
     # TODO: Implement CSV export
@@ -107,6 +138,29 @@ defmodule SignalWeb.ReportsLive do
     end
   end
 
+  defp time_heatmap_json(trades, interval_minutes) do
+    trades
+    |> Enum.filter(& &1.pnl)
+    |> TimeAnalysis.by_weekday_and_time_slot(interval_minutes)
+    |> Enum.map(fn {{weekday, slot}, stats} ->
+      %{
+        weekday: weekday,
+        time_slot: slot,
+        trades: stats.trades,
+        winners: stats.winners,
+        losers: stats.losers,
+        win_rate: decimal_to_float(stats.win_rate),
+        net_pnl: decimal_to_float(stats.net_pnl),
+        expectancy: decimal_to_float(stats.avg_pnl),
+        avg_r: decimal_to_float(stats.avg_r)
+      }
+    end)
+    |> Jason.encode!()
+  end
+
+  defp decimal_to_float(nil), do: nil
+  defp decimal_to_float(%Decimal{} = decimal), do: Decimal.to_float(decimal)
+
   defp weekday_name(day) when is_binary(day), do: String.capitalize(day)
   defp weekday_name(day) when is_atom(day), do: Atom.to_string(day) |> String.capitalize()
   defp weekday_name(_), do: "-"
@@ -313,10 +367,67 @@ defmodule SignalWeb.ReportsLive do
                 </div>
               </div>
             </div>
+            
+    <!-- Trade Distribution -->
+            <div
+              :if={@trades != []}
+              class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden mt-6"
+            >
+              <div class="px-4 py-3 border-b border-zinc-800">
+                <h3 class="font-bold text-white">Trade Distribution</h3>
+              </div>
+              <div
+                id="trade-distribution-chart"
+                phx-hook="TradeDistributionChart"
+                phx-update="ignore"
+                data-trades={trade_distribution_json(@trades)}
+                class="p-4"
+              >
+              </div>
+            </div>
           </div>
           
     <!-- Time Analysis Tab -->
           <div :if={@active_tab == :time}>
+            <!-- Entry Time x Weekday Heatmap -->
+            <div class="bg-zinc-900/50 rounded-xl border border-zinc-800 overflow-hidden mb-6">
+              <div class="px-4 py-3 border-b border-zinc-800 flex items-center justify-between">
+                <div>
+                  <h3 class="font-bold text-white">Entry Time Heatmap</h3>
+                  <p class="text-xs text-zinc-500">
+                    Closed trades by entry time (ET) and weekday, with net P&L per time bucket
+                  </p>
+                </div>
+                <div class="flex items-center gap-1">
+                  <span class="text-xs text-zinc-500 mr-1">Bucket</span>
+                  <button
+                    :for={minutes <- time_bucket_options()}
+                    phx-click="set_time_bucket"
+                    phx-value-minutes={minutes}
+                    class={[
+                      "px-2 py-1 rounded text-xs font-medium transition-colors",
+                      if(minutes == @time_bucket_minutes,
+                        do: "bg-teal-500/20 text-teal-400",
+                        else: "text-zinc-400 hover:text-white"
+                      )
+                    ]}
+                  >
+                    {minutes}m
+                  </button>
+                </div>
+              </div>
+              <div
+                id="time-of-day-heatmap"
+                phx-hook="TimeOfDayHeatmap"
+                phx-update="ignore"
+                data-cells={time_heatmap_json(@trades, @time_bucket_minutes)}
+                data-interval={@time_bucket_minutes}
+                data-min-trades={TimeAnalysis.min_trades_for_ranking()}
+                class="p-4"
+              >
+              </div>
+            </div>
+
             <%= if @time_analysis do %>
               <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
                 <!-- By Time Slot -->
@@ -531,7 +642,10 @@ defmodule SignalWeb.ReportsLive do
                   </thead>
                   <tbody class="divide-y divide-zinc-800">
                     <%= for trade <- @trades do %>
-                      <tr class="hover:bg-zinc-800/50">
+                      <tr class={[
+                        "hover:bg-zinc-800/50",
+                        trade.id == @selected_trade_id && "bg-teal-500/10"
+                      ]}>
                         <td class="px-4 py-3 text-sm font-medium text-white">{trade.symbol}</td>
                         <td class={"px-4 py-3 text-sm #{if trade.direction == :long, do: "text-green-400", else: "text-red-400"}"}>
                           {trade.direction}
@@ -579,6 +693,8 @@ defmodule SignalWeb.ReportsLive do
     """
   end
 
+  defp time_bucket_options, do: @time_bucket_options
+
   defp grade_color("A"), do: "text-green-400"
   defp grade_color("B"), do: "text-blue-400"
   defp grade_color("C"), do: "text-yellow-400"
@@ -4,6 +4,7 @@ defmodule SignalWeb.SignalsLive do
   alias SignalWeb.Live.Components.Navigation
   alias Signal.Signals.TradeSignal
   alias Signal.MarketData.Bar
+  alias SignalWeb.Live.Helpers.OptionPayoff
 
   @moduledoc """
   Real-time signals dashboard displaying trade signals with filtering and details.
@@ -13,7 +14,9 @@ defmodule SignalWeb.SignalsLive do
   - Confluence factor breakdowns
   - Signal filtering by grade, direction, status
   - Signal history
-  - Mini charts with price context
+  - Mini charts with price context (click one to size the signal with the symbol
+    chart's position tool)
+  - Options risk profile (payoff at expiry) for the selected signal
   """
 
   @bars_per_chart 30
@@ -36,6 +39,7 @@ defmodule SignalWeb.SignalsLive do
        signals: signals,
        symbol_bars: symbol_bars,
        selected_signal: nil,
+       selected_signal_payoff: nil,
        filters: %{
          grade: "all",
          direction: "all",
@@ -68,6 +72,12 @@ defmodule SignalWeb.SignalsLive do
     {:noreply, assign(socket, :signals, signals)}
   end
 
+  @impl true
+  def handle_info({:signal_modified, signal}, socket) do
+    signals = update_signal_in_list(socket.assigns.signals, signal)
+    {:noreply, assign(socket, :signals, signals)}
+  end
+
   @impl true
   def handle_info({:signal_expired, signal}, socket) do
     signals = update_signal_in_list(socket.assigns.signals, signal)
@@ -99,12 +109,25 @@ defmodule SignalWeb.SignalsLive do
   @impl true
   def handle_event("select_signal", %{"id" => id}, socket) do
     signal = Enum.find(socket.assigns.signals, &(&1.id == id))
-    {:noreply, assign(socket, :selected_signal, signal)}
+    socket = assign(socket, :selected_signal, signal)
+
+    if signal do
+      # Contract lookup and premium queries run off the LiveView process
+      {:noreply,
+       assign_async(
+         socket,
+         :selected_signal_payoff,
+         fn -> {:ok, %{selected_signal_payoff: OptionPayoff.signal_payoff(signal)}} end,
+         reset: true
+       )}
+    else
+      {:noreply, assign(socket, :selected_signal_payoff, nil)}
+    end
   end
 
   @impl true
   def handle_event("close_details", _params, socket) do
-    {:noreply, assign(socket, :selected_signal, nil)}
+    {:noreply, assign(socket, selected_signal: nil, selected_signal_payoff: nil)}
   end
 
   # Private helpers
@@ -477,6 +500,7 @@ defmodule SignalWeb.SignalsLive do
                         data-bars={bars_json(@symbol_bars, signal.symbol)}
                         data-width="200"
                         data-height="140"
+                        data-position-href={~p"/symbols/#{signal.symbol}?position=#{signal.id}"}
                         class="rounded-lg overflow-hidden bg-zinc-800/30"
                       >
                       </div>
@@ -560,7 +584,39 @@ defmodule SignalWeb.SignalsLive do
                       </div>
                     <% end %>
                   </div>
-                  
+
+    <!-- Options Risk Profile -->
+                  <div>
+                    <div class="text-sm font-medium text-zinc-300 mb-2">Options Risk Profile</div>
+                    <.async_result :let={payoff_result} assign={@selected_signal_payoff}>
+                      <:loading>
+                        <div class="text-xs text-zinc-500 bg-zinc-800/50 rounded-lg p-3">
+                          Loading option contract...
+                        </div>
+                      </:loading>
+                      <:failed :let={_reason}>
+                        <div class="text-xs text-zinc-500 bg-zinc-800/50 rounded-lg p-3">
+                          Could not load option data for this signal
+                        </div>
+                      </:failed>
+                      <%= case payoff_result do %>
+                        <% {:ok, payoff} -> %>
+                          <div
+                            id="signal-payoff-chart"
+                            phx-hook="OptionPayoffChart"
+                            phx-update="ignore"
+                            data-payoff={OptionPayoff.payoff_json(payoff)}
+                            data-height="180"
+                          >
+                          </div>
+                        <% _ -> %>
+                          <div class="text-xs text-zinc-500 bg-zinc-800/50 rounded-lg p-3">
+                            No option contract or premium data for this signal
+                          </div>
+                      <% end %>
+                    </.async_result>
+                  </div>
+
     <!-- Confluence Factors -->
                   <div>
                     <div class="text-sm font-medium text-zinc-300 mb-2">
@@ -1,14 +1,22 @@
 defmodule SignalWeb.SymbolLive do
   use SignalWeb, :live_view
+  require Logger
   import Ecto.Query
 
   alias SignalWeb.Live.Components.Navigation
   alias Signal.Backtest.SimulatedTrade
   alias Signal.Backtest.DaySimulator
+  alias Signal.Charts
   alias Signal.Data.MarketCalendar
   alias Signal.MarketData.Bar
+  alias Signal.Options.PriceLookup
   alias Signal.Technicals.KeyLevels
+  alias Signal.Technicals.PdArrays.Zones
+  alias Signal.Technicals.StructureOverlay
   alias Signal.Repo
+  alias Signal.Signals.TradeSignal
+  alias SignalWeb.Live.Helpers.OptionPayoff
+  alias SignalWeb.Live.Helpers.PositionTool
 
   @moduledoc """
   Symbol-focused view for analyzing trades on a specific symbol.
@@ -18,10 +26,30 @@ defmodule SignalWeb.SymbolLive do
   - Candlestick chart for the selected date
   - Trade markers displayed on the chart
   - Trade list with details
+  - Older bars loaded on demand as the chart is scrolled back
+  - Timeframe switching (1m bars aggregated client-side to 5m/15m/1h/daily)
+  - Chart drawings (trendlines, rays, boxes, notes) saved per symbol
+  - Fair value gap and order block zones drawn until mitigated
+  - Market structure overlay (HH/HL/LH/LL swings, BOS/ChoCh lines, trend bias),
+    updated live while viewing the current session
+  - Draggable stop/target lines for open trades
+  - Payoff at expiry and theoretical P&L for options trades in the trade detail
+  - Volume/oscillator sub-panes, with the chosen layout saved server-side
+  - Position size and risk calculator on the chart, prefilled from a signal
+    with `?position=<signal id>` (opened from a signal card's mini chart)
   """
 
+  # Bars returned per history request when the chart scrolls past its first bar
+  @history_page_size 500
+
+  # Timeframes the chart hook can aggregate 1m bars into (see assets/js/hooks/bar_aggregation.js)
+  @timeframes ~w(1m 5m 15m 1h 1D)
+
+  # Key the chart's sub-pane layout is saved under
+  @pane_layout_chart "SymbolChart"
+
   @impl true
-  def mount(%{"symbol" => symbol}, _session, socket) do
+  def mount(%{"symbol" => symbol} = params, _session, socket) do
     # Always uppercase the symbol
     symbol = String.upcase(symbol)
 
@@ -31,9 +59,15 @@ defmodule SignalWeb.SymbolLive do
     # Get valid date range for this symbol
     {min_date, max_date} = get_date_range(symbol)
 
+    # A signal to prefill the position tool from opens on its trading day
+    position_signal = prefill_signal(socket, symbol, params["position"])
+
     # Use the most recent trading day with data, or the last trading day
     selected_date =
       cond do
+        position_signal ->
+          signal_date(position_signal)
+
         max_date && Date.compare(today, max_date) == :gt ->
           max_date
 
@@ -60,26 +94,31 @@ defmodule SignalWeb.SymbolLive do
         simulated_trades: [],
         simulation_ran: false,
         selected_trade: nil,
-        show_simulated: true
+        selected_trade_payoff: nil,
+        position_signal_id: position_signal && position_signal.id,
+        show_simulated: true,
+        timeframe: "1m",
+        live_bars: [],
+        drawings: Charts.get_drawings(symbol),
+        pane_layout: Charts.get_pane_layout(@pane_layout_chart)
       )
 
     # Load chart data asynchronously when connected
     socket =
       if connected?(socket) do
-        assign_async(socket, [:bars, :trades, :key_levels], fn ->
-          {:ok,
-           %{
-             bars: load_bars_for_date(symbol, selected_date),
-             trades: load_trades_for_date(symbol, selected_date),
-             key_levels: load_key_levels_for_date(symbol, selected_date)
-           }}
-        end)
+        # Live bars keep the structure overlay current while viewing today's session
+        Phoenix.PubSub.subscribe(Signal.PubSub, "bars:#{symbol}")
+
+        load_chart_async(socket, symbol, selected_date, position_signal)
       else
         # Pre-render: set to nil (not loading yet)
         socket
         |> assign(:bars, nil)
         |> assign(:trades, nil)
         |> assign(:key_levels, nil)
+        |> assign(:pd_arrays, nil)
+        |> assign(:structure, nil)
+        |> assign(:position_prefill, nil)
       end
 
     {:ok, socket}
@@ -92,21 +131,30 @@ defmodule SignalWeb.SymbolLive do
   end
 
   @impl true
-  def handle_params(%{"symbol" => symbol}, _uri, socket) do
+  def handle_params(%{"symbol" => symbol} = params, _uri, socket) do
     symbol = String.upcase(symbol)
 
     if socket.assigns[:symbol] != symbol do
       {min_date, max_date} = get_date_range(symbol)
+      position_signal = prefill_signal(socket, symbol, params["position"])
 
       selected_date =
-        if max_date do
-          max_date
-        else
-          Date.utc_today()
+        cond do
+          position_signal -> signal_date(position_signal)
+          max_date -> max_date
+          true -> Date.utc_today()
         end
 
       calendar_month = Date.beginning_of_month(selected_date)
 
+      if connected?(socket) do
+        if socket.assigns[:symbol] do
+          Phoenix.PubSub.unsubscribe(Signal.PubSub, "bars:#{socket.assigns.symbol}")
+        end
+
+        Phoenix.PubSub.subscribe(Signal.PubSub, "bars:#{symbol}")
+      end
+
       socket =
         socket
         |> cancel_async(:bars)
@@ -120,20 +168,17 @@ defmodule SignalWeb.SymbolLive do
           trading_days: load_trading_days_for_month(calendar_month),
           simulated_trades: [],
           simulation_ran: false,
-          selected_trade: nil
+          selected_trade: nil,
+          selected_trade_payoff: nil,
+          position_signal_id: position_signal && position_signal.id,
+          live_bars: [],
+          drawings: Charts.get_drawings(symbol)
         )
-        |> assign_async([:bars, :trades, :key_levels], fn ->
-          {:ok,
-           %{
-             bars: load_bars_for_date(symbol, selected_date),
-             trades: load_trades_for_date(symbol, selected_date),
-             key_levels: load_key_levels_for_date(symbol, selected_date)
-           }}
-        end)
+        |> load_chart_async(symbol, selected_date, position_signal)
 
       {:noreply, socket}
     else
-      {:noreply, socket}
+      {:noreply, prefill_position(socket, params["position"])}
     end
   end
 
@@ -141,6 +186,15 @@ defmodule SignalWeb.SymbolLive do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_info({:bar, symbol, bar}, socket) do
+    if symbol == socket.assigns.symbol and viewing_live_session?(socket) do
+      {:noreply, apply_live_bar(socket, bar)}
+    else
+      {:noreply, socket}
+    end
+  end
+
   @impl true
   def handle_event("select_date", %{"date" => date_string}, socket) do
     case Date.from_iso8601(date_string) do
@@ -150,15 +204,14 @@ defmodule SignalWeb.SymbolLive do
         socket =
           socket
           |> cancel_async(:bars)
-          |> assign(selected_date: date, simulated_trades: [], simulation_ran: false)
-          |> assign_async([:bars, :trades, :key_levels], fn ->
-            {:ok,
-             %{
-               bars: load_bars_for_date(symbol, date),
-               trades: load_trades_for_date(symbol, date),
-               key_levels: load_key_levels_for_date(symbol, date)
-             }}
-          end)
+          |> assign(
+            selected_date: date,
+            simulated_trades: [],
+            simulation_ran: false,
+            position_signal_id: nil,
+            live_bars: []
+          )
+          |> load_chart_async(symbol, date)
 
         {:noreply, socket}
 
@@ -175,9 +228,9 @@ defmodule SignalWeb.SymbolLive do
     {:ok, trades} = DaySimulator.run(symbol, date, %{target_r: Decimal.new("2.0")})
 
     updated_socket = assign(socket, simulated_trades: trades, simulation_ran: true)
-    formatted_bars = format_bars_for_chart(get_bars(socket.assigns))
-    formatted_trades = format_trades_for_chart(get_trades(socket.assigns), trades)
-    formatted_levels = format_levels_for_chart(get_key_levels(socket.assigns))
+    formatted_bars = format_bars_for_chart(chart_bars(socket.assigns))
+    formatted_trades = format_trades_for_chart(get_trades(socket.assigns.trades), trades)
+    formatted_levels = format_levels_for_chart(get_key_levels(socket.assigns.key_levels))
 
     {:noreply,
      push_event(updated_socket, "chart-data-updated", %{
@@ -190,9 +243,9 @@ defmodule SignalWeb.SymbolLive do
   @impl true
   def handle_event("clear_simulation", _params, socket) do
     updated_socket = assign(socket, simulated_trades: [], simulation_ran: false)
-    formatted_bars = format_bars_for_chart(get_bars(socket.assigns))
-    formatted_trades = format_trades_for_chart(get_trades(socket.assigns), [])
-    formatted_levels = format_levels_for_chart(get_key_levels(socket.assigns))
+    formatted_bars = format_bars_for_chart(chart_bars(socket.assigns))
+    formatted_trades = format_trades_for_chart(get_trades(socket.assigns.trades), [])
+    formatted_levels = format_levels_for_chart(get_key_levels(socket.assigns.key_levels))
 
     {:noreply,
      push_event(updated_socket, "chart-data-updated", %{
@@ -257,7 +310,7 @@ defmodule SignalWeb.SymbolLive do
   @impl true
   def handle_event("select_trade", %{"id" => trade_id}, socket) do
     # Look in both persisted trades and simulated trades
-    persisted_trades = get_trades(socket.assigns)
+    persisted_trades = get_trades(socket.assigns.trades)
 
     trade =
       Enum.find(persisted_trades, &(&1.id == trade_id)) ||
@@ -270,6 +323,7 @@ defmodule SignalWeb.SymbolLive do
       if trade do
         bars = load_trade_bars(trade)
         formatted_bars = format_trade_detail_bars(bars)
+        socket = assign(socket, :selected_trade_payoff, OptionPayoff.trade_payoff(trade, bars))
         formatted_trade = format_trade_for_detail_chart(trade)
 
         level_data =
@@ -285,7 +339,9 @@ defmodule SignalWeb.SymbolLive do
         push_event(socket, "trade-chart-data", %{
           bars: formatted_bars,
           trade: formatted_trade,
-          level: level_data
+          level: level_data,
+          contract: format_contract_for_detail_chart(trade),
+          option_bars: trade |> load_trade_option_bars() |> format_trade_detail_bars()
         })
       else
         socket
@@ -294,9 +350,107 @@ defmodule SignalWeb.SymbolLive do
     {:noreply, socket}
   end
 
+  @impl true
+  def handle_event("set_timeframe", %{"timeframe" => timeframe}, socket)
+      when timeframe in @timeframes do
+    socket =
+      socket
+      |> assign(:timeframe, timeframe)
+      |> push_event("timeframe-changed", %{timeframe: timeframe})
+
+    {:noreply, socket}
+  end
+
+  def handle_event("set_timeframe", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("load_older_bars", %{"before" => before}, socket) when is_integer(before) do
+    before = DateTime.from_unix!(before)
+    bars = load_bars_before(socket.assigns.symbol, before, @history_page_size)
+
+    {:reply, %{bars: format_bars_for_chart(bars), pd_arrays: Zones.for_chart(bars)}, socket}
+  end
+
+  def handle_event("load_older_bars", _params, socket) do
+    {:reply, %{bars: [], pd_arrays: []}, socket}
+  end
+
+  @impl true
+  # Drawings are always saved for the symbol being viewed, whatever the client sends
+  def handle_event("save_drawings", %{"drawings" => drawings}, socket) when is_list(drawings) do
+    symbol = socket.assigns.symbol
+
+    case Charts.save_drawings(symbol, drawings) do
+      {:ok, drawing_set} ->
+        {:noreply, assign(socket, :drawings, drawing_set.drawings)}
+
+      {:error, changeset} ->
+        Logger.warning(
+          "[SymbolLive] Failed to save drawings for #{symbol}: #{inspect(changeset.errors)}"
+        )
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("save_drawings", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("save_pane_layout", %{"panes" => panes, "stretch" => stretch}, socket)
+      when is_list(panes) and is_map(stretch) do
+    case Charts.save_pane_layout(@pane_layout_chart, %{panes: panes, stretch: stretch}) do
+      {:ok, _pane_layout} ->
+        {:noreply, assign(socket, :pane_layout, %{panes: panes, stretch: stretch})}
+
+      {:error, changeset} ->
+        Logger.warning("[SymbolLive] Failed to save pane layout: #{inspect(changeset.errors)}")
+        {:noreply, socket}
+    end
+  end
+
+  def handle_event("save_pane_layout", _params, socket) do
+    {:noreply, socket}
+  end
+
+  @impl true
+  def handle_event("modify_trade", %{"id" => id} = params, socket) do
+    case Enum.find(get_trades(socket.assigns.trades), &(&1.id == id)) do
+      nil ->
+        {:noreply, put_flash(socket, :error, "Trade not found")}
+
+      trade ->
+        result =
+          trade
+          |> SimulatedTrade.levels_changeset(Map.take(params, ["stop_loss", "take_profit"]))
+          |> Repo.update()
+
+        {socket, trade} =
+          case result do
+            {:ok, updated} ->
+              {update_loaded_trade(socket, updated), updated}
+
+            {:error, changeset} ->
+              Logger.warning(
+                "[SymbolLive] Failed to modify trade #{id}: #{inspect(changeset.errors)}"
+              )
+
+              # Sending the unchanged trade puts the dragged lines back
+              {put_flash(socket, :error, "Could not move stop/target"), trade}
+          end
+
+        {:noreply,
+         push_event(socket, "trade-levels-updated", %{
+           trade: [trade] |> format_trades_for_chart() |> hd()
+         })}
+    end
+  end
+
   @impl true
   def handle_event("close_trade_details", _params, socket) do
-    {:noreply, assign(socket, :selected_trade, nil)}
+    {:noreply, assign(socket, selected_trade: nil, selected_trade_payoff: nil)}
   end
 
   # Private helpers
@@ -314,31 +468,63 @@ defmodule SignalWeb.SymbolLive do
     end
   end
 
-  # Async result helper functions for template
-  defp chart_loading?(assigns) do
-    is_struct(assigns.bars, Phoenix.LiveView.AsyncResult) and assigns.bars.loading
+  # Async result helper functions for template. They take the async assign itself rather
+  # than `assigns`, so change tracking only re-renders the (ignored) chart container's data
+  # attributes when that assign changes.
+  defp chart_loading?(bars) do
+    is_struct(bars, Phoenix.LiveView.AsyncResult) and bars.loading
   end
 
-  defp chart_loaded?(assigns) do
-    is_struct(assigns.bars, Phoenix.LiveView.AsyncResult) and assigns.bars.ok?
+  defp chart_loaded?(bars) do
+    is_struct(bars, Phoenix.LiveView.AsyncResult) and bars.ok?
   end
 
-  defp get_bars(assigns) do
-    case assigns.bars do
+  defp get_bars(bars) do
+    case bars do
       %Phoenix.LiveView.AsyncResult{ok?: true, result: bars} -> bars
       _ -> []
     end
   end
 
-  defp get_trades(assigns) do
-    case assigns.trades do
+  defp get_pd_arrays(pd_arrays) do
+    case pd_arrays do
+      %Phoenix.LiveView.AsyncResult{ok?: true, result: pd_arrays} -> pd_arrays
+      _ -> []
+    end
+  end
+
+  defp get_position_prefill(position_prefill) do
+    case position_prefill do
+      %Phoenix.LiveView.AsyncResult{ok?: true, result: prefill} -> prefill
+      _ -> nil
+    end
+  end
+
+  defp get_structure(structure) do
+    case structure do
+      %Phoenix.LiveView.AsyncResult{ok?: true, result: structure} -> structure
+      _ -> nil
+    end
+  end
+
+  defp get_trades(trades) do
+    case trades do
       %Phoenix.LiveView.AsyncResult{ok?: true, result: trades} -> trades
       _ -> []
     end
   end
 
-  defp get_key_levels(assigns) do
-    case assigns.key_levels do
+  defp update_loaded_trade(socket, updated) do
+    trades =
+      Enum.map(get_trades(socket.assigns.trades), fn trade ->
+        if trade.id == updated.id, do: updated, else: trade
+      end)
+
+    assign(socket, :trades, Phoenix.LiveView.AsyncResult.ok(socket.assigns.trades, trades))
+  end
+
+  defp get_key_levels(key_levels) do
+    case key_levels do
       %Phoenix.LiveView.AsyncResult{ok?: true, result: levels} -> levels
       _ -> nil
     end
@@ -377,6 +563,10 @@ defmodule SignalWeb.SymbolLive do
   end
 
   defp navigate_to_date(socket, date) do
+    {:noreply, load_date(socket, date)}
+  end
+
+  defp load_date(socket, date, position_signal \\ nil) do
     calendar_month =
       if date.month != socket.assigns.calendar_month.month ||
            date.year != socket.assigns.calendar_month.year do
@@ -387,26 +577,140 @@ defmodule SignalWeb.SymbolLive do
 
     symbol = socket.assigns.symbol
 
+    socket
+    |> cancel_async(:bars)
+    |> assign(
+      selected_date: date,
+      calendar_month: calendar_month,
+      trading_days: load_trading_days_for_month(calendar_month),
+      simulated_trades: [],
+      simulation_ran: false,
+      position_signal_id: position_signal && position_signal.id,
+      live_bars: []
+    )
+    |> load_chart_async(symbol, date, position_signal)
+  end
+
+  # Loads the chart off the LiveView process. The position tool prefill for `position_signal`
+  # loads on its own, so its option premium (a contract and price lookup) doesn't hold up the
+  # bars - the chart hook picks it up from data-position-prefill when it arrives.
+  defp load_chart_async(socket, symbol, date, position_signal \\ nil) do
+    socket
+    |> assign_async([:bars, :trades, :key_levels, :pd_arrays, :structure], fn ->
+      {:ok, load_chart_data(symbol, date)}
+    end)
+    |> assign_async(:position_prefill, fn ->
+      {:ok, %{position_prefill: position_signal && PositionTool.signal_prefill(position_signal)}}
+    end)
+  end
+
+  # Prefills the chart's position tool from a signal of this symbol, reloading the chart on
+  # the signal's trading day (the chart hook places the prefill once it loads). Signals
+  # already applied - e.g. by mount - are skipped.
+  defp prefill_position(socket, signal_id) do
+    case prefill_signal(socket, socket.assigns.symbol, signal_id) do
+      %TradeSignal{id: id} when id == socket.assigns.position_signal_id -> socket
+      %TradeSignal{} = signal -> load_date(socket, signal_date(signal), signal)
+      nil -> socket
+    end
+  end
+
+  # The signal named by the `position` param, when it belongs to `symbol`
+  defp prefill_signal(socket, symbol, signal_id) do
+    with true <- connected?(socket),
+         {:ok, id} <- Ecto.UUID.cast(signal_id),
+         %TradeSignal{symbol: ^symbol} = signal <- Repo.get(TradeSignal, id) do
+      signal
+    else
+      _ -> nil
+    end
+  end
+
+  defp signal_date(signal) do
+    signal.generated_at |> DateTime.shift_zone!("America/New_York") |> DateTime.to_date()
+  end
+
+  defp viewing_live_session?(socket) do
+    today = "America/New_York" |> DateTime.now!() |> DateTime.to_date()
+    socket.assigns.selected_date == today and chart_loaded?(socket.assigns.bars)
+  end
+
+  # Append (or replace) the streamed minute bar, then push it to the chart along with the
+  # recomputed structure when a new swing or break has been confirmed
+  defp apply_live_bar(socket, bar) do
+    live_bar = %Bar{
+      symbol: socket.assigns.symbol,
+      bar_time: bar.timestamp,
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume
+    }
+
+    live_bars =
+      socket.assigns.live_bars
+      |> Enum.reject(&(DateTime.compare(&1.bar_time, live_bar.bar_time) == :eq))
+      |> Kernel.++([live_bar])
+
+    previous_bars = chart_bars(socket.assigns)
+    bars = merge_live_bars(get_bars(socket.assigns.bars), live_bars)
+
+    previous_structure = get_structure(socket.assigns.structure)
+
+    # The full rebuild only runs when the bar can have changed the structure (a corrected
+    # minute may undo a break, so replacing a minute always rebuilds)
+    rebuild? =
+      is_nil(previous_structure) or length(bars) == length(previous_bars) or
+        StructureOverlay.changed_by_last_bar?(bars, previous_structure)
+
+    structure =
+      if rebuild? do
+        StructureOverlay.for_chart(bars)
+      else
+        previous_structure
+      end
+
+    # Live bars are kept apart from :bars, which the chart container's data attributes
+    # render - the hook gets them through the push_event instead
     socket =
       socket
-      |> cancel_async(:bars)
-      |> assign(
-        selected_date: date,
-        calendar_month: calendar_month,
-        trading_days: load_trading_days_for_month(calendar_month),
-        simulated_trades: [],
-        simulation_ran: false
-      )
-      |> assign_async([:bars, :trades, :key_levels], fn ->
-        {:ok,
-         %{
-           bars: load_bars_for_date(symbol, date),
-           trades: load_trades_for_date(symbol, date),
-           key_levels: load_key_levels_for_date(symbol, date)
-         }}
-      end)
+      |> assign(:live_bars, live_bars)
+      |> push_event("live-bar", %{bar: hd(format_bars_for_chart([live_bar]))})
 
-    {:noreply, socket}
+    if structure == previous_structure do
+      socket
+    else
+      socket
+      |> assign(:structure, Phoenix.LiveView.AsyncResult.ok(socket.assigns.structure, structure))
+      |> push_event("structure-updated", %{structure: structure})
+    end
+  end
+
+  # The loaded bars plus the minutes streamed in since (a streamed minute replaces its
+  # loaded bar)
+  defp chart_bars(assigns), do: merge_live_bars(get_bars(assigns.bars), assigns.live_bars)
+
+  defp merge_live_bars(bars, []), do: bars
+
+  defp merge_live_bars(bars, live_bars) do
+    live_times = MapSet.new(live_bars, &DateTime.to_unix(&1.bar_time, :microsecond))
+
+    bars
+    |> Enum.reject(&MapSet.member?(live_times, DateTime.to_unix(&1.bar_time, :microsecond)))
+    |> Kernel.++(live_bars)
+  end
+
+  defp load_chart_data(symbol, date) do
+    bars = load_bars_for_date(symbol, date)
+
+    %{
+      bars: bars,
+      trades: load_trades_for_date(symbol, date),
+      key_levels: load_key_levels_for_date(symbol, date),
+      pd_arrays: Zones.for_chart(bars),
+      structure: StructureOverlay.for_chart(bars)
+    }
   end
 
   defp load_bars_for_date(symbol, date) do
@@ -426,6 +730,21 @@ defmodule SignalWeb.SymbolLive do
     Repo.all(query)
   end
 
+  # Most recent `limit` bars strictly before `before`, returned in ascending order
+  defp load_bars_before(symbol, before, limit) do
+    query =
+      from(b in Bar,
+        where: b.symbol == ^symbol,
+        where: b.bar_time < ^before,
+        order_by: [desc: b.bar_time],
+        limit: ^limit
+      )
+
+    query
+    |> Repo.all()
+    |> Enum.reverse()
+  end
+
   defp load_trades_for_date(symbol, date) do
     # Convert date to datetime range in UTC
     start_dt = datetime_for_time(date, ~T[04:00:00], "America/New_York")
@@ -510,11 +829,18 @@ defmodule SignalWeb.SymbolLive do
         exit_price: trade.exit_price && format_price(trade.exit_price),
         status: to_string(trade.status),
         r_multiple: trade.r_multiple && Decimal.to_string(trade.r_multiple),
-        target_r: target_r
+        target_r: target_r,
+        position_size: Map.get(trade, :position_size),
+        editable: editable_trade?(trade)
       }
     end)
   end
 
+  # Open persisted equity trades can have their stop/target dragged on the chart
+  # (options trades keep underlying stops but premium entries, so they are excluded)
+  defp editable_trade?(%SimulatedTrade{status: :open} = trade), do: not options_trade?(trade)
+  defp editable_trade?(_trade), do: false
+
   defp calculate_target_r(trade) do
     with entry when not is_nil(entry) <- trade.entry_price,
          stop when not is_nil(stop) <- trade.stop_loss,
@@ -532,22 +858,28 @@ defmodule SignalWeb.SymbolLive do
     end
   end
 
-  # Load bars for trade detail chart (5 min before entry, 5 min after exit)
+  # Time window for the trade detail chart (5 min before entry, 5 min after exit)
+  defp trade_chart_window(trade) do
+    # 5 minutes before entry
+    start_time = DateTime.add(trade.entry_time, -5 * 60, :second)
+
+    # 5 minutes after exit, or 15 minutes after entry if no exit
+    end_time =
+      if trade.exit_time do
+        DateTime.add(trade.exit_time, 5 * 60, :second)
+      else
+        DateTime.add(trade.entry_time, 15 * 60, :second)
+      end
+
+    {start_time, end_time}
+  end
+
+  # Load bars for trade detail chart
   defp load_trade_bars(trade) do
     if is_nil(trade.entry_time) do
       []
     else
-      # 5 minutes before entry
-      start_time = DateTime.add(trade.entry_time, -5 * 60, :second)
-
-      # 5 minutes after exit, or 15 minutes after entry if no exit
-      end_time =
-        if trade.exit_time do
-          DateTime.add(trade.exit_time, 5 * 60, :second)
-        else
-          DateTime.add(trade.entry_time, 15 * 60, :second)
-        end
-
+      {start_time, end_time} = trade_chart_window(trade)
       symbol = to_string(trade.symbol)
 
       from(b in Bar,
@@ -560,6 +892,24 @@ defmodule SignalWeb.SymbolLive do
     end
   end
 
+  # Premium bars of an options trade's contract over the same window as the
+  # underlying. Bars missing a price are skipped.
+  defp load_trade_option_bars(trade) do
+    if options_trade?(trade) and trade.entry_time do
+      {start_time, end_time} = trade_chart_window(trade)
+
+      trade.contract_symbol
+      |> PriceLookup.get_bars_in_range(start_time, end_time)
+      |> Enum.reject(&(is_nil(&1.open) or is_nil(&1.high) or is_nil(&1.low) or is_nil(&1.close)))
+    else
+      []
+    end
+  end
+
+  defp options_trade?(trade) do
+    Map.get(trade, :instrument_type) == "options" and not is_nil(Map.get(trade, :contract_symbol))
+  end
+
   # Format bars for the trade detail chart
   defp format_trade_detail_bars(bars) do
     Enum.map(bars, fn bar ->
@@ -568,7 +918,8 @@ defmodule SignalWeb.SymbolLive do
         open: Decimal.to_string(bar.open),
         high: Decimal.to_string(bar.high),
         low: Decimal.to_string(bar.low),
-        close: Decimal.to_string(bar.close)
+        close: Decimal.to_string(bar.close),
+        volume: bar.volume
       }
     end)
   end
@@ -576,6 +927,7 @@ defmodule SignalWeb.SymbolLive do
   # Format trade for the detail chart
   defp format_trade_for_detail_chart(trade) do
     %{
+      symbol: trade.symbol,
       direction: to_string(trade.direction),
       entry_price: decimal_to_string(trade.entry_price),
       entry_time: datetime_to_unix(trade.entry_time),
@@ -583,10 +935,28 @@ defmodule SignalWeb.SymbolLive do
       take_profit: decimal_to_string(trade.take_profit),
       exit_price: decimal_to_string(trade.exit_price),
       exit_time: datetime_to_unix(trade.exit_time),
-      status: to_string(trade.status)
+      status: to_string(trade.status),
+      position_size: Map.get(trade, :position_size),
+      risk_amount: decimal_to_string(Map.get(trade, :risk_amount))
     }
   end
 
+  # Contract details for an options trade's premium pane (nil for equity trades)
+  defp format_contract_for_detail_chart(trade) do
+    if options_trade?(trade) do
+      %{
+        symbol: trade.contract_symbol,
+        underlying: trade.underlying_symbol,
+        contract_type: trade.contract_type,
+        strike: decimal_to_string(trade.strike),
+        expiration: trade.expiration_date && Date.to_iso8601(trade.expiration_date),
+        entry_premium: decimal_to_string(trade.entry_premium),
+        exit_premium: decimal_to_string(trade.exit_premium),
+        num_contracts: trade.num_contracts
+      }
+    end
+  end
+
   defp decimal_to_string(nil), do: nil
   defp decimal_to_string(d), do: Decimal.to_string(d)
 
@@ -618,6 +988,10 @@ defmodule SignalWeb.SymbolLive do
     decimal |> Decimal.round(2) |> Decimal.to_string(:normal)
   end
 
+  defp format_contract_type("call"), do: "Call"
+  defp format_contract_type("put"), do: "Put"
+  defp format_contract_type(type), do: to_string(type)
+
   defp format_r(nil), do: "0.00"
 
   defp format_r(decimal) do
@@ -685,6 +1059,8 @@ defmodule SignalWeb.SymbolLive do
     |> Calendar.strftime("%I:%M %p")
   end
 
+  defp timeframes, do: @timeframes
+
   defp is_trading_day?(date, trading_days) do
     MapSet.member?(trading_days, date)
   end
@@ -864,12 +1240,27 @@ defmodule SignalWeb.SymbolLive do
                   {Calendar.strftime(@selected_date, "%A, %B %d, %Y")}
                 </p>
               </div>
+              <div class="flex items-center gap-1">
+                <button
+                  :for={timeframe <- timeframes()}
+                  phx-click="set_timeframe"
+                  phx-value-timeframe={timeframe}
+                  class={[
+                    "px-3 py-1 text-xs font-medium font-mono rounded-lg border transition-colors",
+                    timeframe == @timeframe && "bg-zinc-700 text-white border-zinc-600",
+                    timeframe != @timeframe &&
+                      "bg-zinc-900 text-zinc-500 border-zinc-800 hover:text-zinc-300"
+                  ]}
+                >
+                  {timeframe}
+                </button>
+              </div>
             </div>
           </div>
           
     <!-- Chart Container - Loading State -->
           <div
-            :if={chart_loading?(assigns)}
+            :if={chart_loading?(@bars)}
             class="w-full min-h-[600px] flex items-center justify-center"
           >
             <div class="flex flex-col items-center gap-3">
@@ -881,20 +1272,28 @@ defmodule SignalWeb.SymbolLive do
           
     <!-- Chart Container - Loaded State -->
           <div
-            :if={chart_loaded?(assigns)}
+            :if={chart_loaded?(@bars)}
             id="symbol-chart"
             phx-hook="SymbolChart"
             phx-update="ignore"
             data-symbol={@symbol}
-            data-initial-bars={Jason.encode!(format_bars_for_chart(get_bars(assigns)))}
-            data-trades={Jason.encode!(format_trades_for_chart(get_trades(assigns)))}
-            data-levels={Jason.encode!(format_levels_for_chart(get_key_levels(assigns)))}
+            data-initial-bars={Jason.encode!(format_bars_for_chart(get_bars(@bars)))}
+            data-trades={Jason.encode!(format_trades_for_chart(get_trades(@trades)))}
+            data-levels={Jason.encode!(format_levels_for_chart(get_key_levels(@key_levels)))}
+            data-timeframe={@timeframe}
+            data-drawings={Jason.encode!(@drawings)}
+            data-pd-arrays={Jason.encode!(get_pd_arrays(@pd_arrays))}
+            data-structure={Jason.encode!(get_structure(@structure))}
+            data-position-sizing={PositionTool.sizing_json()}
+            data-position-prefill={PositionTool.prefill_json(get_position_prefill(@position_prefill))}
+            data-panes="volume,rsi"
+            data-pane-layout={Jason.encode!(@pane_layout)}
             class="w-full min-h-[600px]"
           >
           </div>
           
     <!-- Chart Footer -->
-          <% bars = get_bars(assigns) %>
+          <% bars = merge_live_bars(get_bars(@bars), @live_bars) %>
           <%= if length(bars) > 0 do %>
             <% first_bar = List.first(bars) %>
             <% last_bar = List.last(bars) %>
@@ -964,7 +1363,7 @@ defmodule SignalWeb.SymbolLive do
         
     <!-- Trades - Full Width (only shown after simulation has run) -->
         <%= if @simulation_ran do %>
-          <% all_trades = get_trades(assigns) ++ @simulated_trades %>
+          <% all_trades = get_trades(@trades) ++ @simulated_trades %>
           <div class="bg-zinc-900/50 backdrop-blur-sm rounded-2xl border border-zinc-800 overflow-hidden">
             <div class="px-6 py-4 border-b border-zinc-800 bg-zinc-900/80">
               <div class="flex items-center justify-between">
@@ -1028,15 +1427,14 @@ defmodule SignalWeb.SymbolLive do
                       <th class="px-4 py-3 text-center text-xs font-medium text-zinc-400 uppercase">
                         Result
                       </th>
+                      <th class="px-4 py-3"><span class="sr-only">Details</span></th>
                     </tr>
                   </thead>
                   <tbody id="trades-table" phx-hook="TradesTable" class="divide-y divide-zinc-800">
                     <tr
                       :for={trade <- all_trades}
                       data-trade-id={trade.id}
-                      phx-click="select_trade"
-                      phx-value-id={trade.id}
-                      class="hover:bg-zinc-800/50 cursor-pointer transition-colors"
+                      class="hover:bg-zinc-800/50 focus:bg-zinc-800/50 focus:outline-none cursor-pointer transition-colors"
                     >
                       <td class="px-4 py-3 whitespace-nowrap">
                         <span class={[
@@ -1084,6 +1482,16 @@ defmodule SignalWeb.SymbolLive do
                           {status_text}
                         </span>
                       </td>
+                      <td class="px-4 py-3 whitespace-nowrap text-right">
+                        <button
+                          type="button"
+                          phx-click="select_trade"
+                          phx-value-id={trade.id}
+                          class="text-xs font-medium text-zinc-400 hover:text-white transition-colors"
+                        >
+                          Details
+                        </button>
+                      </td>
                     </tr>
                   </tbody>
                 </table>
@@ -1110,6 +1518,23 @@ defmodule SignalWeb.SymbolLive do
                 <span class={["px-2 py-1 text-xs font-medium rounded border", status_class]}>
                   {status_text}
                 </span>
+                <%= if options_trade?(@selected_trade) do %>
+                  <div class="flex items-center gap-2 text-xs font-mono">
+                    <span class="px-2 py-1 rounded bg-sky-500/10 border border-sky-500/30 text-sky-300">
+                      {@selected_trade.contract_symbol}
+                    </span>
+                    <span class="text-zinc-300">
+                      ${format_price(@selected_trade.strike)} {format_contract_type(
+                        @selected_trade.contract_type
+                      )}
+                    </span>
+                    <%= if @selected_trade.expiration_date do %>
+                      <span class="text-zinc-500">
+                        exp {Calendar.strftime(@selected_trade.expiration_date, "%b %-d, %Y")}
+                      </span>
+                    <% end %>
+                  </div>
+                <% end %>
               </div>
               <button
                 phx-click="close_trade_details"
@@ -1146,7 +1571,13 @@ defmodule SignalWeb.SymbolLive do
               
     <!-- Trade Chart -->
               <div class="bg-zinc-800/50 rounded-xl p-4">
-                <div class="text-xs text-zinc-500 mb-2">PRICE ACTION</div>
+                <div class="text-xs text-zinc-500 mb-2">
+                  <%= if options_trade?(@selected_trade) do %>
+                    UNDERLYING / OPTION PREMIUM
+                  <% else %>
+                    PRICE ACTION
+                  <% end %>
+                </div>
                 <div
                   id="trade-detail-chart"
                   phx-hook="TradeDetailChart"
@@ -1161,7 +1592,9 @@ defmodule SignalWeb.SymbolLive do
               <div class="bg-zinc-800/50 rounded-xl p-4">
                 <div class="grid grid-cols-4 gap-4 text-center">
                   <div>
-                    <div class="text-xs text-zinc-500 mb-1">ENTRY</div>
+                    <div class="text-xs text-zinc-500 mb-1">
+                      {if options_trade?(@selected_trade), do: "ENTRY PREMIUM", else: "ENTRY"}
+                    </div>
                     <div class="text-lg font-mono font-semibold text-white">
                       {format_price(@selected_trade.entry_price)}
                     </div>
@@ -1183,7 +1616,9 @@ defmodule SignalWeb.SymbolLive do
                     </div>
                   </div>
                   <div>
-                    <div class="text-xs text-zinc-500 mb-1">EXIT</div>
+                    <div class="text-xs text-zinc-500 mb-1">
+                      {if options_trade?(@selected_trade), do: "EXIT PREMIUM", else: "EXIT"}
+                    </div>
                     <div class="text-lg font-mono font-semibold text-zinc-300">
                       <%= if @selected_trade.exit_price do %>
                         {format_price(@selected_trade.exit_price)}
@@ -1194,7 +1629,22 @@ defmodule SignalWeb.SymbolLive do
                   </div>
                 </div>
               </div>
-              
+
+    <!-- Options Payoff (options trades only) -->
+              <%= if @selected_trade_payoff do %>
+                <div class="bg-zinc-800/50 rounded-xl p-4">
+                  <div class="text-xs text-zinc-500 mb-3">RISK PROFILE</div>
+                  <div
+                    id="trade-payoff-chart"
+                    phx-hook="OptionPayoffChart"
+                    phx-update="ignore"
+                    data-payoff={OptionPayoff.payoff_json(@selected_trade_payoff)}
+                    data-height="200"
+                  >
+                  </div>
+                </div>
+              <% end %>
+
     <!-- Key Level (if available) -->
               <%= if Map.get(@selected_trade, :level_type) do %>
                 <div class="bg-zinc-800/50 rounded-xl p-4">
@@ -0,0 +1,14 @@
+defmodule Signal.Repo.Migrations.CreateChartDrawings do
+  use Ecto.Migration
+
+  def change do
+    create table(:chart_drawings, primary_key: false) do
+      add :symbol, :string, primary_key: true
+
+      # User drawings (trendlines, rays, rectangles, notes), one JSONB map per drawing (jsonb[])
+      add :drawings, {:array, :map}, null: false, default: []
+
+      timestamps(type: :utc_datetime_usec)
+    end
+  end
+end
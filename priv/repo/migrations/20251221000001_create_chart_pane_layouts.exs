@@ -0,0 +1,18 @@
+defmodule Signal.Repo.Migrations.CreateChartPaneLayouts do
+  use Ecto.Migration
+
+  def change do
+    create table(:chart_pane_layouts, primary_key: false) do
+      # Chart hook the layout belongs to (TradingChart, SymbolChart)
+      add :chart, :string, primary_key: true
+
+      # Sub-pane keys, top to bottom
+      add :panes, {:array, :string}, null: false, default: []
+
+      # Relative pane heights keyed by pane ("main" for the price pane)
+      add :stretch, :map, null: false, default: %{}
+
+      timestamps(type: :utc_datetime_usec)
+    end
+  end
+end
@@ -183,6 +183,49 @@ defmodule Signal.Analytics.TimeAnalysisTest do
     end
   end
 
+  describe "by_weekday_and_time_slot/2" do
+    test "groups by weekday and time slot" do
+      trades = [
+        # Monday 9:30 ET
+        %{pnl: Decimal.new("100"), entry_time: ~U[2024-01-15 14:30:00Z]},
+        # Monday 9:40 ET (same cell)
+        %{pnl: Decimal.new("-50"), entry_time: ~U[2024-01-15 14:40:00Z]},
+        # Tuesday 9:30 ET
+        %{pnl: Decimal.new("100"), entry_time: ~U[2024-01-16 14:30:00Z]}
+      ]
+
+      result = TimeAnalysis.by_weekday_and_time_slot(trades)
+
+      assert map_size(result) == 2
+
+      monday = result[{:monday, "09:30-09:45"}]
+      assert monday.trades == 2
+      assert monday.winners == 1
+      assert Decimal.equal?(monday.net_pnl, Decimal.new("50"))
+
+      assert result[{:tuesday, "09:30-09:45"}].trades == 1
+    end
+
+    test "uses the given interval" do
+      trades = [
+        %{pnl: Decimal.new("100"), entry_time: ~U[2024-01-15 14:30:00Z]},
+        %{pnl: Decimal.new("100"), entry_time: ~U[2024-01-15 14:36:00Z]}
+      ]
+
+      assert map_size(TimeAnalysis.by_weekday_and_time_slot(trades, 5)) == 2
+
+      assert Map.keys(TimeAnalysis.by_weekday_and_time_slot(trades, 30)) == [
+               {:monday, "09:30-10:00"}
+             ]
+    end
+
+    test "handles trades without entry time" do
+      trades = [%{pnl: Decimal.new("100"), entry_time: nil}]
+
+      assert TimeAnalysis.by_weekday_and_time_slot(trades) == %{}
+    end
+  end
+
   describe "by_month/1" do
     test "handles multiple years" do
       trades = [
@@ -66,6 +66,52 @@ defmodule Signal.Backtest.SimulatedTradeTest do
     end
   end
 
+  describe "levels_changeset/2" do
+    test "moves stop past entry on an open trade" do
+      trade = %SimulatedTrade{
+        status: :open,
+        direction: :long,
+        entry_price: Decimal.new("175.50"),
+        stop_loss: Decimal.new("174.50"),
+        take_profit: Decimal.new("177.50")
+      }
+
+      changeset = SimulatedTrade.levels_changeset(trade, %{stop_loss: Decimal.new("176.00")})
+
+      assert changeset.valid?
+      assert changeset.changes.stop_loss == Decimal.new("176.00")
+    end
+
+    test "requires the target beyond the stop" do
+      trade = %SimulatedTrade{
+        status: :open,
+        direction: :short,
+        entry_price: Decimal.new("175.50"),
+        stop_loss: Decimal.new("176.50"),
+        take_profit: Decimal.new("173.50")
+      }
+
+      changeset = SimulatedTrade.levels_changeset(trade, %{take_profit: Decimal.new("177.00")})
+
+      refute changeset.valid?
+      assert "must be beyond the stop loss" in errors_on(changeset).take_profit
+    end
+
+    test "rejects closed trades" do
+      trade = %SimulatedTrade{
+        status: :stopped_out,
+        direction: :long,
+        entry_price: Decimal.new("175.50"),
+        stop_loss: Decimal.new("174.50")
+      }
+
+      changeset = SimulatedTrade.levels_changeset(trade, %{stop_loss: Decimal.new("175.00")})
+
+      refute changeset.valid?
+      assert "must be open to move stop or target" in errors_on(changeset).status
+    end
+  end
+
   describe "calculate_pnl/2" do
     test "calculates profit for long position" do
       trade = %SimulatedTrade{
@@ -0,0 +1,99 @@
+defmodule Signal.ChartsTest do
+  use Signal.DataCase, async: true
+
+  alias Signal.Charts
+
+  @trendline %{
+    "id" => "d1",
+    "type" => "trendline",
+    "points" => [
+      %{"time" => 1_763_649_000, "price" => 450.25},
+      %{"time" => 1_763_652_600, "price" => 452.5}
+    ]
+  }
+
+  describe "get_drawings/1" do
+    test "returns an empty list when nothing is saved" do
+      assert Charts.get_drawings("AAPL") == []
+    end
+  end
+
+  describe "save_drawings/2" do
+    test "saves drawings for a symbol" do
+      assert {:ok, _} = Charts.save_drawings("AAPL", [@trendline])
+      assert Charts.get_drawings("AAPL") == [@trendline]
+    end
+
+    test "replaces previously saved drawings" do
+      {:ok, _} = Charts.save_drawings("AAPL", [@trendline])
+
+      note = %{
+        "id" => "d2",
+        "type" => "text",
+        "text" => "Retest here",
+        "points" => [%{"time" => 1_763_649_000, "price" => 451}]
+      }
+
+      assert {:ok, _} = Charts.save_drawings("AAPL", [note])
+      assert Charts.get_drawings("AAPL") == [note]
+    end
+
+    test "keeps drawings separate per symbol" do
+      {:ok, _} = Charts.save_drawings("AAPL", [@trendline])
+
+      assert Charts.get_drawings("TSLA") == []
+    end
+
+    test "rejects drawings with an unknown type" do
+      invalid = Map.put(@trendline, "type", "fibonacci")
+
+      assert {:error, changeset} = Charts.save_drawings("AAPL", [invalid])
+      assert "contains an invalid drawing" in errors_on(changeset).drawings
+    end
+
+    test "rejects drawings with malformed points" do
+      invalid = Map.put(@trendline, "points", [%{"time" => "noon", "price" => 450}])
+
+      assert {:error, _changeset} = Charts.save_drawings("AAPL", [invalid])
+    end
+  end
+
+  describe "get_pane_layout/1" do
+    test "returns nil when nothing is saved" do
+      assert Charts.get_pane_layout("SymbolChart") == nil
+    end
+  end
+
+  describe "save_pane_layout/2" do
+    test "saves and replaces the layout for a chart" do
+      assert {:ok, _} = Charts.save_pane_layout("SymbolChart", %{panes: ["volume", "rsi"]})
+
+      stretch = %{"main" => 3, "macd" => 1.5}
+
+      assert {:ok, _} =
+               Charts.save_pane_layout("SymbolChart", %{panes: ["macd"], stretch: stretch})
+
+      assert Charts.get_pane_layout("SymbolChart") == %{panes: ["macd"], stretch: stretch}
+    end
+
+    test "keeps layouts separate per chart" do
+      {:ok, _} = Charts.save_pane_layout("SymbolChart", %{panes: ["rsi"]})
+
+      assert Charts.get_pane_layout("TradingChart") == nil
+    end
+
+    test "rejects unknown panes" do
+      assert {:error, changeset} = Charts.save_pane_layout("SymbolChart", %{panes: ["stoch"]})
+      assert "has an invalid entry" in errors_on(changeset).panes
+    end
+
+    test "rejects invalid pane heights" do
+      stretch = %{"rsi" => -1}
+
+      assert {:error, changeset} =
+               Charts.save_pane_layout("SymbolChart", %{panes: ["rsi"], stretch: stretch})
+
+      assert "contains an invalid pane height" in errors_on(changeset).stretch
+    end
+  end
+end
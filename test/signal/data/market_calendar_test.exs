@@ -125,6 +125,24 @@ defmodule Signal.Data.MarketCalendarTest do
     end
   end
 
+  describe "calendar_days_between/2" do
+    test "returns days with their hours in date order" do
+      insert_calendar_day(~D[2024-07-05], ~T[09:30:00], ~T[16:00:00])
+      insert_calendar_day(~D[2024-07-03], ~T[09:30:00], ~T[13:00:00])
+
+      days = MarketCalendar.calendar_days_between(~D[2024-07-01], ~D[2024-07-05])
+
+      assert [
+               %MarketCalendarDay{date: ~D[2024-07-03], close: ~T[13:00:00]},
+               %MarketCalendarDay{date: ~D[2024-07-05], close: ~T[16:00:00]}
+             ] = days
+    end
+
+    test "returns empty list when no trading days" do
+      assert MarketCalendar.calendar_days_between(~D[2024-01-01], ~D[2024-01-01]) == []
+    end
+  end
+
   describe "expected_minutes/1" do
     test "returns minutes for normal trading day" do
       insert_calendar_day(~D[2024-01-02], ~T[09:30:00], ~T[16:00:00])
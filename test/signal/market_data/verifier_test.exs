@@ -0,0 +1,110 @@
+defmodule Signal.MarketData.VerifierTest do
+  use Signal.DataCase, async: false
+
+  alias Signal.Data.MarketCalendarDay
+  alias Signal.MarketData.Bar
+  alias Signal.MarketData.Verifier
+  alias Signal.Repo
+
+  @symbol "VERIFYTEST"
+
+  setup do
+    insert_calendar_day(~D[2024-01-02])
+    insert_calendar_day(~D[2024-01-03])
+
+    # Jan 2: a 4 minute gap and an OHLC violation (14:30 UTC = 9:30 AM ET)
+    insert_bar(~U[2024-01-02 14:30:00.000000Z])
+    insert_bar(~U[2024-01-02 14:31:00.000000Z], high: "99.50")
+    insert_bar(~U[2024-01-02 14:35:00.000000Z])
+
+    # Jan 3: three contiguous clean bars
+    insert_bar(~U[2024-01-03 14:30:00.000000Z])
+    insert_bar(~U[2024-01-03 14:31:00.000000Z])
+    insert_bar(~U[2024-01-03 14:32:00.000000Z])
+
+    :ok
+  end
+
+  describe "generate_quality_report/2" do
+    test "covers all bars without a date range" do
+      assert {:ok, report} = Verifier.generate_quality_report(@symbol)
+
+      assert report.total_bars == 6
+      assert report.expected_bars == 780
+      assert report.ohlc_violations == 1
+      assert report.gap_count == 1
+      assert report.date_range == {~D[2024-01-02], ~D[2024-01-03]}
+    end
+
+    test "only checks bars within a bounded range" do
+      assert {:ok, report} =
+               Verifier.generate_quality_report(@symbol,
+                 start_date: ~D[2024-01-03],
+                 end_date: ~D[2024-01-03]
+               )
+
+      assert report.total_bars == 3
+      assert report.regular_hours_bars == 3
+      assert report.expected_bars == 390
+      assert report.ohlc_violations == 0
+      assert report.gap_count == 0
+      assert report.date_range == {~D[2024-01-03], ~D[2024-01-03]}
+    end
+
+    test "expects bars for requested days that have no data" do
+      assert {:ok, report} =
+               Verifier.generate_quality_report(@symbol,
+                 start_date: ~D[2024-01-03],
+                 end_date: ~D[2024-01-04]
+               )
+
+      # Jan 4 is not in the calendar, so only Jan 3 counts
+      assert report.expected_bars == 390
+
+      assert {:ok, empty} =
+               Verifier.generate_quality_report(@symbol,
+                 start_date: ~D[2024-01-04],
+                 end_date: ~D[2024-01-05]
+               )
+
+      assert empty.total_bars == 0
+      assert empty.date_range == {nil, nil}
+    end
+  end
+
+  describe "verify_symbol/2" do
+    test "only reports issues within a bounded range" do
+      assert {:ok, report} = Verifier.verify_symbol(@symbol)
+      assert report.issues |> Enum.map(& &1.type) |> Enum.sort() == [:gaps, :ohlc_violation]
+
+      assert {:ok, ranged} =
+               Verifier.verify_symbol(@symbol,
+                 start_date: ~D[2024-01-03],
+                 end_date: ~D[2024-01-03]
+               )
+
+      assert ranged.total_bars == 3
+      assert ranged.issues == []
+    end
+  end
+
+  defp insert_calendar_day(date) do
+    %MarketCalendarDay{}
+    |> MarketCalendarDay.changeset(%{date: date, open: ~T[09:30:00], close: ~T[16:00:00]})
+    |> Repo.insert!()
+  end
+
+  defp insert_bar(bar_time, opts \\ []) do
+    Repo.insert!(%Bar{
+      symbol: @symbol,
+      bar_time: bar_time,
+      open: Decimal.new("100.00"),
+      high: Decimal.new(Keyword.get(opts, :high, "101.00")),
+      low: Decimal.new("99.00"),
+      close: Decimal.new("100.50"),
+      volume: 1_000,
+      session: :regular,
+      date: DateTime.to_date(DateTime.shift_zone!(bar_time, "America/New_York"))
+    })
+  end
+end
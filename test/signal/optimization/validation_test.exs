@@ -192,6 +192,82 @@ defmodule Signal.Optimization.ValidationTest do
     end
   end
 
+  describe "fold_results/2" do
+    test "pairs each OOS result with the training result of its window and params" do
+      results = [
+        %{
+          window_index: 0,
+          is_training: true,
+          parameters: %{"min_rr" => 2.0},
+          profit_factor: Decimal.new("2.0")
+        },
+        %{
+          window_index: 0,
+          is_training: true,
+          parameters: %{"min_rr" => 2.5},
+          profit_factor: Decimal.new("1.5")
+        },
+        %{
+          window_index: 0,
+          is_training: false,
+          parameters: %{"min_rr" => 2.0},
+          profit_factor: Decimal.new("1.5")
+        },
+        %{
+          window_index: 1,
+          is_training: false,
+          parameters: %{"min_rr" => 2.5},
+          profit_factor: Decimal.new("0.6")
+        },
+        %{
+          window_index: 1,
+          is_training: true,
+          parameters: %{"min_rr" => 2.5},
+          profit_factor: Decimal.new("2.0")
+        }
+      ]
+
+      [first, second] = Validation.fold_results(results, :profit_factor)
+
+      assert first.index == 0
+      assert first.params == %{"min_rr" => 2.0}
+      assert Decimal.compare(first.in_sample_metric, Decimal.new("2.0")) == :eq
+      # 1.5 / 2.0 = 0.75
+      assert Decimal.compare(first.walk_forward_efficiency, Decimal.new("0.75")) == :eq
+      refute first.is_overfit
+
+      assert second.index == 1
+      # 0.6 / 2.0 = 0.30
+      assert Decimal.compare(second.walk_forward_efficiency, Decimal.new("0.30")) == :eq
+      assert second.is_overfit
+    end
+
+    test "skips windows without an OOS result and grid-search results" do
+      results = [
+        %{window_index: nil, is_training: true, parameters: %{a: 1}, profit_factor: nil},
+        %{window_index: 0, is_training: true, parameters: %{a: 1}, profit_factor: nil}
+      ]
+
+      assert Validation.fold_results(results) == []
+    end
+
+    test "keeps folds whose training result is missing" do
+      results = [
+        %{
+          window_index: 2,
+          is_training: false,
+          parameters: %{a: 1},
+          profit_factor: Decimal.new("1.2")
+        }
+      ]
+
+      [fold] = Validation.fold_results(results)
+
+      assert fold.in_sample == nil
+      assert fold.walk_forward_efficiency == nil
+    end
+  end
+
   describe "best_params/1" do
     test "returns best non-overfit params" do
       validation_results = [
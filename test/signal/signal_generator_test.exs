@@ -177,6 +177,38 @@ defmodule Signal.SignalGeneratorTest do
     end
   end
 
+  describe "modify/2" do
+    test "moves stop and target of an active signal" do
+      signal = insert_active_signal()
+
+      assert {:ok, updated} =
+               SignalGenerator.modify(signal, %{
+                 stop_loss: Decimal.new("175.00"),
+                 take_profit: Decimal.new("178.00")
+               })
+
+      assert Decimal.equal?(updated.stop_loss, Decimal.new("175.00"))
+      assert Decimal.equal?(updated.take_profit, Decimal.new("178.00"))
+      assert Decimal.equal?(updated.risk_reward, Decimal.new("5"))
+    end
+
+    test "returns changeset error for prices on the wrong side of entry" do
+      signal = insert_active_signal()
+
+      assert {:error, %Ecto.Changeset{}} =
+               SignalGenerator.modify(signal, %{stop_loss: Decimal.new("176.00")})
+
+      assert Decimal.equal?(Repo.get(TradeSignal, signal.id).stop_loss, Decimal.new("174.50"))
+    end
+
+    test "returns error for signals that are no longer active" do
+      signal = insert_signal("AAPL", "filled")
+
+      assert {:error, :not_active} =
+               SignalGenerator.modify(signal, %{stop_loss: Decimal.new("175.00")})
+    end
+  end
+
   describe "get_active_signals/1" do
     test "returns only active signals for symbol" do
       insert_signal("AAPL", "active")
@@ -184,6 +184,39 @@ defmodule Signal.Signals.TradeSignalTest do
     end
   end
 
+  describe "levels_changeset/2" do
+    test "moves the stop and recalculates risk/reward" do
+      signal = struct(TradeSignal, valid_attrs())
+
+      changeset = TradeSignal.levels_changeset(signal, %{stop_loss: Decimal.new("175.00")})
+
+      assert changeset.valid?
+      assert Decimal.equal?(Ecto.Changeset.get_change(changeset, :risk_reward), Decimal.new("4"))
+    end
+
+    test "validates the moved prices against the direction" do
+      signal = struct(TradeSignal, valid_attrs())
+
+      changeset = TradeSignal.levels_changeset(signal, %{take_profit: Decimal.new("175.00")})
+
+      refute changeset.valid?
+      assert "must be above entry price for long positions" in errors_on(changeset).take_profit
+    end
+
+    test "validates short signals" do
+      signal = struct(TradeSignal, %{valid_attrs() | direction: "short"})
+
+      changeset =
+        TradeSignal.levels_changeset(signal, %{
+          stop_loss: Decimal.new("176.50"),
+          take_profit: Decimal.new("173.50")
+        })
+
+      assert changeset.valid?
+      assert Decimal.equal?(Ecto.Changeset.get_change(changeset, :risk_reward), Decimal.new("2"))
+    end
+  end
+
   # Helper Functions
 
   defp valid_attrs do
@@ -0,0 +1,87 @@
+defmodule Signal.Technicals.PdArrays.ZonesTest do
+  use ExUnit.Case, async: true
+
+  alias Signal.Technicals.PdArrays.Zones
+  alias Signal.MarketData.Bar
+
+  describe "for_chart/2" do
+    test "returns empty list for empty bars" do
+      assert Zones.for_chart([]) == []
+    end
+
+    test "formats bullish FVG spanning the three formation candles" do
+      bars = [
+        create_bar(100.0, 102.0, 99.0, 101.0, ~U[2024-01-01 14:30:00Z]),
+        create_bar(101.0, 107.0, 100.5, 106.5, ~U[2024-01-01 14:31:00Z]),
+        create_bar(106.0, 108.0, 104.0, 107.0, ~U[2024-01-01 14:32:00Z]),
+        create_bar(107.0, 108.5, 106.0, 108.0, ~U[2024-01-01 14:33:00Z])
+      ]
+
+      assert [zone] = Zones.for_chart(bars, order_blocks: false)
+
+      assert zone.kind == "fvg"
+      assert zone.direction == "bullish"
+      assert zone.top == 104.0
+      assert zone.bottom == 102.0
+      assert zone.time == DateTime.to_unix(~U[2024-01-01 14:30:00Z])
+      assert zone.active_from == DateTime.to_unix(~U[2024-01-01 14:32:00Z])
+      assert zone.id == "fvg-#{zone.time}-bullish"
+      assert zone.quality_score == nil
+    end
+
+    test "formats bearish FVG" do
+      bars = [
+        create_bar(110.0, 112.0, 108.0, 109.0, ~U[2024-01-01 14:30:00Z]),
+        create_bar(108.5, 109.0, 102.0, 102.5, ~U[2024-01-01 14:31:00Z]),
+        create_bar(103.0, 106.0, 100.0, 101.0, ~U[2024-01-01 14:32:00Z])
+      ]
+
+      assert [zone] = Zones.for_chart(bars, order_blocks: false)
+
+      assert zone.direction == "bearish"
+      assert zone.top == 108.0
+      assert zone.bottom == 106.0
+    end
+
+    test "respects minimum FVG size" do
+      bars = [
+        create_bar(100.0, 101.0, 99.5, 100.5, ~U[2024-01-01 14:30:00Z]),
+        create_bar(100.5, 103.0, 100.0, 102.5, ~U[2024-01-01 14:31:00Z]),
+        create_bar(102.0, 104.0, 101.5, 103.0, ~U[2024-01-01 14:32:00Z])
+      ]
+
+      assert [_zone] = Zones.for_chart(bars, order_blocks: false)
+      assert Zones.for_chart(bars, order_blocks: false, min_fvg_size: Decimal.new("1.0")) == []
+    end
+
+    test "zones are sorted by time" do
+      bars = [
+        create_bar(100.0, 101.0, 99.5, 100.5, ~U[2024-01-01 14:30:00Z]),
+        create_bar(100.5, 103.0, 100.0, 102.5, ~U[2024-01-01 14:31:00Z]),
+        create_bar(102.0, 104.0, 101.5, 103.0, ~U[2024-01-01 14:32:00Z]),
+        create_bar(103.0, 105.0, 102.5, 104.0, ~U[2024-01-01 14:33:00Z]),
+        create_bar(105.0, 112.0, 104.5, 111.0, ~U[2024-01-01 14:34:00Z]),
+        create_bar(110.0, 113.0, 108.0, 112.0, ~U[2024-01-01 14:35:00Z])
+      ]
+
+      times = bars |> Zones.for_chart() |> Enum.map(& &1.time)
+
+      assert length(times) >= 2
+      assert times == Enum.sort(times)
+    end
+  end
+
+  defp create_bar(open, high, low, close, bar_time) do
+    %Bar{
+      symbol: "TEST",
+      bar_time: bar_time,
+      open: Decimal.new(to_string(open)),
+      high: Decimal.new(to_string(high)),
+      low: Decimal.new(to_string(low)),
+      close: Decimal.new(to_string(close)),
+      volume: 1000,
+      vwap: nil,
+      trade_count: nil
+    }
+  end
+end
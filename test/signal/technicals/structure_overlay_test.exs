@@ -0,0 +1,153 @@
+defmodule Signal.Technicals.StructureOverlayTest do
+  use ExUnit.Case, async: true
+
+  alias Signal.Technicals.StructureOverlay
+  alias Signal.MarketData.Bar
+
+  describe "for_chart/2" do
+    test "returns empty overlay for empty bars" do
+      assert StructureOverlay.for_chart([]) == %{
+               swings: [],
+               breaks: [],
+               trend: "ranging",
+               state: "ranging"
+             }
+    end
+
+    test "labels swings relative to the previous swing of the same type" do
+      overlay = StructureOverlay.for_chart(create_structure_bars())
+
+      assert Enum.map(overlay.swings, &{&1.type, &1.label, &1.price}) == [
+               {"high", "H", 105.0},
+               {"low", "L", 96.0},
+               {"high", "HH", 108.0}
+             ]
+
+      assert hd(overlay.swings).time == DateTime.to_unix(~U[2024-01-02 14:32:00Z])
+    end
+
+    test "marks a break with the bias as BOS and a break against it as ChoCh" do
+      overlay = StructureOverlay.for_chart(create_structure_bars())
+
+      assert [bos, choch] = overlay.breaks
+
+      assert bos.kind == "bos"
+      assert bos.direction == "bullish"
+      assert bos.price == 105.0
+      assert bos.swing_time == DateTime.to_unix(~U[2024-01-02 14:32:00Z])
+      assert bos.break_time == DateTime.to_unix(~U[2024-01-02 14:37:00Z])
+
+      assert choch.kind == "choch"
+      assert choch.direction == "bearish"
+      assert choch.price == 96.0
+      assert choch.swing_time == DateTime.to_unix(~U[2024-01-02 14:35:00Z])
+      assert choch.break_time == DateTime.to_unix(~U[2024-01-02 14:42:00Z])
+    end
+
+    test "only breaks swings once they are confirmed by lookback bars" do
+      overlay = StructureOverlay.for_chart(create_unconfirmed_swing_bars())
+
+      # The 14:37 close is below the confirmed 100 low; the lower 98 swing at 14:36 isn't
+      # confirmed until 14:38, so it can't replace the 100 low yet
+      assert [structure_break] = overlay.breaks
+      assert structure_break.direction == "bearish"
+      assert structure_break.price == 100.0
+      assert structure_break.swing_time == DateTime.to_unix(~U[2024-01-02 14:32:00Z])
+      assert structure_break.break_time == DateTime.to_unix(~U[2024-01-02 14:37:00Z])
+    end
+
+    test "includes trend and structure state from StructureDetector" do
+      overlay = StructureOverlay.for_chart(create_structure_bars())
+
+      assert overlay.trend in ["bullish", "bearish", "ranging"]
+
+      assert overlay.state in [
+               "strong_bullish",
+               "weak_bullish",
+               "strong_bearish",
+               "weak_bearish",
+               "ranging"
+             ]
+    end
+  end
+
+  describe "changed_by_last_bar?/3" do
+    test "is true when the last bar confirms a swing" do
+      bars = Enum.take(create_structure_bars(), 5)
+      overlay = StructureOverlay.for_chart(Enum.drop(bars, -1))
+
+      assert StructureOverlay.changed_by_last_bar?(bars, overlay)
+      assert StructureOverlay.for_chart(bars) != overlay
+    end
+
+    test "is true when the last bar closes beyond the latest unbroken swing" do
+      bars = Enum.take(create_unconfirmed_swing_bars(), 8)
+      overlay = StructureOverlay.for_chart(Enum.drop(bars, -1))
+
+      assert StructureOverlay.changed_by_last_bar?(bars, overlay)
+      assert StructureOverlay.for_chart(bars) != overlay
+    end
+
+    test "is false when the last bar neither confirms a swing nor breaks one" do
+      bars = Enum.take(create_structure_bars(), 7)
+      overlay = StructureOverlay.for_chart(Enum.drop(bars, -1))
+
+      refute StructureOverlay.changed_by_last_bar?(bars, overlay)
+      assert StructureOverlay.for_chart(bars) == overlay
+    end
+
+    test "is false for no bars" do
+      refute StructureOverlay.changed_by_last_bar?([], StructureOverlay.for_chart([]))
+    end
+  end
+
+  defp create_bar(high, low, close, bar_time) do
+    %Bar{
+      symbol: "TEST",
+      bar_time: bar_time,
+      open: Decimal.new(to_string(close)),
+      high: Decimal.new(to_string(high)),
+      low: Decimal.new(to_string(low)),
+      close: Decimal.new(to_string(close)),
+      volume: 1000,
+      vwap: nil,
+      trade_count: nil
+    }
+  end
+
+  # Swing high at 105 (14:32), swing low at 96 (14:35), swing high at 108 (14:38).
+  # The 14:37 close breaks 105 (BOS), the 14:42 close breaks 96 against the bias (ChoCh).
+  defp create_structure_bars do
+    [
+      create_bar(101.0, 99.0, 100.0, ~U[2024-01-02 14:30:00Z]),
+      create_bar(102.0, 100.0, 101.0, ~U[2024-01-02 14:31:00Z]),
+      create_bar(105.0, 101.0, 104.0, ~U[2024-01-02 14:32:00Z]),
+      create_bar(103.0, 100.0, 101.0, ~U[2024-01-02 14:33:00Z]),
+      create_bar(102.0, 98.0, 99.0, ~U[2024-01-02 14:34:00Z]),
+      create_bar(101.0, 96.0, 97.0, ~U[2024-01-02 14:35:00Z]),
+      create_bar(103.0, 97.0, 102.0, ~U[2024-01-02 14:36:00Z]),
+      create_bar(106.0, 100.0, 105.5, ~U[2024-01-02 14:37:00Z]),
+      create_bar(108.0, 104.0, 107.0, ~U[2024-01-02 14:38:00Z]),
+      create_bar(107.0, 102.0, 103.0, ~U[2024-01-02 14:39:00Z]),
+      create_bar(104.0, 99.0, 100.0, ~U[2024-01-02 14:40:00Z]),
+      create_bar(103.0, 97.0, 98.0, ~U[2024-01-02 14:41:00Z]),
+      create_bar(100.0, 94.0, 95.0, ~U[2024-01-02 14:42:00Z])
+    ]
+  end
+
+  # Swing low at 100 (14:32), lower swing low at 98 (14:36) confirmed after 14:38.
+  # The 14:37 close (99.5) breaks 100 but not 98.
+  defp create_unconfirmed_swing_bars do
+    [
+      create_bar(103.0, 101.0, 102.0, ~U[2024-01-02 14:30:00Z]),
+      create_bar(102.0, 100.5, 101.0, ~U[2024-01-02 14:31:00Z]),
+      create_bar(101.0, 100.0, 100.5, ~U[2024-01-02 14:32:00Z]),
+      create_bar(102.0, 100.5, 101.5, ~U[2024-01-02 14:33:00Z]),
+      create_bar(103.0, 101.0, 102.0, ~U[2024-01-02 14:34:00Z]),
+      create_bar(102.0, 100.5, 101.0, ~U[2024-01-02 14:35:00Z]),
+      create_bar(101.0, 98.0, 100.2, ~U[2024-01-02 14:36:00Z]),
+      create_bar(100.5, 99.0, 99.5, ~U[2024-01-02 14:37:00Z]),
+      create_bar(101.0, 99.5, 100.5, ~U[2024-01-02 14:38:00Z])
+    ]
+  end
+end
@@ -0,0 +1,153 @@
+defmodule SignalWeb.Live.Helpers.OptionPayoffTest do
+  use Signal.DataCase, async: true
+
+  alias Signal.Backtest.SimulatedTrade
+  alias Signal.MarketData.Bar
+  alias Signal.Options.Bar, as: OptionsBar
+  alias Signal.Options.Contract
+  alias SignalWeb.Live.Helpers.OptionPayoff
+
+  @contract_symbol "AAPL240614C00150000"
+
+  describe "trade_payoff/2" do
+    setup do
+      bars = [
+        %Bar{bar_time: ~U[2024-06-12 14:30:00.000000Z], close: Decimal.new("150.20")},
+        %Bar{bar_time: ~U[2024-06-12 14:45:00.000000Z], close: Decimal.new("151.40")}
+      ]
+
+      trade = %SimulatedTrade{
+        instrument_type: "options",
+        contract_symbol: @contract_symbol,
+        contract_type: "call",
+        strike: Decimal.new("150.00"),
+        expiration_date: ~D[2024-06-14],
+        entry_premium: Decimal.new("2.50"),
+        num_contracts: 4,
+        entry_time: ~U[2024-06-12 14:30:00.000000Z],
+        stop_loss: Decimal.new("149.00"),
+        take_profit: Decimal.new("152.00")
+      }
+
+      {:ok, bars: bars, trade: trade}
+    end
+
+    test "describes an open options trade marked at the entry", %{bars: bars, trade: trade} do
+      payoff = OptionPayoff.trade_payoff(trade, bars)
+
+      assert payoff.contract_symbol == @contract_symbol
+      assert payoff.contract_type == "call"
+      assert payoff.strike == 150.0
+      assert payoff.expiration == "2024-06-14"
+      assert payoff.contracts == 4
+      assert payoff.breakeven == 152.5
+      assert payoff.max_loss == 1000.0
+      assert payoff.underlying_price == 150.2
+      assert payoff.mark.time == DateTime.to_unix(trade.entry_time)
+      assert payoff.mark.premium == 2.5
+    end
+
+    test "marks a closed trade at the exit", %{bars: bars, trade: trade} do
+      trade = %{
+        trade
+        | exit_time: ~U[2024-06-12 14:45:00.000000Z],
+          exit_premium: Decimal.new("3.10")
+      }
+
+      payoff = OptionPayoff.trade_payoff(trade, bars)
+
+      assert payoff.underlying_price == 151.4
+      assert payoff.mark.time == DateTime.to_unix(trade.exit_time)
+      assert payoff.mark.premium == 3.1
+    end
+
+    test "returns nil for equity trades", %{bars: bars, trade: trade} do
+      assert OptionPayoff.trade_payoff(%{trade | instrument_type: "equity"}, bars) == nil
+    end
+
+    test "returns nil without bars", %{trade: trade} do
+      assert OptionPayoff.trade_payoff(trade, []) == nil
+    end
+
+    test "returns nil when options details are missing", %{bars: bars, trade: trade} do
+      for field <- [
+            :contract_symbol,
+            :strike,
+            :expiration_date,
+            :entry_premium,
+            :num_contracts,
+            :entry_time
+          ] do
+        assert OptionPayoff.trade_payoff(Map.put(trade, field, nil), bars) == nil
+      end
+    end
+  end
+
+  describe "signal_payoff/1" do
+    setup do
+      signal = %{
+        symbol: "AAPL",
+        direction: :long,
+        entry_price: Decimal.new("150.00"),
+        stop_loss: Decimal.new("149.00"),
+        take_profit: Decimal.new("152.00"),
+        generated_at: ~U[2024-06-12 14:30:00Z]
+      }
+
+      {:ok, signal: signal}
+    end
+
+    test "sizes the contract the options backtest would trade", %{signal: signal} do
+      insert_contract()
+      insert_options_bar(signal.generated_at, "2.50")
+
+      assert {:ok, payoff} = OptionPayoff.signal_payoff(signal)
+      assert payoff.contract_symbol == @contract_symbol
+      assert payoff.contract_type == "call"
+      assert payoff.expiration == "2024-06-14"
+      assert payoff.premium == 2.5
+      assert payoff.contracts == 4
+      assert payoff.breakeven == 152.5
+      assert payoff.mark.time == DateTime.to_unix(signal.generated_at)
+    end
+
+    test "returns an error when no contract is synced", %{signal: signal} do
+      assert {:error, _reason} = OptionPayoff.signal_payoff(signal)
+    end
+
+    test "returns an error when there is no premium data", %{signal: signal} do
+      insert_contract()
+
+      assert {:error, _reason} = OptionPayoff.signal_payoff(signal)
+    end
+  end
+
+  defp insert_contract do
+    %Contract{}
+    |> Contract.changeset(%{
+      symbol: @contract_symbol,
+      underlying_symbol: "AAPL",
+      contract_type: "call",
+      expiration_date: ~D[2024-06-14],
+      strike_price: Decimal.new("150.00"),
+      status: "active"
+    })
+    |> Repo.insert!()
+  end
+
+  defp insert_options_bar(bar_time, open) do
+    %OptionsBar{}
+    |> OptionsBar.changeset(%{
+      symbol: @contract_symbol,
+      bar_time: bar_time,
+      open: Decimal.new(open),
+      high: Decimal.new(open),
+      low: Decimal.new(open),
+      close: Decimal.new(open),
+      volume: 100,
+      trade_count: 10,
+      vwap: Decimal.new(open)
+    })
+    |> Repo.insert!()
+  end
+end
@@ -0,0 +1,98 @@
+defmodule SignalWeb.MarketLiveTest do
+  use SignalWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias Signal.Repo
+  alias Signal.Signals.TradeSignal
+
+  describe "price_alert_triggered" do
+    test "handles an alert attached to a key level", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      render_hook(view, "price_alert_triggered", %{
+        "symbol" => "AAPL",
+        "level_price" => 150.25,
+        "price" => 150.3,
+        "time" => 1_700_000_000,
+        "direction" => "up",
+        "trigger" => "touch",
+        "key_level" => "pdh"
+      })
+
+      assert Process.alive?(view.pid)
+    end
+
+    test "handles an alert without a key level", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      render_hook(view, "price_alert_triggered", %{
+        "symbol" => "AAPL",
+        "level_price" => 149.0,
+        "price" => 148.9,
+        "direction" => "down",
+        "trigger" => "close",
+        "key_level" => nil
+      })
+
+      assert Process.alive?(view.pid)
+    end
+
+    test "ignores malformed params", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      render_hook(view, "price_alert_triggered", %{
+        "symbol" => "AAPL",
+        "key_level" => 42,
+        "price" => %{"value" => 1}
+      })
+
+      render_hook(view, "price_alert_triggered", %{"symbol" => ["AAPL"]})
+      render_hook(view, "price_alert_triggered", %{"symbol" => "AAPL\n[error] forged"})
+      render_hook(view, "price_alert_triggered", %{})
+
+      assert Process.alive?(view.pid)
+    end
+  end
+
+  describe "modify_signal" do
+    test "ignores ids that are not UUIDs", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      render_hook(view, "modify_signal", %{"id" => "not-a-uuid", "stop_loss" => 149.0})
+      render_hook(view, "modify_signal", %{"stop_loss" => 149.0})
+
+      assert Process.alive?(view.pid)
+    end
+
+    test "does not modify signals of symbols off the charts", %{conn: conn} do
+      signal = create_signal("NOTCHARTED")
+      {:ok, view, _html} = live(conn, ~p"/")
+
+      render_hook(view, "modify_signal", %{"id" => signal.id, "stop_loss" => 149.0})
+
+      assert Process.alive?(view.pid)
+      assert Decimal.equal?(Repo.get!(TradeSignal, signal.id).stop_loss, signal.stop_loss)
+    end
+  end
+
+  defp create_signal(symbol) do
+    now = DateTime.utc_now()
+
+    %TradeSignal{}
+    |> TradeSignal.changeset(%{
+      symbol: symbol,
+      strategy: "break_and_retest",
+      direction: "long",
+      entry_price: Decimal.new("150.00"),
+      stop_loss: Decimal.new("148.00"),
+      take_profit: Decimal.new("154.00"),
+      risk_reward: Decimal.new("2.0"),
+      confluence_score: 9,
+      quality_grade: "B",
+      generated_at: now,
+      expires_at: DateTime.add(now, 30 * 60, :second)
+    })
+    |> Repo.insert!()
+  end
+end